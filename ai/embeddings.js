@@ -0,0 +1,175 @@
+/**
+ * Embedding Providers
+ * Turn text into vectors for semantic schema retrieval.
+ * The default "hash" embedder is pure JS and needs no model download.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const HASH_DIMENSIONS = 512;
+
+/**
+ * Registered embedders.
+ * Every embedder exposes:
+ *   embed(texts, options) -> Promise<Array<Array<number>>>  (one L2-normalised vector per text)
+ */
+const embedders = new Map();
+
+/**
+ * Register an embedder
+ * @param {string} name - Embedder name
+ * @param {Object} embedder - Object with an embed(texts, options) function
+ */
+function registerEmbedder(name, embedder) {
+    if (typeof embedder.embed !== 'function') {
+        throw new Error(`Embedder "${name}" must implement embed()`);
+    }
+
+    embedders.set(name.toLowerCase(), { name: name.toLowerCase(), ...embedder });
+}
+
+/**
+ * Scale a vector to unit length so dot product equals cosine similarity
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} Normalised vector
+ */
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return length > 0 ? vector.map(v => v / length) : vector;
+}
+
+/**
+ * Cosine similarity of two normalised vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity (-1..1)
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) dot += a[i] * b[i];
+    return dot;
+}
+
+/**
+ * Feature-hashing embedding of words and character trigrams.
+ * Captures spelling overlap ("cust" ~ "customers") rather than meaning,
+ * so it pairs well with the synonym-aware keyword ranking.
+ * @param {string} text - Text
+ * @returns {Array<number>} Vector
+ */
+function hashEmbed(text) {
+    const vector = new Array(HASH_DIMENSIONS).fill(0);
+    const words = String(text)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+
+    const add = (feature, weight) => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const index = hash.readUInt32LE(0) % HASH_DIMENSIONS;
+        vector[index] += (hash[4] & 1 ? 1 : -1) * weight;
+    };
+
+    for (const word of words) {
+        add(`w:${word}`, 1);
+        const padded = `^${word}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            add(`t:${padded.slice(i, i + 3)}`, 0.5);
+        }
+    }
+
+    return normalize(vector);
+}
+
+registerEmbedder('hash', {
+    embed: async (texts) => texts.map(hashEmbed)
+});
+
+// OpenAI-compatible /embeddings endpoint (Ollama, llama.cpp, vLLM, OpenAI, ...)
+registerEmbedder('local', {
+    embed: async (texts, options = {}) => {
+        const baseUrl = (options.baseUrl || process.env.EMBEDDING_URL || process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1')
+            .replace(/\/+$/, '');
+        const apiKey = options.apiKey || process.env.EMBEDDING_API_KEY || process.env.LOCAL_LLM_API_KEY;
+
+        const response = await axios.post(`${baseUrl}/embeddings`, {
+            model: options.model || process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+            input: texts
+        }, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+            },
+            timeout: parseInt(process.env.EMBEDDING_TIMEOUT_MS) || 60000
+        });
+
+        return response.data.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => normalize(item.embedding));
+    }
+});
+
+// ONNX models on the CPU through @xenova/transformers (optional dependency, not installed by default)
+let transformersPipeline = null;
+registerEmbedder('transformers', {
+    embed: async (texts, options = {}) => {
+        if (!transformersPipeline) {
+            let transformers;
+            try {
+                transformers = await import('@xenova/transformers');
+            } catch (error) {
+                const missing = new Error('The "transformers" embedder needs @xenova/transformers: npm install @xenova/transformers');
+                missing.statusCode = 503;
+                throw missing;
+            }
+            transformersPipeline = await transformers.pipeline(
+                'feature-extraction',
+                options.model || process.env.EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2'
+            );
+        }
+
+        const vectors = [];
+        for (const text of texts) {
+            const output = await transformersPipeline(text, { pooling: 'mean', normalize: true });
+            vectors.push(Array.from(output.data));
+        }
+        return vectors;
+    }
+});
+
+/**
+ * Get the configured embedder name
+ * @returns {string} Embedder name (EMBEDDING_PROVIDER, default "hash")
+ */
+function getDefaultEmbedderName() {
+    return (process.env.EMBEDDING_PROVIDER || 'hash').toLowerCase();
+}
+
+/**
+ * Get an embedder by name
+ * @param {string} [name] - Embedder name (defaults to EMBEDDING_PROVIDER)
+ * @returns {Object} Embedder
+ * @throws {Error} If the embedder is not registered
+ */
+function getEmbedder(name) {
+    const embedderName = (name || getDefaultEmbedderName()).toLowerCase();
+    const embedder = embedders.get(embedderName);
+
+    if (!embedder) {
+        const error = new Error(`Unknown embedder: ${embedderName}. Available: ${[...embedders.keys()].join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return embedder;
+}
+
+module.exports = {
+    registerEmbedder,
+    getEmbedder,
+    getDefaultEmbedderName,
+    cosineSimilarity,
+    normalize
+};
@@ -0,0 +1,215 @@
+/**
+ * AI Provider Failover
+ * Runs provider calls through an ordered fallback chain with a
+ * circuit breaker per provider
+ */
+
+const { getProvider, hasProvider, getDefaultProviderName } = require('./providers');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+const logger = require('../utils/logger');
+
+const breakers = new Map();
+
+/**
+ * Get (or lazily create) the circuit breaker for a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Circuit breaker
+ */
+function getBreaker(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, createCircuitBreaker({
+            failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3,
+            cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60000
+        }));
+    }
+    return breakers.get(name);
+}
+
+/**
+ * Resolve the ordered provider chain for a request.
+ * The requested provider (or AI_PROVIDER) goes first, followed by the
+ * remaining entries of AI_PROVIDER_CHAIN.
+ * @param {string} [preferred] - Provider requested by the caller
+ * @returns {Array<string>} Provider names
+ */
+function getProviderChain(preferred) {
+    const configured = (process.env.AI_PROVIDER_CHAIN || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const chain = [];
+    for (const name of [preferred || getDefaultProviderName(), ...configured]) {
+        const normalized = name.toLowerCase();
+        if (chain.includes(normalized)) continue;
+
+        if (!hasProvider(normalized)) {
+            logger.warn(`Ignoring unknown AI provider in chain: ${normalized}`);
+            continue;
+        }
+        chain.push(normalized);
+    }
+
+    return chain;
+}
+
+/**
+ * Whether an error means the provider itself is unhealthy: timeouts, network
+ * errors, 429 and 5xx. Other 4xx (bad prompt, bad key) do not count against
+ * the circuit breaker.
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+function isProviderFailure(error) {
+    const status = error.status || error.statusCode || error.response?.status;
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    // Provider clients wrap network errors, so check the message as well as the code
+    return ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)
+        || /ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|timed? ?out|connection error|network/i.test(error.message || '');
+}
+
+/**
+ * Record a failover entry and notify the caller
+ * @param {Array} failovers - Entries so far
+ * @param {Object} entry - Failover entry
+ * @param {Function} [onFailover] - Listener
+ */
+function recordFailover(failovers, entry, onFailover) {
+    failovers.push(entry);
+    if (typeof onFailover === 'function') {
+        onFailover(entry);
+    }
+}
+
+/**
+ * Call a provider method, falling back along the chain on failure
+ * @param {string} method - Provider method: 'generate', 'explain' or 'complete'
+ * @param {Array} args - Method arguments (without options)
+ * @param {Object} options - Call options (provider, apiKey, model, onToken, ...)
+ * @param {Function} [options.onFailover] - Called with each failover entry as it happens
+ * @param {Function} [options.onReset] - Called before the next provider starts when the failed
+ *        one had already streamed tokens: the caller must discard them
+ * @returns {Promise<{text: string, provider: string, failovers: Array}>}
+ */
+async function runWithFailover(method, args, options = {}) {
+    const { provider: preferred, apiKey, model, onFailover, onReset, ...rest } = options;
+    const chain = getProviderChain(preferred);
+    const failovers = [];
+
+    // Keep per-provider retries short when there is somewhere else to go.
+    // Providers count attempts, so 0 (no retries) still makes one attempt
+    const retries = parseInt(process.env.AI_PROVIDER_RETRIES);
+    const maxRetries = Number.isNaN(retries) ? (chain.length > 1 ? 1 : undefined) : Math.max(retries, 1);
+
+    for (let i = 0; i < chain.length; i++) {
+        const name = chain[i];
+        const breaker = getBreaker(name);
+
+        if (!breaker.canRequest()) {
+            recordFailover(failovers, { provider: name, skipped: true, reason: 'circuit open' }, onFailover);
+            continue;
+        }
+
+        // Caller-supplied credentials and model only apply to the primary provider
+        const callOptions = i === 0 ? { ...rest, apiKey, model, maxRetries } : { ...rest, maxRetries };
+
+        let tokensEmitted = false;
+        if (typeof rest.onToken === 'function') {
+            callOptions.onToken = (text) => {
+                tokensEmitted = true;
+                rest.onToken(text);
+            };
+        }
+
+        try {
+            const text = await getProvider(name)[method](...args, callOptions);
+            breaker.recordSuccess();
+
+            if (failovers.length > 0) {
+                logger.warn(`AI ${method} served by ${name} after failover from ${failovers.map(f => f.provider).join(', ')}`);
+            }
+
+            return { text, provider: name, failovers };
+
+        } catch (error) {
+            if (isProviderFailure(error)) {
+                breaker.recordFailure();
+            } else {
+                breaker.releaseTrial();
+            }
+            recordFailover(failovers, {
+                provider: name,
+                status: error.status || error.statusCode || null,
+                error: error.message,
+                tokensDiscarded: tokensEmitted
+            }, onFailover);
+            if (tokensEmitted && typeof onReset === 'function') {
+                onReset({ provider: name });
+            }
+            logger.warn(`AI provider ${name} failed (${method}): ${error.message}`);
+        }
+    }
+
+    const error = new Error(`All AI providers failed: ${failovers.map(f => `${f.provider} (${f.error || f.reason})`).join('; ')}`);
+    error.statusCode = 503;
+    error.details = { failovers };
+    throw error;
+}
+
+/**
+ * Generate SQL with failover
+ * @param {string} question - Natural language question
+ * @param {string} systemPrompt - System prompt with schema
+ * @param {Object} options - Call options
+ * @returns {Promise<{text: string, provider: string, failovers: Array}>}
+ */
+async function generateWithFailover(question, systemPrompt, options = {}) {
+    return runWithFailover('generate', [question, systemPrompt], options);
+}
+
+/**
+ * Explain results with failover
+ * @param {string} question - Original question
+ * @param {string} sql - Executed SQL
+ * @param {Array} results - Query results
+ * @param {Object} options - Call options
+ * @returns {Promise<{text: string, provider: string, failovers: Array}>}
+ */
+async function explainWithFailover(question, sql, results, options = {}) {
+    return runWithFailover('explain', [question, sql, results], options);
+}
+
+/**
+ * Send a ready-made prompt with failover
+ * @param {string} prompt - Prompt
+ * @param {Object} options - Call options
+ * @returns {Promise<{text: string, provider: string, failovers: Array}>}
+ */
+async function completeWithFailover(prompt, options = {}) {
+    return runWithFailover('complete', [prompt], options);
+}
+
+/**
+ * Get circuit breaker status for every provider that has been used
+ * @returns {Object} Status keyed by provider name
+ */
+function getCircuitStatus() {
+    const status = {};
+    for (const [name, breaker] of breakers) {
+        status[name] = breaker.getStatus();
+    }
+    return status;
+}
+
+module.exports = {
+    getProviderChain,
+    runWithFailover,
+    isProviderFailure,
+    generateWithFailover,
+    explainWithFailover,
+    completeWithFailover,
+    getCircuitStatus
+};
@@ -9,6 +9,7 @@ const Groq = require('groq-sdk');
  * Call Groq API
  * @param {string} prompt - The prompt to send
  * @param {Object} options - Additional options
+ * @param {Function} [options.onToken] - Stream the response, calling this with each token
  * @returns {Promise<string>} AI response text
  */
 async function callGroq(prompt, options = {}) {
@@ -27,7 +28,10 @@ async function callGroq(prompt, options = {}) {
         timeout: timeout
     });
 
+    const streaming = typeof options.onToken === 'function';
+
     let lastError;
+    let tokensSent = false;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
@@ -42,9 +46,26 @@ async function callGroq(prompt, options = {}) {
                 temperature: 0.1,
                 max_tokens: options.maxTokens || 2000,
                 top_p: 1,
-                stream: false
+                stream: streaming
             });
 
+            if (streaming) {
+                let text = '';
+                for await (const chunk of completion) {
+                    const delta = chunk.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        text += delta;
+                        tokensSent = true;
+                        options.onToken(delta);
+                    }
+                }
+
+                if (!text) {
+                    throw new Error('Empty response from Groq API');
+                }
+                return text.trim();
+            }
+
             if (!completion.choices || completion.choices.length === 0) {
                 throw new Error('No response from Groq API');
             }
@@ -63,6 +84,11 @@ async function callGroq(prompt, options = {}) {
             // Log the attempt
             console.error(`Groq API attempt ${attempt}/${maxRetries} failed:`, error.message);
 
+            // Tokens already reached the caller: retrying would duplicate them
+            if (tokensSent) {
+                throw error;
+            }
+
             // If it's a rate limit error and we have retries left, wait and retry
             if (error.status === 429 && attempt < maxRetries) {
                 const waitTime = Math.min(1000 * Math.pow(2, attempt), 10000);
@@ -126,8 +152,30 @@ Keep it concise and professional.`;
     });
 }
 
+/**
+ * Check that the Groq API is reachable with the configured key
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} Health status
+ */
+async function healthCheck(options = {}) {
+    const apiKey = options.apiKey || process.env.GROQ_API_KEY;
+
+    if (!apiKey) {
+        return { healthy: false, provider: 'groq', error: 'GROQ_API_KEY not set' };
+    }
+
+    try {
+        const groq = new Groq({ apiKey, timeout: 5000 });
+        await groq.models.list();
+        return { healthy: true, provider: 'groq' };
+    } catch (error) {
+        return { healthy: false, provider: 'groq', error: error.message };
+    }
+}
+
 module.exports = {
     callGroq,
     generateSQL,
-    explainResults
+    explainResults,
+    healthCheck
 };
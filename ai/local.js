@@ -0,0 +1,163 @@
+/**
+ * Local / OpenAI-compatible AI Integration
+ * Handles communication with any OpenAI-compatible chat completions endpoint
+ * (llama.cpp server, Ollama, vLLM, LM Studio, ...)
+ */
+
+const axios = require('axios');
+const { readChatStream } = require('./streaming');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Resolve base URL for the local endpoint
+ * @param {Object} options - Additional options
+ * @returns {string} Base URL without trailing slash
+ */
+function getBaseUrl(options = {}) {
+    const baseUrl = options.baseUrl || process.env.LOCAL_LLM_URL || DEFAULT_BASE_URL;
+    return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Build request headers (API key is optional for local servers)
+ * @param {Object} options - Additional options
+ * @returns {Object} Headers
+ */
+function getHeaders(options = {}) {
+    const apiKey = options.apiKey || process.env.LOCAL_LLM_API_KEY;
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    return headers;
+}
+
+/**
+ * Call the local model
+ * @param {string} prompt - The prompt to send
+ * @param {Object} options - Additional options
+ * @param {Function} [options.onToken] - Stream the response, calling this with each token
+ * @returns {Promise<string>} AI response text
+ */
+async function callLocalModel(prompt, options = {}) {
+    const model = options.model || process.env.LOCAL_LLM_MODEL || 'llama3.1';
+    const timeout = options.timeout || parseInt(process.env.LOCAL_LLM_TIMEOUT_MS) || 120000;
+    const streaming = typeof options.onToken === 'function';
+
+    try {
+        const response = await axios.post(
+            `${getBaseUrl(options)}/chat/completions`,
+            {
+                model: model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ],
+                temperature: options.temperature || 0.1,
+                max_tokens: options.maxTokens || 2000,
+                stream: streaming
+            },
+            {
+                headers: getHeaders(options),
+                timeout: timeout,
+                responseType: streaming ? 'stream' : 'json'
+            }
+        );
+
+        const content = streaming
+            ? await readChatStream(response.data, options.onToken)
+            : response.data?.choices?.[0]?.message?.content;
+
+        if (!content) {
+            throw new Error('No content in local model response');
+        }
+
+        return content.trim();
+
+    } catch (error) {
+        if (error.response) {
+            const status = error.response.status;
+            // Streamed error bodies are not parsed
+            const message = error.response.data?.error?.message || (typeof error.response.data?.error === 'string' ? error.response.data.error : error.message);
+            const wrapped = new Error(`Local model error (${status}): ${message}`);
+            wrapped.status = status;
+            throw wrapped;
+        }
+        throw new Error(`Local model request failed: ${error.message}`);
+    }
+}
+
+/**
+ * Generate SQL from natural language question
+ * @param {string} question - Natural language question
+ * @param {string} systemPrompt - System prompt with schema
+ * @param {Object} options - Additional options
+ * @returns {Promise<string>} Generated SQL
+ */
+async function generateSQL(question, systemPrompt, options = {}) {
+    const fullPrompt = `${systemPrompt}\n\nUser Question: ${question}`;
+    return await callLocalModel(fullPrompt, options);
+}
+
+/**
+ * Explain query results in natural language
+ * @param {string} question - Original question
+ * @param {string} sql - Generated SQL
+ * @param {Array} results - Query results
+ * @param {Object} options - Additional options
+ * @returns {Promise<string>} Natural language explanation
+ */
+async function explainResults(question, sql, results, options = {}) {
+    const resultSample = results.slice(0, 10);
+
+    const prompt = `You are a data analyst providing insights from query results.
+
+Original Question: ${question}
+
+SQL Query: ${sql}
+
+Results (showing first ${resultSample.length} of ${results.length} rows):
+${JSON.stringify(resultSample, null, 2)}
+
+Provide a clear, analyst-style explanation with:
+- **Key Findings**: What the data shows
+- **Insights**: Notable patterns or trends
+- **Business Context**: What this means practically
+
+Keep it concise and professional.`;
+
+    return await callLocalModel(prompt, {
+        ...options,
+        maxTokens: 1000,
+        temperature: 0.3
+    });
+}
+
+/**
+ * Check that the local endpoint is reachable
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} Health status
+ */
+async function healthCheck(options = {}) {
+    try {
+        await axios.get(`${getBaseUrl(options)}/models`, {
+            headers: getHeaders(options),
+            timeout: 5000
+        });
+        return { healthy: true, provider: 'local', url: getBaseUrl(options) };
+    } catch (error) {
+        return { healthy: false, provider: 'local', url: getBaseUrl(options), error: error.message };
+    }
+}
+
+module.exports = {
+    callLocalModel,
+    generateSQL,
+    explainResults,
+    healthCheck
+};
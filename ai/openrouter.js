@@ -4,6 +4,7 @@
  */
 
 const axios = require('axios');
+const { readChatStream } = require('./streaming');
 
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
 
@@ -11,6 +12,7 @@ const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
  * Call OpenRouter API
  * @param {string} prompt - The prompt to send
  * @param {Object} options - Additional options
+ * @param {Function} [options.onToken] - Stream the response, calling this with each token
  * @returns {Promise<string>} AI response text
  */
 async function callOpenRouter(prompt, options = {}) {
@@ -23,8 +25,10 @@ async function callOpenRouter(prompt, options = {}) {
 
     const maxRetries = options.maxRetries || 3;
     const timeout = options.timeout || parseInt(process.env.QUERY_TIMEOUT_MS) || 30000;
+    const streaming = typeof options.onToken === 'function';
 
     let lastError;
+    let tokensSent = false;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
@@ -40,7 +44,8 @@ async function callOpenRouter(prompt, options = {}) {
                     ],
                     temperature: options.temperature || 0.1, // Low temperature for consistent SQL
                     max_tokens: options.maxTokens || 2000,
-                    top_p: 0.9
+                    top_p: 0.9,
+                    stream: streaming
                 },
                 {
                     headers: {
@@ -49,11 +54,17 @@ async function callOpenRouter(prompt, options = {}) {
                         'HTTP-Referer': options.referer || 'http://localhost:3000',
                         'X-Title': options.title || 'Universal SQL AI Engine'
                     },
-                    timeout: timeout
+                    timeout: timeout,
+                    responseType: streaming ? 'stream' : 'json'
                 }
             );
 
-            const content = response.data?.choices?.[0]?.message?.content;
+            const content = streaming
+                ? await readChatStream(response.data, token => {
+                    tokensSent = true;
+                    options.onToken(token);
+                })
+                : response.data?.choices?.[0]?.message?.content;
 
             if (!content) {
                 throw new Error('No content in AI response');
@@ -64,12 +75,12 @@ async function callOpenRouter(prompt, options = {}) {
         } catch (error) {
             lastError = error;
 
-            // Check if we should retry
-            const isRetryable =
+            // Check if we should retry (never after tokens have been streamed)
+            const isRetryable = !tokensSent && (
                 error.code === 'ECONNRESET' ||
                 error.code === 'ETIMEDOUT' ||
                 error.response?.status === 429 || // Rate limited
-                error.response?.status >= 500;    // Server error
+                error.response?.status >= 500);   // Server error
 
             if (isRetryable && attempt < maxRetries) {
                 // Exponential backoff
@@ -86,8 +97,10 @@ async function callOpenRouter(prompt, options = {}) {
     // Format error message
     if (lastError.response) {
         const status = lastError.response.status;
-        const message = lastError.response.data?.error?.message || lastError.message;
-        throw new Error(`OpenRouter API error (${status}): ${message}`);
+        const message = (streaming ? null : lastError.response.data?.error?.message) || lastError.message;
+        const error = new Error(`OpenRouter API error (${status}): ${message}`);
+        error.status = status;
+        throw error;
     } else if (lastError.code === 'ETIMEDOUT') {
         throw new Error(`Request timed out after ${timeout}ms`);
     } else {
@@ -113,6 +126,18 @@ async function generateSQLFromAI(systemPrompt, question, options = {}) {
     return cleanSQLResponse(response);
 }
 
+/**
+ * Generate SQL from natural language question
+ * (same argument order as the other providers)
+ * @param {string} question - User's question
+ * @param {string} systemPrompt - System prompt with schema
+ * @param {Object} options - Additional options
+ * @returns {Promise<string>} Generated SQL
+ */
+async function generateSQL(question, systemPrompt, options = {}) {
+    return generateSQLFromAI(systemPrompt, question, options);
+}
+
 /**
  * Clean SQL response from AI
  * @param {string} response - Raw AI response
@@ -188,9 +213,34 @@ Keep your response concise but insightful, like a data analyst presenting to sta
     });
 }
 
+/**
+ * Check that the OpenRouter API is reachable with the configured key
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} Health status
+ */
+async function healthCheck(options = {}) {
+    const apiKey = options.apiKey || process.env.OPENROUTER_API_KEY;
+
+    if (!apiKey) {
+        return { healthy: false, provider: 'openrouter', error: 'OPENROUTER_API_KEY not set' };
+    }
+
+    try {
+        await axios.get('https://openrouter.ai/api/v1/auth/key', {
+            headers: { 'Authorization': `Bearer ${apiKey}` },
+            timeout: 5000
+        });
+        return { healthy: true, provider: 'openrouter' };
+    } catch (error) {
+        return { healthy: false, provider: 'openrouter', error: error.response?.data?.error?.message || error.message };
+    }
+}
+
 module.exports = {
     callOpenRouter,
     generateSQLFromAI,
+    generateSQL,
     cleanSQLResponse,
-    explainResults
+    explainResults,
+    healthCheck
 };
@@ -0,0 +1,124 @@
+/**
+ * AI Provider Registry
+ * Maps provider names to a common interface so the SQL service
+ * does not depend on a specific vendor
+ */
+
+const groq = require('./groq');
+const openrouter = require('./openrouter');
+const local = require('./local');
+
+/**
+ * Registered providers.
+ * Every provider exposes the same interface:
+ *   generate(question, systemPrompt, options) -> Promise<string>
+ *   explain(question, sql, results, options)  -> Promise<string>
+ *   complete(prompt, options)                 -> Promise<string>  (raw text for a ready-made prompt)
+ *   health(options)                           -> Promise<Object>
+ * generate/explain/complete stream when options.onToken is a function: it is called
+ * with each token and the promise still resolves to the full text.
+ */
+const providers = new Map();
+
+/**
+ * Register a provider
+ * @param {string} name - Provider name
+ * @param {Object} provider - Object with generate, explain, complete and health functions
+ */
+function registerProvider(name, provider) {
+    for (const method of ['generate', 'explain', 'complete', 'health']) {
+        if (typeof provider[method] !== 'function') {
+            throw new Error(`Provider "${name}" must implement ${method}()`);
+        }
+    }
+
+    providers.set(name.toLowerCase(), { name: name.toLowerCase(), ...provider });
+}
+
+registerProvider('groq', {
+    generate: groq.generateSQL,
+    explain: groq.explainResults,
+    complete: groq.callGroq,
+    health: groq.healthCheck
+});
+
+registerProvider('openrouter', {
+    generate: openrouter.generateSQL,
+    explain: openrouter.explainResults,
+    complete: openrouter.callOpenRouter,
+    health: openrouter.healthCheck
+});
+
+registerProvider('local', {
+    generate: local.generateSQL,
+    explain: local.explainResults,
+    complete: local.callLocalModel,
+    health: local.healthCheck
+});
+
+/**
+ * Get the default provider name from environment
+ * @returns {string} Provider name
+ */
+function getDefaultProviderName() {
+    return (process.env.AI_PROVIDER || 'groq').toLowerCase();
+}
+
+/**
+ * Get a provider by name (falls back to AI_PROVIDER env var)
+ * @param {string} [name] - Provider name
+ * @returns {Object} Provider
+ * @throws {Error} If provider is not registered
+ */
+function getProvider(name) {
+    const providerName = (name || getDefaultProviderName()).toLowerCase();
+    const provider = providers.get(providerName);
+
+    if (!provider) {
+        const error = new Error(`Unknown AI provider: ${providerName}. Available: ${listProviders().join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return provider;
+}
+
+/**
+ * Check whether a provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+function hasProvider(name) {
+    return typeof name === 'string' && providers.has(name.toLowerCase());
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+    return [...providers.keys()];
+}
+
+/**
+ * Run health checks for all registered providers
+ * @returns {Promise<Array<Object>>} Health status per provider
+ */
+async function checkProvidersHealth() {
+    return Promise.all(listProviders().map(async (name) => {
+        try {
+            return await providers.get(name).health();
+        } catch (error) {
+            return { healthy: false, provider: name, error: error.message };
+        }
+    }));
+}
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    hasProvider,
+    listProviders,
+    getDefaultProviderName,
+    checkProvidersHealth
+};
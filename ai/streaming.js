@@ -0,0 +1,62 @@
+/**
+ * Chat Completion Streaming
+ * Reads OpenAI-compatible "data: {...}" event streams token by token
+ */
+
+/**
+ * Read a streamed chat completion
+ * @param {import('stream').Readable} stream - Response body (axios responseType: 'stream')
+ * @param {Function} onToken - Called with each content delta
+ * @returns {Promise<string>} Full response text
+ */
+async function readChatStream(stream, onToken) {
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return false;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return true;
+
+        let chunk;
+        try {
+            chunk = JSON.parse(payload);
+        } catch (error) {
+            return false; // keep-alive comments or partial frames
+        }
+
+        if (chunk.error) {
+            throw new Error(chunk.error.message || 'Stream error from AI provider');
+        }
+
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+            text += delta;
+            onToken(delta);
+        }
+        return false;
+    };
+
+    for await (const data of stream) {
+        buffer += data.toString('utf8');
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (handleLine(line)) {
+                stream.destroy();
+                return text;
+            }
+        }
+    }
+
+    if (buffer) handleLine(buffer);
+    return text;
+}
+
+module.exports = {
+    readChatStream
+};
@@ -0,0 +1,207 @@
+/**
+ * Application Store
+ * Tables the app writes itself (query history, saved queries, schedules) on
+ * any supported database. Statements are written PostgreSQL-style - $1
+ * placeholders, SERIAL keys, "quoted" identifiers - and translated for SQLite
+ * and MySQL.
+ *
+ * SQLite connections are opened read-only, so on SQLite the tables live in a
+ * separate writable file (APP_STORE_PATH) instead of the queried database.
+ */
+
+const path = require('path');
+const { initDatabase } = require('./connection');
+
+/**
+ * Normalize a database type
+ * @param {string} dbType - Database type
+ * @returns {string} 'sqlite', 'mysql' or 'postgres'
+ */
+function normalizeType(dbType = 'sqlite') {
+    const type = dbType.toLowerCase();
+    return type === 'postgresql' ? 'postgres' : type;
+}
+
+/**
+ * Translate a PostgreSQL-style statement for a dialect. Positional values are
+ * reordered to match, since ? takes one value per occurrence.
+ * @param {string} sql - Statement with $n placeholders
+ * @param {Array} params - Values for $1, $2, ...
+ * @param {string} dbType - Database type
+ * @returns {{sql: string, params: Array}} Statement and values for the driver
+ */
+function translate(sql, params = [], dbType = 'postgres') {
+    const type = normalizeType(dbType);
+    if (type === 'postgres') {
+        return { sql, params };
+    }
+
+    const ordered = [];
+    let translated = sql.replace(/\$(\d+)/g, (match, index) => {
+        ordered.push(params[Number(index) - 1]);
+        return '?';
+    });
+
+    if (type === 'mysql') {
+        translated = translated.replace(/"(\w+)"/g, '`$1`');
+    } else {
+        // better-sqlite3 binds neither booleans nor dates
+        for (let i = 0; i < ordered.length; i++) {
+            if (typeof ordered[i] === 'boolean') ordered[i] = Number(ordered[i]);
+            else if (ordered[i] instanceof Date) ordered[i] = ordered[i].toISOString();
+        }
+    }
+
+    return { sql: translated, params: ordered };
+}
+
+/**
+ * Translate CREATE TABLE column types for a dialect
+ * @param {string} sql - PostgreSQL DDL
+ * @param {string} dbType - Database type
+ * @returns {string} DDL
+ */
+function translateDDL(sql, dbType = 'postgres') {
+    switch (normalizeType(dbType)) {
+        case 'sqlite':
+            return sql.replace(/\bSERIAL PRIMARY KEY\b/g, 'INTEGER PRIMARY KEY AUTOINCREMENT');
+        case 'mysql':
+            // TIMESTAMP columns get implicit defaults on MySQL; DATETIME behaves like PostgreSQL's TIMESTAMP
+            return sql
+                .replace(/\bSERIAL PRIMARY KEY\b/g, 'INTEGER PRIMARY KEY AUTO_INCREMENT')
+                .replace(/\bTIMESTAMP\b/g, 'DATETIME')
+                .replace(/"(\w+)"/g, '`$1`');
+        default:
+            return sql;
+    }
+}
+
+/**
+ * Wrap a writable connection
+ * @param {Object} db - Database connection (with asyncAll/asyncGet)
+ * @param {string} dbType - Database type
+ * @returns {Object} Store: { type, exec, columns, all, get, run, insert }
+ */
+function createStore(db, dbType) {
+    const type = normalizeType(dbType);
+
+    return {
+        type,
+
+        /**
+         * Run DDL (returns nothing; better-sqlite3 rejects all() for statements without rows)
+         * @param {string} sql - PostgreSQL DDL
+         */
+        async exec(sql) {
+            const ddl = translateDDL(sql, type);
+            if (type === 'sqlite') {
+                db.exec(ddl);
+            } else {
+                await db.asyncAll(ddl);
+            }
+        },
+
+        /**
+         * Column names of a table (empty if it does not exist)
+         * @param {string} table - Table name
+         * @returns {Promise<Array<string>>} Column names
+         */
+        async columns(table) {
+            let rows;
+            if (type === 'sqlite') {
+                rows = db.prepare('SELECT name FROM pragma_table_info(?)').all(table);
+            } else if (type === 'mysql') {
+                rows = await db.asyncAll(
+                    'SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+                    [table]
+                );
+            } else {
+                rows = await db.asyncAll(
+                    'SELECT column_name AS name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+                    [table]
+                );
+            }
+            return rows.map(row => row.name);
+        },
+
+        /**
+         * Rows of a query
+         * @param {string} sql - Query with $n placeholders
+         * @param {Array} params - Values
+         * @returns {Promise<Array<Object>>} Rows
+         */
+        async all(sql, params = []) {
+            const statement = translate(sql, params, type);
+            return db.asyncAll(statement.sql, statement.params);
+        },
+
+        /**
+         * First row of a query
+         * @param {string} sql - Query with $n placeholders
+         * @param {Array} params - Values
+         * @returns {Promise<Object|undefined>} Row
+         */
+        async get(sql, params = []) {
+            const statement = translate(sql, params, type);
+            return db.asyncGet(statement.sql, statement.params);
+        },
+
+        /**
+         * Run an UPDATE or DELETE
+         * @param {string} sql - Statement with $n placeholders
+         * @param {Array} params - Values
+         */
+        async run(sql, params = []) {
+            const statement = translate(sql, params, type);
+            if (type === 'sqlite') {
+                db.prepare(statement.sql).run(...statement.params);
+            } else {
+                await db.asyncAll(statement.sql, statement.params);
+            }
+        },
+
+        /**
+         * Run an INSERT into a table with a SERIAL id
+         * @param {string} sql - INSERT with $n placeholders (without RETURNING)
+         * @param {Array} params - Values
+         * @returns {Promise<number>} ID of the new row
+         */
+        async insert(sql, params = []) {
+            if (type === 'postgres') {
+                const row = await db.asyncGet(`${sql} RETURNING id`, params);
+                return Number(row.id);
+            }
+
+            const statement = translate(sql, params, type);
+            if (type === 'sqlite') {
+                return Number(db.prepare(statement.sql).run(...statement.params).lastInsertRowid);
+            }
+            const result = await db.asyncAll(statement.sql, statement.params);
+            return Number(result.insertId);
+        }
+    };
+}
+
+/**
+ * Open the store for the default connection: the connection itself on
+ * PostgreSQL and MySQL, a writable APP_STORE_PATH file on SQLite
+ * @param {Object} db - Default database connection
+ * @param {string} dbType - Its type
+ * @returns {Promise<Object>} Store (see createStore)
+ */
+async function openAppStore(db, dbType) {
+    if (normalizeType(dbType) !== 'sqlite') {
+        return createStore(db, dbType);
+    }
+
+    const storePath = path.resolve(process.env.APP_STORE_PATH || path.join('data', 'app.store.db'));
+    const storeDb = await initDatabase('sqlite', { path: storePath, readonly: false, fileMustExist: false });
+    return createStore(storeDb, 'sqlite');
+}
+
+module.exports = {
+    translate,
+    translateDDL,
+    createStore,
+    openAppStore
+};
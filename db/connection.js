@@ -3,9 +3,46 @@
  * Supports SQLite, MySQL, and PostgreSQL
  */
 
+const path = require('path');
+const { Worker } = require('worker_threads');
+
 let Database; // better-sqlite3
-let mysqlPool; // mysql2
-let pgPool; // pg
+
+// Extra time given to the server-side timeout before we cancel the query ourselves
+const CANCEL_GRACE_MS = 1000;
+
+// Idle SQLite query workers, keyed by database file
+const sqliteWorkers = new Map();
+const SQLITE_MAX_IDLE_WORKERS = parseInt(process.env.SQLITE_MAX_IDLE_WORKERS) || 2;
+
+// Rows fetched per round trip when streaming results
+const STREAM_BATCH_SIZE = parseInt(process.env.STREAM_BATCH_SIZE) || 500;
+
+/**
+ * Create the error raised when a query is cancelled for taking too long
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Error} Timeout error
+ */
+function timeoutError(timeout) {
+    const error = new Error(`Query timed out after ${timeout}ms`);
+    error.statusCode = 408;
+    error.code = 'QUERY_TIMEOUT';
+    return error;
+}
+
+/**
+ * Attach the result's column metadata to its rows as a non-enumerable
+ * `columns` property, so empty results still report their columns
+ * @param {Array} rows - Result rows
+ * @param {Array<Object>} columns - [{ name, type }]
+ * @returns {Array} The same rows
+ */
+function withColumns(rows, columns) {
+    if (Array.isArray(rows)) {
+        Object.defineProperty(rows, 'columns', { value: columns, configurable: true });
+    }
+    return rows;
+}
 
 /**
  * Initialize database connection
@@ -64,6 +101,27 @@ function initSQLite(config = {}) {
         return Promise.resolve(db.prepare(sql).run(...(Array.isArray(params) ? params : [params])));
     };
 
+    // Cancellable execution: file databases run in a worker thread that is
+    // terminated on timeout (in-memory databases cannot be shared with a worker)
+    db.queryWithTimeout = (sql, params = [], timeout = 30000) => {
+        if (db.memory) {
+            const stmt = db.prepare(sql);
+            const rows = stmt.all(...(Array.isArray(params) ? params : [params]));
+            const columns = stmt.reader ? stmt.columns().map(column => ({ name: column.name, type: column.type })) : [];
+            return raceWithTimeout(Promise.resolve(withColumns(rows, columns)), timeout);
+        }
+        return runInSQLiteWorker(db.name, sql, params, timeout);
+    };
+
+    // Streaming: file databases iterate in a dedicated worker; in-memory databases
+    // iterate on this connection (which stays busy until the stream ends)
+    db.streamQuery = async (sql, params = [], options = {}) => {
+        if (db.memory) {
+            return streamSQLiteInProcess(db, sql, params, options);
+        }
+        return streamInSQLiteWorker(db.name, sql, params, options);
+    };
+
     // Health check method
     db.healthCheck = () => {
         try {
@@ -85,33 +143,155 @@ function initSQLite(config = {}) {
  */
 async function initMySQL(config = {}) {
     const mysql = require('mysql2/promise');
+    const MYSQL_TYPE_NAMES = require('mysql2').Types;
+    const mysqlColumns = (fields) => (fields || []).map(field => ({
+        name: field.name,
+        type: MYSQL_TYPE_NAMES[field.columnType] || null
+    }));
+
+    // mysql2 only reads a URI part when the matching option is unset, so with a
+    // DSN only explicitly configured fields are passed (no defaults)
+    const target = config.connectionString
+        ? Object.fromEntries(Object.entries({
+            uri: config.connectionString,
+            host: config.host,
+            port: config.port,
+            user: config.user,
+            password: config.password,
+            database: config.database
+        }).filter(([, value]) => value !== undefined && value !== null && value !== ''))
+        : {
+            host: config.host || process.env.MYSQL_HOST || 'localhost',
+            port: config.port || parseInt(process.env.MYSQL_PORT) || 3306,
+            user: config.user || process.env.MYSQL_USER || 'root',
+            password: config.password || process.env.MYSQL_PASSWORD || '',
+            database: config.database || process.env.MYSQL_DATABASE || 'northwind'
+        };
 
-    mysqlPool = mysql.createPool({
-        host: config.host || process.env.MYSQL_HOST || 'localhost',
-        port: config.port || parseInt(process.env.MYSQL_PORT) || 3306,
-        user: config.user || process.env.MYSQL_USER || 'root',
-        password: config.password || process.env.MYSQL_PASSWORD || '',
-        database: config.database || process.env.MYSQL_DATABASE || 'northwind',
+    const pool = mysql.createPool({
+        ...target,
         waitForConnections: true,
         connectionLimit: config.connectionLimit || 10,
         queueLimit: 0
     });
 
     // Add convenience methods
-    mysqlPool.asyncAll = async (sql, params = []) => {
-        const [rows] = await mysqlPool.query(sql, params);
+    pool.asyncAll = async (sql, params = []) => {
+        const [rows] = await pool.query(sql, params);
         return rows;
     };
 
-    mysqlPool.asyncGet = async (sql, params = []) => {
-        const [rows] = await mysqlPool.query(sql, params);
+    pool.asyncGet = async (sql, params = []) => {
+        const [rows] = await pool.query(sql, params);
         return rows[0];
     };
 
+    // Cancellable execution: max_execution_time on the server, KILL QUERY as a backstop
+    pool.queryWithTimeout = async (sql, params = [], timeout = 30000) => {
+        const connection = await pool.getConnection();
+        let watchdog;
+        let killed = false;
+
+        try {
+            // MySQL 5.7.8+ aborts SELECTs after max_execution_time (ignored where unsupported)
+            await connection.query('SET SESSION max_execution_time = ?', [timeout]).catch(() => {});
+
+            watchdog = setTimeout(() => {
+                killed = true;
+                pool.query(`KILL QUERY ${connection.threadId}`).catch(() => {});
+            }, timeout + CANCEL_GRACE_MS);
+
+            const [rows, fields] = await connection.query(sql, params);
+            return withColumns(rows, mysqlColumns(fields));
+        } catch (error) {
+            // 3024: ER_QUERY_TIMEOUT, 1317: ER_QUERY_INTERRUPTED
+            if (killed || error.errno === 3024 || error.errno === 1317) {
+                throw timeoutError(timeout);
+            }
+            throw error;
+        } finally {
+            clearTimeout(watchdog);
+            await connection.query('SET SESSION max_execution_time = 0').catch(() => {});
+            connection.release();
+        }
+    };
+
+    // Streaming: rows are read with query().stream() on a dedicated connection
+    pool.streamQuery = async (sql, params = [], options = {}) => {
+        const { timeout = 30000, batchSize = STREAM_BATCH_SIZE } = options;
+        const connection = await pool.getConnection();
+        let watchdog;
+        let killed = false;
+        let finished = false;
+        let released = false;
+        let stream = null;
+
+        const mapError = (error) => {
+            // 3024: ER_QUERY_TIMEOUT, 1317: ER_QUERY_INTERRUPTED
+            return (killed || error.errno === 3024 || error.errno === 1317) ? timeoutError(timeout) : error;
+        };
+
+        const release = async () => {
+            if (released) return;
+            released = true;
+            clearTimeout(watchdog);
+
+            // Stop a query whose rows are no longer wanted instead of draining it
+            if (!finished && stream) {
+                stream.destroy();
+                await pool.query(`KILL QUERY ${connection.threadId}`).catch(() => {});
+            }
+
+            await connection.query('SET SESSION max_execution_time = 0').catch(() => {});
+            connection.release();
+        };
+
+        try {
+            await connection.query('SET SESSION max_execution_time = ?', [timeout]).catch(() => {});
+
+            watchdog = setTimeout(() => {
+                killed = true;
+                pool.query(`KILL QUERY ${connection.threadId}`).catch(() => {});
+            }, timeout + CANCEL_GRACE_MS);
+
+            const query = connection.connection.query(sql, params);
+            query.on('error', () => {}); // surfaced through the stream
+            stream = query.stream({ highWaterMark: batchSize });
+
+            const fields = await new Promise((resolve, reject) => {
+                stream.once('fields', resolve);
+                stream.once('error', reject);
+                stream.once('end', () => resolve([]));
+            });
+
+            async function* rows() {
+                try {
+                    for await (const row of stream) {
+                        yield row;
+                    }
+                    finished = true;
+                } catch (error) {
+                    throw mapError(error);
+                } finally {
+                    await release();
+                }
+            }
+
+            return {
+                columns: mysqlColumns(fields),
+                rows: rows(),
+                close: release
+            };
+        } catch (error) {
+            await release();
+            throw mapError(error);
+        }
+    };
+
     // Health check
-    mysqlPool.healthCheck = async () => {
+    pool.healthCheck = async () => {
         try {
-            await mysqlPool.query('SELECT 1');
+            await pool.query('SELECT 1');
             return { healthy: true, type: 'mysql' };
         } catch (error) {
             return { healthy: false, type: 'mysql', error: error.message };
@@ -119,10 +299,10 @@ async function initMySQL(config = {}) {
     };
 
     // Test connection
-    await mysqlPool.query('SELECT 1');
+    await pool.query('SELECT 1');
     console.log(`✅ MySQL connected: ${config.host || 'localhost'}:${config.port || 3306}`);
 
-    return mysqlPool;
+    return pool;
 }
 
 /**
@@ -131,19 +311,27 @@ async function initMySQL(config = {}) {
  * @returns {Promise<import('pg').Pool>} PostgreSQL pool
  */
 async function initPostgres(config = {}) {
-    const { Pool } = require('pg');
-
-    // Support DATABASE_URL from Render/Railway/Heroku
-    const connectionString = process.env.DATABASE_URL;
+    const { Pool, types } = require('pg');
+    const Cursor = require('pg-cursor');
+    const PG_TYPE_NAMES = Object.fromEntries(
+        Object.entries(types.builtins).map(([name, oid]) => [oid, name.toLowerCase()])
+    );
+    const pgColumns = (fields) => (fields || []).map(field => ({
+        name: field.name,
+        type: PG_TYPE_NAMES[field.dataTypeID] || String(field.dataTypeID)
+    }));
+
+    // Support DATABASE_URL from Render/Railway/Heroku (unless the config names its own server)
+    const connectionString = config.connectionString || (config.host ? null : process.env.DATABASE_URL);
 
     let poolConfig;
 
     if (connectionString) {
         // Use connection string (Render, Railway, Heroku, Azure, etc.)
-        console.log('Using DATABASE_URL connection string');
+        console.log('Using connection string');
         poolConfig = {
             connectionString,
-            ssl: {
+            ssl: config.ssl !== undefined ? config.ssl : {
                 rejectUnauthorized: false
             },
             max: 10,
@@ -164,23 +352,119 @@ async function initPostgres(config = {}) {
         };
     }
 
-    pgPool = new Pool(poolConfig);
+    const pool = new Pool(poolConfig);
 
     // Add convenience methods
-    pgPool.asyncAll = async (sql, params = []) => {
-        const result = await pgPool.query(sql, params);
+    pool.asyncAll = async (sql, params = []) => {
+        const result = await pool.query(sql, params);
         return result.rows;
     };
 
-    pgPool.asyncGet = async (sql, params = []) => {
-        const result = await pgPool.query(sql, params);
+    pool.asyncGet = async (sql, params = []) => {
+        const result = await pool.query(sql, params);
         return result.rows[0];
     };
 
+    // Cancellable execution: statement_timeout on the server, pg_cancel_backend as a backstop
+    pool.queryWithTimeout = async (sql, params = [], timeout = 30000) => {
+        const client = await pool.connect();
+        let watchdog;
+
+        try {
+            await client.query('BEGIN READ ONLY');
+            await client.query(`SET LOCAL statement_timeout = ${parseInt(timeout)}`);
+
+            // In case statement_timeout is not honoured (e.g. behind some poolers)
+            watchdog = setTimeout(() => {
+                pool.query('SELECT pg_cancel_backend($1)', [client.processID]).catch(() => {});
+            }, timeout + CANCEL_GRACE_MS);
+
+            const result = await client.query(sql, params);
+            await client.query('COMMIT');
+            return withColumns(result.rows, pgColumns(result.fields));
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            // 57014: query_canceled (statement_timeout or pg_cancel_backend)
+            if (error.code === '57014') {
+                throw timeoutError(timeout);
+            }
+            throw error;
+        } finally {
+            clearTimeout(watchdog);
+            client.release();
+        }
+    };
+
+    // Streaming: a server-side cursor inside a read-only transaction
+    pool.streamQuery = async (sql, params = [], options = {}) => {
+        const { timeout = 30000, batchSize = STREAM_BATCH_SIZE } = options;
+        const client = await pool.connect();
+        const deadline = Date.now() + timeout;
+        let watchdog;
+        let cursor = null;
+        let finished = false;
+        let released = false;
+
+        const release = async () => {
+            if (released) return;
+            released = true;
+            clearTimeout(watchdog);
+            if (cursor) await cursor.close().catch(() => {});
+            await client.query(finished ? 'COMMIT' : 'ROLLBACK').catch(() => {});
+            client.release();
+        };
+
+        // 57014: query_canceled (statement_timeout or pg_cancel_backend)
+        const mapError = (error) => (error.code === '57014' ? timeoutError(timeout) : error);
+
+        const read = () => new Promise((resolve, reject) => {
+            cursor.read(batchSize, (error, rows, result) => (error ? reject(error) : resolve({ rows, result })));
+        });
+
+        try {
+            await client.query('BEGIN READ ONLY');
+            // statement_timeout covers each fetch; the deadline covers the whole stream
+            await client.query(`SET LOCAL statement_timeout = ${parseInt(timeout)}`);
+
+            watchdog = setTimeout(() => {
+                pool.query('SELECT pg_cancel_backend($1)', [client.processID]).catch(() => {});
+            }, timeout + CANCEL_GRACE_MS);
+
+            cursor = client.query(new Cursor(sql, params));
+            const first = await read();
+
+            async function* rows() {
+                try {
+                    let batch = first.rows;
+                    while (batch.length > 0) {
+                        yield* batch;
+                        if (batch.length < batchSize) break;
+                        if (Date.now() > deadline) throw timeoutError(timeout);
+                        batch = (await read()).rows;
+                    }
+                    finished = true;
+                } catch (error) {
+                    throw mapError(error);
+                } finally {
+                    await release();
+                }
+            }
+
+            return {
+                columns: pgColumns(first.result?.fields),
+                rows: rows(),
+                close: release
+            };
+        } catch (error) {
+            await release();
+            throw mapError(error);
+        }
+    };
+
     // Health check
-    pgPool.healthCheck = async () => {
+    pool.healthCheck = async () => {
         try {
-            await pgPool.query('SELECT 1');
+            await pool.query('SELECT 1');
             return { healthy: true, type: 'postgres' };
         } catch (error) {
             return { healthy: false, type: 'postgres', error: error.message };
@@ -188,10 +472,30 @@ async function initPostgres(config = {}) {
     };
 
     // Test connection
-    await pgPool.query('SELECT 1');
+    await pool.query('SELECT 1');
     console.log('✅ PostgreSQL connected successfully');
 
-    return pgPool;
+    return pool;
+}
+
+/**
+ * Query the database server version
+ * @param {Object} db - Database connection
+ * @param {string} dbType - Database type
+ * @returns {Promise<string>} Server version
+ */
+async function getServerVersion(db, dbType = 'sqlite') {
+    switch (dbType.toLowerCase()) {
+        case 'sqlite':
+            return `SQLite ${(await db.asyncGet('SELECT sqlite_version() AS version')).version}`;
+        case 'mysql':
+            return `MySQL ${(await db.asyncGet('SELECT VERSION() AS version')).version}`;
+        case 'postgres':
+        case 'postgresql':
+            return (await db.asyncGet('SELECT version() AS version')).version;
+        default:
+            throw new Error(`Unsupported database type: ${dbType}`);
+    }
 }
 
 /**
@@ -204,6 +508,10 @@ async function closeDatabase(db, dbType = 'sqlite') {
 
     switch (dbType.toLowerCase()) {
         case 'sqlite':
+            for (const worker of sqliteWorkers.get(db.name) || []) {
+                await worker.terminate();
+            }
+            sqliteWorkers.delete(db.name);
             db.close();
             break;
         case 'mysql':
@@ -219,20 +527,238 @@ async function closeDatabase(db, dbType = 'sqlite') {
 }
 
 /**
- * Execute a query with timeout
- * @param {Object} db - Database connection
+ * Race a promise against a timer (the query keeps running on the database)
+ * @param {Promise} promise - Query promise
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Array>} Query results
+ */
+function raceWithTimeout(promise, timeout) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(timeoutError(timeout)), timeout);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a SQLite query in a worker thread, terminating the worker on timeout
+ * @param {string} dbPath - Database file path
  * @param {string} sql - SQL query
  * @param {Array} params - Query parameters
  * @param {number} timeout - Timeout in milliseconds
  * @returns {Promise<Array>} Query results
  */
+function runInSQLiteWorker(dbPath, sql, params, timeout) {
+    const idle = sqliteWorkers.get(dbPath) || [];
+    const worker = idle.pop() || new Worker(path.join(__dirname, 'sqliteWorker.js'), {
+        workerData: { path: dbPath }
+    });
+    worker.unref();
+
+    return new Promise((resolve, reject) => {
+        const id = Date.now() + Math.random();
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            worker.off('message', onMessage);
+            worker.off('error', onError);
+        };
+
+        const onMessage = (message) => {
+            if (message.id !== id) return;
+            cleanup();
+
+            // Return the worker to the idle pool
+            const idleWorkers = sqliteWorkers.get(dbPath) || [];
+            if (idleWorkers.length < SQLITE_MAX_IDLE_WORKERS) {
+                idleWorkers.push(worker);
+                sqliteWorkers.set(dbPath, idleWorkers);
+            } else {
+                worker.terminate();
+            }
+
+            if (message.error) {
+                const error = new Error(message.error.message);
+                error.code = message.error.code;
+                reject(error);
+            } else {
+                resolve(withColumns(message.rows, message.columns || []));
+            }
+        };
+
+        const onError = (error) => {
+            cleanup();
+            worker.terminate();
+            reject(error);
+        };
+
+        const timer = setTimeout(() => {
+            cleanup();
+            // Terminating the thread aborts the running statement
+            worker.terminate();
+            reject(timeoutError(timeout));
+        }, timeout);
+
+        worker.on('message', onMessage);
+        worker.on('error', onError);
+        worker.postMessage({ id, sql, params });
+    });
+}
+
+/**
+ * Stream a SQLite query from a dedicated worker thread, one batch per request.
+ * The worker is terminated when the stream ends, is closed, or times out.
+ * @param {string} dbPath - Database file path
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @param {Object} options - { timeout, batchSize }
+ * @returns {Promise<Object>} { columns, rows (async iterable), close }
+ */
+async function streamInSQLiteWorker(dbPath, sql, params, options = {}) {
+    const { timeout = 30000, batchSize = STREAM_BATCH_SIZE } = options;
+    const worker = new Worker(path.join(__dirname, 'sqliteWorker.js'), {
+        workerData: { path: dbPath }
+    });
+    worker.unref();
+
+    const id = Date.now() + Math.random();
+    let pending = null;
+    let failure = null;
+
+    // Stop the worker; a waiting request is rejected with the reason
+    const finish = (error) => {
+        if (failure) return;
+        failure = error || new Error('Stream closed');
+        clearTimeout(timer);
+        worker.terminate();
+        if (pending) {
+            pending.reject(failure);
+            pending = null;
+        }
+    };
+
+    const timer = setTimeout(() => finish(timeoutError(timeout)), timeout);
+
+    worker.on('message', (message) => {
+        if (message.id !== id || !pending) return;
+        const { resolve, reject } = pending;
+        pending = null;
+
+        if (message.error) {
+            const error = new Error(message.error.message);
+            error.code = message.error.code;
+            reject(error);
+        } else {
+            resolve(message);
+        }
+    });
+    worker.on('error', finish);
+
+    const request = (message) => {
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => {
+            pending = { resolve, reject };
+            worker.postMessage({ id, ...message });
+        });
+    };
+
+    let opened;
+    try {
+        opened = await request({ type: 'open', sql, params });
+    } catch (error) {
+        finish(error);
+        throw error;
+    }
+
+    async function* rows() {
+        try {
+            let done = false;
+            while (!done) {
+                const batch = await request({ type: 'next', batchSize });
+                done = batch.done;
+                yield* batch.rows;
+            }
+        } finally {
+            finish();
+        }
+    }
+
+    return { columns: opened.columns, rows: rows(), close: async () => finish() };
+}
+
+/**
+ * Stream a SQLite query on the calling thread (in-memory databases)
+ * @param {Object} db - SQLite database
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @param {Object} options - { timeout }
+ * @returns {Object} { columns, rows (async iterable), close }
+ */
+function streamSQLiteInProcess(db, sql, params, options = {}) {
+    const { timeout = 30000 } = options;
+    const stmt = db.prepare(sql);
+    const columns = stmt.columns().map(column => ({ name: column.name, type: column.type }));
+    const iterator = stmt.iterate(...(Array.isArray(params) ? params : [params]));
+    const deadline = Date.now() + timeout;
+
+    async function* rows() {
+        try {
+            for (const row of iterator) {
+                if (Date.now() > deadline) throw timeoutError(timeout);
+                yield row;
+            }
+        } finally {
+            iterator.return();
+        }
+    }
+
+    return { columns, rows: rows(), close: async () => iterator.return() };
+}
+
+/**
+ * Open a result stream.
+ * Uses the driver's cursor-based streaming when available; otherwise the
+ * query runs to completion and its rows are replayed.
+ * @param {Object} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @param {Object} options - { timeout, batchSize }
+ * @returns {Promise<Object>} { columns: [{name, type}], rows (async iterable), close() }
+ */
+async function openStream(db, sql, params = [], options = {}) {
+    const timeout = options.timeout || 30000;
+    const batchSize = options.batchSize || STREAM_BATCH_SIZE;
+
+    if (typeof db.streamQuery === 'function') {
+        return db.streamQuery(sql, params, { timeout, batchSize });
+    }
+
+    const results = await executeWithTimeout(db, sql, params, timeout);
+    return {
+        columns: results.columns || Object.keys(results[0] || {}).map(name => ({ name, type: null })),
+        rows: (async function* () { yield* results; })(),
+        close: async () => {}
+    };
+}
+
+/**
+ * Execute a query with timeout.
+ * Uses the driver's cancellable execution when available, so the query is
+ * stopped on the database rather than abandoned.
+ * @param {Object} db - Database connection
+ * @param {string} sql - SQL query
+ * @param {Array} params - Query parameters
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Array>} Query results (with the column metadata as `columns`
+ *          where the driver reports it)
+ */
 async function executeWithTimeout(db, sql, params = [], timeout = 30000) {
-    return Promise.race([
-        db.asyncAll(sql, params),
-        new Promise((_, reject) =>
-            setTimeout(() => reject(new Error(`Query timed out after ${timeout}ms`)), timeout)
-        )
-    ]);
+    if (typeof db.queryWithTimeout === 'function') {
+        return db.queryWithTimeout(sql, params, timeout);
+    }
+    return raceWithTimeout(db.asyncAll(sql, params), timeout);
 }
 
 module.exports = {
@@ -241,5 +767,7 @@ module.exports = {
     initMySQL,
     initPostgres,
     closeDatabase,
-    executeWithTimeout
+    getServerVersion,
+    executeWithTimeout,
+    openStream
 };
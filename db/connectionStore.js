@@ -0,0 +1,78 @@
+/**
+ * Runtime Connection Store
+ * Persists connections added through the API, with credentials encrypted at rest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encryptSecret, decryptSecret, isEncrypted } = require('../utils/secrets');
+
+// Fields that can carry credentials (a DSN may embed a password)
+const SECRET_FIELDS = ['password', 'connectionString'];
+
+/**
+ * Get the store file path
+ * @returns {string} Absolute path
+ */
+function getStorePath() {
+    return path.resolve(process.env.CONNECTIONS_STORE_PATH || path.join('data', 'connections.store.json'));
+}
+
+/**
+ * Check whether a definition carries credentials
+ * @param {Object} definition - Connection definition
+ * @returns {boolean} True if any secret field is set
+ */
+function hasSecrets(definition) {
+    return SECRET_FIELDS.some(field => definition[field] !== undefined && definition[field] !== '');
+}
+
+/**
+ * Load stored connection definitions, decrypting credentials
+ * @returns {Array<Object>} Definitions
+ */
+function loadStoredConnections() {
+    const storePath = getStorePath();
+    if (!fs.existsSync(storePath)) return [];
+
+    const stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+
+    return (stored.connections || []).map(definition => {
+        const decrypted = { ...definition };
+        for (const field of SECRET_FIELDS) {
+            if (isEncrypted(decrypted[field])) {
+                decrypted[field] = decryptSecret(decrypted[field]);
+            }
+        }
+        return decrypted;
+    });
+}
+
+/**
+ * Save connection definitions, encrypting credentials
+ * @param {Array<Object>} definitions - Definitions to persist
+ */
+function saveStoredConnections(definitions) {
+    const storePath = getStorePath();
+
+    const connections = definitions.map(definition => {
+        const encrypted = { ...definition };
+        for (const field of SECRET_FIELDS) {
+            if (encrypted[field] !== undefined && encrypted[field] !== '') {
+                encrypted[field] = encryptSecret(encrypted[field]);
+            }
+        }
+        return encrypted;
+    });
+
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify({ version: 1, connections }, null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+    SECRET_FIELDS,
+    getStorePath,
+    hasSecrets,
+    loadStoredConnections,
+    saveStoredConnections
+};
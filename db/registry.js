@@ -0,0 +1,556 @@
+/**
+ * Named Connection Registry
+ * Keeps every configured database connection with its own pool,
+ * schema cache key and health status
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, closeDatabase, getServerVersion } = require('./connection');
+const { hasSecrets, loadStoredConnections, saveStoredConnections } = require('./connectionStore');
+const { hasEncryptionKey } = require('../utils/secrets');
+const { clearCacheKey } = require('../utils/cache');
+const { clearIndex } = require('../schema/embeddingIndex');
+const { clearProfiles } = require('../schema/profile');
+const { clearSchemaHistory } = require('../schema/fingerprint');
+const logger = require('../utils/logger');
+
+const connections = new Map();
+let defaultName = null;
+
+const SUPPORTED_TYPES = ['sqlite', 'mysql', 'postgres', 'postgresql'];
+
+// Settings accepted for connections added through the API
+const RUNTIME_FIELDS = [
+    'host', 'port', 'user', 'password', 'database', 'schema', 'schemas', 'schemaInclude', 'schemaExclude',
+    'path', 'ssl', 'connectionString', 'connectionLimit'
+];
+
+// Settings that choose what is introspected, also accepted next to a DSN
+const INTROSPECTION_FIELDS = ['schema', 'schemas', 'schemaInclude', 'schemaExclude'];
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error
+ */
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Replace ${VAR} references in config strings with environment values,
+ * so secrets can stay out of the connections file
+ * @param {*} value - Config value
+ * @returns {*} Value with environment references resolved
+ */
+function interpolateEnv(value) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '');
+    }
+    if (Array.isArray(value)) {
+        return value.map(interpolateEnv);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, val] of Object.entries(value)) {
+            result[key] = interpolateEnv(val);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Read connection definitions from DB_CONNECTIONS_FILE (default: config/connections.json).
+ * Without a file, a single "default" connection is built from the environment.
+ * @returns {{defaultName: string, definitions: Array<Object>}}
+ */
+function loadConnectionConfig() {
+    const configPath = path.resolve(process.env.DB_CONNECTIONS_FILE || path.join('config', 'connections.json'));
+
+    if (fs.existsSync(configPath)) {
+        const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        const definitions = interpolateEnv(Array.isArray(raw) ? raw : raw.connections || []);
+
+        if (definitions.length === 0) {
+            throw new Error(`No connections defined in ${configPath}`);
+        }
+
+        logger.info(`📚 Loaded ${definitions.length} connection(s) from ${configPath}`);
+        return {
+            defaultName: raw.default || definitions.find(d => d.default)?.name || definitions[0].name,
+            definitions
+        };
+    }
+
+    // Auto-detect database type: If DATABASE_URL is set (Railway/Heroku), use postgres
+    const type = process.env.DATABASE_URL ? 'postgres' : (process.env.DB_TYPE || 'sqlite');
+    return {
+        defaultName: 'default',
+        definitions: [{ name: 'default', type }]
+    };
+}
+
+/**
+ * Resolve a SQLite path given through the API. It must lie inside
+ * SQLITE_ALLOWED_DIR (default: data), symlinks included, so the API cannot
+ * open arbitrary files on the server.
+ * @param {string} filePath - Requested path
+ * @returns {string} Absolute path
+ * @throws {Error} 400 for paths outside the directory
+ */
+function resolveSQLitePath(filePath) {
+    const allowedDir = path.resolve(process.env.SQLITE_ALLOWED_DIR || 'data');
+    const resolved = path.resolve(String(filePath));
+
+    const real = value => (fs.existsSync(value) ? fs.realpathSync(value) : value);
+    const relative = path.relative(real(allowedDir), real(resolved));
+
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw httpError(`SQLite paths must be inside ${allowedDir} (SQLITE_ALLOWED_DIR)`, 400);
+    }
+    return resolved;
+}
+
+/**
+ * Build a connection definition from a DSN or a set of fields.
+ * DSNs: postgres://..., postgresql://..., mysql://..., sqlite:./path.db
+ * @param {Object} input - { name, dsn } or { name, type, host, port, ... }
+ * @returns {Object} Definition { name, type, ...driver config }
+ * @throws {Error} 400 for malformed input
+ */
+function resolveDefinition(input = {}) {
+    const { name, dsn } = input;
+    let definition;
+
+    if (dsn) {
+        const protocol = String(dsn).split(':')[0].toLowerCase();
+
+        if (protocol === 'postgres' || protocol === 'postgresql') {
+            definition = { type: 'postgres', connectionString: dsn };
+        } else if (protocol === 'mysql') {
+            definition = { type: 'mysql', connectionString: dsn };
+        } else if (protocol === 'sqlite' || protocol === 'file') {
+            definition = { type: 'sqlite', path: dsn.replace(/^(sqlite|file):(\/\/)?/i, '') };
+        } else {
+            throw httpError(`Unsupported DSN scheme "${protocol}". Use postgres://, mysql:// or sqlite:`, 400);
+        }
+        for (const field of INTROSPECTION_FIELDS) {
+            if (input[field] !== undefined) definition[field] = input[field];
+        }
+    } else {
+        definition = { type: (input.type || '').toLowerCase() };
+        for (const field of RUNTIME_FIELDS) {
+            if (input[field] !== undefined) definition[field] = input[field];
+        }
+    }
+
+    if (!SUPPORTED_TYPES.includes(definition.type)) {
+        throw httpError(`Invalid database type. Must be one of: ${SUPPORTED_TYPES.join(', ')}`, 400);
+    }
+    if (definition.type === 'sqlite') {
+        if (!definition.path) {
+            throw httpError('SQLite connections require a path', 400);
+        }
+        definition.path = resolveSQLitePath(definition.path);
+    }
+
+    return { name, ...definition };
+}
+
+/**
+ * Open and register a connection
+ * @param {Object} definition - { name, type, ...driver config }
+ * @param {Object} options - { source: 'config' | 'runtime' }
+ * @returns {Promise<Object>} Registry entry
+ */
+async function registerConnection(definition, options = {}) {
+    const { name, type, ...config } = definition;
+
+    if (!name || !/^[A-Za-z0-9_-]+$/.test(name)) {
+        throw new Error(`Invalid connection name "${name}". Use letters, digits, "_" or "-"`);
+    }
+    if (connections.has(name)) {
+        throw new Error(`Connection "${name}" is already registered`);
+    }
+
+    const entry = {
+        name,
+        type: (type || 'sqlite').toLowerCase(),
+        config,
+        db: null,
+        cacheKey: `schema:${name}`,
+        source: options.source || 'config',
+        status: { healthy: false, checkedAt: null, error: null }
+    };
+    connections.set(name, entry);
+
+    try {
+        entry.db = await initDatabase(entry.type, config);
+        entry.status = { healthy: true, checkedAt: new Date().toISOString(), error: null };
+    } catch (error) {
+        entry.status = { healthy: false, checkedAt: new Date().toISOString(), error: error.message };
+        logger.error(`Connection "${name}" (${entry.type}) failed to initialize: ${error.message}`);
+    }
+
+    return entry;
+}
+
+/**
+ * Initialize all configured connections
+ * @returns {Promise<Object>} Default connection entry
+ * @throws {Error} If the default connection cannot be opened
+ */
+async function initConnections() {
+    const config = loadConnectionConfig();
+
+    for (const definition of config.definitions) {
+        await registerConnection(definition);
+    }
+
+    await loadRuntimeConnections();
+
+    if (!connections.has(config.defaultName)) {
+        throw new Error(`Default connection "${config.defaultName}" is not defined`);
+    }
+    defaultName = config.defaultName;
+
+    const defaultEntry = connections.get(defaultName);
+    if (!defaultEntry.db) {
+        throw new Error(`Default connection "${defaultName}" is unavailable: ${defaultEntry.status.error}`);
+    }
+
+    return defaultEntry;
+}
+
+/**
+ * Register connections previously added through the API.
+ * Connections from the config file take precedence on name clashes.
+ */
+async function loadRuntimeConnections() {
+    let definitions;
+    try {
+        definitions = loadStoredConnections();
+    } catch (error) {
+        logger.error(`Failed to load stored connections: ${error.message}`);
+        return;
+    }
+
+    for (const definition of definitions) {
+        if (connections.has(definition.name)) {
+            logger.warn(`Stored connection "${definition.name}" is shadowed by the connections file`);
+            continue;
+        }
+        await registerConnection(definition, { source: 'runtime' });
+    }
+}
+
+/**
+ * Write every runtime connection to the encrypted store
+ */
+function persistRuntimeConnections() {
+    const definitions = [...connections.values()]
+        .filter(entry => entry.source === 'runtime')
+        .map(entry => ({ name: entry.name, type: entry.type, ...entry.config }));
+
+    saveStoredConnections(definitions);
+}
+
+/**
+ * Add a connection at runtime and persist it (credentials are encrypted).
+ * The connection must open successfully before it is kept.
+ * @param {Object} input - DSN or field set, see resolveDefinition
+ * @returns {Promise<Object>} Registry entry
+ * @throws {Error} 400 invalid input or connection failure, 409 duplicate name, 503 no encryption key
+ */
+async function addConnection(input) {
+    const definition = resolveDefinition(input);
+
+    if (!definition.name || !/^[A-Za-z0-9_-]+$/.test(definition.name)) {
+        throw httpError('Connection name is required and may only contain letters, digits, "_" or "-"', 400);
+    }
+    if (connections.has(definition.name)) {
+        throw httpError(`Connection "${definition.name}" already exists`, 409);
+    }
+    if (hasSecrets(definition) && !hasEncryptionKey()) {
+        throw httpError('CONNECTIONS_ENCRYPTION_KEY must be set to store connection credentials', 503);
+    }
+
+    const entry = await registerConnection(definition, { source: 'runtime' });
+
+    if (!entry.db) {
+        connections.delete(entry.name);
+        throw httpError(`Could not connect to "${entry.name}": ${entry.status.error}`, 400);
+    }
+
+    try {
+        persistRuntimeConnections();
+    } catch (error) {
+        connections.delete(entry.name);
+        await closeDatabase(entry.db, entry.type);
+        throw error;
+    }
+
+    logger.info(`➕ Connection "${entry.name}" (${entry.type}) added`);
+    return entry;
+}
+
+/**
+ * Remove a runtime connection, closing its pool and schema cache
+ * @param {string} name - Connection name
+ * @returns {Promise<void>}
+ * @throws {Error} 404 unknown, 400 for the default or config-file connections
+ */
+async function removeConnection(name) {
+    const entry = connections.get(name);
+
+    if (!entry) {
+        throw httpError(`Unknown connection: ${name}`, 404);
+    }
+    if (name === defaultName) {
+        throw httpError('The default connection cannot be removed', 400);
+    }
+    if (entry.source !== 'runtime') {
+        throw httpError(`Connection "${name}" is defined in the connections file; remove it there`, 400);
+    }
+
+    connections.delete(name);
+    persistRuntimeConnections();
+    clearCacheKey(entry.cacheKey);
+    clearIndex(entry.cacheKey);
+    clearProfiles(entry.cacheKey);
+    clearSchemaHistory(entry.cacheKey);
+
+    if (entry.db) {
+        await closeDatabase(entry.db, entry.type);
+    }
+
+    logger.info(`➖ Connection "${name}" removed`);
+}
+
+/**
+ * Measure round-trip latency and read the server version
+ * @param {Object} db - Database connection
+ * @param {string} type - Database type
+ * @returns {Promise<Object>} { success, latencyMs, serverVersion }
+ */
+async function probeConnection(db, type) {
+    const start = Date.now();
+    await db.asyncGet('SELECT 1 AS ok');
+    const latencyMs = Date.now() - start;
+
+    return { success: true, latencyMs, serverVersion: await getServerVersion(db, type) };
+}
+
+/**
+ * Test a registered connection
+ * @param {string} name - Connection name
+ * @returns {Promise<Object>} { success, name, type, latencyMs, serverVersion } or { success: false, error }
+ */
+async function testConnection(name) {
+    const entry = getConnection(name);
+
+    try {
+        return { name: entry.name, type: entry.type, ...await probeConnection(entry.db, entry.type) };
+    } catch (error) {
+        return { success: false, name: entry.name, type: entry.type, error: error.message };
+    }
+}
+
+/**
+ * Test a connection definition without registering it
+ * @param {Object} input - DSN or field set, see resolveDefinition
+ * @returns {Promise<Object>} { success, type, latencyMs, serverVersion } or { success: false, error }
+ */
+async function testConnectionDefinition(input) {
+    const { name, type, ...config } = resolveDefinition(input);
+    let db = null;
+
+    try {
+        db = await initDatabase(type, config);
+        return { type, ...await probeConnection(db, type) };
+    } catch (error) {
+        return { success: false, type, error: error.message };
+    } finally {
+        if (db) {
+            await closeDatabase(db, type).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Public view of a connection (never includes credentials)
+ * @param {Object} entry - Registry entry
+ * @returns {Object} Connection summary
+ */
+function describeConnection(entry) {
+    const { host, port, database, schema, schemas, path: filePath, connectionString } = entry.config;
+    const summary = { host, port, database, schema, schemas, path: filePath };
+
+    if (connectionString) {
+        try {
+            const url = new URL(connectionString);
+            summary.host = summary.host || url.hostname;
+            summary.port = summary.port || (url.port ? Number(url.port) : undefined);
+            summary.database = summary.database || decodeURIComponent(url.pathname.replace(/^\//, '')) || undefined;
+        } catch (error) {
+            // Unparseable DSN: report nothing from it
+        }
+    }
+
+    return {
+        name: entry.name,
+        type: entry.type,
+        source: entry.source,
+        default: entry.name === defaultName,
+        ...summary,
+        status: entry.status
+    };
+}
+
+/**
+ * Describe every registered connection
+ * @returns {Array<Object>} Connection summaries
+ */
+function listConnections() {
+    return [...connections.values()].map(describeConnection);
+}
+
+/**
+ * Get a connection by name (default connection when no name is given)
+ * @param {string} [name] - Connection name
+ * @returns {Object} Registry entry { name, type, db, cacheKey, config, status }
+ * @throws {Error} 404 for unknown names, 503 for connections that failed to open
+ */
+function getConnection(name) {
+    const entry = connections.get(name || defaultName);
+
+    if (!entry) {
+        const error = new Error(`Unknown connection: ${name}. Available: ${listConnectionNames().join(', ')}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (!entry.db) {
+        const error = new Error(`Connection "${entry.name}" is unavailable: ${entry.status.error}`);
+        error.statusCode = 503;
+        throw error;
+    }
+
+    return entry;
+}
+
+/**
+ * Options for the SQL service derived from a connection
+ * @param {Object} entry - Registry entry
+ * @returns {Object} { connection, dbType, cacheKey, database, schema, schemas, schemaInclude, schemaExclude }
+ */
+function getConnectionOptions(entry) {
+    return {
+        connection: entry.name,
+        dbType: entry.type,
+        cacheKey: entry.cacheKey,
+        database: entry.config.database,
+        schema: entry.config.schema,
+        schemas: entry.config.schemas,
+        schemaInclude: entry.config.schemaInclude,
+        schemaExclude: entry.config.schemaExclude
+    };
+}
+
+/**
+ * Get the default connection name
+ * @returns {string|null} Name
+ */
+function getDefaultConnectionName() {
+    return defaultName;
+}
+
+/**
+ * List registered connection names
+ * @returns {Array<string>} Names
+ */
+function listConnectionNames() {
+    return [...connections.keys()];
+}
+
+/**
+ * Run a health check on one connection and record the result
+ * @param {Object} entry - Registry entry
+ * @returns {Promise<Object>} Health status
+ */
+async function checkConnectionHealth(entry) {
+    const start = Date.now();
+    let health;
+
+    if (!entry.db) {
+        health = { healthy: false, type: entry.type, error: entry.status.error };
+    } else {
+        try {
+            health = await entry.db.healthCheck();
+        } catch (error) {
+            health = { healthy: false, type: entry.type, error: error.message };
+        }
+    }
+
+    entry.status = {
+        healthy: health.healthy,
+        checkedAt: new Date().toISOString(),
+        error: health.error || null
+    };
+
+    return {
+        name: entry.name,
+        type: entry.type,
+        default: entry.name === defaultName,
+        healthy: health.healthy,
+        latencyMs: Date.now() - start,
+        error: health.error || null
+    };
+}
+
+/**
+ * Health check every registered connection
+ * @returns {Promise<Array<Object>>} Health per connection
+ */
+async function checkAllConnections() {
+    return Promise.all([...connections.values()].map(checkConnectionHealth));
+}
+
+/**
+ * Close every registered connection
+ */
+async function closeAllConnections() {
+    for (const entry of connections.values()) {
+        if (!entry.db) continue;
+        try {
+            await closeDatabase(entry.db, entry.type);
+        } catch (error) {
+            logger.error(`Failed to close connection "${entry.name}": ${error.message}`);
+        }
+    }
+    connections.clear();
+}
+
+module.exports = {
+    initConnections,
+    registerConnection,
+    resolveDefinition,
+    addConnection,
+    removeConnection,
+    testConnection,
+    testConnectionDefinition,
+    describeConnection,
+    listConnections,
+    getConnection,
+    getConnectionOptions,
+    getDefaultConnectionName,
+    listConnectionNames,
+    checkConnectionHealth,
+    checkAllConnections,
+    closeAllConnections
+};
@@ -0,0 +1,85 @@
+/**
+ * SQLite Query Worker
+ * Runs read queries off the main thread so they can be cancelled by
+ * terminating the worker (better-sqlite3 is synchronous and cannot be interrupted)
+ *
+ * Messages:
+ *   { id, sql, params }                    -> { id, rows, columns }
+ *   { id, type: 'open', sql, params }      -> { id, columns }   (opens a cursor)
+ *   { id, type: 'next', batchSize }        -> { id, rows, done }
+ *   { id, type: 'close' }                  -> { id, closed }
+ * Failures reply with { id, error }.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const Database = require('better-sqlite3');
+
+const db = new Database(workerData.path, {
+    readonly: true,
+    fileMustExist: true
+});
+
+// Open cursors (better-sqlite3 iterators), keyed by message id
+const cursors = new Map();
+
+/**
+ * Normalise query parameters
+ * @param {*} params - Parameters
+ * @returns {Array} Parameter list
+ */
+function toParams(params) {
+    return Array.isArray(params) ? params : [params];
+}
+
+/**
+ * Handle a cursor message
+ * @param {Object} message - Message from the main thread
+ * @returns {Object} Reply
+ */
+function handleCursor({ id, type, sql, params, batchSize }) {
+    if (type === 'open') {
+        const stmt = db.prepare(sql);
+        const columns = stmt.columns().map(column => ({ name: column.name, type: column.type }));
+        cursors.set(id, stmt.iterate(...toParams(params)));
+        return { id, columns };
+    }
+
+    const iterator = cursors.get(id);
+
+    if (type === 'next') {
+        const rows = [];
+        let done = !iterator;
+        while (!done && rows.length < batchSize) {
+            const next = iterator.next();
+            if (next.done) {
+                done = true;
+            } else {
+                rows.push(next.value);
+            }
+        }
+        if (done) cursors.delete(id);
+        return { id, rows, done };
+    }
+
+    // close
+    if (iterator) iterator.return();
+    cursors.delete(id);
+    return { id, closed: true };
+}
+
+parentPort.on('message', (message) => {
+    const { id, sql, params } = message;
+    try {
+        if (message.type) {
+            parentPort.postMessage(handleCursor(message));
+            return;
+        }
+        const stmt = db.prepare(sql);
+        const rows = stmt.all(...toParams(params));
+        const columns = stmt.reader ? stmt.columns().map(column => ({ name: column.name, type: column.type })) : [];
+        parentPort.postMessage({ id, rows, columns });
+    } catch (error) {
+        cursors.delete(id);
+        parentPort.postMessage({ id, error: { message: error.message, code: error.code } });
+    }
+});
@@ -2,9 +2,13 @@
  * JWT Authentication Middleware
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+// Published defaults (this file and .env.example): tokens signed with them prove nothing
+const PUBLIC_JWT_SECRETS = ['your-super-secret-jwt-key', 'your-super-secret-jwt-key-change-in-production'];
+
+const JWT_SECRET = process.env.JWT_SECRET || PUBLIC_JWT_SECRETS[0];
 const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
 
 /**
@@ -66,30 +70,98 @@ function generateToken(payload, options = {}) {
 }
 
 /**
- * Optional auth - doesn't fail if no token, but adds user if present
+ * Whether a secret matches ADMIN_TOKEN_SECRET. Always false when it is not
+ * set, so admin tokens cannot be minted over the API at all.
+ * @param {string} secret - Secret sent by the client
+ * @returns {boolean}
  */
-function optionalAuth(req, res, next) {
-    const authHeader = req.headers.authorization;
+function isAdminSecret(secret) {
+    const expected = process.env.ADMIN_TOKEN_SECRET;
+    if (!expected || typeof secret !== 'string') return false;
 
-    if (!authHeader) {
-        req.user = null;
-        return next();
-    }
+    // Compare digests so the comparison takes the same time for any length
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(secret), digest(expected));
+}
+
+/**
+ * Whether JWT_SECRET is set to a private value. Anyone can sign tokens with
+ * a published default, so role checks are refused without one.
+ * @returns {boolean}
+ */
+function isJwtSecretConfigured() {
+    return !!process.env.JWT_SECRET && !PUBLIC_JWT_SECRETS.includes(process.env.JWT_SECRET);
+}
+
+/**
+ * Read the user from a Bearer token, if present and valid
+ * @param {Object} req - Express request
+ * @returns {Object|null} Decoded token payload
+ */
+function getUserFromHeader(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) return null;
 
     const parts = authHeader.split(' ');
     if (parts.length === 2 && parts[0] === 'Bearer') {
         try {
-            req.user = jwt.verify(parts[1], JWT_SECRET);
+            return jwt.verify(parts[1], JWT_SECRET);
         } catch {
-            req.user = null;
+            return null;
         }
     }
+    return null;
+}
 
+/**
+ * Optional auth - doesn't fail if no token, but adds user if present
+ */
+function optionalAuth(req, res, next) {
+    req.user = getUserFromHeader(req);
     next();
 }
 
+/**
+ * Require a role. Always needs a valid token, even when AUTH_ENABLED is off,
+ * because these routes manage credentials and server configuration. Returns
+ * 503 while JWT_SECRET is unset or a published default.
+ * @param {string} role - Required role, e.g. 'admin'
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!isJwtSecretConfigured()) {
+            return res.status(503).json({
+                success: false,
+                error: `Endpoints for the ${role} role are disabled: set JWT_SECRET to a private value`
+            });
+        }
+
+        const user = (req.user && req.user.id !== 'anonymous') ? req.user : getUserFromHeader(req);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                error: 'A valid Bearer token is required'
+            });
+        }
+
+        if (user.role !== role) {
+            return res.status(403).json({
+                success: false,
+                error: `This endpoint requires the ${role} role`
+            });
+        }
+
+        req.user = user;
+        next();
+    };
+}
+
 module.exports = {
     authMiddleware,
     generateToken,
-    optionalAuth
+    isAdminSecret,
+    isJwtSecretConfigured,
+    optionalAuth,
+    requireRole
 };
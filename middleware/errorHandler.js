@@ -34,6 +34,11 @@ function errorHandler(err, req, res, next) {
         error: err.message || 'Internal server error'
     };
 
+    // Add structured details attached by services
+    if (err.details) {
+        response.details = err.details;
+    }
+
     // Add stack trace in development
     if (process.env.NODE_ENV === 'development') {
         response.stack = err.stack;
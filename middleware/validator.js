@@ -2,8 +2,11 @@
  * Input Validation Middleware
  */
 
+const { hasProvider, listProviders } = require('../ai/providers');
+
 const MAX_QUESTION_LENGTH = 1000;
 const VALID_DB_TYPES = ['sqlite', 'mysql', 'postgres', 'postgresql'];
+const VALID_ANSWER_MODES = ['rows', 'answer', 'both'];
 
 // Suspicious patterns that might indicate injection attempts
 const SUSPICIOUS_PATTERNS = [
@@ -13,11 +16,29 @@ const SUSPICIOUS_PATTERNS = [
     /\x00/,        // Null bytes
 ];
 
+/**
+ * Check an optional per-request timeout
+ * @param {*} timeoutMs - Requested timeout
+ * @returns {boolean} Whether the value is absent or a positive integer
+ */
+function isValidTimeout(timeoutMs) {
+    return timeoutMs === undefined || (Number.isInteger(timeoutMs) && timeoutMs > 0);
+}
+
+/**
+ * Check an optional connection name
+ * @param {*} connection - Requested connection
+ * @returns {boolean} True if absent or a non-empty string
+ */
+function isValidConnectionName(connection) {
+    return connection === undefined || (typeof connection === 'string' && connection.trim().length > 0);
+}
+
 /**
  * Validate query request
  */
 function validateQueryRequest(req, res, next) {
-    const { question, dbType } = req.body;
+    const { question, dbType, provider } = req.body;
 
     // Check question exists
     if (!question || typeof question !== 'string') {
@@ -53,12 +74,71 @@ function validateQueryRequest(req, res, next) {
         });
     }
 
+    // Validate AI provider if provided
+    if (provider !== undefined && !hasProvider(provider)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid AI provider. Must be one of: ${listProviders().join(', ')}`
+        });
+    }
+
+    // Validate per-request timeout if provided
+    if (!isValidTimeout(req.body.timeoutMs)) {
+        return res.status(400).json({
+            success: false,
+            error: 'timeoutMs must be a positive integer (milliseconds)'
+        });
+    }
+
+    // Validate connection name if provided (unknown names are rejected by the registry)
+    if (!isValidConnectionName(req.body.connection)) {
+        return res.status(400).json({
+            success: false,
+            error: 'connection must be a non-empty string'
+        });
+    }
+
+    // Validate session ID if provided (unknown sessions are rejected by the session store)
+    if (req.body.sessionId !== undefined && (typeof req.body.sessionId !== 'string' || !req.body.sessionId.trim())) {
+        return res.status(400).json({
+            success: false,
+            error: 'sessionId must be a non-empty string'
+        });
+    }
+
+    // Validate answer mode if provided
+    if (req.body.answerMode !== undefined && !VALID_ANSWER_MODES.includes(req.body.answerMode)) {
+        return res.status(400).json({
+            success: false,
+            error: `answerMode must be one of: ${VALID_ANSWER_MODES.join(', ')}`
+        });
+    }
+
     // Trim and sanitize
     req.body.question = question.trim();
 
     next();
 }
 
+/**
+ * Validate a query request sent as URL parameters (EventSource can only GET)
+ */
+function validateQueryStreamRequest(req, res, next) {
+    const { question, provider, connection, sessionId, explain, answerMode, timeoutMs } = req.query;
+
+    req.body = {
+        question,
+        provider,
+        connection,
+        sessionId,
+        explain: explain === 'true' || explain === '1',
+        answerMode,
+        timeoutMs: timeoutMs !== undefined ? Number(timeoutMs) : undefined
+    };
+
+    validateQueryRequest(req, res, next);
+}
+
 /**
  * Validate SQL parameter
  */
@@ -79,6 +159,27 @@ function validateSQLRequest(req, res, next) {
         });
     }
 
+    if (!isValidTimeout(req.body.timeoutMs)) {
+        return res.status(400).json({
+            success: false,
+            error: 'timeoutMs must be a positive integer (milliseconds)'
+        });
+    }
+
+    if (req.body.analyze !== undefined && typeof req.body.analyze !== 'boolean') {
+        return res.status(400).json({
+            success: false,
+            error: 'analyze must be a boolean'
+        });
+    }
+
+    if (!isValidConnectionName(req.body.connection)) {
+        return res.status(400).json({
+            success: false,
+            error: 'connection must be a non-empty string'
+        });
+    }
+
     req.body.sql = sql.trim();
 
     next();
@@ -109,7 +210,9 @@ function sanitizeOutput(data) {
 }
 
 module.exports = {
+    isValidTimeout,
     validateQueryRequest,
+    validateQueryStreamRequest,
     validateSQLRequest,
     sanitizeOutput
 };
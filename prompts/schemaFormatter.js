@@ -3,12 +3,56 @@
  * Formats schema objects for display and prompt injection
  */
 
+// Allowed values listed per column before the list is cut short
+const MAX_ENUM_VALUES = 20;
+
+/**
+ * Quote a column's allowed values for the prompt
+ * @param {Array<string>} values - Enum values
+ * @returns {string} Quoted list
+ */
+function formatEnumValues(values) {
+    const quoted = values.slice(0, MAX_ENUM_VALUES).map(value => `'${String(value).replace(/'/g, "''")}'`);
+    if (values.length > MAX_ENUM_VALUES) quoted.push(`… (${values.length - MAX_ENUM_VALUES} more)`);
+    return quoted.join(', ');
+}
+
+/**
+ * Describe a profiled categorical column's values: all of them when the
+ * profile saw every distinct value, otherwise the most frequent ones
+ * @param {string} name - Column name
+ * @param {Object} profile - Column profile
+ * @returns {string} Hint line
+ */
+function formatTopValues(name, profile) {
+    const values = formatEnumValues(profile.topValues.map(entry => entry.value));
+    if (profile.distinctCount !== undefined && profile.distinctCount <= profile.topValues.length) {
+        return `${name} ∈ {${values}}`;
+    }
+    const distinct = profile.distinctCount !== undefined ? ` (${profile.distinctCount} distinct)` : '';
+    return `${name} e.g. ${values}${distinct}`;
+}
+
+/**
+ * Label for views and materialized views (tables have none)
+ * @param {Object} tableInfo - Table from introspection
+ * @returns {string} Label
+ */
+function formatRelationType(tableInfo) {
+    return tableInfo.type && tableInfo.type !== 'table' ? ` (${tableInfo.type})` : '';
+}
+
 /**
  * Format schema for AI prompt injection
+ * Views are labelled, and comments and allowed enum values are listed under
+ * their table so the model uses the exact values stored in the database.
  * @param {Object} schema - Schema object from introspection
+ * @param {Object} options - Options
+ * @param {boolean} [options.topValues=true] - List the most frequent values of profiled categorical columns
  * @returns {string} Formatted schema string
  */
-function formatSchemaForPrompt(schema) {
+function formatSchemaForPrompt(schema, options = {}) {
+    const includeTopValues = options.topValues !== false;
     const lines = [];
 
     for (const [tableName, tableInfo] of Object.entries(schema)) {
@@ -24,7 +68,8 @@ function formatSchemaForPrompt(schema) {
             columns = [];
         }
 
-        lines.push(`- ${tableName}: ${columns.join(', ')}`);
+        const comment = tableInfo.comment ? ` -- ${tableInfo.comment}` : '';
+        lines.push(`- ${tableName}${formatRelationType(tableInfo)}: ${columns.join(', ')}${comment}`);
 
         // Add foreign key hints if available
         if (tableInfo.foreignKeys && tableInfo.foreignKeys.length > 0) {
@@ -32,6 +77,18 @@ function formatSchemaForPrompt(schema) {
                 lines.push(`  └─ ${fk.column} → ${fk.referencesTable}.${fk.referencesColumn}`);
             }
         }
+
+        // Add column comments and allowed values if available
+        for (const col of Array.isArray(tableInfo) ? [] : tableInfo.columns || []) {
+            if (col.enumValues && col.enumValues.length > 0) {
+                lines.push(`  └─ ${col.name} ∈ {${formatEnumValues(col.enumValues)}}`);
+            } else if (includeTopValues && col.profile?.topValues?.length > 0) {
+                lines.push(`  └─ ${formatTopValues(col.name, col.profile)}`);
+            }
+            if (col.comment) {
+                lines.push(`  └─ ${col.name}: ${col.comment}`);
+            }
+        }
     }
 
     return lines.join('\n');
@@ -46,14 +103,22 @@ function formatSchemaDetailed(schema) {
     const lines = [];
 
     for (const [tableName, tableInfo] of Object.entries(schema)) {
-        lines.push(`\n📊 ${tableName}`);
+        lines.push(`\n📊 ${tableName}${formatRelationType(tableInfo)}`);
+        if (tableInfo.comment) {
+            lines.push(`   ${tableInfo.comment}`);
+        }
         lines.push('─'.repeat(40));
 
         const columns = tableInfo.columns || [];
         for (const col of columns) {
             const pk = col.primaryKey ? '🔑 ' : '   ';
             const nullable = col.nullable ? '' : ' NOT NULL';
-            lines.push(`${pk}${col.name} (${col.type}${nullable})`);
+            const domain = col.domain ? `, domain over ${col.domain.baseType}` : '';
+            const comment = col.comment ? ` -- ${col.comment}` : '';
+            lines.push(`${pk}${col.name} (${col.type}${domain}${nullable})${comment}`);
+            if (col.enumValues && col.enumValues.length > 0) {
+                lines.push(`      values: ${formatEnumValues(col.enumValues)}`);
+            }
         }
 
         if (tableInfo.foreignKeys && tableInfo.foreignKeys.length > 0) {
@@ -62,6 +127,21 @@ function formatSchemaDetailed(schema) {
                 lines.push(`    ${fk.column} → ${fk.referencesTable}.${fk.referencesColumn}`);
             }
         }
+
+        if (tableInfo.indexes && tableInfo.indexes.length > 0) {
+            lines.push('\n  Indexes:');
+            for (const index of tableInfo.indexes) {
+                const kind = index.primary ? 'PRIMARY KEY ' : index.unique ? 'UNIQUE ' : '';
+                lines.push(`    ${kind}${index.name} (${index.columns.join(', ')})`);
+            }
+        }
+
+        if (tableInfo.checks && tableInfo.checks.length > 0) {
+            lines.push('\n  Checks:');
+            for (const check of tableInfo.checks) {
+                lines.push(`    ${check.name ? `${check.name}: ` : ''}${check.expression}`);
+            }
+        }
     }
 
     return lines.join('\n');
@@ -77,8 +157,14 @@ function formatSchemaAsJSON(schema) {
 
     for (const [tableName, tableInfo] of Object.entries(schema)) {
         result[tableName] = {
+            schema: tableInfo.schema || null,
+            name: tableInfo.name || tableName,
+            type: tableInfo.type || 'table',
+            comment: tableInfo.comment || null,
             columns: tableInfo.columns || tableInfo.columnNames?.map(name => ({ name })) || [],
-            foreignKeys: tableInfo.foreignKeys || []
+            foreignKeys: tableInfo.foreignKeys || [],
+            indexes: tableInfo.indexes || [],
+            checks: tableInfo.checks || []
         };
     }
 
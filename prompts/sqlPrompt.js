@@ -11,6 +11,9 @@
 function buildSQLPrompt(schema, options = {}) {
     const { formatSchemaForPrompt } = require('./schemaFormatter');
     const schemaText = formatSchemaForPrompt(schema);
+    const conversationText = buildConversationContext(options.conversation);
+    const glossaryText = buildGlossaryContext(options.glossary);
+    const examplesText = buildExamplesContext(options.examples);
 
     return `You are an expert SQL analyst and database engineer.
 
@@ -42,74 +45,213 @@ SQL BEST PRACTICES:
 - Use subqueries or CTEs for complex logic
 - IMPORTANT: Use the EXACT column names from the schema (case-sensitive)
 - For PostgreSQL with mixed-case column names, wrap them in double quotes like "ProductID", "OrderDate"
+- Tables listed as schema.table (e.g. sales.orders) live outside the default schema: always write them qualified
 
 DATABASE SCHEMA:
 ${schemaText}
 
-${options.additionalContext ? `ADDITIONAL CONTEXT:\n${options.additionalContext}\n` : ''}
+${glossaryText}${examplesText}${options.additionalContext ? `ADDITIONAL CONTEXT:\n${options.additionalContext}\n` : ''}${conversationText}
 Remember: Output ONLY the raw SQL query, nothing else.`;
 }
 
+/**
+ * Format business glossary terms mentioned in the question
+ * @param {Array<Object>} terms - Terms: { name, description, expression, filter, joins, tables }
+ * @returns {string} Prompt section, or '' when no term applies
+ */
+function buildGlossaryContext(terms = []) {
+    if (!terms || terms.length === 0) return '';
+
+    const formatted = terms.map(term => {
+        const lines = [`- "${term.name}"${term.description ? `: ${term.description}` : ''}`];
+        if (term.expression) lines.push(`  Expression: ${term.expression}`);
+        if (term.filter) lines.push(`  Filter: ${term.filter}`);
+        if (term.joins && term.joins.length > 0) lines.push(`  Joins: ${term.joins.join('; ')}`);
+        if (term.tables && term.tables.length > 0) lines.push(`  Tables: ${term.tables.join(', ')}`);
+        return lines.join('\n');
+    });
+
+    return `BUSINESS GLOSSARY (use these definitions exactly when the question mentions the term):
+${formatted.join('\n')}
+
+`;
+}
+
+/**
+ * Format verified question/SQL pairs similar to the question as few-shot examples
+ * @param {Array<Object>} examples - Examples: { question, sql }
+ * @returns {string} Prompt section, or '' when there are none
+ */
+function buildExamplesContext(examples = []) {
+    if (!examples || examples.length === 0) return '';
+
+    const formatted = examples.map(example => `Question: ${example.question}\nSQL: ${example.sql}`);
+
+    return `VERIFIED EXAMPLES (correct SQL for similar questions on this database - follow their style and joins):
+${formatted.join('\n\n')}
+
+`;
+}
+
+/**
+ * Format earlier turns of a conversation so follow-up questions
+ * ("now only for 2023", "sort that by revenue") can refine the previous SQL
+ * @param {Array<Object>} turns - Prior turns: { question, sql, columns, rowSample, rowCount }
+ * @returns {string} Prompt section, or '' when there is no conversation
+ */
+function buildConversationContext(turns = []) {
+    if (!turns || turns.length === 0) return '';
+
+    const formatted = turns.map((turn, index) => {
+        const lines = [
+            `[${index + 1}] Question: ${turn.question}`,
+            `SQL:\n${turn.sql}`
+        ];
+        if (turn.columns && turn.columns.length > 0) {
+            lines.push(`Columns: ${turn.columns.join(', ')}`);
+        }
+        if (turn.rowSample && turn.rowSample.length > 0) {
+            lines.push(`Sample rows (${turn.rowSample.length} of ${turn.rowCount}): ${JSON.stringify(turn.rowSample)}`);
+        }
+        return lines.join('\n');
+    });
+
+    return `CONVERSATION SO FAR (oldest first):
+${formatted.join('\n\n')}
+
+FOLLOW-UP HANDLING:
+- The new question may refer to earlier results ("those", "that", "now only...", "sort it by...")
+- If it does, modify the most recent relevant SQL above rather than starting from scratch
+- If the question is unrelated to the conversation, answer it on its own
+`;
+}
+
+/**
+ * Build the prompt for repairing SQL that failed validation or execution
+ * @param {Object} schema - Database schema object
+ * @param {string} failedSQL - SQL that failed
+ * @param {string} errorMessage - Error reported by the validator or database driver
+ * @param {Object} options - Additional options (same as buildSQLPrompt)
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(schema, failedSQL, errorMessage, options = {}) {
+    const basePrompt = buildSQLPrompt(schema, options);
+
+    return `${basePrompt}
+
+PREVIOUS ATTEMPT FAILED:
+The following SQL was generated for this question but failed.
+
+Failed SQL:
+${failedSQL}
+
+Database error:
+${errorMessage}
+
+Fix the query so it answers the question and runs without this error.
+- Check table and column names against the schema exactly (including case)
+- For PostgreSQL, quote mixed-case identifiers with double quotes
+- Do not repeat the same mistake
+Output ONLY the corrected raw SQL query.`;
+}
+
 /**
  * Build prompt for explaining a query
  * @param {string} sql - SQL query to explain
+ * @param {Object} options - { dbType }
  * @returns {string} Explanation prompt
  */
-function buildExplainPrompt(sql) {
-    return `Explain this SQL query in simple, non-technical terms. 
-Describe what data it retrieves and how it works step by step.
+function buildExplainPrompt(sql, options = {}) {
+    const dialect = options.dbType ? ` (${options.dbType})` : '';
+
+    return `Explain this SQL query${dialect} in simple, non-technical terms for a business user.
 
 SQL Query:
 ${sql}
 
-Provide a clear, concise explanation suitable for a business user.`;
+Start with "**Summary**: " and one sentence on what the result contains (one row per what, which columns).
+Then walk through the query clause by clause, in the order the database applies them, one bullet per clause that is present:
+- **FROM / JOIN**: which tables are combined, and how rows are matched
+- **WHERE**: which rows are kept
+- **GROUP BY / HAVING**: how rows are grouped and which groups are kept
+- **SELECT**: which columns and calculations are returned
+- **ORDER BY / LIMIT**: how the result is sorted and cut off
+Explain subqueries and WITH clauses where they are used. Use the table and column names from the query.
+Do not suggest changes to the query.`;
 }
 
 /**
  * Build prompt for suggesting query improvements
  * @param {string} sql - SQL query to improve
- * @param {Object} schema - Database schema
+ * @param {Object} schema - Database schema (the tables the query reads, with indexes)
+ * @param {Object} options - { dbType, plan: EXPLAIN output, warnings: plan warnings }
  * @returns {string} Improvement prompt
  */
-function buildImprovementPrompt(sql, schema) {
-    const { formatSchemaForPrompt } = require('./schemaFormatter');
-    const schemaText = formatSchemaForPrompt(schema);
+function buildImprovementPrompt(sql, schema, options = {}) {
+    const { formatSchemaDetailed } = require('./schemaFormatter');
+    const schemaText = formatSchemaDetailed(schema).trim() || '(no matching tables found)';
+    const planText = options.plan ? JSON.stringify(options.plan, null, 2).slice(0, 6000) : '(not available)';
+    const dialect = options.dbType ? ` on ${options.dbType}` : '';
+    const warningsText = options.warnings && options.warnings.length
+        ? `\n\nPLAN WARNINGS:\n${options.warnings.map(warning => `- ${warning.message}`).join('\n')}`
+        : '';
 
-    return `Analyze this SQL query and suggest optimizations.
+    return `Analyze this SQL query${dialect} and suggest optimizations.
 Consider: indexing opportunities, query structure, JOINs efficiency, and readability.
 
-DATABASE SCHEMA:
+TABLES USED (columns, foreign keys and existing indexes):
 ${schemaText}
 
 SQL Query:
 ${sql}
 
-Provide specific, actionable improvement suggestions.`;
+EXPLAIN OUTPUT:
+${planText}${warningsText}
+
+RULES:
+- Base every suggestion on the EXPLAIN output or the tables above; name the plan step it addresses (e.g. a full table scan or temporary sort)
+- Check existing indexes before suggesting one; give new indexes as CREATE INDEX statements
+- Rewrites must return exactly the same rows; show them as complete SQL
+- If the query is already efficient, say so instead of inventing problems
+
+Provide specific, actionable improvement suggestions as bullets starting with a **bold** title.`;
 }
 
 /**
- * Build prompt for natural language response
+ * Build prompt for a direct, grounded answer to the question
  * @param {string} question - Original user question
  * @param {Array} results - Query results
+ * @param {Object} options - { sampleSize: rows shown to the model (default 10), limitApplied }
  * @returns {string} Response prompt
  */
-function buildResponsePrompt(question, results) {
-    const resultSample = results.slice(0, 10);
+function buildResponsePrompt(question, results, options = {}) {
+    const resultSample = results.slice(0, options.sampleSize || 10);
     const resultText = JSON.stringify(resultSample, null, 2);
+    const total = options.limitApplied ? `at least ${results.length}` : results.length;
+
+    return `Answer the user's question in one short paragraph, using only the query results below.
 
-    return `Based on the user's question and the query results below, provide a natural language answer.
-Be concise and directly address the question.
+RULES:
+- Answer the question directly in the first sentence
+- Cite the figures you rely on exactly as they appear in the results (same digits, no recalculation or rounding)
+- Do not invent numbers, totals, averages or percentages that are not in the results
+- If the results do not answer the question, say so
+- Plain text only: no markdown, lists or SQL
 
 User Question: ${question}
 
-Query Results (showing first ${resultSample.length} of ${results.length} rows):
+Query Results (showing first ${resultSample.length} of ${total} rows):
 ${resultText}
 
-Provide a clear, helpful response that answers the user's original question.`;
+Answer:`;
 }
 
 module.exports = {
     buildSQLPrompt,
+    buildRepairPrompt,
+    buildConversationContext,
+    buildGlossaryContext,
+    buildExamplesContext,
     buildExplainPrompt,
     buildImprovementPrompt,
     buildResponsePrompt
@@ -17,7 +17,12 @@ const elements = {
     questionInput: document.getElementById('questionInput'),
     queryBtn: document.getElementById('queryBtn'),
     explainToggle: document.getElementById('explainToggle'),
+    answerToggle: document.getElementById('answerToggle'),
     exampleChips: document.querySelectorAll('.example-chip'),
+    sessionSelect: document.getElementById('sessionSelect'),
+    newSessionBtn: document.getElementById('newSessionBtn'),
+    deleteSessionBtn: document.getElementById('deleteSessionBtn'),
+    conversationThread: document.getElementById('conversationThread'),
 
     // Results
     resultsSection: document.getElementById('resultsSection'),
@@ -25,6 +30,8 @@ const elements = {
     sqlOutput: document.getElementById('sqlOutput'),
     copySqlBtn: document.getElementById('copySqlBtn'),
     explainSqlBtn: document.getElementById('explainSqlBtn'),
+    explainTextBtn: document.getElementById('explainTextBtn'),
+    saveSqlBtn: document.getElementById('saveSqlBtn'),
     statsBar: document.getElementById('statsBar'),
     rowCount: document.getElementById('rowCount'),
     genTime: document.getElementById('genTime'),
@@ -35,6 +42,13 @@ const elements = {
     exportBtn: document.getElementById('exportBtn'),
     explanationCard: document.getElementById('explanationCard'),
     explanationContent: document.getElementById('explanationContent'),
+    answerCard: document.getElementById('answerCard'),
+    planCard: document.getElementById('planCard'),
+    planMeta: document.getElementById('planMeta'),
+    planWarnings: document.getElementById('planWarnings'),
+    planTree: document.getElementById('planTree'),
+    answerBadge: document.getElementById('answerBadge'),
+    answerContent: document.getElementById('answerContent'),
 
     // Loading & Error
     loadingOverlay: document.getElementById('loadingOverlay'),
@@ -51,6 +65,11 @@ const elements = {
     refreshHistoryBtn: document.getElementById('refreshHistoryBtn'),
     clearHistoryBtn: document.getElementById('clearHistoryBtn'),
 
+    // Saved Queries View
+    savedList: document.getElementById('savedList'),
+    savedFilter: document.getElementById('savedFilter'),
+    refreshSavedBtn: document.getElementById('refreshSavedBtn'),
+
     // Toast
     toastContainer: document.getElementById('toastContainer'),
 
@@ -69,6 +88,9 @@ const elements = {
 // State
 let currentResults = [];
 let currentSQL = '';
+let currentSessionId = localStorage.getItem('sessionId');
+let historyEntries = new Map();
+let savedQueries = [];
 
 // ============================================
 // Initialization
@@ -77,8 +99,10 @@ document.addEventListener('DOMContentLoaded', () => {
     initNavigation();
     initQueryForm();
     initExamples();
+    initSessions();
     initResultActions();
     initHistoryActions();
+    initSavedActions();
     initUpload();
     checkHealth();
 });
@@ -102,6 +126,7 @@ function initNavigation() {
             // Load view data
             if (view === 'schema') loadSchema();
             if (view === 'history') loadHistory();
+            if (view === 'saved') loadSavedQueries();
         });
     });
 }
@@ -140,6 +165,20 @@ async function handleQuery() {
         return;
     }
 
+    let sessionId;
+    try {
+        sessionId = await ensureSession();
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+
+    // Stream tokens and results when the browser supports Server-Sent Events
+    if (window.EventSource) {
+        streamQuery(question, sessionId);
+        return;
+    }
+
     showLoading(true);
     hideError();
 
@@ -149,7 +188,9 @@ async function handleQuery() {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 question,
-                explain: elements.explainToggle.checked
+                sessionId,
+                explain: elements.explainToggle.checked,
+                answerMode: elements.answerToggle.checked ? 'both' : 'rows'
             })
         });
 
@@ -166,9 +207,252 @@ async function handleQuery() {
         showError(error.message);
     } finally {
         showLoading(false);
+        loadSessions();
+    }
+}
+
+/**
+ * Run a query over /api/query/stream, rendering the SQL draft, rows and
+ * explanation as they arrive
+ */
+function streamQuery(question, sessionId) {
+    const params = new URLSearchParams({
+        question,
+        sessionId,
+        explain: elements.explainToggle.checked,
+        answerMode: elements.answerToggle.checked ? 'both' : 'rows'
+    });
+    const source = new EventSource(`${API_BASE}/query/stream?${params}`);
+    const draft = { sql: '', explanation: '', answer: '' };
+    let finished = false;
+
+    hideError();
+    setQueryRunning(true);
+    resetResults();
+
+    const finish = () => {
+        finished = true;
+        source.close();
+        setQueryRunning(false);
+        elements.sqlOutput.classList.remove('streaming');
+        elements.explanationContent.classList.remove('streaming');
+        elements.answerContent.classList.remove('streaming');
+        loadSessions();
+    };
+
+    const on = (type, handler) => {
+        source.addEventListener(type, (event) => handler(JSON.parse(event.data)));
+    };
+
+    on('token', (data) => {
+        if (data.phase === 'sql') {
+            draft.sql += data.text;
+            elements.sqlOutput.textContent = draft.sql;
+        } else if (data.phase === 'answer') {
+            draft.answer += data.text;
+            displayAnswer({ text: draft.answer });
+            elements.answerContent.classList.add('streaming');
+        } else {
+            draft.explanation += data.text;
+            displayExplanation(draft.explanation);
+            elements.explanationContent.classList.add('streaming');
+        }
+    });
+
+    // A provider failed mid-stream: drop its partial output before the next one starts
+    on('reset', (data) => {
+        if (data.phase === 'sql') {
+            draft.sql = '';
+            elements.sqlOutput.textContent = '';
+        } else if (data.phase === 'answer') {
+            draft.answer = '';
+            elements.answerContent.textContent = '';
+        } else {
+            draft.explanation = '';
+            elements.explanationContent.textContent = '';
+        }
+    });
+
+    on('validation', (data) => {
+        if (data.valid) {
+            currentSQL = data.sql;
+            elements.sqlOutput.textContent = data.sql;
+            elements.sqlOutput.classList.remove('streaming');
+        }
+    });
+
+    on('execution', (data) => {
+        if (!data.success) return;
+        currentResults = data.results || [];
+        elements.rowCount.textContent = data.rowCount || 0;
+        elements.execTime.textContent = `${data.executionTimeMs || 0}ms`;
+        displayTable(currentResults);
+    });
+
+    on('repair', (data) => {
+        draft.sql = '';
+        elements.sqlOutput.classList.add('streaming');
+        showToast(`Query failed, repairing (attempt ${data.nextAttempt}): ${data.error}`, 'info');
+    });
+
+    on('done', (data) => {
+        finish();
+        displayResults({ ...data, results: currentResults });
+        showToast('Query executed successfully', 'success');
+    });
+
+    source.addEventListener('error', (event) => {
+        if (finished) return;
+        // Server-sent "error" events carry a payload; connection failures do not
+        const message = event.data ? JSON.parse(event.data).error : 'Connection to the server was lost';
+        finish();
+        showError(message || 'Query failed');
+    });
+}
+
+function setQueryRunning(running) {
+    elements.queryBtn.disabled = running;
+}
+
+function resetResults() {
+    currentSQL = '';
+    currentResults = [];
+
+    elements.resultsSection.classList.add('show');
+    elements.sqlOutput.textContent = '';
+    elements.sqlOutput.classList.add('streaming');
+    elements.rowCount.textContent = '-';
+    elements.genTime.textContent = '-';
+    elements.execTime.textContent = '-';
+    elements.totalTime.textContent = '-';
+    elements.tableHead.innerHTML = '';
+    elements.tableBody.innerHTML = '';
+    elements.explanationCard.style.display = 'none';
+    elements.answerCard.style.display = 'none';
+    elements.planCard.style.display = 'none';
+}
+
+// ============================================
+// Conversations
+// ============================================
+function initSessions() {
+    elements.sessionSelect.addEventListener('change', () => {
+        setCurrentSession(elements.sessionSelect.value || null);
+        loadThread();
+    });
+
+    elements.newSessionBtn.addEventListener('click', () => {
+        setCurrentSession(null);
+        elements.sessionSelect.value = '';
+        displayThread([]);
+        elements.questionInput.focus();
+    });
+
+    elements.deleteSessionBtn.addEventListener('click', async () => {
+        if (!currentSessionId || !confirm('Delete this conversation?')) return;
+
+        try {
+            await fetch(`${API_BASE}/sessions/${currentSessionId}`, { method: 'DELETE' });
+            setCurrentSession(null);
+            loadSessions();
+            showToast('Conversation deleted', 'success');
+        } catch (error) {
+            showToast('Failed to delete conversation', 'error');
+        }
+    });
+
+    loadSessions();
+}
+
+function setCurrentSession(id) {
+    currentSessionId = id;
+    if (id) {
+        localStorage.setItem('sessionId', id);
+    } else {
+        localStorage.removeItem('sessionId');
+    }
+}
+
+/**
+ * Use the current conversation, or start one for the first question
+ */
+async function ensureSession() {
+    if (currentSessionId) return currentSessionId;
+
+    const response = await fetch(`${API_BASE}/sessions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to start a conversation');
+    }
+
+    setCurrentSession(data.session.id);
+    return currentSessionId;
+}
+
+async function loadSessions() {
+    try {
+        const response = await fetch(`${API_BASE}/sessions`);
+        const data = await response.json();
+        const sessions = data.sessions || [];
+
+        // Forget a stored session that has expired on the server
+        if (currentSessionId && !sessions.some(s => s.id === currentSessionId)) {
+            setCurrentSession(null);
+        }
+
+        elements.sessionSelect.innerHTML = '<option value="">New conversation</option>' +
+            sessions.map(s => `
+        <option value="${s.id}">${escapeHtml(s.title || 'Untitled')} (${s.turnCount})</option>
+      `).join('');
+        elements.sessionSelect.value = currentSessionId || '';
+
+        loadThread();
+    } catch (error) {
+        console.error('Failed to load conversations:', error);
     }
 }
 
+async function loadThread() {
+    if (!currentSessionId) {
+        displayThread([]);
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/sessions/${currentSessionId}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        displayThread(data.session.turns);
+    } catch (error) {
+        setCurrentSession(null);
+        displayThread([]);
+    }
+}
+
+function displayThread(turns) {
+    elements.conversationThread.innerHTML = turns.map(turn => `
+    <div class="thread-turn ${turn.success ? 'success' : 'failed'}">
+      <div class="thread-question">${escapeHtml(turn.question)}</div>
+      ${turn.sql ? `<div class="history-sql">${escapeHtml(turn.sql)}</div>` : ''}
+      <div class="history-meta">
+        <span>${turn.success ? `${turn.rowCount} rows` : `❌ ${escapeHtml(turn.error || 'Failed')}`}</span>
+        <span>${formatTime(turn.timestamp)}</span>
+      </div>
+    </div>
+  `).join('');
+
+    elements.deleteSessionBtn.disabled = !currentSessionId;
+}
+
 // ============================================
 // Results Display
 // ============================================
@@ -193,25 +477,126 @@ function displayResults(data) {
 
     // Display explanation if available
     if (data.explanation) {
-        elements.explanationCard.style.display = 'block';
-        // Parse basic markdown formatting
-        let formatted = escapeHtml(data.explanation);
-        // Bold: **text**
-        formatted = formatted.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-        // Bullet points: - text
-        formatted = formatted.replace(/^- (.+)$/gm, '<li>$1</li>');
-        formatted = formatted.replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>');
-        // Emojis and line breaks
-        formatted = formatted.replace(/\n/g, '<br>');
-        elements.explanationContent.innerHTML = formatted;
+        displayExplanation(data.explanation);
     } else {
         elements.explanationCard.style.display = 'none';
     }
 
+    // Display the direct answer if one was requested
+    if (data.answer) {
+        displayAnswer(data.answer);
+    } else {
+        elements.answerCard.style.display = 'none';
+    }
+
+    elements.planCard.style.display = 'none';
+
     // Scroll to results
     elements.resultsSection.scrollIntoView({ behavior: 'smooth' });
 }
 
+function displayExplanation(explanation) {
+    elements.explanationCard.style.display = 'block';
+    // Parse basic markdown formatting
+    let formatted = escapeHtml(explanation);
+    // Bold: **text**
+    formatted = formatted.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+    // Bullet points: - text
+    formatted = formatted.replace(/^- (.+)$/gm, '<li>$1</li>');
+    formatted = formatted.replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>');
+    // Emojis and line breaks
+    formatted = formatted.replace(/\n/g, '<br>');
+    elements.explanationContent.innerHTML = formatted;
+}
+
+/**
+ * Show a normalised query plan as a tree of collapsible steps, with the
+ * plan warnings above it
+ */
+function displayPlan(data) {
+    elements.planCard.style.display = 'block';
+
+    const timings = [
+        data.analyzed ? 'ANALYZE' : 'estimated',
+        data.planningTimeMs != null ? `planning ${data.planningTimeMs}ms` : null,
+        data.executionTimeMs != null ? `execution ${data.executionTimeMs}ms` : null
+    ].filter(Boolean);
+    elements.planMeta.textContent = timings.join(' · ');
+
+    elements.planWarnings.innerHTML = (data.warnings || [])
+        .map(warning => `<li>⚠️ ${escapeHtml(warning.message)}</li>`)
+        .join('');
+
+    elements.planTree.innerHTML = renderPlanNode(data.plan);
+}
+
+function renderPlanNode(node) {
+    const relation = node.relation
+        ? ` <span class="plan-relation">${escapeHtml(node.relation)}${node.alias ? ` (${escapeHtml(node.alias)})` : ''}</span>`
+        : '';
+    const index = node.index ? ` <span class="plan-index">using ${escapeHtml(node.index)}</span>` : '';
+
+    const stats = [
+        node.estimatedRows != null ? `~${node.estimatedRows} rows` : null,
+        node.estimatedCost != null ? `cost ${node.estimatedCost}` : null,
+        node.actualRows != null ? `actual ${node.actualRows} rows` : null,
+        node.actualTimeMs != null ? `${node.actualTimeMs}ms` : null,
+        node.loops > 1 ? `×${node.loops} loops` : null
+    ].filter(Boolean).join(' · ');
+
+    const label = `<span class="plan-type">${escapeHtml(node.type)}</span>${relation}${index}`
+        + (stats ? ` <span class="plan-stats">${stats}</span>` : '');
+    const detail = node.detail ? `<div class="plan-detail">${escapeHtml(node.detail)}</div>` : '';
+    const className = `plan-node${node.access === 'full_scan' ? ' plan-full-scan' : ''}`;
+
+    if (!node.children.length) {
+        return `<div class="${className}"><div class="plan-label">${label}</div>${detail}</div>`;
+    }
+
+    return `<details class="${className}" open>
+        <summary class="plan-label">${label}</summary>
+        ${detail}
+        <div class="plan-children">${node.children.map(renderPlanNode).join('')}</div>
+    </details>`;
+}
+
+/**
+ * Show a direct answer. Once checked, numbers that are not in the rows are
+ * highlighted and the badge says whether the answer is grounded.
+ */
+function displayAnswer(answer) {
+    elements.answerCard.style.display = 'block';
+
+    if (answer.text === null) {
+        elements.answerBadge.className = 'answer-badge ungrounded';
+        elements.answerBadge.textContent = 'Failed';
+        elements.answerContent.textContent = answer.error || 'No answer could be generated';
+        return;
+    }
+
+    let formatted = escapeHtml(answer.text);
+    for (const number of new Set(answer.unsupportedNumbers || [])) {
+        // Whole numbers only: "5" must not match inside "263.50"
+        const pattern = escapeHtml(number).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        formatted = formatted.replace(
+            new RegExp(`(?<![\\w.,])${pattern}(?![\\w]|[.,]?\\d)`, 'g'),
+            '<mark class="answer-unsupported" title="Not found in the results">$&</mark>'
+        );
+    }
+    elements.answerContent.innerHTML = formatted;
+
+    if (answer.grounded === undefined) {
+        elements.answerBadge.className = 'answer-badge';
+        elements.answerBadge.textContent = '';
+    } else if (answer.grounded) {
+        elements.answerBadge.className = 'answer-badge grounded';
+        elements.answerBadge.textContent = '✓ Numbers match the results';
+    } else {
+        elements.answerBadge.className = 'answer-badge ungrounded';
+        elements.answerBadge.textContent = `⚠️ ${answer.unsupportedNumbers.length} number(s) not in the results`;
+    }
+}
+
 function displayTable(results) {
     if (!results.length) {
         elements.tableHead.innerHTML = '';
@@ -265,7 +650,10 @@ function initResultActions() {
             const data = await response.json();
 
             if (data.success) {
-                showToast('Explain plan: ' + JSON.stringify(data.explainPlan).slice(0, 100) + '...', 'info');
+                displayPlan(data);
+                elements.planCard.scrollIntoView({ behavior: 'smooth' });
+            } else {
+                showToast(data.error || 'Failed to get explain plan', 'error');
             }
         } catch (error) {
             showToast('Failed to get explain plan', 'error');
@@ -274,6 +662,34 @@ function initResultActions() {
         }
     });
 
+    elements.explainTextBtn.addEventListener('click', async () => {
+        if (!currentSQL) return;
+
+        showLoading(true);
+        try {
+            const response = await fetch(`${API_BASE}/sql/explain-text`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sql: currentSQL })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                displayExplanation(data.explanation);
+                elements.explanationCard.scrollIntoView({ behavior: 'smooth' });
+            } else {
+                showToast(data.error || 'Failed to explain SQL', 'error');
+            }
+        } catch (error) {
+            showToast('Failed to explain SQL', 'error');
+        } finally {
+            showLoading(false);
+        }
+    });
+
+    elements.saveSqlBtn.addEventListener('click', saveCurrentQuery);
+
     elements.exportBtn.addEventListener('click', () => {
         if (!currentResults.length) return;
 
@@ -319,14 +735,58 @@ async function loadSchema() {
 
         if (!data.success) throw new Error(data.error);
 
-        displaySchema(data.schema);
+        // Highlight what changed since the schema was last viewed
+        const fingerprintKey = `schemaFingerprint:${data.connection}`;
+        const since = localStorage.getItem(fingerprintKey);
+        let changes = null;
+        if (since && since !== data.fingerprint) {
+            changes = await loadSchemaChanges(since, data.connection);
+        }
+        localStorage.setItem(fingerprintKey, data.fingerprint);
+
+        displaySchema(data.schema, changes);
 
     } catch (error) {
         elements.schemaContainer.innerHTML = `<p style="color: var(--error)">Failed to load schema: ${error.message}</p>`;
     }
 }
 
-function displaySchema(schema) {
+async function loadSchemaChanges(since, connection) {
+    try {
+        const params = new URLSearchParams({ since, connection });
+        const response = await fetch(`${API_BASE}/schema/diff?${params}`);
+        const data = await response.json();
+
+        // Fingerprints from before a server restart are no longer known
+        return data.success && data.hasChanges ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function describeColumnChange(change) {
+    return Object.keys(change.after)
+        .filter(key => JSON.stringify(change.before[key]) !== JSON.stringify(change.after[key]))
+        .map(key => `${key}: ${change.before[key] ?? '—'} → ${change.after[key] ?? '—'}`)
+        .join('\n');
+}
+
+function displaySchemaChanges(changes) {
+    const summary = [
+        changes.added.length ? `${changes.added.length} added` : null,
+        changes.removed.length ? `${changes.removed.length} removed` : null,
+        changes.changed.length ? `${changes.changed.length} changed` : null
+    ].filter(Boolean).join(', ');
+
+    return `
+      <div class="schema-changes">
+        <strong>🔄 Schema changed since your last visit:</strong> ${summary}
+        ${changes.removed.length ? `<div class="schema-changes-removed">Removed: ${changes.removed.map(escapeHtml).join(', ')}</div>` : ''}
+      </div>
+    `;
+}
+
+function displaySchema(schema, changes = null) {
     const tables = Object.entries(schema);
 
     if (!tables.length) {
@@ -334,23 +794,45 @@ function displaySchema(schema) {
         return;
     }
 
-    elements.schemaContainer.innerHTML = tables.map(([tableName, tableInfo]) => {
+    const addedTables = new Set(changes ? changes.added : []);
+    const changedTables = new Map((changes ? changes.changed : []).map(entry => [entry.table, entry]));
+
+    elements.schemaContainer.innerHTML = (changes ? displaySchemaChanges(changes) : '') + tables.map(([tableName, tableInfo]) => {
         const columns = tableInfo.columns || [];
+        const isView = tableInfo.type && tableInfo.type !== 'table';
+        const added = addedTables.has(tableName);
+        const changed = changedTables.get(tableName);
+        const addedColumns = new Set(changed ? changed.addedColumns : []);
+        const changedColumns = new Map((changed ? changed.changedColumns : []).map(col => [col.name, col]));
+        const status = added ? 'added' : changed ? 'changed' : '';
 
         return `
-      <div class="schema-table">
-        <div class="schema-table-header">
-          <span class="schema-table-icon">📊</span>
+      <div class="schema-table ${status}">
+        <div class="schema-table-header" title="${escapeHtml([
+            tableInfo.comment,
+            changed && changed.changes.length ? `Changed: ${changed.changes.join(', ')}` : null,
+            changed && changed.removedColumns.length ? `Removed columns: ${changed.removedColumns.join(', ')}` : null
+        ].filter(Boolean).join('\n'))}">
+          <span class="schema-table-icon">${isView ? '👁️' : '📊'}</span>
           <span class="schema-table-name">${escapeHtml(tableName)}</span>
+          ${isView ? `<span class="schema-table-kind">${escapeHtml(tableInfo.type)}</span>` : ''}
+          ${status ? `<span class="schema-change-badge ${status}">${status === 'added' ? 'new' : 'changed'}</span>` : ''}
         </div>
         <div class="schema-columns">
-          ${columns.map(col => `
-            <div class="schema-column">
+          ${columns.map(col => {
+              const columnStatus = addedColumns.has(col.name) ? 'added' : changedColumns.has(col.name) ? 'changed' : '';
+              return `
+            <div class="schema-column ${columnStatus}" title="${escapeHtml([
+                col.comment,
+                col.enumValues ? `Values: ${col.enumValues.join(', ')}` : null,
+                changedColumns.has(col.name) ? describeColumnChange(changedColumns.get(col.name)) : null
+            ].filter(Boolean).join('\n'))}">
               ${col.primaryKey ? '<span class="column-pk">🔑</span>' : ''}
               <span class="column-name">${escapeHtml(col.name)}</span>
               <span class="column-type">${escapeHtml(col.type || 'unknown')}</span>
             </div>
-          `).join('')}
+          `;
+          }).join('')}
         </div>
       </div>
     `;
@@ -417,6 +899,8 @@ function displayHistory(history) {
         return;
     }
 
+    historyEntries = new Map(history.map(item => [item.id, item]));
+
     elements.historyList.innerHTML = history.map(item => `
     <div class="history-item ${item.success ? 'success' : 'failed'}" onclick="useHistoryQuery('${escapeHtml(item.question)}')">
       <div class="history-question">${escapeHtml(item.question)}</div>
@@ -425,19 +909,264 @@ function displayHistory(history) {
         <span>${item.rowCount !== undefined ? `${item.rowCount} rows` : ''}</span>
         <span>${item.totalTimeMs || 0}ms</span>
         <span>${formatTime(item.timestamp)}</span>
+        ${item.verified
+            ? `<span class="verified-badge">★ Verified example</span>
+               <button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); demoteHistoryEntry(${item.id})">Remove from examples</button>`
+            : `<button class="btn btn-secondary btn-sm" onclick="event.stopPropagation(); verifyHistoryEntry(${item.id})">✓ Verify</button>`}
       </div>
-      ${item.sql ? `<div class="history-sql">${escapeHtml(item.sql)}</div>` : ''}
+      ${item.verifiedSql ? `<div class="history-sql">${escapeHtml(item.verifiedSql)}</div>` : (item.sql ? `<div class="history-sql">${escapeHtml(item.sql)}</div>` : '')}
       ${item.error ? `<div class="history-sql" style="color: var(--error)">${escapeHtml(item.error)}</div>` : ''}
     </div>
   `).join('');
 }
 
+/**
+ * Mark a history entry as a verified example; the SQL can be corrected first
+ */
+async function verifyHistoryEntry(id) {
+    const entry = historyEntries.get(id);
+    if (!entry) return;
+
+    const sql = prompt('Verify this SQL as correct for the question (edit it if needed):', entry.sql || '');
+    if (sql === null) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/examples/${id}/promote`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(sql.trim() && sql.trim() !== entry.sql ? { sql } : {})
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to verify query');
+        }
+
+        showToast('Added to the example bank', 'success');
+        loadHistory();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function demoteHistoryEntry(id) {
+    try {
+        await fetch(`${API_BASE}/examples/${id}/demote`, { method: 'POST' });
+        showToast('Removed from the example bank', 'success');
+        loadHistory();
+    } catch (error) {
+        showToast('Failed to remove example', 'error');
+    }
+}
+
 function useHistoryQuery(question) {
     elements.questionInput.value = question;
     document.querySelector('[data-view="query"]').click();
     elements.questionInput.focus();
 }
 
+// ============================================
+// Saved Queries View
+// ============================================
+function initSavedActions() {
+    elements.refreshSavedBtn.addEventListener('click', loadSavedQueries);
+    elements.savedFilter.addEventListener('input', () => displaySavedQueries());
+}
+
+/**
+ * Save the generated SQL; literals can be replaced with :name parameters first
+ */
+async function saveCurrentQuery() {
+    if (!currentSQL) return;
+
+    const name = prompt('Name for this saved query:', elements.questionInput.value.trim().slice(0, 100));
+    if (!name) return;
+
+    const sql = prompt('SQL to save (replace values with :name to make them parameters):', currentSQL);
+    if (sql === null || !sql.trim()) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/saved`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, sql, description: elements.questionInput.value.trim() || undefined })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save query');
+        }
+
+        showToast(`Saved "${data.query.name}"`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function loadSavedQueries() {
+    elements.savedList.innerHTML = '<div class="loading-spinner"></div>';
+
+    try {
+        const response = await fetch(`${API_BASE}/saved`);
+        const data = await response.json();
+
+        if (!data.success) throw new Error(data.error);
+
+        savedQueries = data.queries;
+        displaySavedQueries();
+
+    } catch (error) {
+        elements.savedList.innerHTML = `<p style="color: var(--error)">Failed to load saved queries: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderParameterInput(queryId, parameter) {
+    const id = `saved-${queryId}-${parameter.name}`;
+    const label = escapeHtml(parameter.label || parameter.name);
+    const value = parameter.default === null || parameter.default === undefined ? '' : escapeHtml(String(parameter.default));
+    const title = escapeHtml(parameter.description || '');
+    let input;
+
+    if (parameter.values) {
+        input = `
+          <select id="${id}" data-param="${escapeHtml(parameter.name)}">
+            ${parameter.required ? '' : '<option value=""></option>'}
+            ${parameter.values.map(option => `<option ${String(option) === String(parameter.default) ? 'selected' : ''}>${escapeHtml(String(option))}</option>`).join('')}
+          </select>`;
+    } else if (parameter.type === 'boolean') {
+        input = `
+          <select id="${id}" data-param="${escapeHtml(parameter.name)}">
+            ${parameter.required ? '' : '<option value=""></option>'}
+            <option value="true" ${parameter.default === true ? 'selected' : ''}>true</option>
+            <option value="false" ${parameter.default === false ? 'selected' : ''}>false</option>
+          </select>`;
+    } else {
+        const type = { number: 'number', integer: 'number', date: 'date', timestamp: 'datetime-local' }[parameter.type] || 'text';
+        const step = parameter.type === 'number' ? 'any' : '1';
+        input = `<input id="${id}" type="${type}" step="${step}" data-param="${escapeHtml(parameter.name)}" value="${value}" ${parameter.required ? 'required' : ''}>`;
+    }
+
+    return `
+      <label class="saved-param" for="${id}" title="${title}">
+        <span>${label}${parameter.required ? ' *' : ''} <small>${escapeHtml(parameter.type)}</small></span>
+        ${input}
+      </label>
+    `;
+}
+
+function displaySavedQueries() {
+    const filter = elements.savedFilter.value.trim().toLowerCase();
+    const queries = savedQueries.filter(query => {
+        if (!filter) return true;
+        if (filter.startsWith('#')) return query.tags.includes(filter.slice(1));
+        return `${query.name} ${query.description || ''}`.toLowerCase().includes(filter);
+    });
+
+    if (!queries.length) {
+        elements.savedList.innerHTML = `<p style="color: var(--text-muted); text-align: center;">${savedQueries.length ? 'No saved queries match the filter' : 'No saved queries yet - use ⭐ on a generated query to save it'}</p>`;
+        return;
+    }
+
+    elements.savedList.innerHTML = queries.map(query => `
+    <div class="history-item saved-item" id="saved-${query.id}">
+      <div class="history-question">${escapeHtml(query.name)}</div>
+      ${query.description ? `<div class="saved-description">${escapeHtml(query.description)}</div>` : ''}
+      <div class="history-meta">
+        ${query.tags.map(tag => `<span class="saved-tag">#${escapeHtml(tag)}</span>`).join('')}
+        ${query.owner ? `<span>👤 ${escapeHtml(query.owner)}</span>` : ''}
+        ${query.connection ? `<span>🔌 ${escapeHtml(query.connection)}</span>` : ''}
+        <span>${query.runCount} runs</span>
+        ${query.lastRunAt ? `<span>last ${formatTime(query.lastRunAt)}</span>` : ''}
+      </div>
+      <div class="history-sql">${escapeHtml(query.sql)}</div>
+      <form class="saved-params" onsubmit="event.preventDefault(); runSavedQuery(${query.id})">
+        ${query.parameters.map(parameter => renderParameterInput(query.id, parameter)).join('')}
+        <div class="saved-actions">
+          <button type="submit" class="btn btn-primary btn-sm">▶ Run</button>
+          <button type="button" class="btn btn-danger btn-sm" onclick="deleteSavedQuery(${query.id})">Delete</button>
+        </div>
+      </form>
+      <div class="saved-results" id="saved-results-${query.id}"></div>
+    </div>
+  `).join('');
+}
+
+function renderDataTable(results) {
+    if (!results.length) {
+        return '<p style="color: var(--text-muted)">No results</p>';
+    }
+
+    const columns = Object.keys(results[0]);
+    return `
+      <div class="table-container">
+        <table class="data-table">
+          <thead><tr>${columns.map(col => `<th>${escapeHtml(col)}</th>`).join('')}</tr></thead>
+          <tbody>
+            ${results.map(row => `
+              <tr>${columns.map(col => row[col] === null
+                ? '<td class="null">NULL</td>'
+                : `<td>${escapeHtml(String(row[col]))}</td>`).join('')}</tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+}
+
+async function runSavedQuery(id) {
+    const item = document.getElementById(`saved-${id}`);
+    const output = document.getElementById(`saved-results-${id}`);
+    const params = {};
+
+    item.querySelectorAll('[data-param]').forEach(input => {
+        if (input.value !== '') params[input.dataset.param] = input.value;
+    });
+
+    output.innerHTML = '<div class="loading-spinner"></div>';
+
+    try {
+        const response = await fetch(`${API_BASE}/saved/${id}/run`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ params })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            const reasons = data.details?.errors?.map(error => `${error.parameter} ${error.message}`);
+            throw new Error(reasons ? reasons.join('; ') : data.error || 'Query failed');
+        }
+
+        output.innerHTML = `
+          <div class="history-meta">
+            <span>${data.rowCount} rows${data.limitApplied ? ' (limited)' : ''}</span>
+            <span>${data.executionTimeMs}ms</span>
+          </div>
+          ${renderDataTable(data.results)}
+        `;
+    } catch (error) {
+        output.innerHTML = `<p style="color: var(--error)">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function deleteSavedQuery(id) {
+    if (!confirm('Delete this saved query?')) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/saved/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete saved query');
+        }
+
+        showToast('Saved query deleted', 'success');
+        loadSavedQueries();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 // ============================================
 // Health Check
 // ============================================
@@ -498,7 +1227,8 @@ function showToast(message, type = 'info') {
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 function formatTime(timestamp) {
@@ -600,9 +1330,6 @@ async function uploadFile(file) {
         // Reload uploaded tables list
         loadUploadedTables();
 
-        // Clear cache to show new table in schema
-        await fetch(`${API_BASE}/cache/clear`, { method: 'POST' });
-
         // Reset progress after delay
         setTimeout(() => {
             elements.uploadProgress.style.display = 'none';
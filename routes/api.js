@@ -7,117 +7,300 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 
-const { queryFromQuestion, generateSQL, executeSQL, getExplainPlan } = require('../services/sqlService');
-const { getSchema, formatSchemaForPrompt } = require('../schema/introspect');
-const { formatSchemaDetailed, formatSchemaAsJSON } = require('../prompts/schemaFormatter');
+const {
+    queryFromQuestion,
+    streamFromQuestion,
+    generateSQL,
+    executeSQL,
+    openResultStream,
+    explainQuery,
+    explainSQLText,
+    suggestOptimizations,
+    loadSchema,
+    refreshSchema,
+    getSchemaCacheKey,
+    retrieveSchema,
+    resolveQueryTimeout
+} = require('../services/sqlService');
+const { getStreamFormat, createStreamWriter, pipeResultStream } = require('../utils/resultStream');
+const { formatSchemaForPrompt, formatSchemaDetailed, formatSchemaAsJSON } = require('../prompts/schemaFormatter');
+const { rankTables } = require('../schema/retrieval');
+const { isEmbeddingIndexEnabled, updateIndex, getIndexStatus, clearIndex } = require('../schema/embeddingIndex');
+const { getTableProfile, clearProfiles } = require('../schema/profile');
+const { diffSchemaSince, getSchemaHistory } = require('../schema/fingerprint');
 const { getHistory, getHistoryStats, clearHistory } = require('../utils/queryHistory');
 const { getCacheStats, clearAllCache, clearCacheKey } = require('../utils/cache');
-const { validateQueryRequest, validateSQLRequest } = require('../middleware/validator');
+const { validateQueryRequest, validateQueryStreamRequest, validateSQLRequest } = require('../middleware/validator');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { createAIRateLimiter } = require('../middleware/rateLimit');
-const { generateToken } = require('../middleware/auth');
+const { generateToken, isAdminSecret, requireRole } = require('../middleware/auth');
+const { getConnection, getConnectionOptions, getDefaultConnectionName, checkAllConnections } = require('../db/registry');
+const { getSession } = require('../utils/sessionStore');
+const { listProviders, getDefaultProviderName, checkProvidersHealth } = require('../ai/providers');
+const { getProviderChain, getCircuitStatus } = require('../ai/failover');
 
 // Apply stricter rate limiting to AI endpoints
 const aiRateLimiter = createAIRateLimiter();
 
+/**
+ * Resolve the connection of a question: a follow-up stays on its session's connection
+ * @param {string} [connection] - Requested connection name
+ * @param {Object|null} session - Conversation session
+ * @returns {Object} Registry entry
+ * @throws {Error} 400 if the request names a different connection than the session
+ */
+function resolveQueryConnection(connection, session) {
+    const sessionConnection = session ? session.connection || getDefaultConnectionName() : null;
+
+    if (session && connection && connection !== sessionConnection) {
+        const error = new Error(`Session ${session.id} uses connection "${sessionConnection}"; start a new session to query "${connection}"`);
+        error.statusCode = 400;
+        error.details = { connection, sessionConnection };
+        throw error;
+    }
+
+    return getConnection(connection || sessionConnection || undefined);
+}
+
 /**
  * @route   POST /api/query
- * @desc    Generate and execute SQL from natural language
+ * @desc    Generate and execute SQL from natural language.
+ *          ?stream=ndjson or Accept: text/event-stream streams the rows.
+ *          With sessionId, earlier turns of the conversation inform the SQL.
+ *          answerMode: rows (default), answer (a grounded one-paragraph answer
+ *          instead of the rows) or both.
  * @access  Public (or Protected if AUTH_ENABLED)
  */
 router.post('/query', aiRateLimiter, validateQueryRequest, asyncHandler(async (req, res) => {
-    const { question, explain } = req.body;
+    const { question, explain, answerMode, provider, timeoutMs, connection, sessionId } = req.body;
     const requestId = uuidv4();
 
-    // Get database from app context
-    const db = req.app.get('db');
-    const dbType = req.app.get('dbType');
+    // Follow-up questions continue a session (the caller's own) on the session's connection
+    const session = sessionId ? getSession(sessionId, req.user ? req.user.id : null) : null;
+
+    // Resolve the requested (or default) database connection
+    const conn = resolveQueryConnection(connection, session);
+
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat && answerMode && answerMode !== 'rows') {
+        return res.status(400).json({
+            success: false,
+            error: 'answerMode is not available when rows are streamed; use /api/query/stream for a streamed answer'
+        });
+    }
 
-    const result = await queryFromQuestion(question, db, {
+    if (streamFormat) {
+        const streamed = await streamFromQuestion(question, conn.db, {
+            ...getConnectionOptions(conn),
+            requestId,
+            provider,
+            session,
+            timeout: timeoutMs
+        });
+
+        const { summary, error } = await pipeResultStream(req, res, streamFormat, streamed.stream, {
+            question,
+            sql: streamed.sql,
+            attempts: streamed.attempts,
+            generationTimeMs: streamed.generationTimeMs,
+            metadata: streamed.metadata
+        });
+        streamed.recordHistory(summary, error);
+        return;
+    }
+
+    const result = await queryFromQuestion(question, conn.db, {
+        ...getConnectionOptions(conn),
         requestId,
-        dbType,
-        explain: explain === true
+        provider,
+        session,
+        timeout: timeoutMs,
+        explain: explain === true,
+        answerMode
     });
 
     res.json(result);
 }));
 
+/**
+ * @route   GET /api/query/stream?question=...&explain=true&answerMode=both
+ * @desc    Server-Sent Events: model tokens for the SQL draft, validation and
+ *          execution events (with rows), then tokens of the explanation and answer.
+ *          Events: start, token, failover, reset, validation, execution, repair, done, error
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/query/stream', aiRateLimiter, validateQueryStreamRequest, asyncHandler(async (req, res) => {
+    const { question, explain, answerMode, provider, timeoutMs, connection, sessionId } = req.body;
+    const requestId = uuidv4();
+
+    const session = sessionId ? getSession(sessionId, req.user ? req.user.id : null) : null;
+    const conn = resolveQueryConnection(connection, session);
+    const writer = createStreamWriter(res, 'sse');
+
+    writer.send('start', { requestId, question, connection: conn.name, sessionId: session ? session.id : null });
+
+    try {
+        const result = await queryFromQuestion(question, conn.db, {
+            ...getConnectionOptions(conn),
+            requestId,
+            provider,
+            session,
+            timeout: timeoutMs,
+            explain: explain === true,
+            answerMode,
+            onEvent: (type, data) => writer.send(type, data)
+        });
+
+        // Rows were already sent with the execution event
+        await writer.send('done', { ...result, results: undefined });
+    } catch (error) {
+        await writer.send('error', {
+            error: error.message,
+            statusCode: error.statusCode || 500,
+            details: error.details
+        });
+    }
+
+    writer.end();
+}));
+
 /**
  * @route   POST /api/generate
  * @desc    Generate SQL without executing
  * @access  Public
  */
 router.post('/generate', aiRateLimiter, validateQueryRequest, asyncHandler(async (req, res) => {
-    const { question } = req.body;
+    const { question, provider, connection } = req.body;
 
-    const db = req.app.get('db');
-    const dbType = req.app.get('dbType');
+    const conn = getConnection(connection);
 
-    const result = await generateSQL(question, db, { dbType });
+    const result = await generateSQL(question, conn.db, { ...getConnectionOptions(conn), provider });
 
     res.json({
         success: true,
         question,
         sql: result.sql,
-        generationTimeMs: result.generationTimeMs
+        provider: result.provider,
+        failovers: result.failovers,
+        generationTimeMs: result.generationTimeMs,
+        glossaryTermsUsed: result.glossaryTermsUsed
     });
 }));
 
 /**
  * @route   POST /api/execute
- * @desc    Execute provided SQL
+ * @desc    Execute provided SQL.
+ *          ?stream=ndjson or Accept: text/event-stream streams the rows.
  * @access  Public
  */
 router.post('/execute', validateSQLRequest, asyncHandler(async (req, res) => {
-    const { sql } = req.body;
+    const { sql, timeoutMs, connection } = req.body;
+
+    const conn = getConnection(connection);
 
-    const db = req.app.get('db');
+    const streamFormat = getStreamFormat(req);
+    if (streamFormat) {
+        const stream = await openResultStream(sql, conn.db, { ...getConnectionOptions(conn), timeout: timeoutMs });
+        await pipeResultStream(req, res, streamFormat, stream, { connection: conn.name, sql });
+        return;
+    }
 
-    const result = await executeSQL(sql, db);
+    const result = await executeSQL(sql, conn.db, { ...getConnectionOptions(conn), timeout: timeoutMs });
 
     res.json({
         success: true,
+        connection: conn.name,
         sql,
         results: result.results,
         rowCount: result.rowCount,
-        executionTimeMs: result.executionTimeMs
+        executionTimeMs: result.executionTimeMs,
+        timeoutMs: result.timeoutMs,
+        limitApplied: result.limitApplied
     });
 }));
 
+/**
+ * ANALYZE runs the query, so it needs an admin token
+ */
+function requireAdminToAnalyze(req, res, next) {
+    if (req.body.analyze === true) {
+        return requireRole('admin')(req, res, next);
+    }
+    next();
+}
+
 /**
  * @route   POST /api/explain
- * @desc    Get query explain plan
+ * @desc    Get query explain plan: the raw output, a normalised plan tree and
+ *          warnings. { "analyze": true } runs the query for actual rows and
+ *          timings (admin, PostgreSQL and MySQL 8.0.18+)
+ * @access  Public (ANALYZE: Admin)
+ */
+router.post('/explain', validateSQLRequest, requireAdminToAnalyze, asyncHandler(async (req, res) => {
+    const { sql, connection, analyze, timeoutMs } = req.body;
+
+    const conn = getConnection(connection);
+
+    const result = await explainQuery(sql, conn.db, { dbType: conn.type, analyze, timeout: timeoutMs });
+
+    res.json({
+        success: true,
+        sql,
+        ...result
+    });
+}));
+
+/**
+ * @route   POST /api/sql/explain-text
+ * @desc    Plain-English walkthrough of what a query does, clause by clause
+ * @access  Public
+ */
+router.post('/sql/explain-text', aiRateLimiter, validateSQLRequest, asyncHandler(async (req, res) => {
+    const { sql, provider, connection } = req.body;
+
+    const conn = getConnection(connection);
+
+    const result = await explainSQLText(sql, { dbType: conn.type, provider });
+
+    res.json({
+        success: true,
+        sql,
+        explanation: result.explanation,
+        provider: result.provider,
+        failovers: result.failovers
+    });
+}));
+
+/**
+ * @route   POST /api/sql/optimize
+ * @desc    Optimisation suggestions grounded in the query's EXPLAIN output
+ *          and the existing indexes of the tables it reads
  * @access  Public
  */
-router.post('/explain', validateSQLRequest, asyncHandler(async (req, res) => {
-    const { sql } = req.body;
+router.post('/sql/optimize', aiRateLimiter, validateSQLRequest, asyncHandler(async (req, res) => {
+    const { sql, provider, connection } = req.body;
 
-    const db = req.app.get('db');
-    const dbType = req.app.get('dbType');
+    const conn = getConnection(connection);
 
-    const plan = await getExplainPlan(sql, db, dbType);
+    const result = await suggestOptimizations(sql, conn.db, { ...getConnectionOptions(conn), provider });
 
     res.json({
         success: true,
         sql,
-        explainPlan: plan
+        ...result
     });
 }));
 
 /**
  * @route   GET /api/schema
- * @desc    Get database schema
+ * @desc    Get database schema (freshly introspected) with its fingerprint
  * @access  Public
  */
 router.get('/schema', asyncHandler(async (req, res) => {
-    const db = req.app.get('db');
-    const dbType = req.app.get('dbType');
+    const conn = getConnection(req.query.connection);
     const format = req.query.format || 'json'; // json, text, detailed
 
-    const schema = await getSchema(db, dbType, {
-        database: process.env.MYSQL_DATABASE || process.env.PG_DATABASE,
-        schema: 'public'
-    });
+    const { schema, fingerprint } = await refreshSchema(conn.db, getConnectionOptions(conn));
 
     let formattedSchema;
     switch (format) {
@@ -135,29 +318,158 @@ router.get('/schema', asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
+        connection: conn.name,
+        fingerprint,
         schema: formattedSchema,
         tableCount: Object.keys(schema).length
     });
 }));
 
+/**
+ * @route   GET /api/schema/diff?since=<fingerprint>
+ * @desc    Tables added and removed, and tables whose columns, keys, indexes or
+ *          checks changed since an earlier fingerprint of the connection's schema
+ * @access  Public
+ */
+router.get('/schema/diff', asyncHandler(async (req, res) => {
+    const { since } = req.query;
+    if (!since || typeof since !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'since query parameter is required'
+        });
+    }
+
+    const conn = getConnection(req.query.connection);
+    const options = getConnectionOptions(conn);
+    const key = getSchemaCacheKey(options);
+    const schema = await loadSchema(conn.db, options);
+
+    res.json({
+        success: true,
+        connection: conn.name,
+        ...diffSchemaSince(key, since, schema),
+        history: getSchemaHistory(key)
+    });
+}));
+
+/**
+ * @route   GET /api/schema/retrieval?question=...
+ * @desc    Show which tables would be sent to the model for a question,
+ *          with keyword and embedding scores per table
+ * @access  Admin
+ */
+router.get('/schema/retrieval', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { question } = req.query;
+    if (!question || typeof question !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'question query parameter is required'
+        });
+    }
+
+    const conn = getConnection(req.query.connection);
+    const options = getConnectionOptions(conn);
+    const limit = parseInt(req.query.limit) || 20;
+
+    const schema = await loadSchema(conn.db, options);
+    const retrieval = await retrieveSchema(question, conn.db, schema, { ...options, rankAll: true });
+    const ranking = rankTables(schema, question, retrieval).slice(0, limit);
+
+    res.json({
+        success: true,
+        connection: conn.name,
+        question,
+        pruned: retrieval.pruned,
+        tables: retrieval.tables,
+        totalTables: retrieval.totalTables,
+        ranking,
+        index: isEmbeddingIndexEnabled() ? getIndexStatus(getSchemaCacheKey(options)) : null
+    });
+}));
+
+/**
+ * @route   GET /api/schema/profile/:table
+ * @desc    Column statistics for a table: distinct count, null ratio, min/max,
+ *          date range and top values of categorical columns (?refresh=true re-profiles)
+ * @access  Public
+ */
+router.get('/schema/profile/:table', asyncHandler(async (req, res) => {
+    const conn = getConnection(req.query.connection);
+    const options = getConnectionOptions(conn);
+    const schema = await loadSchema(conn.db, options);
+
+    const tableName = schema[req.params.table]
+        ? req.params.table
+        : Object.keys(schema).find(name => name.toLowerCase() === req.params.table.toLowerCase());
+    if (!tableName) {
+        return res.status(404).json({
+            success: false,
+            error: `Table not found: ${req.params.table}`
+        });
+    }
+
+    const profile = await getTableProfile(conn.db, tableName, schema[tableName], {
+        ...options,
+        cacheKey: getSchemaCacheKey(options),
+        timeout: resolveQueryTimeout(),
+        refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+        success: true,
+        connection: conn.name,
+        profile
+    });
+}));
+
+/**
+ * @route   POST /api/schema/index/rebuild
+ * @desc    Rebuild a connection's embedding index from scratch ({ connection })
+ * @access  Admin
+ */
+router.post('/schema/index/rebuild', requireRole('admin'), asyncHandler(async (req, res) => {
+    const conn = getConnection(req.body.connection);
+    const options = getConnectionOptions(conn);
+    const key = getSchemaCacheKey(options);
+
+    clearCacheKey(key);
+    clearIndex(key);
+
+    const schema = await loadSchema(conn.db, options);
+    const changes = await updateIndex(key, schema, {
+        db: conn.db,
+        dbType: conn.type,
+        schema: options.schema
+    });
+
+    res.json({
+        success: true,
+        connection: conn.name,
+        indexed: changes.added.length,
+        index: getIndexStatus(key)
+    });
+}));
+
 /**
  * @route   GET /api/history
  * @desc    Get query history
  * @access  Public
  */
-router.get('/history', (req, res) => {
+router.get('/history', asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 100;
     const success = req.query.success !== undefined ? req.query.success === 'true' : undefined;
+    const verified = req.query.verified !== undefined ? req.query.verified === 'true' : undefined;
 
-    const history = getHistory({ limit, success });
-    const stats = getHistoryStats();
+    const history = await getHistory({ limit, success, verified, connection: req.query.connection });
+    const stats = await getHistoryStats();
 
     res.json({
         success: true,
         history,
         stats
     });
-});
+}));
 
 /**
  * @route   DELETE /api/history
@@ -187,7 +499,7 @@ router.get('/cache', (req, res) => {
 
 /**
  * @route   POST /api/cache/clear
- * @desc    Clear schema cache
+ * @desc    Clear schema cache (and cached column profiles)
  * @access  Public
  */
 router.post('/cache/clear', (req, res) => {
@@ -195,12 +507,14 @@ router.post('/cache/clear', (req, res) => {
 
     if (key) {
         clearCacheKey(key);
+        clearProfiles(key);
         res.json({
             success: true,
             message: `Cache key '${key}' cleared`
         });
     } else {
         clearAllCache();
+        clearProfiles();
         res.json({
             success: true,
             message: 'All cache cleared'
@@ -210,42 +524,73 @@ router.post('/cache/clear', (req, res) => {
 
 /**
  * @route   GET /api/health
- * @desc    Health check endpoint
+ * @desc    Health check endpoint (every registered connection)
  * @access  Public
  */
 router.get('/health', asyncHandler(async (req, res) => {
-    const db = req.app.get('db');
-    const dbType = req.app.get('dbType');
-
-    let dbHealth = { healthy: false, type: dbType };
-
-    try {
-        if (db && db.healthCheck) {
-            dbHealth = await db.healthCheck();
-        }
-    } catch (error) {
-        dbHealth.error = error.message;
-    }
+    const connections = await checkAllConnections();
+    const defaultConnection = connections.find(c => c.default) || { healthy: false };
 
     const health = {
         success: true,
-        status: dbHealth.healthy ? 'healthy' : 'degraded',
+        status: connections.every(c => c.healthy) ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
         version: '1.0.0',
-        database: dbHealth,
+        database: {
+            healthy: defaultConnection.healthy,
+            type: defaultConnection.type,
+            name: defaultConnection.name,
+            error: defaultConnection.error || undefined
+        },
+        connections,
         uptime: process.uptime()
     };
 
-    res.status(dbHealth.healthy ? 200 : 503).json(health);
+    res.status(defaultConnection.healthy ? 200 : 503).json(health);
 }));
 
 /**
- * @route   POST /api/auth/token
- * @desc    Generate API token (for demo purposes)
+ * @route   GET /api/providers
+ * @desc    List AI providers, failover chain, circuit state and health
  * @access  Public
  */
+router.get('/providers', asyncHandler(async (req, res) => {
+    const health = await checkProvidersHealth();
+
+    res.json({
+        success: true,
+        default: getDefaultProviderName(),
+        providers: listProviders(),
+        chain: getProviderChain(),
+        circuits: getCircuitStatus(),
+        health
+    });
+}));
+
+/**
+ * @route   POST /api/auth/token
+ * @desc    Generate API token (for demo purposes). { "role": "admin" } also
+ *          needs { "adminSecret": ADMIN_TOKEN_SECRET }
+ * @access  Public (admin tokens: ADMIN_TOKEN_SECRET holders)
+ */
 router.post('/auth/token', (req, res) => {
-    const { userId, role } = req.body;
+    const { userId, role, adminSecret } = req.body;
+
+    if (role !== undefined && !['user', 'admin'].includes(role)) {
+        return res.status(400).json({
+            success: false,
+            error: 'role must be "user" or "admin"'
+        });
+    }
+
+    if (role === 'admin' && !isAdminSecret(adminSecret)) {
+        return res.status(403).json({
+            success: false,
+            error: process.env.ADMIN_TOKEN_SECRET
+                ? 'Invalid adminSecret'
+                : 'Admin tokens cannot be issued: ADMIN_TOKEN_SECRET is not set'
+        });
+    }
 
     const token = generateToken({
         id: userId || 'demo-user',
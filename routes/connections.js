@@ -0,0 +1,89 @@
+/**
+ * Connection Routes
+ * Admin-only management of database connections at runtime
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    addConnection,
+    removeConnection,
+    testConnection,
+    testConnectionDefinition,
+    describeConnection,
+    listConnections
+} = require('../db/registry');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('admin'));
+
+/**
+ * @route   GET /api/connections
+ * @desc    List connections (credentials are never returned)
+ * @access  Admin
+ */
+router.get('/', (req, res) => {
+    const connections = listConnections();
+
+    res.json({
+        success: true,
+        connections,
+        count: connections.length
+    });
+});
+
+/**
+ * @route   POST /api/connections
+ * @desc    Register a connection from { name, dsn } or { name, type, host, port, user, password, database, ... }
+ * @access  Admin
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const entry = await addConnection(req.body);
+    const test = await testConnection(entry.name);
+
+    res.status(201).json({
+        success: true,
+        connection: describeConnection(entry),
+        test
+    });
+}));
+
+/**
+ * @route   POST /api/connections/test
+ * @desc    Test a connection definition without saving it
+ * @access  Admin
+ */
+router.post('/test', asyncHandler(async (req, res) => {
+    const result = await testConnectionDefinition(req.body);
+
+    res.status(result.success ? 200 : 400).json(result);
+}));
+
+/**
+ * @route   POST /api/connections/:name/test
+ * @desc    Test a registered connection (latency and server version)
+ * @access  Admin
+ */
+router.post('/:name/test', asyncHandler(async (req, res) => {
+    const result = await testConnection(req.params.name);
+
+    res.status(result.success ? 200 : 503).json(result);
+}));
+
+/**
+ * @route   DELETE /api/connections/:name
+ * @desc    Remove a connection added at runtime and close its pool
+ * @access  Admin
+ */
+router.delete('/:name', asyncHandler(async (req, res) => {
+    await removeConnection(req.params.name);
+
+    res.json({
+        success: true,
+        message: `Connection "${req.params.name}" removed`
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,125 @@
+/**
+ * Example Bank Routes
+ * Verified question/SQL pairs used as few-shot examples
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    listExamples,
+    promoteExample,
+    demoteExample,
+    findSimilarExamples,
+    exportExamples
+} = require('../utils/exampleBank');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Parse a history entry ID
+ * @param {string} value - Route parameter
+ * @returns {number|null} ID, or null if invalid
+ */
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * @route   GET /api/examples?connection=...
+ * @desc    List verified examples
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const examples = await listExamples({
+        connection: req.query.connection,
+        limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.json({
+        success: true,
+        examples,
+        count: examples.length
+    });
+}));
+
+/**
+ * @route   GET /api/examples/export?format=jsonl|json
+ * @desc    Download the example bank as { question, sql, connection } records
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/export', asyncHandler(async (req, res) => {
+    const format = req.query.format === 'json' ? 'json' : 'jsonl';
+    const examples = await listExamples({ connection: req.query.connection });
+
+    res.type(format === 'json' ? 'application/json' : 'application/x-ndjson');
+    res.attachment(`examples.${format}`);
+    res.send(exportExamples(examples, format));
+}));
+
+/**
+ * @route   GET /api/examples/similar?question=...
+ * @desc    Examples that would be added to the prompt for a question
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/similar', asyncHandler(async (req, res) => {
+    if (!req.query.question) {
+        return res.status(400).json({
+            success: false,
+            error: 'question query parameter is required'
+        });
+    }
+
+    const examples = await findSimilarExamples(req.query.question, { connection: req.query.connection });
+
+    res.json({
+        success: true,
+        examples
+    });
+}));
+
+/**
+ * @route   POST /api/examples/:id/promote
+ * @desc    Mark history entry :id as verified correct; { sql } replaces its SQL
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.post('/:id/promote', asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+    const { sql } = req.body || {};
+
+    if (id === null) {
+        return res.status(400).json({ success: false, error: 'Invalid history entry ID' });
+    }
+    if (sql !== undefined && (typeof sql !== 'string' || !sql.trim())) {
+        return res.status(400).json({ success: false, error: 'sql must be a non-empty string' });
+    }
+
+    const example = await promoteExample(id, { sql });
+
+    res.json({
+        success: true,
+        example
+    });
+}));
+
+/**
+ * @route   POST /api/examples/:id/demote
+ * @desc    Remove history entry :id from the example bank
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.post('/:id/demote', asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+
+    if (id === null) {
+        return res.status(400).json({ success: false, error: 'Invalid history entry ID' });
+    }
+
+    const example = await demoteExample(id);
+
+    res.json({
+        success: true,
+        example
+    });
+}));
+
+module.exports = router;
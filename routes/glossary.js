@@ -0,0 +1,97 @@
+/**
+ * Glossary Routes
+ * Business terms mapped to SQL expressions, filters and joins.
+ * Anyone may read the glossary; changing it requires the admin role.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { listTerms, getTerm, addTerm, updateTerm, removeTerm, reloadGlossary } = require('../utils/glossary');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * @route   GET /api/glossary?connection=...
+ * @desc    List glossary terms (optionally only those that apply to a connection)
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/', (req, res) => {
+    const terms = listTerms({ connection: req.query.connection });
+
+    res.json({
+        success: true,
+        terms,
+        count: terms.length
+    });
+});
+
+/**
+ * @route   POST /api/glossary/reload
+ * @desc    Read the glossary files again
+ * @access  Admin
+ */
+router.post('/reload', requireRole('admin'), (req, res) => {
+    const terms = reloadGlossary();
+
+    res.json({
+        success: true,
+        count: terms.size
+    });
+});
+
+/**
+ * @route   GET /api/glossary/:name
+ * @desc    Get a glossary term
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/:name', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        term: getTerm(req.params.name)
+    });
+}));
+
+/**
+ * @route   POST /api/glossary
+ * @desc    Add a term: { name, synonyms, description, expression, filter, joins, tables, connections }
+ * @access  Admin
+ */
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const term = addTerm(req.body);
+
+    res.status(201).json({
+        success: true,
+        term
+    });
+}));
+
+/**
+ * @route   PUT /api/glossary/:name
+ * @desc    Replace a term added through the API
+ * @access  Admin
+ */
+router.put('/:name', requireRole('admin'), asyncHandler(async (req, res) => {
+    const term = updateTerm(req.params.name, req.body || {});
+
+    res.json({
+        success: true,
+        term
+    });
+}));
+
+/**
+ * @route   DELETE /api/glossary/:name
+ * @desc    Remove a term added through the API
+ * @access  Admin
+ */
+router.delete('/:name', requireRole('admin'), asyncHandler(async (req, res) => {
+    removeTerm(req.params.name);
+
+    res.json({
+        success: true,
+        message: `Glossary term "${req.params.name}" removed`
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,188 @@
+/**
+ * Saved Query Routes
+ * Named, parameterised queries that can be run again with new values.
+ * Anyone may save and run queries; a query saved with a token can only be
+ * changed by its owner or an admin.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    listSavedQueries,
+    getSavedQuery,
+    createSavedQuery,
+    updateSavedQuery,
+    deleteSavedQuery,
+    recordSavedQueryRun,
+    compilePlaceholders,
+    normalizeSavedQuery,
+    bindParameters
+} = require('../utils/savedQueries');
+const { executeSQL, validateSQL } = require('../services/sqlService');
+const { replacePlaceholders } = require('../utils/sqlParser');
+const { getConnection, getConnectionOptions } = require('../db/registry');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { isValidTimeout } = require('../middleware/validator');
+const { optionalAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Parse a saved query ID
+ * @param {string} value - Route parameter
+ * @returns {number} ID
+ * @throws {Error} 400 if invalid
+ */
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        const error = new Error(`Invalid saved query ID: ${value}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return id;
+}
+
+/**
+ * Check that a query is a safe SELECT on the connection it will run on
+ * @param {Object} input - Request body
+ * @throws {Error} 400 for invalid fields, 403 for unsafe SQL
+ */
+function validateSavedQuery(input) {
+    const fields = normalizeSavedQuery(input);
+    const conn = getConnection(fields.connection || undefined);
+    validateSQL(replacePlaceholders(compilePlaceholders(fields.sql, conn.type).sql), conn.type);
+}
+
+// Owners are identified by their Bearer token, if any
+router.use(optionalAuth);
+
+/**
+ * @route   GET /api/saved?tag=...&owner=...&connection=...&search=...
+ * @desc    List saved queries
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const queries = await listSavedQueries({
+        tag: req.query.tag,
+        owner: req.query.owner,
+        connection: req.query.connection,
+        search: req.query.search
+    });
+
+    res.json({
+        success: true,
+        queries,
+        count: queries.length
+    });
+}));
+
+/**
+ * @route   GET /api/saved/:id
+ * @desc    Get a saved query
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        query: await getSavedQuery(parseId(req.params.id))
+    });
+}));
+
+/**
+ * @route   POST /api/saved
+ * @desc    Save a query: { name, description, sql, parameters, tags, connection }.
+ *          Parameters are :name placeholders in the SQL, declared as
+ *          { name, type, label, description, required, default, values }.
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    validateSavedQuery(req.body || {});
+
+    const query = await createSavedQuery(req.body, { owner: req.user ? req.user.id : null });
+    logger.info(`Saved query "${query.name}" (${query.id})`);
+
+    res.status(201).json({
+        success: true,
+        query
+    });
+}));
+
+/**
+ * @route   PUT /api/saved/:id
+ * @desc    Replace a saved query
+ * @access  Owner or admin (anyone for queries saved without a token)
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+    validateSavedQuery(req.body || {});
+
+    res.json({
+        success: true,
+        query: await updateSavedQuery(id, req.body, req.user)
+    });
+}));
+
+/**
+ * @route   DELETE /api/saved/:id
+ * @desc    Delete a saved query
+ * @access  Owner or admin (anyone for queries saved without a token)
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    await deleteSavedQuery(parseId(req.params.id), req.user);
+
+    res.json({
+        success: true,
+        message: 'Saved query deleted'
+    });
+}));
+
+/**
+ * @route   POST /api/saved/:id/run
+ * @desc    Run a saved query: { params: { country: "USA" }, timeoutMs, connection }.
+ *          Values are typed and bound as driver parameters, never spliced into the SQL.
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.post('/:id/run', asyncHandler(async (req, res) => {
+    const query = await getSavedQuery(parseId(req.params.id));
+    const { params = {}, timeoutMs, connection } = req.body || {};
+
+    if (typeof params !== 'object' || Array.isArray(params)) {
+        return res.status(400).json({
+            success: false,
+            error: 'params must be an object of parameter values'
+        });
+    }
+
+    if (!isValidTimeout(timeoutMs)) {
+        return res.status(400).json({
+            success: false,
+            error: 'timeoutMs must be a positive integer (milliseconds)'
+        });
+    }
+
+    const conn = getConnection(connection || query.connection || undefined);
+    const bound = bindParameters(query, params, conn.type);
+
+    const result = await executeSQL(bound.sql, conn.db, {
+        ...getConnectionOptions(conn),
+        params: bound.params,
+        timeout: timeoutMs
+    });
+    await recordSavedQueryRun(query.id);
+
+    res.json({
+        success: true,
+        connection: conn.name,
+        query: { id: query.id, name: query.name },
+        params: bound.values,
+        sql: bound.sql,
+        results: result.results,
+        rowCount: result.rowCount,
+        executionTimeMs: result.executionTimeMs,
+        timeoutMs: result.timeoutMs,
+        limitApplied: result.limitApplied
+    });
+}));
+
+module.exports = router;
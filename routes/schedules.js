@@ -0,0 +1,179 @@
+/**
+ * Schedule Routes
+ * Cron-style schedules for saved or ad-hoc SQL, with run history, result
+ * diffs and threshold alerts. All routes need an admin token: schedules
+ * hold sink settings (webhook URLs, headers) and send data out of the server.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    normalizeSchedule,
+    mergeScheduleInput,
+    getScheduleRuns
+} = require('../utils/schedules');
+const { getSavedQuery, bindParameters } = require('../utils/savedQueries');
+const { runSchedule } = require('../services/scheduler');
+const { listSinks } = require('../services/alertSinks');
+const { validateSQL } = require('../services/sqlService');
+const { getConnection } = require('../db/registry');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireRole } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * Parse a schedule ID
+ * @param {string} value - Route parameter
+ * @returns {number} ID
+ * @throws {Error} 400 if invalid
+ */
+function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        const error = new Error(`Invalid schedule ID: ${value}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return id;
+}
+
+/**
+ * Check that a schedule's query can run: a safe SELECT for ad-hoc SQL, or an
+ * existing saved query whose parameters bind
+ * @param {Object} input - Schedule fields
+ * @throws {Error} 400 for invalid fields or parameters, 403 for unsafe SQL, 404 unknown saved query
+ */
+async function validateScheduleQuery(input) {
+    const fields = normalizeSchedule(input);
+
+    if (fields.savedQueryId) {
+        const savedQuery = await getSavedQuery(fields.savedQueryId);
+        const conn = getConnection(fields.connection || savedQuery.connection || undefined);
+        bindParameters(savedQuery, fields.params, conn.type);
+    } else {
+        const conn = getConnection(fields.connection || undefined);
+        validateSQL(fields.sql, conn.type);
+    }
+}
+
+router.use(requireRole('admin'));
+
+/**
+ * @route   GET /api/schedules
+ * @desc    List schedules and the available alert sinks
+ * @access  Admin
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const schedules = await listSchedules();
+
+    res.json({
+        success: true,
+        schedules,
+        count: schedules.length,
+        sinks: listSinks()
+    });
+}));
+
+/**
+ * @route   GET /api/schedules/:id
+ * @desc    Get a schedule
+ * @access  Admin
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        schedule: await getSchedule(parseId(req.params.id))
+    });
+}));
+
+/**
+ * @route   GET /api/schedules/:id/runs?limit=20&status=failed
+ * @desc    Run history, newest first: snapshot, metrics, diff against the
+ *          previous successful run, alerts and their deliveries
+ * @access  Admin
+ */
+router.get('/:id/runs', asyncHandler(async (req, res) => {
+    const schedule = await getSchedule(parseId(req.params.id));
+    const runs = await getScheduleRuns(schedule.id, {
+        limit: req.query.limit,
+        status: req.query.status
+    });
+
+    res.json({
+        success: true,
+        schedule: { id: schedule.id, name: schedule.name, cron: schedule.cron, nextRunAt: schedule.nextRunAt },
+        runs,
+        count: runs.length
+    });
+}));
+
+/**
+ * @route   POST /api/schedules
+ * @desc    Create a schedule: { name, cron, savedQueryId + params | sql, connection,
+ *          rules, sinks, snapshotRows, enabled }
+ * @access  Admin
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    await validateScheduleQuery(req.body || {});
+
+    const schedule = await createSchedule(req.body, { owner: req.user.id });
+    logger.info(`Scheduled "${schedule.name}" (${schedule.cron})${schedule.enabled ? '' : ', disabled'}`);
+
+    res.status(201).json({
+        success: true,
+        schedule
+    });
+}));
+
+/**
+ * @route   PUT /api/schedules/:id
+ * @desc    Update a schedule (fields not given are kept)
+ * @access  Admin
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+    const input = req.body || {};
+    await validateScheduleQuery(mergeScheduleInput(await getSchedule(id), input));
+
+    res.json({
+        success: true,
+        schedule: await updateSchedule(id, input)
+    });
+}));
+
+/**
+ * @route   DELETE /api/schedules/:id
+ * @desc    Delete a schedule and its run history
+ * @access  Admin
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    await deleteSchedule(parseId(req.params.id));
+
+    res.json({
+        success: true,
+        message: 'Schedule deleted'
+    });
+}));
+
+/**
+ * @route   POST /api/schedules/:id/run
+ * @desc    Run a schedule now (its next scheduled run is unchanged)
+ * @access  Admin
+ */
+router.post('/:id/run', asyncHandler(async (req, res) => {
+    const schedule = await getSchedule(parseId(req.params.id));
+    const run = await runSchedule(schedule, { trigger: 'manual' });
+
+    res.json({
+        success: true,
+        run
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,90 @@
+/**
+ * Session Routes
+ * Conversations of follow-up questions: list, resume and delete.
+ * Sessions belong to the user who started them (everyone shares the
+ * anonymous user when AUTH_ENABLED is off).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { createSession, getSession, listSessions, deleteSession } = require('../utils/sessionStore');
+const { getConnection } = require('../db/registry');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @param {Object} req - Express request
+ * @returns {string|null} ID of the requesting user
+ */
+function getOwner(req) {
+    return req.user ? req.user.id : null;
+}
+
+/**
+ * @route   POST /api/sessions
+ * @desc    Start a conversation, optionally bound to a connection: { title, connection }
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const { title, connection } = req.body || {};
+
+    if (title !== undefined && typeof title !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'title must be a string'
+        });
+    }
+
+    // Reject unknown connections up front rather than on the first question
+    const conn = connection !== undefined ? getConnection(connection) : null;
+
+    const session = createSession({ title, connection: conn ? conn.name : null, owner: getOwner(req) });
+
+    res.status(201).json({
+        success: true,
+        session
+    });
+}));
+
+/**
+ * @route   GET /api/sessions
+ * @desc    List conversations, most recently active first
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/', (req, res) => {
+    const sessions = listSessions(getOwner(req));
+
+    res.json({
+        success: true,
+        sessions,
+        count: sessions.length
+    });
+});
+
+/**
+ * @route   GET /api/sessions/:id
+ * @desc    Get a conversation with its turns (to resume it)
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        session: getSession(req.params.id, getOwner(req))
+    });
+}));
+
+/**
+ * @route   DELETE /api/sessions/:id
+ * @desc    Delete a conversation
+ * @access  Public (or Protected if AUTH_ENABLED)
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    deleteSession(req.params.id, getOwner(req));
+
+    res.json({
+        success: true,
+        message: 'Session deleted'
+    });
+}));
+
+module.exports = router;
@@ -17,7 +17,8 @@ const {
     MAX_FILE_SIZE
 } = require('../services/fileUpload');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { clearAllCache } = require('../utils/cache');
+const { clearCacheKey } = require('../utils/cache');
+const { getConnection } = require('../db/registry');
 const logger = require('../utils/logger');
 
 // Configure multer for file uploads
@@ -71,19 +72,19 @@ router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
         // Parse the file
         const parsed = await parseFile(req.file);
 
-        // Get database connection
-        const db = req.app.get('db');
+        // Get database connection (multipart field "connection", default otherwise)
+        const conn = getConnection(req.body.connection);
 
         // Create table from data
         const result = await createTableFromData(
-            db,
+            conn.db,
             parsed.tableName,
             parsed.data,
             parsed.columns
         );
 
-        // Clear schema cache so new table shows up
-        clearAllCache();
+        // Clear this connection's schema cache so the new table shows up
+        clearCacheKey(conn.cacheKey);
 
         // Clean up uploaded file
         fs.unlinkSync(req.file.path);
@@ -93,6 +94,7 @@ router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
         res.json({
             success: true,
             message: `File uploaded successfully! Table "${result.tableName}" created.`,
+            connection: conn.name,
             table: {
                 name: result.tableName,
                 originalFile: parsed.originalName,
@@ -116,13 +118,13 @@ router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
  * @access  Public
  */
 router.get('/', asyncHandler(async (req, res) => {
-    const db = req.app.get('db');
-    const dbType = req.app.get('dbType');
+    const conn = getConnection(req.query.connection);
 
-    const tables = await listUploadedTables(db, dbType);
+    const tables = await listUploadedTables(conn.db, conn.type);
 
     res.json({
         success: true,
+        connection: conn.name,
         uploadedTables: tables,
         count: tables.length
     });
@@ -135,12 +137,12 @@ router.get('/', asyncHandler(async (req, res) => {
  */
 router.delete('/:tableName', asyncHandler(async (req, res) => {
     const { tableName } = req.params;
-    const db = req.app.get('db');
+    const conn = getConnection(req.query.connection);
 
-    await deleteUploadedTable(db, tableName);
+    await deleteUploadedTable(conn.db, tableName);
 
-    // Clear schema cache
-    clearAllCache();
+    // Clear this connection's schema cache
+    clearCacheKey(conn.cacheKey);
 
     logger.info(`Deleted uploaded table: ${tableName}`);
 
@@ -0,0 +1,272 @@
+/**
+ * Schema Embedding Index
+ * One vector per table, built from its name, column names, comments and
+ * distinct sample values. Indexes are kept per connection, persisted to disk
+ * and updated incrementally: only tables whose structure changed are re-embedded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getEmbedder, getDefaultEmbedderName, cosineSimilarity } = require('../ai/embeddings');
+const { getSampleValues } = require('./introspect');
+const logger = require('../utils/logger');
+
+const INDEX_VERSION = 1;
+const EMBED_BATCH_SIZE = 32;
+
+// Loaded indexes, keyed by schema cache key
+const indexes = new Map();
+
+// In-flight updates, so concurrent questions share one rebuild
+const pending = new Map();
+
+/**
+ * Whether semantic retrieval is enabled (SCHEMA_EMBEDDINGS, default true)
+ * @returns {boolean}
+ */
+function isEmbeddingIndexEnabled() {
+  return process.env.SCHEMA_EMBEDDINGS !== 'false';
+}
+
+/**
+ * Identify the embedder and model so a persisted index built with
+ * another model is not reused
+ * @returns {string} Embedder id
+ */
+function getEmbedderId() {
+  const name = getDefaultEmbedderName();
+  return name === 'hash' ? name : `${name}:${process.env.EMBEDDING_MODEL || 'default'}`;
+}
+
+/**
+ * File an index is persisted to
+ * @param {string} key - Schema cache key
+ * @returns {string} Path
+ */
+function getIndexPath(key) {
+  const dir = process.env.EMBEDDING_INDEX_DIR || path.join(__dirname, '..', 'data', 'embeddings');
+  return path.join(dir, `${key.replace(/[^a-zA-Z0-9_-]+/g, '_')}.json`);
+}
+
+/**
+ * Hash of what defines a table's document apart from sample values
+ * @param {string} tableName - Table name
+ * @param {Object} tableInfo - Table from introspection
+ * @returns {string} Hash
+ */
+function hashTable(tableName, tableInfo) {
+  const structure = {
+    name: tableName,
+    type: tableInfo.type || 'table',
+    comment: tableInfo.comment || null,
+    columns: (tableInfo.columns || []).map(col => [col.name, col.type, col.comment || null, col.enumValues || null])
+  };
+  return crypto.createHash('sha1').update(JSON.stringify(structure)).digest('hex');
+}
+
+/**
+ * Text embedded for a table
+ * @param {string} tableName - Table name
+ * @param {Object} tableInfo - Table from introspection
+ * @param {Object} samples - Column name -> sample values
+ * @returns {string} Document text
+ */
+function describeTable(tableName, tableInfo, samples = {}) {
+  const kind = tableInfo.type || 'table';
+  const lines = [`${kind} ${tableName}${tableInfo.comment ? `: ${tableInfo.comment}` : ''}`];
+
+  for (const col of tableInfo.columns || []) {
+    const values = samples[col.name]?.length ? samples[col.name] : (col.enumValues || []).slice(0, 10);
+    lines.push([
+      `column ${col.name}`,
+      col.comment ? `: ${col.comment}` : '',
+      values.length > 0 ? ` (e.g. ${values.join(', ')})` : ''
+    ].join(''));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Get an index from memory or disk, or an empty one
+ * @param {string} key - Schema cache key
+ * @returns {Object} Index
+ */
+function loadIndex(key) {
+  if (indexes.has(key)) return indexes.get(key);
+
+  const embedder = getEmbedderId();
+  let index = { version: INDEX_VERSION, embedder, builtAt: null, updatedAt: null, tables: {} };
+
+  const file = getIndexPath(key);
+  if (fs.existsSync(file)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (stored.version === INDEX_VERSION && stored.embedder === embedder) {
+        index = stored;
+      } else {
+        logger.info(`Embedding index for ${key} was built with ${stored.embedder}, rebuilding with ${embedder}`);
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable embedding index ${file}: ${error.message}`);
+    }
+  }
+
+  indexes.set(key, index);
+  return index;
+}
+
+/**
+ * Persist an index
+ * @param {string} key - Schema cache key
+ * @param {Object} index - Index
+ */
+function saveIndex(key, index) {
+  const file = getIndexPath(key);
+  const { schemaRef, ...stored } = index;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(stored));
+}
+
+/**
+ * Bring an index up to date with a schema.
+ * New and changed tables are embedded (with fresh sample values), dropped tables are removed.
+ * A schema object that was already indexed is skipped, so this is cheap until the
+ * schema cache is invalidated and introspection returns a new schema.
+ * @param {string} key - Schema cache key
+ * @param {Object} schema - Schema object
+ * @param {Object} options - { db, dbType, schema: PostgreSQL schema name, force }
+ * @returns {Promise<Object>} { added, updated, removed, unchanged }
+ */
+async function updateIndex(key, schema, options = {}) {
+  const index = loadIndex(key);
+  if (index.schemaRef === schema && !options.force) {
+    return { added: [], updated: [], removed: [], unchanged: Object.keys(index.tables).length };
+  }
+
+  if (pending.has(key)) return pending.get(key);
+
+  const update = (async () => {
+    const changes = { added: [], updated: [], removed: [], unchanged: 0 };
+    const stale = [];
+
+    for (const [tableName, tableInfo] of Object.entries(schema)) {
+      const hash = hashTable(tableName, tableInfo);
+      const entry = index.tables[tableName];
+      if (entry && entry.hash === hash && !options.force) {
+        changes.unchanged++;
+      } else {
+        (entry ? changes.updated : changes.added).push(tableName);
+        stale.push({ tableName, tableInfo, hash });
+      }
+    }
+
+    for (const tableName of Object.keys(index.tables)) {
+      if (!schema[tableName]) {
+        delete index.tables[tableName];
+        changes.removed.push(tableName);
+      }
+    }
+
+    const embedder = getEmbedder();
+    for (let i = 0; i < stale.length; i += EMBED_BATCH_SIZE) {
+      const batch = stale.slice(i, i + EMBED_BATCH_SIZE);
+      const texts = [];
+
+      for (const { tableName, tableInfo } of batch) {
+        const samples = options.db && process.env.EMBEDDING_SAMPLE_VALUES !== 'false'
+          ? await getSampleValues(options.db, options.dbType, tableName, tableInfo, {
+            limit: parseInt(process.env.EMBEDDING_SAMPLE_LIMIT) || 5,
+            schema: options.schema
+          })
+          : {};
+        texts.push(describeTable(tableName, tableInfo, samples));
+      }
+
+      const vectors = await embedder.embed(texts);
+      batch.forEach(({ tableName, hash }, j) => {
+        index.tables[tableName] = { hash, text: texts[j], vector: vectors[j] };
+      });
+    }
+
+    const now = new Date().toISOString();
+    index.builtAt = index.builtAt || now;
+    if (stale.length > 0 || changes.removed.length > 0) {
+      index.updatedAt = now;
+      saveIndex(key, index);
+      logger.info(`Embedding index ${key}: ${changes.added.length} added, ${changes.updated.length} updated, ${changes.removed.length} removed`);
+    }
+    index.schemaRef = schema;
+
+    return changes;
+  })();
+
+  pending.set(key, update);
+  try {
+    return await update;
+  } finally {
+    pending.delete(key);
+  }
+}
+
+/**
+ * Rank a schema's tables by semantic similarity to a question
+ * @param {string} key - Schema cache key
+ * @param {Object} schema - Schema object
+ * @param {string} question - User question
+ * @param {Object} options - Passed to updateIndex
+ * @returns {Promise<Map<string, number>>} Table -> similarity
+ */
+async function searchIndex(key, schema, question, options = {}) {
+  await updateIndex(key, schema, options);
+
+  const index = loadIndex(key);
+  const [queryVector] = await getEmbedder().embed([question]);
+  const similarities = new Map();
+
+  for (const tableName of Object.keys(schema)) {
+    const entry = index.tables[tableName];
+    if (entry) similarities.set(tableName, cosineSimilarity(queryVector, entry.vector));
+  }
+
+  return similarities;
+}
+
+/**
+ * Describe an index (for the admin endpoint)
+ * @param {string} key - Schema cache key
+ * @returns {Object} Status
+ */
+function getIndexStatus(key) {
+  const index = loadIndex(key);
+
+  return {
+    embedder: index.embedder,
+    tables: Object.keys(index.tables).length,
+    builtAt: index.builtAt,
+    updatedAt: index.updatedAt,
+    path: path.relative(process.cwd(), getIndexPath(key))
+  };
+}
+
+/**
+ * Forget an index in memory and on disk
+ * @param {string} key - Schema cache key
+ */
+function clearIndex(key) {
+  indexes.delete(key);
+
+  const file = getIndexPath(key);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+module.exports = {
+  isEmbeddingIndexEnabled,
+  updateIndex,
+  searchIndex,
+  getIndexStatus,
+  clearIndex,
+  describeTable
+};
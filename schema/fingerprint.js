@@ -0,0 +1,228 @@
+/**
+ * Schema Fingerprinting
+ * Hashes the introspected structure of a schema (tables, columns, keys,
+ * indexes and constraints) and keeps the last few structures per connection,
+ * so DDL changes can be detected and diffed against an earlier fingerprint.
+ */
+
+const crypto = require('crypto');
+
+// Recent structures, keyed by schema cache key (oldest first)
+const history = new Map();
+
+/**
+ * Number of structures kept per connection (SCHEMA_HISTORY_SIZE, default 10)
+ * @returns {number}
+ */
+function getHistorySize() {
+  return parseInt(process.env.SCHEMA_HISTORY_SIZE) || 10;
+}
+
+/**
+ * Reduce a column to what DDL can change (profiles and sample values are left out)
+ * @param {Object} column - Column from introspection
+ * @returns {Object} Column structure
+ */
+function describeColumn(column) {
+  return {
+    type: column.type || null,
+    nullable: column.nullable !== false,
+    primaryKey: !!column.primaryKey,
+    defaultValue: column.defaultValue ?? null,
+    comment: column.comment || null,
+    enumValues: column.enumValues || null
+  };
+}
+
+/**
+ * Reduce a schema to its structure, with stable key order
+ * @param {Object} schema - Schema object from introspection
+ * @returns {Object} Structure keyed by table
+ */
+function getStructure(schema) {
+  const structure = {};
+
+  for (const tableName of Object.keys(schema).sort()) {
+    const tableInfo = schema[tableName];
+    const columns = {};
+    for (const column of tableInfo.columns || []) {
+      columns[column.name] = describeColumn(column);
+    }
+
+    structure[tableName] = {
+      type: tableInfo.type || 'table',
+      comment: tableInfo.comment || null,
+      columns,
+      foreignKeys: (tableInfo.foreignKeys || [])
+        .map(fk => `${fk.column} -> ${fk.referencesTable}.${fk.referencesColumn}`)
+        .sort(),
+      indexes: (tableInfo.indexes || [])
+        .map(index => `${index.primary ? 'primary ' : index.unique ? 'unique ' : ''}${index.name} (${index.columns.join(', ')})`)
+        .sort(),
+      checks: (tableInfo.checks || []).map(check => check.expression).sort()
+    };
+  }
+
+  return structure;
+}
+
+/**
+ * Fingerprint of a schema structure
+ * @param {Object} structure - Structure from getStructure
+ * @returns {string} 16-character hex hash
+ */
+function hashStructure(structure) {
+  return crypto.createHash('sha256').update(JSON.stringify(structure)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Fingerprint of a schema; equal for schemas with the same structure
+ * @param {Object} schema - Schema object from introspection
+ * @returns {string} Fingerprint
+ */
+function getSchemaFingerprint(schema) {
+  return hashStructure(getStructure(schema));
+}
+
+/**
+ * Record a connection's freshly introspected schema
+ * @param {string} cacheKey - Schema cache key of the connection
+ * @param {Object} schema - Schema object from introspection
+ * @returns {{fingerprint: string, previous: string|null, changed: boolean}}
+ *          changed is true when an earlier, different structure was recorded
+ */
+function recordSchema(cacheKey, schema) {
+  const structure = getStructure(schema);
+  const fingerprint = hashStructure(structure);
+  const entries = history.get(cacheKey) || [];
+  const latest = entries[entries.length - 1];
+  const now = new Date().toISOString();
+
+  if (latest && latest.fingerprint === fingerprint) {
+    latest.checkedAt = now;
+    return { fingerprint, previous: fingerprint, changed: false };
+  }
+
+  // A structure seen before (e.g. a reverted migration) moves to the end
+  const kept = entries.filter(entry => entry.fingerprint !== fingerprint);
+  kept.push({ fingerprint, structure, detectedAt: now, checkedAt: now });
+  history.set(cacheKey, kept.slice(-getHistorySize()));
+
+  return { fingerprint, previous: latest ? latest.fingerprint : null, changed: !!latest };
+}
+
+/**
+ * Recorded fingerprints of a connection, newest first
+ * @param {string} cacheKey - Schema cache key
+ * @returns {Array<Object>} { fingerprint, detectedAt, checkedAt }
+ */
+function getSchemaHistory(cacheKey) {
+  return (history.get(cacheKey) || [])
+    .map(({ fingerprint, detectedAt, checkedAt }) => ({ fingerprint, detectedAt, checkedAt }))
+    .reverse();
+}
+
+/**
+ * Compare two values by their JSON form
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Changes between two structures
+ * @param {Object} before - Earlier structure
+ * @param {Object} after - Current structure
+ * @returns {Object} { added, removed, changed } where added/removed are table
+ *          names and changed lists { table, addedColumns, removedColumns,
+ *          changedColumns: [{ name, before, after }], changes: other changed properties }
+ */
+function diffStructures(before, after) {
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const tableName of Object.keys(after)) {
+    if (!before[tableName]) diff.added.push(tableName);
+  }
+
+  for (const [tableName, old] of Object.entries(before)) {
+    const current = after[tableName];
+    if (!current) {
+      diff.removed.push(tableName);
+      continue;
+    }
+
+    const addedColumns = Object.keys(current.columns).filter(name => !old.columns[name]);
+    const removedColumns = Object.keys(old.columns).filter(name => !current.columns[name]);
+    const changedColumns = Object.keys(current.columns)
+      .filter(name => old.columns[name] && !isEqual(old.columns[name], current.columns[name]))
+      .map(name => ({ name, before: old.columns[name], after: current.columns[name] }));
+    const changes = ['type', 'comment', 'foreignKeys', 'indexes', 'checks']
+      .filter(property => !isEqual(old[property], current[property]));
+    if (!addedColumns.length && !removedColumns.length && !isEqual(Object.keys(old.columns), Object.keys(current.columns))) {
+      changes.push('columnOrder');
+    }
+
+    if (addedColumns.length || removedColumns.length || changedColumns.length || changes.length) {
+      diff.changed.push({ table: tableName, addedColumns, removedColumns, changedColumns, changes });
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Changes to a connection's schema since an earlier fingerprint
+ * @param {string} cacheKey - Schema cache key
+ * @param {string} since - Earlier fingerprint
+ * @param {Object} schema - Current schema
+ * @returns {Object} { since, fingerprint, hasChanges, added, removed, changed }
+ * @throws {Error} 404 when the fingerprint is not in the connection's history
+ */
+function diffSchemaSince(cacheKey, since, schema) {
+  const structure = getStructure(schema);
+  const fingerprint = hashStructure(structure);
+
+  if (since === fingerprint) {
+    return { since, fingerprint, hasChanges: false, added: [], removed: [], changed: [] };
+  }
+
+  const earlier = (history.get(cacheKey) || []).find(entry => entry.fingerprint === since);
+  if (!earlier) {
+    const error = new Error(`Unknown schema fingerprint: ${since}`);
+    error.statusCode = 404;
+    error.details = { fingerprint, history: getSchemaHistory(cacheKey) };
+    throw error;
+  }
+
+  const diff = diffStructures(earlier.structure, structure);
+  return {
+    since,
+    fingerprint,
+    hasChanges: diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0,
+    ...diff
+  };
+}
+
+/**
+ * Forget recorded structures
+ * @param {string} [cacheKey] - Only this connection's history (all when omitted)
+ */
+function clearSchemaHistory(cacheKey) {
+  if (cacheKey) {
+    history.delete(cacheKey);
+  } else {
+    history.clear();
+  }
+}
+
+module.exports = {
+  getSchemaFingerprint,
+  recordSchema,
+  getSchemaHistory,
+  diffStructures,
+  diffSchemaSince,
+  clearSchemaHistory
+};
@@ -3,182 +3,575 @@
  * Dynamically extracts database schema for SQLite, MySQL, and PostgreSQL
  */
 
+/**
+ * Find the CHECK constraints in a CREATE TABLE statement
+ * (SQLite only keeps constraints in the table's SQL)
+ * @param {string} sql - CREATE TABLE statement
+ * @returns {Array<{name: string|null, expression: string}>} Check constraints
+ */
+function parseCheckConstraints(sql) {
+  const checks = [];
+  const pattern = /(?:CONSTRAINT\s+("[^"]+"|`[^`]+`|\[[^\]]+\]|\w+)\s+)?CHECK\s*\(/gi;
+  let match;
+
+  while ((match = pattern.exec(sql || '')) !== null) {
+    // Walk to the matching parenthesis, skipping string literals
+    let depth = 1;
+    let i = pattern.lastIndex;
+    let quote = null;
+    for (; i < sql.length && depth > 0; i++) {
+      const ch = sql[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '\'' || ch === '"') {
+        quote = ch;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+      }
+    }
+
+    checks.push({
+      name: match[1] ? match[1].replace(/^["`[]|["`\]]$/g, '') : null,
+      expression: sql.slice(pattern.lastIndex, i - 1).trim()
+    });
+    pattern.lastIndex = i;
+  }
+
+  return checks;
+}
+
+/**
+ * Parse a list of quoted string literals ('a', 'b'::text, _utf8mb4'c')
+ * @param {string} list - Literal list
+ * @returns {Array<string>} Values
+ */
+function parseStringLiterals(list) {
+  return [...list.matchAll(/(?:_\w+)?'((?:[^']|'')*)'/g)].map(m => m[1].replace(/''/g, '\''));
+}
+
+/**
+ * Read the allowed values of columns restricted by CHECK constraints such as
+ * status IN ('open', 'closed') or status = ANY (ARRAY['open', 'closed'])
+ * @param {Array<Object>} checks - Check constraints
+ * @returns {Map<string, Array<string>>} Column name -> allowed values
+ */
+function enumValuesFromChecks(checks) {
+  const values = new Map();
+
+  for (const check of checks) {
+    const expression = check.expression.replace(/^CHECK\s*/i, '').replace(/^\(+|\)+$/g, '').trim();
+    const match = expression.match(/^["`[]?(\w+)["`\]]?\)?(?:::[\w ]+?)?\s+IN\s*\((.*)$/is)
+      || expression.match(/^["`[]?(\w+)["`\]]?\)?(?:::[\w ]+?)?\s*=\s*ANY\s*\(+\s*ARRAY\s*\[(.*)\]/is);
+    if (!match) continue;
+
+    const literals = parseStringLiterals(match[2]);
+    if (literals.length > 0) values.set(match[1].toLowerCase(), literals);
+  }
+
+  return values;
+}
+
+/**
+ * Attach CHECK-derived allowed values to columns that have none
+ * @param {Object} tableInfo - Table from introspection
+ */
+function applyCheckEnumValues(tableInfo) {
+  const values = enumValuesFromChecks(tableInfo.checks || []);
+  for (const col of tableInfo.columns) {
+    if (!col.enumValues && values.has(col.name.toLowerCase())) {
+      col.enumValues = values.get(col.name.toLowerCase());
+    }
+  }
+}
+
+/**
+ * Group rows by a key
+ * @param {Array<Object>} rows - Rows
+ * @param {Function} getKey - Row -> key
+ * @returns {Map<string, Array<Object>>} Key -> rows, in row order
+ */
+function groupRows(rows, getKey) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = String(getKey(row));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
 /**
  * Get schema for SQLite database
+ * Columns, foreign keys and indexes of all tables are read with one query each
+ * through the pragma table-valued functions.
  * @param {import('better-sqlite3').Database} db - SQLite database connection
- * @returns {Promise<Object>} Schema object with table names and columns
+ * @returns {Promise<Object>} Schema object with tables, views and their columns
  */
 async function getSQLiteSchema(db) {
   const schema = {};
-  
-  // Get all tables (excluding SQLite internal tables)
+
+  // Get all tables and views (excluding SQLite internal tables)
   const tables = db.prepare(`
-    SELECT name FROM sqlite_master 
-    WHERE type='table' AND name NOT LIKE 'sqlite_%'
+    SELECT name, type, sql FROM sqlite_master 
+    WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
     ORDER BY name
   `).all();
 
+  const columns = groupRows(db.prepare(`
+    SELECT m.name AS table_name, p.name, p.type, p."notnull" AS not_null, p.dflt_value, p.pk
+    FROM sqlite_master m JOIN pragma_table_info(m.name) p
+    WHERE m.type IN ('table', 'view') AND m.name NOT LIKE 'sqlite_%'
+    ORDER BY m.name, p.cid
+  `).all(), row => row.table_name);
+
+  const foreignKeys = groupRows(db.prepare(`
+    SELECT m.name AS table_name, f."from" AS column_name, f."table" AS referenced_table, f."to" AS referenced_column
+    FROM sqlite_master m JOIN pragma_foreign_key_list(m.name) f
+    WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%'
+    ORDER BY m.name, f.id, f.seq
+  `).all(), row => row.table_name);
+
+  // One row per indexed column
+  const indexColumns = groupRows(db.prepare(`
+    SELECT m.name AS table_name, il.name AS index_name, il."unique" AS is_unique, il.origin, ii.name AS column_name
+    FROM sqlite_master m
+    JOIN pragma_index_list(m.name) il
+    JOIN pragma_index_info(il.name) ii
+    WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%'
+    ORDER BY m.name, il.seq, ii.seqno
+  `).all(), row => row.table_name);
+
   for (const table of tables) {
-    const columns = db.prepare(`PRAGMA table_info("${table.name}")`).all();
+    const tableColumns = columns.get(table.name) || [];
+
+    const indexes = new Map();
+    for (const row of indexColumns.get(table.name) || []) {
+      if (!indexes.has(row.index_name)) {
+        indexes.set(row.index_name, {
+          name: row.index_name,
+          columns: [],
+          unique: row.is_unique === 1,
+          primary: row.origin === 'pk'
+        });
+      }
+      indexes.get(row.index_name).columns.push(row.column_name ?? '<expression>');
+    }
+
     schema[table.name] = {
-      columns: columns.map(col => ({
+      type: table.type,
+      columns: tableColumns.map(col => ({
         name: col.name,
         type: col.type,
-        nullable: col.notnull === 0,
-        primaryKey: col.pk === 1,
+        nullable: col.not_null === 0,
+        primaryKey: col.pk > 0,
         defaultValue: col.dflt_value
       })),
-      columnNames: columns.map(col => col.name)
+      columnNames: tableColumns.map(col => col.name),
+      indexes: [...indexes.values()],
+      checks: table.type === 'table' ? parseCheckConstraints(table.sql) : [],
+      foreignKeys: (foreignKeys.get(table.name) || []).map(fk => ({
+        column: fk.column_name,
+        referencesTable: fk.referenced_table,
+        referencesColumn: fk.referenced_column
+      }))
     };
+    applyCheckEnumValues(schema[table.name]);
   }
 
-  // Get foreign key relationships
-  for (const tableName of Object.keys(schema)) {
-    const foreignKeys = db.prepare(`PRAGMA foreign_key_list("${tableName}")`).all();
-    schema[tableName].foreignKeys = foreignKeys.map(fk => ({
-      column: fk.from,
-      referencesTable: fk.table,
-      referencesColumn: fk.to
-    }));
+  return schema;
+}
+
+/**
+ * Key of a table in the schema object: bare inside the connection's
+ * default schema/database, qualified (sales.orders) outside it
+ * @param {string} namespace - Schema (PostgreSQL) or database (MySQL)
+ * @param {string} tableName - Table name
+ * @param {string} defaultNamespace - Namespace whose tables are not qualified
+ * @returns {string} Key
+ */
+function tableKey(namespace, tableName, defaultNamespace) {
+  return !namespace || namespace === defaultNamespace ? tableName : `${namespace}.${tableName}`;
+}
+
+// Namespaces holding system catalogs; include patterns never match them
+const SYSTEM_NAMESPACES = {
+  postgres: ['pg_*', 'information_schema'],
+  mysql: ['mysql', 'information_schema', 'performance_schema', 'sys']
+};
+
+/**
+ * Read a list setting given as an array or a comma-separated string
+ * @param {string|Array<string>} value - Setting
+ * @returns {Array<string>} Items
+ */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a name matches any of a list of patterns ("*" and "?" wildcards, case-insensitive)
+ * @param {string} name - Schema or database name
+ * @param {Array<string>} patterns - Patterns
+ * @returns {boolean}
+ */
+function matchesPattern(name, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i').test(name);
+  });
+}
+
+/**
+ * Choose the schemas (PostgreSQL) or databases (MySQL) to introspect:
+ * the listed names plus every existing one matching an include pattern,
+ * minus those matching an exclude pattern
+ * @param {Object} db - Database connection
+ * @param {string} dbType - 'mysql' or 'postgres'
+ * @param {Array<string>} defaults - Used when neither names nor include patterns are given
+ * @param {Object} options - { schemas, include, exclude }
+ * @returns {Promise<Array<string>>} Namespaces
+ * @throws {Error} 400 if nothing is left to introspect
+ */
+async function resolveNamespaces(db, dbType, defaults, options = {}) {
+  const listed = toList(options.schemas);
+  const include = toList(options.include);
+  const exclude = toList(options.exclude);
+
+  const namespaces = new Set(listed.length > 0 || include.length > 0 ? listed : defaults);
+
+  if (include.length > 0) {
+    const available = dbType === 'mysql'
+      ? (await db.query('SELECT SCHEMA_NAME AS name FROM INFORMATION_SCHEMA.SCHEMATA'))[0]
+      : (await db.query('SELECT nspname AS name FROM pg_namespace')).rows;
+
+    for (const { name } of available) {
+      if (matchesPattern(name, include) && !matchesPattern(name, SYSTEM_NAMESPACES[dbType])) {
+        namespaces.add(name);
+      }
+    }
   }
 
-  return schema;
+  const selected = [...namespaces].filter(name => !matchesPattern(name, exclude)).sort();
+  if (selected.length === 0) {
+    const error = new Error('No schemas left to introspect: check the schema list and include/exclude patterns');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return selected;
+}
+
+/**
+ * Parse the values of a MySQL ENUM or SET column type
+ * @param {string} columnType - COLUMN_TYPE, e.g. "enum('a','b')"
+ * @returns {Array<string>|undefined} Values
+ */
+function parseMySQLEnumValues(columnType) {
+  const match = /^(?:enum|set)\((.*)\)$/i.exec(columnType || '');
+  return match ? parseStringLiterals(match[1]) : undefined;
 }
 
 /**
  * Get schema for MySQL database
+ * Tables outside the connection's own database are keyed as database.table.
+ * All columns, keys, indexes and checks are read with one query each.
  * @param {import('mysql2/promise').Pool} pool - MySQL connection pool
- * @param {string} database - Database name
- * @returns {Promise<Object>} Schema object with table names and columns
+ * @param {string} database - Database name (the connection's default database)
+ * @param {Array<string>} [databases] - Databases to introspect (default: [database])
+ * @returns {Promise<Object>} Schema object with tables, views and their columns
  */
-async function getMySQLSchema(pool, database) {
+async function getMySQLSchema(pool, database, databases = [database]) {
   const schema = {};
+  const tableId = row => `${row.TABLE_SCHEMA}.${row.TABLE_NAME}`;
 
-  // Get all tables
+  // Get all tables and views
   const [tables] = await pool.query(`
-    SELECT TABLE_NAME 
+    SELECT TABLE_SCHEMA, TABLE_NAME, TABLE_TYPE, TABLE_COMMENT
     FROM INFORMATION_SCHEMA.TABLES 
-    WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = 'BASE TABLE'
-    ORDER BY TABLE_NAME
-  `, [database]);
+    WHERE TABLE_SCHEMA IN (?) AND TABLE_TYPE IN ('BASE TABLE', 'VIEW')
+    ORDER BY TABLE_SCHEMA, TABLE_NAME
+  `, [databases]);
+
+  // Get columns
+  const [columnRows] = await pool.query(`
+    SELECT 
+      TABLE_SCHEMA, TABLE_NAME,
+      COLUMN_NAME, DATA_TYPE, COLUMN_TYPE, IS_NULLABLE, 
+      COLUMN_KEY, COLUMN_DEFAULT, EXTRA, COLUMN_COMMENT
+    FROM INFORMATION_SCHEMA.COLUMNS 
+    WHERE TABLE_SCHEMA IN (?)
+    ORDER BY TABLE_SCHEMA, TABLE_NAME, ORDINAL_POSITION
+  `, [databases]);
+  const columns = groupRows(columnRows, tableId);
+
+  // Get foreign keys
+  const [foreignKeyRows] = await pool.query(`
+    SELECT 
+      TABLE_SCHEMA, TABLE_NAME,
+      COLUMN_NAME, REFERENCED_TABLE_SCHEMA, REFERENCED_TABLE_NAME, REFERENCED_COLUMN_NAME
+    FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+    WHERE TABLE_SCHEMA IN (?)
+      AND REFERENCED_TABLE_NAME IS NOT NULL
+    ORDER BY TABLE_SCHEMA, TABLE_NAME, CONSTRAINT_NAME, ORDINAL_POSITION
+  `, [databases]);
+  const foreignKeys = groupRows(foreignKeyRows, tableId);
 
+  // Get indexes (one row per indexed column)
+  const [indexRows] = await pool.query(`
+    SELECT TABLE_SCHEMA, TABLE_NAME, INDEX_NAME, NON_UNIQUE, COLUMN_NAME
+    FROM INFORMATION_SCHEMA.STATISTICS
+    WHERE TABLE_SCHEMA IN (?)
+    ORDER BY TABLE_SCHEMA, TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX
+  `, [databases]);
+  const indexColumns = groupRows(indexRows, tableId);
+
+  // Get check constraints (MySQL 8.0.16+, MariaDB 10.2+)
+  const [checkRows] = await pool.query(`
+    SELECT tc.TABLE_SCHEMA, tc.TABLE_NAME, cc.CONSTRAINT_NAME, cc.CHECK_CLAUSE
+    FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+    JOIN INFORMATION_SCHEMA.CHECK_CONSTRAINTS cc
+      ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA
+      AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+    WHERE tc.TABLE_SCHEMA IN (?)
+      AND tc.CONSTRAINT_TYPE = 'CHECK'
+    ORDER BY tc.TABLE_SCHEMA, tc.TABLE_NAME, cc.CONSTRAINT_NAME
+  `, [databases]).catch(() => [[]]);
+  const checks = groupRows(checkRows, tableId);
+
+  // Assemble the schema in memory
   for (const table of tables) {
-    const tableName = table.TABLE_NAME;
-    
-    // Get columns
-    const [columns] = await pool.query(`
-      SELECT 
-        COLUMN_NAME, DATA_TYPE, IS_NULLABLE, 
-        COLUMN_KEY, COLUMN_DEFAULT, EXTRA
-      FROM INFORMATION_SCHEMA.COLUMNS 
-      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
-      ORDER BY ORDINAL_POSITION
-    `, [database, tableName]);
-
-    schema[tableName] = {
-      columns: columns.map(col => ({
+    const id = tableId(table);
+    const namespace = table.TABLE_SCHEMA;
+    const isView = table.TABLE_TYPE === 'VIEW';
+    const tableColumns = columns.get(id) || [];
+
+    const indexes = new Map();
+    for (const row of indexColumns.get(id) || []) {
+      if (!indexes.has(row.INDEX_NAME)) {
+        indexes.set(row.INDEX_NAME, {
+          name: row.INDEX_NAME,
+          columns: [],
+          unique: Number(row.NON_UNIQUE) === 0,
+          primary: row.INDEX_NAME === 'PRIMARY'
+        });
+      }
+      indexes.get(row.INDEX_NAME).columns.push(row.COLUMN_NAME ?? '<expression>');
+    }
+
+    const key = tableKey(namespace, table.TABLE_NAME, database);
+    schema[key] = {
+      schema: namespace,
+      name: table.TABLE_NAME,
+      type: isView ? 'view' : 'table',
+      // MySQL reports "VIEW" as the comment of every view
+      comment: !isView && table.TABLE_COMMENT ? table.TABLE_COMMENT : null,
+      columns: tableColumns.map(col => ({
         name: col.COLUMN_NAME,
         type: col.DATA_TYPE,
         nullable: col.IS_NULLABLE === 'YES',
         primaryKey: col.COLUMN_KEY === 'PRI',
-        defaultValue: col.COLUMN_DEFAULT
+        defaultValue: col.COLUMN_DEFAULT,
+        comment: col.COLUMN_COMMENT || null,
+        enumValues: parseMySQLEnumValues(col.COLUMN_TYPE)
+      })),
+      columnNames: tableColumns.map(col => col.COLUMN_NAME),
+      indexes: [...indexes.values()],
+      checks: (checks.get(id) || []).map(check => ({
+        name: check.CONSTRAINT_NAME,
+        expression: check.CHECK_CLAUSE
       })),
-      columnNames: columns.map(col => col.COLUMN_NAME)
+      foreignKeys: (foreignKeys.get(id) || []).map(fk => ({
+        column: fk.COLUMN_NAME,
+        referencesTable: tableKey(fk.REFERENCED_TABLE_SCHEMA || namespace, fk.REFERENCED_TABLE_NAME, database),
+        referencesColumn: fk.REFERENCED_COLUMN_NAME
+      }))
     };
-
-    // Get foreign keys
-    const [foreignKeys] = await pool.query(`
-      SELECT 
-        COLUMN_NAME, REFERENCED_TABLE_NAME, REFERENCED_COLUMN_NAME
-      FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
-      WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? 
-        AND REFERENCED_TABLE_NAME IS NOT NULL
-    `, [database, tableName]);
-
-    schema[tableName].foreignKeys = foreignKeys.map(fk => ({
-      column: fk.COLUMN_NAME,
-      referencesTable: fk.REFERENCED_TABLE_NAME,
-      referencesColumn: fk.REFERENCED_COLUMN_NAME
-    }));
+    applyCheckEnumValues(schema[key]);
   }
 
   return schema;
 }
 
+// pg_class.relkind -> relation type
+const POSTGRES_RELATION_TYPES = {
+  r: 'table',
+  p: 'table',
+  v: 'view',
+  m: 'materialized view'
+};
+
 /**
  * Get schema for PostgreSQL database
+ * Tables outside the public schema are keyed as schema.table. All columns,
+ * indexes and constraints are read with one catalog query each.
  * @param {import('pg').Pool} pool - PostgreSQL connection pool
- * @param {string} schemaName - Schema name (default: 'public')
- * @returns {Promise<Object>} Schema object with table names and columns
+ * @param {string|Array<string>} schemaNames - Schema name(s) (default: 'public')
+ * @returns {Promise<Object>} Schema object with tables, views and their columns
  */
-async function getPostgresSchema(pool, schemaName = 'public') {
+async function getPostgresSchema(pool, schemaNames = 'public') {
   const schema = {};
+  const namespaces = Array.isArray(schemaNames) ? schemaNames : [schemaNames];
 
-  // Get all tables
+  // Relations in the selected schemas; every catalog query below is limited to them
+  const relations = `
+    SELECT c.oid FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm')
+  `;
+
+  // Get all tables, views and materialized views
   const tablesResult = await pool.query(`
-    SELECT table_name 
-    FROM information_schema.tables 
-    WHERE table_schema = $1 AND table_type = 'BASE TABLE'
-    ORDER BY table_name
-  `, [schemaName]);
+    SELECT c.oid, n.nspname AS table_schema, c.relname AS table_name, c.relkind,
+      obj_description(c.oid, 'pg_class') AS comment
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm')
+    ORDER BY n.nspname, c.relname
+  `, [namespaces]);
+
+  // Get columns (pg_attribute also covers materialized views)
+  const columnsResult = await pool.query(`
+    SELECT 
+      a.attrelid AS table_oid,
+      a.attname AS column_name,
+      format_type(a.atttypid, a.atttypmod) AS data_type,
+      a.atttypid AS type_oid,
+      NOT a.attnotnull AS nullable,
+      pg_get_expr(d.adbin, d.adrelid) AS column_default,
+      col_description(a.attrelid, a.attnum) AS comment
+    FROM pg_attribute a
+    LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE a.attrelid IN (${relations}) AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY a.attrelid, a.attnum
+  `, [namespaces]);
+  const columns = groupRows(columnsResult.rows, row => row.table_oid);
+
+  // Get indexes, primary keys included
+  const indexResult = await pool.query(`
+    SELECT ix.indrelid AS table_oid, ic.relname AS name,
+      ix.indisunique AS is_unique, ix.indisprimary AS is_primary,
+      ARRAY(
+        SELECT pg_get_indexdef(ix.indexrelid, k + 1, true)
+        FROM generate_subscripts(ix.indkey, 1) AS k
+        ORDER BY k
+      ) AS columns
+    FROM pg_index ix
+    JOIN pg_class ic ON ic.oid = ix.indexrelid
+    WHERE ix.indrelid IN (${relations})
+    ORDER BY ix.indrelid, ic.relname
+  `, [namespaces]);
+  const indexes = groupRows(indexResult.rows, row => row.table_oid);
 
+  // Get check and foreign key constraints (one row per column pair of a foreign key)
+  const checksResult = await pool.query(`
+    SELECT conrelid AS table_oid, conname, pg_get_constraintdef(oid) AS definition
+    FROM pg_constraint
+    WHERE conrelid IN (${relations}) AND contype = 'c'
+    ORDER BY conrelid, conname
+  `, [namespaces]);
+  const checks = groupRows(checksResult.rows, row => row.table_oid);
+
+  const fkResult = await pool.query(`
+    SELECT
+      con.conrelid AS table_oid,
+      a.attname AS column_name,
+      rn.nspname AS referenced_schema,
+      rc.relname AS referenced_table,
+      ra.attname AS referenced_column
+    FROM pg_constraint con
+    CROSS JOIN LATERAL unnest(con.conkey, con.confkey) AS k(attnum, referenced_attnum)
+    JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+    JOIN pg_class rc ON rc.oid = con.confrelid
+    JOIN pg_namespace rn ON rn.oid = rc.relnamespace
+    JOIN pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = k.referenced_attnum
+    WHERE con.conrelid IN (${relations}) AND con.contype = 'f'
+    ORDER BY con.conrelid, con.conname
+  `, [namespaces]);
+  const foreignKeys = groupRows(fkResult.rows, row => row.table_oid);
+
+  // Enum labels and domains, keyed by type oid
+  const enumResult = await pool.query(`
+    SELECT e.enumtypid AS type_oid, e.enumlabel
+    FROM pg_enum e
+    ORDER BY e.enumtypid, e.enumsortorder
+  `);
+  const enums = new Map(
+    [...groupRows(enumResult.rows, row => row.type_oid)].map(([oid, rows]) => [oid, rows.map(row => row.enumlabel)])
+  );
+
+  const domainResult = await pool.query(`
+    SELECT t.oid, t.typname AS name,
+      format_type(t.typbasetype, t.typtypmod) AS base_type,
+      t.typbasetype AS base_oid,
+      ARRAY(
+        SELECT pg_get_constraintdef(con.oid)
+        FROM pg_constraint con
+        WHERE con.contypid = t.oid AND con.contype = 'c'
+        ORDER BY con.conname
+      ) AS checks
+    FROM pg_type t
+    WHERE t.typtype = 'd'
+  `);
+  const domains = new Map(domainResult.rows.map(row => [String(row.oid), row]));
+
+  // Assemble the schema in memory
   for (const table of tablesResult.rows) {
-    const tableName = table.table_name;
-
-    // Get columns
-    const columnsResult = await pool.query(`
-      SELECT 
-        column_name, data_type, is_nullable, 
-        column_default
-      FROM information_schema.columns
-      WHERE table_schema = $1 AND table_name = $2
-      ORDER BY ordinal_position
-    `, [schemaName, tableName]);
-
-    // Get primary keys
-    const pkResult = await pool.query(`
-      SELECT a.attname
-      FROM pg_index i
-      JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
-      WHERE i.indrelid = $1::regclass AND i.indisprimary
-    `, [`${schemaName}.${tableName}`]).catch(() => ({ rows: [] }));
-
-    const primaryKeys = new Set(pkResult.rows.map(r => r.attname));
-
-    schema[tableName] = {
-      columns: columnsResult.rows.map(col => ({
-        name: col.column_name,
-        type: col.data_type,
-        nullable: col.is_nullable === 'YES',
-        primaryKey: primaryKeys.has(col.column_name),
-        defaultValue: col.column_default
-      })),
-      columnNames: columnsResult.rows.map(col => col.column_name)
-    };
+    const oid = String(table.oid);
+    const key = tableKey(table.table_schema, table.table_name, 'public');
+    const tableColumns = columns.get(oid) || [];
 
-    // Get foreign keys
-    const fkResult = await pool.query(`
-      SELECT
-        kcu.column_name,
-        ccu.table_name AS referenced_table,
-        ccu.column_name AS referenced_column
-      FROM information_schema.table_constraints AS tc
-      JOIN information_schema.key_column_usage AS kcu
-        ON tc.constraint_name = kcu.constraint_name
-        AND tc.table_schema = kcu.table_schema
-      JOIN information_schema.constraint_column_usage AS ccu
-        ON ccu.constraint_name = tc.constraint_name
-        AND ccu.table_schema = tc.table_schema
-      WHERE tc.constraint_type = 'FOREIGN KEY'
-        AND tc.table_schema = $1
-        AND tc.table_name = $2
-    `, [schemaName, tableName]);
-
-    schema[tableName].foreignKeys = fkResult.rows.map(fk => ({
-      column: fk.column_name,
-      referencesTable: fk.referenced_table,
-      referencesColumn: fk.referenced_column
+    const tableIndexes = (indexes.get(oid) || []).map(index => ({
+      name: index.name,
+      columns: index.columns,
+      unique: index.is_unique,
+      primary: index.is_primary
     }));
+    const primaryKeys = new Set(tableIndexes.filter(index => index.primary).flatMap(index => index.columns));
+
+    schema[key] = {
+      schema: table.table_schema,
+      name: table.table_name,
+      type: POSTGRES_RELATION_TYPES[table.relkind],
+      comment: table.comment || null,
+      columns: tableColumns.map(col => {
+        const domain = domains.get(String(col.type_oid));
+        const column = {
+          name: col.column_name,
+          type: col.data_type,
+          nullable: col.nullable,
+          primaryKey: primaryKeys.has(col.column_name),
+          defaultValue: col.column_default,
+          comment: col.comment || null,
+          enumValues: enums.get(String(domain ? domain.base_oid : col.type_oid))
+        };
+        if (domain) {
+          column.domain = { name: domain.name, baseType: domain.base_type, checks: domain.checks };
+          if (!column.enumValues) {
+            column.enumValues = enumValuesFromChecks(
+              domain.checks.map(expression => ({ expression: expression.replace(/\bVALUE\b/g, col.column_name) }))
+            ).get(col.column_name.toLowerCase());
+          }
+        }
+        return column;
+      }),
+      columnNames: tableColumns.map(col => col.column_name),
+      indexes: tableIndexes,
+      checks: (checks.get(oid) || []).map(check => ({ name: check.conname, expression: check.definition })),
+      foreignKeys: (foreignKeys.get(oid) || []).map(fk => ({
+        column: fk.column_name,
+        referencesTable: tableKey(fk.referenced_schema, fk.referenced_table, 'public'),
+        referencesColumn: fk.referenced_column
+      }))
+    };
+    applyCheckEnumValues(schema[key]);
   }
 
   return schema;
@@ -189,6 +582,11 @@ async function getPostgresSchema(pool, schemaName = 'public') {
  * @param {Object} db - Database connection
  * @param {string} dbType - Database type: 'sqlite', 'mysql', 'postgres'
  * @param {Object} options - Additional options
+ * @param {string} [options.database] - MySQL database whose tables are not qualified
+ * @param {string} [options.schema] - PostgreSQL schema used when no list or patterns are given
+ * @param {string|Array<string>} [options.schemas] - Schemas (PostgreSQL) or databases (MySQL) to introspect
+ * @param {string|Array<string>} [options.include] - Also introspect namespaces matching these patterns
+ * @param {string|Array<string>} [options.exclude] - Skip namespaces matching these patterns
  * @returns {Promise<Object>} Schema object
  */
 async function getSchema(db, dbType = 'sqlite', options = {}) {
@@ -196,18 +594,85 @@ async function getSchema(db, dbType = 'sqlite', options = {}) {
     case 'sqlite':
       return getSQLiteSchema(db);
     
-    case 'mysql':
-      return getMySQLSchema(db, options.database);
+    case 'mysql': {
+      const database = options.database || (await db.query('SELECT DATABASE() AS name'))[0][0].name;
+      return getMySQLSchema(db, database, await resolveNamespaces(db, 'mysql', [database], options));
+    }
     
     case 'postgres':
     case 'postgresql':
-      return getPostgresSchema(db, options.schema || 'public');
+      return getPostgresSchema(db, await resolveNamespaces(db, 'postgres', [options.schema || 'public'], options));
     
     default:
       throw new Error(`Unsupported database type: ${dbType}`);
   }
 }
 
+/**
+ * Quote an identifier for the target dialect
+ * @param {string} name - Identifier
+ * @param {string} dbType - Database type
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name, dbType) {
+  if (dbType === 'mysql') return `\`${String(name).replace(/`/g, '``')}\``;
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Table reference for queries built from introspection
+ * (always schema-qualified on PostgreSQL, database-qualified on MySQL when given)
+ * @param {string} tableName - Table name (without schema)
+ * @param {string} dbType - Database type
+ * @param {string} [schemaName] - PostgreSQL schema (default: 'public') or MySQL database
+ * @returns {string} Quoted table reference
+ */
+function qualifyTableName(tableName, dbType, schemaName) {
+  const type = dbType.toLowerCase();
+  if (type.startsWith('postgres')) {
+    return `${quoteIdentifier(schemaName || 'public', type)}.${quoteIdentifier(tableName, type)}`;
+  }
+  if (type === 'mysql' && schemaName) {
+    return `${quoteIdentifier(schemaName, type)}.${quoteIdentifier(tableName, type)}`;
+  }
+  return quoteIdentifier(tableName, type);
+}
+
+/**
+ * Collect distinct sample values of a table's text columns
+ * (used to match questions like "orders shipped to Berlin" to the right table)
+ * @param {Object} db - Database connection
+ * @param {string} dbType - Database type: 'sqlite', 'mysql', 'postgres'
+ * @param {string} tableName - Table name
+ * @param {Object} tableInfo - Table from getSchema
+ * @param {Object} options - { limit: values per column, maxColumns, schema: PostgreSQL schema }
+ * @returns {Promise<Object>} Column name -> sample values
+ */
+async function getSampleValues(db, dbType = 'sqlite', tableName, tableInfo, options = {}) {
+  const limit = options.limit || 5;
+  const type = dbType.toLowerCase();
+  const table = qualifyTableName(tableInfo.name || tableName, type, tableInfo.schema || options.schema);
+
+  const textColumns = (tableInfo.columns || [])
+    .filter(col => !col.primaryKey && (!col.type || /char|text|string|clob|enum/i.test(col.type)))
+    .slice(0, options.maxColumns || 10);
+
+  const samples = {};
+  for (const col of textColumns) {
+    const column = quoteIdentifier(col.name, type);
+    try {
+      const rows = await db.asyncAll(
+        `SELECT DISTINCT ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL LIMIT ${limit}`
+      );
+      samples[col.name] = rows.map(row => row.value).filter(value => typeof value === 'string');
+    } catch (error) {
+      // Unreadable columns (permissions, exotic types) are skipped
+    }
+  }
+
+  return samples;
+}
+
 /**
  * Format schema for human-readable display
  * @param {Object} schema - Schema object
@@ -250,5 +715,8 @@ module.exports = {
   getMySQLSchema,
   getPostgresSchema,
   formatSchemaForPrompt,
-  getSimplifiedSchema
+  getSimplifiedSchema,
+  getSampleValues,
+  quoteIdentifier,
+  qualifyTableName
 };
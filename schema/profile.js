@@ -0,0 +1,269 @@
+/**
+ * Column Profiling Module
+ * Computes per-column statistics (distinct count, null ratio, min/max,
+ * date ranges and the most frequent values of categorical columns) so the
+ * model can use literal values exactly as they are stored.
+ */
+
+const { LRUCache } = require('lru-cache');
+const { quoteIdentifier, qualifyTableName } = require('./introspect');
+const { executeWithTimeout } = require('../db/connection');
+const logger = require('../utils/logger');
+
+// Profiles keyed by schema cache key and table
+const profiles = new LRUCache({
+  max: parseInt(process.env.PROFILE_CACHE_MAX) || 500,
+  ttl: parseInt(process.env.PROFILE_CACHE_TTL_MS) || 3600000
+});
+
+// In-flight profiling, so concurrent requests share one run per table
+const pending = new Map();
+
+/**
+ * Whether profiled values are added to SQL prompts (SCHEMA_PROFILE_VALUES, default true)
+ * @returns {boolean}
+ */
+function isPromptProfilingEnabled() {
+  return process.env.SCHEMA_PROFILE_VALUES !== 'false';
+}
+
+/**
+ * Profiling limits from the environment
+ * @returns {{topValues: number, maxDistinct: number, sampleRows: number}}
+ */
+function getProfileSettings() {
+  const sampleRows = parseInt(process.env.PROFILE_SAMPLE_ROWS);
+  return {
+    topValues: parseInt(process.env.PROFILE_TOP_VALUES) || 10,
+    maxDistinct: parseInt(process.env.PROFILE_MAX_DISTINCT) || 50,
+    sampleRows: Number.isNaN(sampleRows) ? 100000 : sampleRows
+  };
+}
+
+/**
+ * Classify a column by its declared type
+ * @param {Object} column - Column from introspection
+ * @returns {string} 'text', 'number', 'date', 'boolean' or 'other'
+ */
+function getColumnKind(column) {
+  const type = String(column.type || '').toLowerCase();
+
+  if (column.enumValues) return 'text';
+  if (/bool|bit\b/.test(type)) return 'boolean';
+  if (/date|time/.test(type)) return 'date';
+  if (/int|numeric|decimal|real|double|float|money|serial|number/.test(type)) return 'number';
+  if (!type || /char|text|string|clob|enum|set\b|citext/.test(type)) return 'text';
+  return 'other';
+}
+
+/**
+ * Convert a database value to a JSON-friendly value
+ * @param {*} value - Value from the driver
+ * @returns {*} Value
+ */
+function toPlainValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'bigint') return Number(value);
+  if (Buffer.isBuffer(value)) return null;
+  return value ?? null;
+}
+
+/**
+ * Whether a text value looks like an ISO date ("2024-01-31", "2024-01-31 10:00:00")
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function looksLikeDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?/.test(value);
+}
+
+/**
+ * Profile one column
+ * @param {Function} query - Runs a SQL string under the profiling timeout
+ * @param {string} dbType - Database type
+ * @param {string} source - Table reference or sampled subquery
+ * @param {Object} column - Column from introspection
+ * @param {Object} settings - Profiling limits
+ * @param {boolean} isKey - Primary or foreign key column
+ * @returns {Promise<Object>} Column profile
+ */
+async function profileColumn(query, dbType, source, column, settings, isKey) {
+  const kind = getColumnKind(column);
+  const col = quoteIdentifier(column.name, dbType);
+  const profile = { name: column.name, type: column.type, kind };
+
+  // Booleans and exotic types (json, bytea, ...) cannot always be compared
+  const orderable = kind === 'text' || kind === 'number' || kind === 'date';
+  let nonNull = 0;
+
+  try {
+    const [stats] = await query(`
+      SELECT COUNT(*) AS total, COUNT(${col}) AS non_null${orderable ? `,
+        COUNT(DISTINCT ${col}) AS distinct_count, MIN(${col}) AS min_value, MAX(${col}) AS max_value` : ''}
+      FROM ${source}
+    `);
+
+    const total = Number(stats.total);
+    nonNull = Number(stats.non_null);
+    profile.nullCount = total - nonNull;
+    profile.nullRatio = total > 0 ? Number((profile.nullCount / total).toFixed(4)) : 0;
+
+    if (orderable) {
+      profile.distinctCount = Number(stats.distinct_count);
+      profile.min = toPlainValue(stats.min_value);
+      profile.max = toPlainValue(stats.max_value);
+
+      if (kind === 'date' || (kind === 'text' && looksLikeDate(profile.min) && looksLikeDate(profile.max))) {
+        profile.dateRange = { from: profile.min, to: profile.max };
+      }
+    }
+  } catch (error) {
+    profile.error = error.message;
+    return profile;
+  }
+
+  // Most frequent values of low-cardinality (categorical) columns;
+  // keys and columns whose values are all different are identifiers, not categories
+  const categorical = ((kind === 'text' && !profile.dateRange) || kind === 'boolean')
+    && !isKey
+    && (profile.distinctCount === undefined
+      || (profile.distinctCount <= settings.maxDistinct && (profile.distinctCount < nonNull || nonNull <= 1)));
+  if (categorical) {
+    try {
+      const rows = await query(`
+        SELECT ${col} AS value, COUNT(*) AS frequency
+        FROM ${source}
+        WHERE ${col} IS NOT NULL
+        GROUP BY ${col}
+        ORDER BY frequency DESC, value
+        LIMIT ${settings.topValues}
+      `);
+      profile.topValues = rows.map(row => ({ value: toPlainValue(row.value), count: Number(row.frequency) }));
+    } catch (error) {
+      // Values that cannot be grouped are left out
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Profile a table's columns.
+ * Statistics are computed over the first PROFILE_SAMPLE_ROWS rows (0 profiles the whole table);
+ * rows are only counted up to that limit, so rowCount is null for larger tables.
+ * @param {Object} db - Database connection
+ * @param {string} dbType - Database type: 'sqlite', 'mysql', 'postgres'
+ * @param {string} tableName - Table name
+ * @param {Object} tableInfo - Table from introspection
+ * @param {Object} options - { schema: PostgreSQL schema, timeout: per-query timeout in milliseconds }
+ * @returns {Promise<Object>} { table, rowCount, sampled, sampleRows, profiledAt, columns }
+ */
+async function profileTable(db, dbType, tableName, tableInfo, options = {}) {
+  const type = dbType.toLowerCase();
+  const settings = getProfileSettings();
+  const table = qualifyTableName(tableInfo.name || tableName, type, tableInfo.schema || options.schema);
+  const query = sql => executeWithTimeout(db, sql, [], options.timeout);
+
+  const counted = settings.sampleRows > 0
+    ? `(SELECT 1 FROM ${table} LIMIT ${settings.sampleRows + 1}) profile_count`
+    : table;
+  const [{ row_count: rowCount }] = await query(`SELECT COUNT(*) AS row_count FROM ${counted}`);
+  const sampled = settings.sampleRows > 0 && Number(rowCount) > settings.sampleRows;
+  const source = sampled
+    ? `(SELECT * FROM ${table} LIMIT ${settings.sampleRows}) profile_sample`
+    : table;
+
+  const foreignKeys = new Set((tableInfo.foreignKeys || []).map(fk => fk.column));
+  const columns = [];
+  for (const column of tableInfo.columns || []) {
+    const isKey = column.primaryKey || foreignKeys.has(column.name);
+    columns.push(await profileColumn(query, type, source, column, settings, isKey));
+  }
+
+  return {
+    table: tableName,
+    rowCount: sampled ? null : Number(rowCount),
+    sampled,
+    sampleRows: sampled ? settings.sampleRows : Number(rowCount),
+    profiledAt: new Date().toISOString(),
+    columns
+  };
+}
+
+/**
+ * Get a table's profile from the cache or by profiling it
+ * @param {Object} db - Database connection
+ * @param {string} tableName - Table name
+ * @param {Object} tableInfo - Table from introspection
+ * @param {Object} options - Connection options ({ cacheKey, dbType, schema }) and refresh
+ * @returns {Promise<Object>} Table profile
+ */
+async function getTableProfile(db, tableName, tableInfo, options = {}) {
+  const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
+  const key = `${options.cacheKey || dbType}:${tableName}`;
+
+  if (!options.refresh && profiles.has(key)) return profiles.get(key);
+  if (pending.has(key)) return pending.get(key);
+
+  const run = profileTable(db, dbType, tableName, tableInfo, options);
+  pending.set(key, run);
+  try {
+    const profile = await run;
+    profiles.set(key, profile);
+    logger.debug(`Profiled ${tableName}: ${profile.columns.length} columns, ${profile.sampleRows} rows`);
+    return profile;
+  } finally {
+    pending.delete(key);
+  }
+}
+
+/**
+ * Copy a schema with each column's profile attached as column.profile
+ * (the cached schema itself is not modified)
+ * @param {Object} db - Database connection
+ * @param {Object} schema - Schema object (usually already pruned)
+ * @param {Object} options - Connection options
+ * @returns {Promise<Object>} Schema with profiles
+ */
+async function attachProfiles(db, schema, options = {}) {
+  const profiled = {};
+
+  for (const [tableName, tableInfo] of Object.entries(schema)) {
+    try {
+      const profile = await getTableProfile(db, tableName, tableInfo, options);
+      const byName = new Map(profile.columns.map(column => [column.name, column]));
+      profiled[tableName] = {
+        ...tableInfo,
+        columns: (tableInfo.columns || []).map(column => ({ ...column, profile: byName.get(column.name) }))
+      };
+    } catch (error) {
+      logger.warn(`Could not profile ${tableName}: ${error.message}`);
+      profiled[tableName] = tableInfo;
+    }
+  }
+
+  return profiled;
+}
+
+/**
+ * Forget cached profiles
+ * @param {string} [cacheKey] - Only this connection's profiles (all when omitted)
+ */
+function clearProfiles(cacheKey) {
+  if (!cacheKey) {
+    profiles.clear();
+    return;
+  }
+
+  for (const key of profiles.keys()) {
+    if (key.startsWith(`${cacheKey}:`)) profiles.delete(key);
+  }
+}
+
+module.exports = {
+  isPromptProfilingEnabled,
+  profileTable,
+  getTableProfile,
+  attachProfiles,
+  clearProfiles
+};
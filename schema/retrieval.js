@@ -0,0 +1,298 @@
+/**
+ * Schema Retrieval Module
+ * Ranks tables by relevance to a question so only the top-K tables
+ * (plus their foreign-key neighbours) are sent to the model
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Tables scored from the question before foreign-key expansion
+const DEFAULT_TOP_K = 8;
+
+// Schemas with this many tables or fewer are sent whole
+const DEFAULT_MIN_TABLES = 20;
+
+// Score weights per matched term
+const WEIGHTS = {
+  tableName: 3,
+  columnName: 1,
+  comment: 0.5,
+  sampleValue: 2,
+  related: 2,
+  semantic: 4
+};
+
+// Common business vocabulary; extend with SCHEMA_SYNONYMS_FILE
+const BUILT_IN_SYNONYMS = {
+  customer: ['client', 'buyer', 'account'],
+  product: ['item', 'sku', 'article', 'good'],
+  order: ['purchase', 'sale', 'transaction'],
+  employee: ['staff', 'worker', 'rep', 'salesperson'],
+  supplier: ['vendor', 'provider'],
+  price: ['cost', 'amount', 'revenue'],
+  category: ['type', 'group', 'kind'],
+  shipper: ['carrier', 'courier', 'delivery'],
+  region: ['area', 'territory', 'country'],
+  upload: ['uploaded', 'file', 'csv', 'excel', 'spreadsheet']
+};
+
+// SQL keywords are ignored when matching earlier SQL ("ORDER BY" is not the Orders table)
+const SQL_KEYWORDS = new Set([
+  'select', 'from', 'where', 'join', 'inner', 'left', 'right', 'outer', 'on', 'and', 'or', 'not',
+  'group', 'order', 'by', 'having', 'limit', 'offset', 'as', 'asc', 'desc', 'distinct', 'with',
+  'case', 'when', 'then', 'else', 'end', 'in', 'is', 'null', 'like', 'between', 'union', 'all',
+  'count', 'sum', 'avg', 'min', 'max', 'coalesce'
+]);
+
+let synonymIndex = null;
+
+/**
+ * Reduce a word to a crude singular stem so "orders" matches "Order"
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(sses|xes|ches|shes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text or an identifier into stemmed terms
+ * ("OrderDetails", "order_details" and "order details" all give ["order", "detail"])
+ * @param {string} text - Text or identifier
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1)
+    .map(stem);
+}
+
+/**
+ * Build (once) a map from each term to every term it is a synonym of
+ * @returns {Map<string, Set<string>>} Synonym index
+ */
+function getSynonymIndex() {
+  if (synonymIndex) return synonymIndex;
+
+  const groups = { ...BUILT_IN_SYNONYMS };
+  const file = process.env.SCHEMA_SYNONYMS_FILE;
+  if (file) {
+    const custom = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    for (const [term, aliases] of Object.entries(custom)) {
+      groups[term] = [...(groups[term] || []), ...aliases];
+    }
+  }
+
+  synonymIndex = new Map();
+  for (const [term, aliases] of Object.entries(groups)) {
+    const group = [term, ...aliases].flatMap(tokenize);
+    for (const word of group) {
+      if (!synonymIndex.has(word)) synonymIndex.set(word, new Set());
+      for (const other of group) synonymIndex.get(word).add(other);
+    }
+  }
+
+  return synonymIndex;
+}
+
+/**
+ * Terms of a question, each with its synonyms
+ * @param {string} question - User question
+ * @returns {Set<string>} Terms to match
+ */
+function expandTerms(question) {
+  const index = getSynonymIndex();
+  const terms = new Set();
+
+  for (const word of tokenize(question)) {
+    terms.add(word);
+    for (const synonym of index.get(word) || []) terms.add(synonym);
+  }
+
+  return terms;
+}
+
+/**
+ * Count how many of the identifier's terms appear in the question terms
+ * @param {string} identifier - Table or column name, comment, ...
+ * @param {Set<string>} terms - Question terms
+ * @returns {number} Matches
+ */
+function countMatches(identifier, terms) {
+  return tokenize(identifier).filter(word => terms.has(word)).length;
+}
+
+/**
+ * Score one table against the question
+ * Column comments and sample values are used when introspection or profiling provides them.
+ * @param {string} tableName - Table name
+ * @param {Object} tableInfo - Table from introspection
+ * @param {Set<string>} terms - Question terms (with synonyms)
+ * @param {string} questionText - Lower-case question, for sample value matching
+ * @param {Set<string>} relatedTerms - Terms from SQL the question builds on
+ * @returns {number} Score
+ */
+function scoreTable(tableName, tableInfo, terms, questionText, relatedTerms) {
+  let score = countMatches(tableName, terms) * WEIGHTS.tableName;
+  score += countMatches(tableName, relatedTerms) * WEIGHTS.related;
+
+  if (tableInfo.comment) {
+    score += countMatches(tableInfo.comment, terms) * WEIGHTS.comment;
+  }
+
+  for (const column of tableInfo.columns || []) {
+    score += Math.min(countMatches(column.name, terms), 1) * WEIGHTS.columnName;
+
+    if (column.comment) {
+      score += countMatches(column.comment, terms) * WEIGHTS.comment;
+    }
+
+    const samples = column.sampleValues || column.profile?.topValues?.map(v => v.value) || [];
+    for (const value of samples) {
+      const text = String(value).toLowerCase();
+      if (text.length > 2 && questionText.includes(text)) {
+        score += WEIGHTS.sampleValue;
+        break;
+      }
+    }
+  }
+
+  return score;
+}
+
+/**
+ * Map each table to the tables it references or is referenced by
+ * @param {Object} schema - Schema object
+ * @returns {Map<string, Set<string>>} Adjacency
+ */
+function buildForeignKeyGraph(schema) {
+  const graph = new Map(Object.keys(schema).map(name => [name, new Set()]));
+
+  for (const [tableName, tableInfo] of Object.entries(schema)) {
+    for (const fk of tableInfo.foreignKeys || []) {
+      if (!graph.has(fk.referencesTable) || fk.referencesTable === tableName) continue;
+      graph.get(tableName).add(fk.referencesTable);
+      graph.get(fk.referencesTable).add(tableName);
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Rank tables by relevance to the question
+ * @param {Object} schema - Schema object
+ * @param {string} question - User question
+ * @param {Object} options - Options
+ * @param {string} [options.related] - SQL or text the question builds on
+ * @param {Map<string, number>} [options.semanticScores] - Table -> similarity from the embedding index
+ * @returns {Array<{table, score, lexical, semantic, degree}>} Tables, best first
+ */
+function rankTables(schema, question, options = {}) {
+  const terms = expandTerms(question);
+  const relatedTerms = new Set(tokenize(options.related).filter(word => !SQL_KEYWORDS.has(word)));
+  const questionText = String(question).toLowerCase();
+  const graph = buildForeignKeyGraph(schema);
+  const semanticScores = options.semanticScores || new Map();
+
+  return Object.entries(schema)
+    .map(([table, tableInfo]) => {
+      const lexical = scoreTable(table, tableInfo, terms, questionText, relatedTerms);
+      const semantic = semanticScores.has(table) ? semanticScores.get(table) : null;
+      return {
+        table,
+        score: lexical + Math.max(semantic || 0, 0) * WEIGHTS.semantic,
+        lexical,
+        semantic,
+        degree: graph.get(table).size
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.degree - a.degree || a.table.localeCompare(b.table));
+}
+
+/**
+ * Whether a schema is large enough to be pruned
+ * @param {Object} schema - Schema object
+ * @param {Object} options - { minTables }
+ * @returns {boolean}
+ */
+function shouldPruneSchema(schema, options = {}) {
+  const envMinTables = parseInt(process.env.SCHEMA_PRUNE_MIN_TABLES);
+  const minTables = options.minTables ?? (Number.isNaN(envMinTables) ? DEFAULT_MIN_TABLES : envMinTables);
+
+  return process.env.SCHEMA_PRUNING !== 'false' && Object.keys(schema).length > minTables;
+}
+
+/**
+ * Select the tables relevant to a question: the top-K by score, then their
+ * direct foreign-key neighbours so the model can still write the JOINs.
+ * When nothing matches, the most connected tables are used.
+ * @param {Object} schema - Schema object
+ * @param {string} question - User question
+ * @param {Object} options - Options (also passed to rankTables)
+ * @param {number} [options.topK] - Tables picked by score (SCHEMA_PRUNE_TOP_K)
+ * @param {number} [options.maxTables] - Cap after expansion (SCHEMA_PRUNE_MAX_TABLES, default 2 * topK)
+ * @param {number} [options.minTables] - Send the whole schema at or below this size (SCHEMA_PRUNE_MIN_TABLES)
+ * @param {Array<string>} [options.pinnedTables] - Tables always kept (e.g. from glossary terms)
+ * @returns {{schema: Object, tables: Array<string>, pruned: boolean, totalTables: number}}
+ */
+function pruneSchema(schema, question, options = {}) {
+  const tableNames = Object.keys(schema);
+  const topK = options.topK || parseInt(process.env.SCHEMA_PRUNE_TOP_K) || DEFAULT_TOP_K;
+  const maxTables = options.maxTables || parseInt(process.env.SCHEMA_PRUNE_MAX_TABLES) || topK * 2;
+
+  if (!shouldPruneSchema(schema, options)) {
+    return { schema, tables: tableNames, pruned: false, totalTables: tableNames.length };
+  }
+
+  const ranked = rankTables(schema, question, options);
+  const scores = new Map(ranked.map(entry => [entry.table, entry.score]));
+  const matched = ranked.filter(entry => entry.score > 0);
+  const pinned = (options.pinnedTables || [])
+    .map(name => tableNames.find(table => table.toLowerCase() === name.toLowerCase()))
+    .filter(Boolean);
+  const seeds = [...new Set([
+    ...pinned,
+    ...(matched.length > 0 ? matched : ranked).slice(0, topK).map(entry => entry.table)
+  ])];
+
+  // Add foreign-key neighbours of the seeds, best scored first
+  const selected = new Set(seeds);
+  const graph = buildForeignKeyGraph(schema);
+  const neighbours = [...new Set(seeds.flatMap(table => [...graph.get(table)]))]
+    .filter(table => !selected.has(table))
+    .sort((a, b) => scores.get(b) - scores.get(a) || a.localeCompare(b));
+
+  for (const table of neighbours) {
+    if (selected.size >= maxTables) break;
+    selected.add(table);
+  }
+
+  // Keep the schema's own table order in the prompt
+  const pruned = {};
+  for (const table of tableNames) {
+    if (selected.has(table)) pruned[table] = schema[table];
+  }
+
+  return {
+    schema: pruned,
+    tables: Object.keys(pruned),
+    pruned: true,
+    totalTables: tableNames.length
+  };
+}
+
+module.exports = {
+  tokenize,
+  rankTables,
+  shouldPruneSchema,
+  pruneSchema
+};
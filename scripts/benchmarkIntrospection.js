@@ -0,0 +1,239 @@
+/**
+ * Schema Introspection Benchmark
+ * Generates a fixture with many tables and compares the set-based catalog
+ * queries in schema/introspect.js with the per-table queries they replaced.
+ *
+ * Usage:
+ *   node scripts/benchmarkIntrospection.js [--tables 500] [--runs 3] [--postgres]
+ *
+ * SQLite runs against a temporary file. --postgres uses BENCH_DATABASE_URL
+ * (or DATABASE_URL), creates the fixture in an "introspection_bench" schema
+ * and drops that schema afterwards.
+ *
+ * Expect the gain on PostgreSQL (and MySQL): every per-table query is planned
+ * against the information_schema views and costs a round trip. SQLite pragmas
+ * are in-process lookups, so both approaches take about the same time there.
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { getSchema } = require('../schema/introspect');
+
+const BENCH_SCHEMA = 'introspection_bench';
+
+/**
+ * Read a --name value option
+ * @param {string} name - Option name
+ * @param {number} fallback - Default
+ * @returns {number} Value
+ */
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index > -1 ? parseInt(process.argv[index + 1]) || fallback : fallback;
+}
+
+/**
+ * DDL for the fixture: every table has 8 columns, a foreign key to the
+ * previous table, a unique index and a check constraint
+ * @param {number} tableCount - Tables to create
+ * @param {string} prefix - Table name prefix (e.g. a schema)
+ * @returns {Array<string>} Statements
+ */
+function fixtureStatements(tableCount, prefix = '') {
+    const statements = [];
+
+    for (let i = 1; i <= tableCount; i++) {
+        const parent = i > 1 ? `,\n  parent_id INTEGER REFERENCES ${prefix}table_${i - 1}(id)` : ',\n  parent_id INTEGER';
+        statements.push(`CREATE TABLE ${prefix}table_${i} (
+  id INTEGER PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  status VARCHAR(20) CHECK (status IN ('active', 'archived')),
+  amount NUMERIC(12, 2),
+  quantity INTEGER,
+  created_at TIMESTAMP,
+  note TEXT${parent}
+)`);
+        statements.push(`CREATE UNIQUE INDEX table_${i}_name_status ON ${prefix}table_${i} (name, status)`);
+    }
+
+    return statements;
+}
+
+/**
+ * Per-table introspection as it was done before the catalog queries were batched
+ * @param {Object} db - SQLite database or PostgreSQL pool
+ * @param {string} dbType - 'sqlite' or 'postgres'
+ * @param {string} schemaName - PostgreSQL schema
+ * @returns {Promise<Object>} Schema (columns, keys and, on SQLite, indexes)
+ */
+async function legacyIntrospect(db, dbType, schemaName) {
+    const schema = {};
+
+    if (dbType === 'sqlite') {
+        const tables = db.prepare(`
+            SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name
+        `).all();
+
+        for (const { name } of tables) {
+            schema[name] = {
+                columns: db.prepare(`PRAGMA table_info("${name}")`).all(),
+                foreignKeys: db.prepare(`PRAGMA foreign_key_list("${name}")`).all(),
+                indexes: db.prepare(`PRAGMA index_list("${name}")`).all().map(index => ({
+                    ...index,
+                    columns: db.prepare(`PRAGMA index_info("${index.name}")`).all()
+                }))
+            };
+        }
+        return schema;
+    }
+
+    const tables = await db.query(`
+        SELECT table_name FROM information_schema.tables
+        WHERE table_schema = $1 AND table_type = 'BASE TABLE'
+        ORDER BY table_name
+    `, [schemaName]);
+
+    for (const { table_name: name } of tables.rows) {
+        const columns = await db.query(`
+            SELECT column_name, data_type, is_nullable, column_default
+            FROM information_schema.columns
+            WHERE table_schema = $1 AND table_name = $2
+            ORDER BY ordinal_position
+        `, [schemaName, name]);
+
+        const primaryKeys = await db.query(`
+            SELECT a.attname
+            FROM pg_index i
+            JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
+            WHERE i.indrelid = $1::regclass AND i.indisprimary
+        `, [`${schemaName}.${name}`]);
+
+        const foreignKeys = await db.query(`
+            SELECT kcu.column_name, ccu.table_name AS referenced_table, ccu.column_name AS referenced_column
+            FROM information_schema.table_constraints AS tc
+            JOIN information_schema.key_column_usage AS kcu
+                ON tc.constraint_name = kcu.constraint_name AND tc.table_schema = kcu.table_schema
+            JOIN information_schema.constraint_column_usage AS ccu
+                ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema
+            WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = $1 AND tc.table_name = $2
+        `, [schemaName, name]);
+
+        schema[name] = { columns: columns.rows, primaryKeys: primaryKeys.rows, foreignKeys: foreignKeys.rows };
+    }
+    return schema;
+}
+
+/**
+ * Run a function several times and count the queries it sends
+ * @param {Function} fn - Async function to time
+ * @param {Object} counter - { queries } incremented by the instrumented connection
+ * @param {number} runs - Repetitions
+ * @returns {Promise<{medianMs: number, queries: number, tables: number}>}
+ */
+async function measure(fn, counter, runs) {
+    const timings = [];
+    let result;
+
+    for (let i = 0; i < runs; i++) {
+        counter.queries = 0;
+        const start = process.hrtime.bigint();
+        result = await fn();
+        timings.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+
+    timings.sort((a, b) => a - b);
+    return {
+        medianMs: timings[Math.floor(timings.length / 2)],
+        queries: counter.queries,
+        tables: Object.keys(result).length
+    };
+}
+
+/**
+ * Print a comparison
+ * @param {string} label - Database label
+ * @param {Object} legacy - Per-table measurement
+ * @param {Object} batched - Set-based measurement
+ */
+function report(label, legacy, batched) {
+    console.log(`\n📊 ${label}`);
+    console.log(`   per-table : ${legacy.medianMs.toFixed(1)} ms, ${legacy.queries} queries, ${legacy.tables} tables`);
+    console.log(`   set-based : ${batched.medianMs.toFixed(1)} ms, ${batched.queries} queries, ${batched.tables} tables`);
+    console.log(`   speed-up  : ${(legacy.medianMs / batched.medianMs).toFixed(1)}x`);
+}
+
+async function benchmarkSQLite(tableCount, runs) {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'introspection-')), 'bench.db');
+    const db = new Database(file);
+    const counter = { queries: 0 };
+
+    try {
+        db.exec(fixtureStatements(tableCount).join(';\n'));
+
+        // Count prepared statements as queries
+        const prepare = db.prepare.bind(db);
+        db.prepare = (sql) => {
+            counter.queries++;
+            return prepare(sql);
+        };
+
+        const legacy = await measure(() => legacyIntrospect(db, 'sqlite'), counter, runs);
+        const batched = await measure(() => getSchema(db, 'sqlite'), counter, runs);
+        report(`SQLite, ${tableCount} tables`, legacy, batched);
+    } finally {
+        db.close();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+}
+
+async function benchmarkPostgres(tableCount, runs) {
+    const connectionString = process.env.BENCH_DATABASE_URL || process.env.DATABASE_URL;
+    if (!connectionString) {
+        console.error('❌ BENCH_DATABASE_URL or DATABASE_URL is required for --postgres');
+        process.exit(1);
+    }
+
+    const { Pool } = require('pg');
+    const pool = new Pool({ connectionString });
+    const counter = { queries: 0 };
+    const query = pool.query.bind(pool);
+
+    try {
+        await query(`DROP SCHEMA IF EXISTS ${BENCH_SCHEMA} CASCADE`);
+        await query(`CREATE SCHEMA ${BENCH_SCHEMA}`);
+        for (const statement of fixtureStatements(tableCount, `${BENCH_SCHEMA}.`)) {
+            await query(statement);
+        }
+
+        pool.query = (...args) => {
+            counter.queries++;
+            return query(...args);
+        };
+
+        const legacy = await measure(() => legacyIntrospect(pool, 'postgres', BENCH_SCHEMA), counter, runs);
+        const batched = await measure(() => getSchema(pool, 'postgres', { schema: BENCH_SCHEMA }), counter, runs);
+        report(`PostgreSQL, ${tableCount} tables`, legacy, batched);
+    } finally {
+        await query(`DROP SCHEMA IF EXISTS ${BENCH_SCHEMA} CASCADE`).catch(() => {});
+        await pool.end();
+    }
+}
+
+async function main() {
+    const tableCount = readOption('tables', 500);
+    const runs = readOption('runs', 3);
+
+    console.log(`🚀 Benchmarking schema introspection (${tableCount} tables, median of ${runs} runs)...`);
+
+    await benchmarkSQLite(tableCount, runs);
+    if (process.argv.includes('--postgres')) {
+        await benchmarkPostgres(tableCount, runs);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
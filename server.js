@@ -10,15 +10,26 @@ const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
 
-const { initDatabase, closeDatabase } = require('./db/connection');
+const { initConnections, closeAllConnections } = require('./db/registry');
+const { openAppStore } = require('./db/appStore');
 const apiRoutes = require('./routes/api');
 const uploadRoutes = require('./routes/upload');
+const connectionRoutes = require('./routes/connections');
+const sessionRoutes = require('./routes/sessions');
+const glossaryRoutes = require('./routes/glossary');
+const exampleRoutes = require('./routes/examples');
+const savedRoutes = require('./routes/saved');
+const scheduleRoutes = require('./routes/schedules');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const { createRateLimiter } = require('./middleware/rateLimit');
-const { authMiddleware } = require('./middleware/auth');
+const { authMiddleware, isJwtSecretConfigured } = require('./middleware/auth');
 const logger = require('./utils/logger');
 const { requestLogger } = require('./utils/logger');
 const { initHistory } = require('./utils/queryHistory');
+const { initSavedQueries } = require('./utils/savedQueries');
+const { initSchedules } = require('./utils/schedules');
+const { startSchemaWatcher, stopSchemaWatcher } = require('./services/schemaWatcher');
+const { startScheduler, stopScheduler } = require('./services/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -66,9 +77,22 @@ const AUTH_ENABLED = process.env.AUTH_ENABLED === 'true';
 if (AUTH_ENABLED) {
     app.use('/api', authMiddleware, apiRoutes);
     app.use('/api/upload', authMiddleware, uploadRoutes);
+    app.use('/api/sessions', authMiddleware, sessionRoutes);
+    app.use('/api/glossary', authMiddleware, glossaryRoutes);
+    app.use('/api/examples', authMiddleware, exampleRoutes);
+    app.use('/api/saved', authMiddleware, savedRoutes);
+    app.use('/api/schedules', authMiddleware, scheduleRoutes);
+    app.use('/api/connections', authMiddleware, connectionRoutes);
 } else {
     app.use('/api', apiRoutes);
     app.use('/api/upload', uploadRoutes);
+    app.use('/api/sessions', sessionRoutes);
+    app.use('/api/glossary', glossaryRoutes);
+    app.use('/api/examples', exampleRoutes);
+    app.use('/api/saved', savedRoutes);
+    // Admin-only: requires a Bearer token with the admin role even without AUTH_ENABLED
+    app.use('/api/schedules', scheduleRoutes);
+    app.use('/api/connections', connectionRoutes);
 }
 
 // Serve frontend for all other routes (SPA support)
@@ -89,21 +113,31 @@ app.use(errorHandler);
 // Database initialization and server start
 async function startServer() {
     try {
-        // Auto-detect database type: If DATABASE_URL is set (Railway/Heroku), use postgres
-        const dbType = process.env.DATABASE_URL ? 'postgres' : (process.env.DB_TYPE || 'sqlite');
-
         logger.info(`🚀 Starting Universal SQL AI Engine...`);
-        logger.info(`📦 Database type: ${dbType}`);
 
-        // Initialize database
-        const db = await initDatabase(dbType);
+        // Initialize named connections (config/connections.json, or a single one from env)
+        const { db, type: dbType, name } = await initConnections();
+        logger.info(`📦 Default connection: ${name} (${dbType})`);
 
-        // Store in app context
+        // Store default connection in app context
         app.set('db', db);
         app.set('dbType', dbType);
 
-        // Initialize persistent history
-        await initHistory(db);
+        // History, saved queries, schedules and their runs live in the application store
+        // (the default connection, or a writable APP_STORE_PATH file on SQLite)
+        const appStore = await openAppStore(db, dbType).catch(error => {
+            logger.warn(`⚠️  Could not open the application store: ${error.message}`);
+            return null;
+        });
+        await initHistory(appStore);
+        await initSavedQueries(appStore);
+        await initSchedules(appStore);
+
+        // Detect DDL changes and refresh the affected connection's schema
+        startSchemaWatcher();
+
+        // Run due schedules in-process
+        startScheduler();
 
         // Start server
         const server = app.listen(PORT, () => {
@@ -114,14 +148,19 @@ async function startServer() {
             if (!process.env.GROQ_API_KEY) {
                 logger.warn('⚠️  GROQ_API_KEY not set - AI features will not work');
             }
+            if (!isJwtSecretConfigured()) {
+                logger.warn('⚠️  JWT_SECRET not set (or a published default) - admin endpoints are disabled and tokens can be forged');
+            }
         });
 
         // Graceful shutdown
         const shutdown = async (signal) => {
             logger.info(`\n${signal} received. Shutting down gracefully...`);
+            stopSchemaWatcher();
+            stopScheduler();
 
             server.close(async () => {
-                await closeDatabase(db, dbType);
+                await closeAllConnections();
                 logger.info('👋 Server closed. Goodbye!');
                 process.exit(0);
             });
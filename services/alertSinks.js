@@ -0,0 +1,205 @@
+/**
+ * Alert Sinks
+ * Deliver schedule alerts. Built in: "webhook" (HTTP POST), "file" (JSON lines
+ * under ALERT_FILE_DIR) and "email" (an SMTP stand-in that writes .eml files to
+ * ALERT_OUTBOX_DIR). Register a sink with the same name to replace one, e.g.
+ * an "email" sink backed by a real mail transport.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Registered sinks.
+ * Every sink exposes:
+ *   send(notification, config) -> Promise<Object|void>  (delivery details, e.g. the file written)
+ *   validate(config)           -> void, throws for an unusable config (optional)
+ */
+const sinks = new Map();
+
+/**
+ * Create a 400 error for an invalid sink config
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function configError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Register an alert sink
+ * @param {string} type - Sink type
+ * @param {Object} sink - Object with a send(notification, config) function
+ */
+function registerSink(type, sink) {
+    if (typeof sink.send !== 'function') {
+        throw new Error(`Alert sink "${type}" must implement send()`);
+    }
+
+    sinks.set(type.toLowerCase(), { type: type.toLowerCase(), ...sink });
+}
+
+/**
+ * Get a registered sink
+ * @param {string} type - Sink type
+ * @returns {Object} Sink
+ * @throws {Error} 400 for unknown sinks
+ */
+function getSink(type) {
+    const sink = sinks.get(String(type || '').toLowerCase());
+    if (!sink) {
+        throw configError(`Unknown alert sink: ${type}. Available: ${listSinks().join(', ')}`);
+    }
+    return sink;
+}
+
+/**
+ * Names of the registered sinks
+ * @returns {Array<string>} Sink types
+ */
+function listSinks() {
+    return [...sinks.keys()];
+}
+
+/**
+ * Check a sink config ({ type, ... }) before it is saved
+ * @param {Object} config - Sink config
+ * @throws {Error} 400 for unknown sinks or invalid settings
+ */
+function validateSink(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw configError('Each sink must be an object with a type');
+    }
+
+    const sink = getSink(config.type);
+    if (sink.validate) sink.validate(config);
+}
+
+/**
+ * A file name inside a sink directory (no path separators or traversal)
+ * @param {string} name - Requested name
+ * @param {string} fallback - Name when none is given
+ * @returns {string} File name
+ */
+function safeFileName(name, fallback) {
+    const cleaned = String(name || '').replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '');
+    return cleaned || fallback;
+}
+
+/**
+ * Plain-text summary of a notification
+ * @param {Object} notification - { schedule, startedAt, alerts }
+ * @returns {string} Text
+ */
+function formatNotification(notification) {
+    const lines = [
+        `Schedule: ${notification.schedule.name} (${notification.schedule.id})`,
+        `Connection: ${notification.connection}`,
+        `Run at: ${notification.startedAt}`,
+        ''
+    ];
+
+    for (const alert of notification.alerts) {
+        lines.push(`- ${alert.message}`);
+    }
+
+    return lines.join('\n');
+}
+
+registerSink('webhook', {
+    validate: (config) => {
+        if (!/^https?:\/\//i.test(config.url || '')) {
+            throw configError('webhook sink needs an http(s) url');
+        }
+    },
+    send: async (notification, config) => {
+        const response = await axios.post(config.url, notification, {
+            headers: {
+                'Content-Type': 'application/json',
+                ...(config.headers || {})
+            },
+            timeout: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000
+        });
+        return { status: response.status };
+    }
+});
+
+// One JSON line per notification, e.g. for log shippers
+registerSink('file', {
+    send: async (notification, config) => {
+        const dir = process.env.ALERT_FILE_DIR || path.join(__dirname, '..', 'data', 'alerts');
+        const file = path.join(dir, safeFileName(config.file, 'alerts.jsonl'));
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(notification) + '\n');
+        return { file };
+    }
+});
+
+// SMTP stand-in: writes the message it would send as an .eml file
+registerSink('email', {
+    validate: (config) => {
+        const recipients = [].concat(config.to || []);
+        if (recipients.length === 0 || recipients.some(to => !/^[^\s@]+@[^\s@]+$/.test(to))) {
+            throw configError('email sink needs a "to" address or list of addresses');
+        }
+    },
+    send: async (notification, config) => {
+        const dir = process.env.ALERT_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox');
+        const to = [].concat(config.to).join(', ');
+        const subject = config.subject || `[SQL AI] ${notification.alerts.length} alert(s) for "${notification.schedule.name}"`;
+
+        const message = [
+            `From: ${process.env.ALERT_EMAIL_FROM || 'sql-ai-engine@localhost'}`,
+            `To: ${to}`,
+            `Subject: ${subject.replace(/[\r\n]+/g, ' ')}`,
+            `Date: ${new Date(notification.startedAt).toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            formatNotification(notification),
+            ''
+        ].join('\r\n');
+
+        const file = path.join(
+            dir,
+            `${notification.startedAt.replace(/[:.]/g, '-')}-schedule-${notification.schedule.id}.eml`
+        );
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file, message);
+        return { file, to };
+    }
+});
+
+/**
+ * Deliver a notification to every sink of a schedule. A failing sink does not
+ * stop the others.
+ * @param {Object} notification - { schedule, connection, startedAt, alerts, run }
+ * @param {Array<Object>} configs - Sink configs
+ * @returns {Promise<Array<Object>>} Per sink: { type, success, ...details } or { type, success: false, error }
+ */
+async function sendAlerts(notification, configs = []) {
+    const deliveries = [];
+
+    for (const config of configs) {
+        try {
+            const details = await getSink(config.type).send(notification, config);
+            deliveries.push({ type: config.type, success: true, ...(details || {}) });
+        } catch (error) {
+            deliveries.push({ type: config.type, success: false, error: error.message });
+        }
+    }
+
+    return deliveries;
+}
+
+module.exports = {
+    registerSink,
+    getSink,
+    listSinks,
+    validateSink,
+    sendAlerts
+};
@@ -0,0 +1,130 @@
+/**
+ * Row Limiter
+ * Caps the number of rows a query can return, based on the outermost query
+ *
+ * The parsed AST decides what the outermost LIMIT looks like; the change is then
+ * spliced into the original text at that clause. Regenerating SQL from the AST
+ * would re-quote identifiers, which changes case folding on PostgreSQL.
+ */
+
+const { parseSQL, findTopLevel, stripTerminator } = require('../utils/sqlParser');
+
+const TOP_LEVEL_LIMIT = /\bLIMIT\s+(\d+)(?:\s*,\s*(\d+))?/i;
+const TOP_LEVEL_FETCH = /\bFETCH\s+(?:FIRST|NEXT)\s+(\d+)?\s*ROWS?\s+ONLY\b/i;
+const TOP_LEVEL_OFFSET = /\bOFFSET\b/i;
+
+/**
+ * Describe the outermost LIMIT from the AST
+ * @param {Object} statement - Statement AST
+ * @returns {{kind: string, count?: number}} kind: none, number, offset-only, dynamic
+ */
+function describeOuterLimit(statement) {
+    // For UNION/INTERSECT/EXCEPT the trailing LIMIT hangs off the last branch
+    let node = statement;
+    while (node._next) node = node._next;
+
+    const limit = node.limit;
+    if (!limit || !Array.isArray(limit.value) || limit.value.length === 0) {
+        return { kind: 'none' };
+    }
+
+    if (limit.seperator === 'offset' && limit.value.length === 1) {
+        return { kind: 'offset-only' };
+    }
+
+    // MySQL "LIMIT offset, count"
+    const count = limit.seperator === ',' ? limit.value[1] : limit.value[0];
+    if (count && count.type === 'number') {
+        return { kind: 'number', count: Number(count.value) };
+    }
+
+    return { kind: 'dynamic' };
+}
+
+/**
+ * Find the outermost LIMIT/FETCH count in the text
+ * @param {string} sql - SQL without terminator
+ * @returns {{start: number, end: number, count: number}|null} Location of the count
+ */
+function findOuterLimitCount(sql) {
+    const limits = findTopLevel(sql, TOP_LEVEL_LIMIT);
+    const fetches = findTopLevel(sql, TOP_LEVEL_FETCH);
+    const last = [...limits, ...fetches].sort((a, b) => a.index - b.index).pop();
+
+    if (!last) return null;
+
+    const { index, match } = last;
+    // "LIMIT offset, count" -> group 2, otherwise group 1
+    const countText = match[2] !== undefined ? match[2] : match[1];
+
+    if (countText === undefined) {
+        // FETCH FIRST ROW ONLY (implicit 1)
+        return { start: index, end: index, count: 1, implicit: true };
+    }
+
+    const start = index + match[0].lastIndexOf(countText);
+    return { start, end: start + countText.length, count: Number(countText) };
+}
+
+/**
+ * Wrap a query so the limit applies to its complete result
+ * @param {string} sql - SQL without terminator
+ * @param {number} fetchLimit - Rows to fetch
+ * @returns {string} Wrapped SQL
+ */
+function wrapWithLimit(sql, fetchLimit) {
+    return `SELECT * FROM (\n${sql}\n) AS limited_result LIMIT ${fetchLimit}`;
+}
+
+/**
+ * Apply a row limit to a query.
+ * One row more than maxRows is fetched so callers can tell whether the
+ * result was truncated.
+ * @param {string} sql - Validated SQL query
+ * @param {string} dbType - Database type
+ * @param {number} maxRows - Maximum rows to return
+ * @returns {{sql: string, fetchLimit: number, strategy: string}}
+ *   strategy: unchanged (outer LIMIT already within maxRows), appended, clamped, wrapped
+ */
+function applyRowLimit(sql, dbType, maxRows) {
+    const body = stripTerminator(sql);
+    const fetchLimit = maxRows + 1;
+
+    let outer;
+    try {
+        const [statement] = parseSQL(body, dbType);
+        outer = describeOuterLimit(statement);
+    } catch (error) {
+        outer = { kind: 'unknown' };
+    }
+
+    const located = findOuterLimitCount(body);
+
+    // No outer LIMIT: append one (also applies to a whole UNION)
+    if (outer.kind === 'none' && !located && findTopLevel(body, TOP_LEVEL_OFFSET).length === 0) {
+        return { sql: `${body} LIMIT ${fetchLimit}`, fetchLimit, strategy: 'appended' };
+    }
+
+    // Numeric outer LIMIT that the text agrees with: keep or clamp it in place
+    if (outer.kind === 'number' && located && !located.implicit && located.count === outer.count) {
+        if (located.count <= maxRows) {
+            return { sql: body, fetchLimit: located.count, strategy: 'unchanged' };
+        }
+        return {
+            sql: body.slice(0, located.start) + fetchLimit + body.slice(located.end),
+            fetchLimit,
+            strategy: 'clamped'
+        };
+    }
+
+    if (located && located.implicit) {
+        return { sql: body, fetchLimit: 1, strategy: 'unchanged' };
+    }
+
+    // Parameterised/ALL limits, OFFSET without LIMIT, or anything ambiguous
+    return { sql: wrapWithLimit(body, fetchLimit), fetchLimit, strategy: 'wrapped' };
+}
+
+module.exports = {
+    applyRowLimit
+};
@@ -0,0 +1,432 @@
+/**
+ * Scheduler
+ * Runs due schedules in-process, snapshots their results, compares them with
+ * the previous successful run and sends alerts when a rule fires.
+ */
+
+const crypto = require('crypto');
+
+const { executeSQL } = require('./sqlService');
+const { sendAlerts } = require('./alertSinks');
+const { getConnection, getConnectionOptions } = require('../db/registry');
+const { getSavedQuery, bindParameters, recordSavedQueryRun } = require('../utils/savedQueries');
+const {
+    isSchedulesAvailable,
+    getDueSchedules,
+    setNextRun,
+    addScheduleRun,
+    getScheduleRuns
+} = require('../utils/schedules');
+const { getNextRun } = require('../utils/cron');
+const logger = require('../utils/logger');
+
+let timer = null;
+let ticking = null;
+const running = new Set();
+
+/**
+ * Tick interval (SCHEDULER_TICK_MS, default 30000; 0 disables the scheduler)
+ * @returns {number} Milliseconds
+ */
+function getTickInterval() {
+    const interval = parseInt(process.env.SCHEDULER_TICK_MS);
+    return Number.isNaN(interval) ? 30000 : interval;
+}
+
+/**
+ * Checksum of a result set (same rows in the same order give the same checksum)
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} 16 hex characters
+ */
+function checksumRows(rows) {
+    return crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Find a column in a row, falling back to a case-insensitive match
+ * @param {Object} row - Row
+ * @param {string} column - Column name
+ * @returns {string|undefined} Key in the row
+ */
+function findColumn(row, column) {
+    if (!row) return undefined;
+    if (column in row) return column;
+    return Object.keys(row).find(key => key.toLowerCase() === column.toLowerCase());
+}
+
+/**
+ * Aggregate a numeric column over the result rows
+ * @param {Array<Object>} rows - Rows
+ * @param {string} column - Column name
+ * @param {string} aggregate - sum, avg, min, max or first
+ * @returns {number|null} Value, or null when the column is missing or has no numbers
+ */
+function computeMetric(rows, column, aggregate) {
+    const key = findColumn(rows[0], column);
+    if (key === undefined) return null;
+
+    const values = rows
+        .map(row => row[key])
+        .filter(value => value !== null && value !== undefined && value !== '')
+        .map(Number)
+        .filter(Number.isFinite);
+    if (values.length === 0) return aggregate === 'sum' ? 0 : null;
+
+    switch (aggregate) {
+        case 'first': return values[0];
+        case 'min': return Math.min(...values);
+        case 'max': return Math.max(...values);
+        case 'avg': return values.reduce((sum, value) => sum + value, 0) / values.length;
+        default: return values.reduce((sum, value) => sum + value, 0);
+    }
+}
+
+/**
+ * Metric key of a metric_change rule, e.g. "sum(revenue)"
+ * @param {Object} rule - Rule
+ * @returns {string} Key
+ */
+function metricKey(rule) {
+    return `${rule.aggregate}(${rule.column})`;
+}
+
+/**
+ * Percentage change between two values
+ * @param {number} before - Previous value
+ * @param {number} after - Current value
+ * @returns {number|null} Change in percent (2 decimals), null when changing from 0
+ */
+function percentChange(before, after) {
+    if (before === after) return 0;
+    if (before === 0) return null;
+    return Math.round(((after - before) / Math.abs(before)) * 10000) / 100;
+}
+
+/**
+ * Whether a change crosses a rule's threshold
+ * @param {number} before - Previous value
+ * @param {number} after - Current value
+ * @param {Object} rule - { percent, direction }
+ * @returns {boolean}
+ */
+function exceedsThreshold(before, after, rule) {
+    if (rule.direction === 'up' && after <= before) return false;
+    if (rule.direction === 'down' && after >= before) return false;
+
+    const change = percentChange(before, after);
+    return change === null || Math.abs(change) > rule.percent;
+}
+
+/**
+ * Compare a run with the previous successful run
+ * @param {Object} previous - Previous run
+ * @param {Object} run - Current run
+ * @returns {Object} { previousRunId, rowCount, checksumChanged, metrics, columns, snapshot }
+ */
+function diffRuns(previous, run) {
+    const metrics = {};
+    for (const key of new Set([...Object.keys(previous.metrics || {}), ...Object.keys(run.metrics)])) {
+        const before = previous.metrics ? previous.metrics[key] : undefined;
+        const after = run.metrics[key];
+        metrics[key] = {
+            before: before === undefined ? null : before,
+            after: after === undefined ? null : after,
+            changePercent: typeof before === 'number' && typeof after === 'number' ? percentChange(before, after) : null
+        };
+    }
+
+    const beforeSnapshot = previous.snapshot || { columns: [], rows: [] };
+    const afterSnapshot = run.snapshot;
+
+    // Snapshot rows are compared as a multiset, so reordering alone is not a change
+    const remaining = new Map();
+    for (const row of beforeSnapshot.rows) {
+        const key = JSON.stringify(row);
+        remaining.set(key, (remaining.get(key) || 0) + 1);
+    }
+    const added = [];
+    for (const row of afterSnapshot.rows) {
+        const key = JSON.stringify(row);
+        if (remaining.get(key) > 0) {
+            remaining.set(key, remaining.get(key) - 1);
+        } else {
+            added.push(row);
+        }
+    }
+    const removed = [];
+    for (const row of beforeSnapshot.rows) {
+        const key = JSON.stringify(row);
+        if (remaining.get(key) > 0) {
+            remaining.set(key, remaining.get(key) - 1);
+            removed.push(row);
+        }
+    }
+
+    return {
+        previousRunId: previous.id,
+        rowCount: {
+            before: previous.rowCount,
+            after: run.rowCount,
+            change: run.rowCount - previous.rowCount,
+            changePercent: percentChange(previous.rowCount, run.rowCount)
+        },
+        checksumChanged: previous.checksum !== run.checksum,
+        metrics,
+        columns: {
+            added: afterSnapshot.columns.filter(column => !beforeSnapshot.columns.includes(column)),
+            removed: beforeSnapshot.columns.filter(column => !afterSnapshot.columns.includes(column))
+        },
+        snapshot: { added, removed }
+    };
+}
+
+/**
+ * Evaluate a schedule's rules for a run
+ * @param {Array<Object>} rules - Rules
+ * @param {Object} run - Current run
+ * @param {Object|null} previous - Previous successful run
+ * @param {Object|null} last - Previous run of any status
+ * @returns {Array<Object>} Alerts: { rule, message, ... }
+ */
+function evaluateRules(rules, run, previous, last) {
+    const alerts = [];
+
+    for (const rule of rules) {
+        if (rule.type === 'run_failed') {
+            // Only the first failure in a row alerts
+            if (run.status === 'failed' && (!last || last.status !== 'failed')) {
+                alerts.push({ rule, message: `Run failed: ${run.error}` });
+            }
+            continue;
+        }
+
+        if (run.status !== 'success') continue;
+
+        if (rule.type === 'row_count_zero') {
+            // Alerts when the rows disappear, not on every empty run
+            if (run.rowCount === 0 && (!previous || previous.rowCount > 0)) {
+                alerts.push({
+                    rule,
+                    message: previous ? `Row count dropped to 0 (was ${previous.rowCount})` : 'Query returned no rows',
+                    before: previous ? previous.rowCount : null,
+                    after: 0
+                });
+            }
+        } else if (rule.type === 'row_count_change') {
+            if (previous && exceedsThreshold(previous.rowCount, run.rowCount, rule)) {
+                const change = percentChange(previous.rowCount, run.rowCount);
+                alerts.push({
+                    rule,
+                    message: `Row count changed from ${previous.rowCount} to ${run.rowCount}` +
+                        (change === null ? '' : ` (${change > 0 ? '+' : ''}${change}%)`),
+                    before: previous.rowCount,
+                    after: run.rowCount,
+                    changePercent: change
+                });
+            }
+        } else if (rule.type === 'metric_change') {
+            const key = metricKey(rule);
+            const after = run.metrics[key];
+            if (after === null || after === undefined) {
+                if (run.rowCount > 0) {
+                    alerts.push({ rule, message: `Metric ${key} could not be computed: no numeric column "${rule.column}" in the results` });
+                }
+                continue;
+            }
+
+            const before = previous && previous.metrics ? previous.metrics[key] : null;
+            if (typeof before === 'number' && exceedsThreshold(before, after, rule)) {
+                const change = percentChange(before, after);
+                alerts.push({
+                    rule,
+                    message: `${key} changed from ${before} to ${after}` +
+                        (change === null ? '' : ` (${change > 0 ? '+' : ''}${change}%)`) +
+                        `, more than ${rule.percent}%`,
+                    before,
+                    after,
+                    changePercent: change
+                });
+            }
+        }
+    }
+
+    return alerts;
+}
+
+/**
+ * Run a schedule once: execute, snapshot, diff, alert and store the run
+ * @param {Object} schedule - Schedule
+ * @param {Object} options - { trigger: 'schedule' | 'manual' }
+ * @returns {Promise<Object>} Stored run
+ * @throws {Error} 409 if the schedule is already running
+ */
+async function runSchedule(schedule, options = {}) {
+    if (running.has(schedule.id)) {
+        const error = new Error(`Schedule ${schedule.id} is already running`);
+        error.statusCode = 409;
+        throw error;
+    }
+    running.add(schedule.id);
+
+    const startedAt = new Date();
+    const run = {
+        scheduleId: schedule.id,
+        trigger: options.trigger || 'schedule',
+        status: 'success',
+        rowCount: null,
+        checksum: null,
+        snapshot: null,
+        metrics: {},
+        diff: null,
+        alerts: [],
+        deliveries: [],
+        error: null,
+        executionTimeMs: null,
+        startedAt: startedAt.toISOString(),
+        finishedAt: null
+    };
+    let connectionName = schedule.connection;
+
+    try {
+        try {
+            const savedQuery = schedule.savedQueryId ? await getSavedQuery(schedule.savedQueryId) : null;
+            const conn = getConnection(schedule.connection || (savedQuery && savedQuery.connection) || undefined);
+            connectionName = conn.name;
+
+            const bound = savedQuery
+                ? bindParameters(savedQuery, schedule.params, conn.type)
+                : { sql: schedule.sql, params: [] };
+
+            const result = await executeSQL(bound.sql, conn.db, {
+                ...getConnectionOptions(conn),
+                params: bound.params,
+                maxRows: parseInt(process.env.SCHEDULE_MAX_ROWS) || 10000
+            });
+            if (savedQuery) await recordSavedQueryRun(savedQuery.id);
+
+            const snapshotRows = schedule.snapshotRows !== null
+                ? schedule.snapshotRows
+                : parseInt(process.env.SCHEDULE_SNAPSHOT_ROWS) || 20;
+
+            run.rowCount = result.rowCount;
+            run.checksum = checksumRows(result.results);
+            run.snapshot = {
+                columns: result.results[0] ? Object.keys(result.results[0]) : [],
+                rows: result.results.slice(0, snapshotRows),
+                limitApplied: result.limitApplied
+            };
+            run.executionTimeMs = result.executionTimeMs;
+
+            for (const rule of schedule.rules.filter(r => r.type === 'metric_change')) {
+                run.metrics[metricKey(rule)] = computeMetric(result.results, rule.column, rule.aggregate);
+            }
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            run.executionTimeMs = Date.now() - startedAt.getTime();
+        }
+
+        const [last] = await getScheduleRuns(schedule.id, { limit: 1 });
+        const [previous] = await getScheduleRuns(schedule.id, { limit: 1, status: 'success' });
+
+        if (run.status === 'success' && previous) {
+            run.diff = diffRuns(previous, run);
+        }
+
+        run.alerts = evaluateRules(schedule.rules, run, previous || null, last || null);
+
+        if (run.alerts.length > 0) {
+            logger.warn(`🔔 Schedule "${schedule.name}": ${run.alerts.map(alert => alert.message).join('; ')}`);
+
+            run.deliveries = await sendAlerts({
+                schedule: { id: schedule.id, name: schedule.name },
+                connection: connectionName || null,
+                startedAt: run.startedAt,
+                status: run.status,
+                rowCount: run.rowCount,
+                alerts: run.alerts,
+                diff: run.diff
+            }, schedule.sinks);
+
+            for (const delivery of run.deliveries.filter(d => !d.success)) {
+                logger.warn(`Alert sink "${delivery.type}" failed for schedule "${schedule.name}": ${delivery.error}`);
+            }
+        }
+
+        run.finishedAt = new Date().toISOString();
+        return await addScheduleRun(run);
+    } finally {
+        running.delete(schedule.id);
+    }
+}
+
+/**
+ * Run every due schedule once. The next run is claimed before running, so
+ * runs missed while the server was down are made up once, not repeatedly.
+ * @returns {Promise<Array<Object>>} Per schedule: { scheduleId, runId, status, alerts } or { scheduleId, error }
+ */
+async function runDueSchedules() {
+    // A slow tick is not overlapped by the next one
+    if (ticking) return ticking;
+
+    ticking = (async () => {
+        const results = [];
+        if (!isSchedulesAvailable()) return results;
+
+        const now = new Date();
+        for (const schedule of await getDueSchedules(now)) {
+            if (running.has(schedule.id)) continue;
+
+            try {
+                await setNextRun(schedule.id, getNextRun(schedule.cron, now));
+                const run = await runSchedule(schedule);
+                results.push({ scheduleId: schedule.id, runId: run.id, status: run.status, alerts: run.alerts.length });
+            } catch (error) {
+                logger.error(`Schedule "${schedule.name}" could not run: ${error.message}`);
+                results.push({ scheduleId: schedule.id, error: error.message });
+            }
+        }
+
+        return results;
+    })();
+
+    try {
+        return await ticking;
+    } finally {
+        ticking = null;
+    }
+}
+
+/**
+ * Start running schedules in the background
+ * @returns {boolean} Whether the scheduler was started
+ */
+function startScheduler() {
+    const interval = getTickInterval();
+    if (interval <= 0 || timer || !isSchedulesAvailable()) return false;
+
+    timer = setInterval(() => {
+        runDueSchedules().catch(error => logger.error(`Scheduler tick failed: ${error.message}`));
+    }, interval);
+    timer.unref();
+
+    logger.info(`⏰ Running scheduled queries (checking every ${interval / 1000}s)`);
+    return true;
+}
+
+/**
+ * Stop the background scheduler
+ */
+function stopScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    runSchedule,
+    runDueSchedules,
+    startScheduler,
+    stopScheduler
+};
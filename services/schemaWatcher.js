@@ -0,0 +1,94 @@
+/**
+ * Schema Watcher
+ * Periodically re-introspects every connection and compares schema
+ * fingerprints, so DDL changes (new tables, altered columns, ...) replace
+ * only the affected connection's cached schema instead of waiting for the TTL.
+ */
+
+const { refreshSchema } = require('./sqlService');
+const { listConnectionNames, getConnection, getConnectionOptions } = require('../db/registry');
+const logger = require('../utils/logger');
+
+let timer = null;
+let polling = null;
+
+/**
+ * Poll interval (SCHEMA_POLL_INTERVAL_MS, default 60000; 0 disables polling)
+ * @returns {number} Milliseconds
+ */
+function getPollInterval() {
+    const interval = parseInt(process.env.SCHEMA_POLL_INTERVAL_MS);
+    return Number.isNaN(interval) ? 60000 : interval;
+}
+
+/**
+ * Check every available connection for schema changes once
+ * @returns {Promise<Array<Object>>} Per connection: { connection, fingerprint, changed } or { connection, error }
+ */
+async function pollSchemas() {
+    // A slow poll is not overlapped by the next tick
+    if (polling) return polling;
+
+    polling = (async () => {
+        const results = [];
+
+        for (const name of listConnectionNames()) {
+            let conn;
+            try {
+                conn = getConnection(name);
+            } catch (error) {
+                // Connections that failed to open are skipped
+                continue;
+            }
+
+            try {
+                const { fingerprint, changed } = await refreshSchema(conn.db, getConnectionOptions(conn));
+                results.push({ connection: name, fingerprint, changed });
+            } catch (error) {
+                logger.warn(`Schema check of "${name}" failed: ${error.message}`);
+                results.push({ connection: name, error: error.message });
+            }
+        }
+
+        return results;
+    })();
+
+    try {
+        return await polling;
+    } finally {
+        polling = null;
+    }
+}
+
+/**
+ * Start polling in the background
+ * @returns {boolean} Whether polling was started
+ */
+function startSchemaWatcher() {
+    const interval = getPollInterval();
+    if (interval <= 0 || timer) return false;
+
+    timer = setInterval(() => {
+        pollSchemas().catch(error => logger.error(`Schema polling failed: ${error.message}`));
+    }, interval);
+    timer.unref();
+
+    logger.info(`👀 Watching schemas for changes every ${interval / 1000}s`);
+    return true;
+}
+
+/**
+ * Stop background polling
+ */
+function stopSchemaWatcher() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    pollSchemas,
+    startSchemaWatcher,
+    stopSchemaWatcher
+};
@@ -4,54 +4,51 @@
  */
 
 const { getSchema, getSimplifiedSchema } = require('../schema/introspect');
-const { buildSQLPrompt } = require('../prompts/sqlPrompt');
-const { generateSQL: callGroqAI, explainResults: explainWithAI } = require('../ai/groq');
+const { pruneSchema, shouldPruneSchema } = require('../schema/retrieval');
+const { isEmbeddingIndexEnabled, searchIndex } = require('../schema/embeddingIndex');
+const { isPromptProfilingEnabled, attachProfiles, clearProfiles } = require('../schema/profile');
+const { recordSchema } = require('../schema/fingerprint');
+const {
+    buildSQLPrompt,
+    buildRepairPrompt,
+    buildResponsePrompt,
+    buildExplainPrompt,
+    buildImprovementPrompt
+} = require('../prompts/sqlPrompt');
+const { generateWithFailover, explainWithFailover, completeWithFailover } = require('../ai/failover');
 const { getSchemaFromCache, setSchemaInCache } = require('../utils/cache');
 const { addToHistory } = require('../utils/queryHistory');
-const { executeWithTimeout } = require('../db/connection');
+const { findTerms } = require('../utils/glossary');
+const { findSimilarExamples } = require('../utils/exampleBank');
+const { addTurn, getConversationContext, ROW_SAMPLE_SIZE } = require('../utils/sessionStore');
+const { checkAnswerGrounding } = require('../utils/answerGrounding');
+const { executeWithTimeout, openStream } = require('../db/connection');
+const { analyzeSQL } = require('./sqlValidator');
+const { applyRowLimit } = require('./rowLimiter');
+const { listTables, listTableAliases, replacePlaceholders } = require('../utils/sqlParser');
+const { normalizePlan, findPlanWarnings } = require('../utils/explainPlan');
 const logger = require('../utils/logger');
 
-/**
- * Dangerous SQL patterns that should be blocked
- */
-const DANGEROUS_PATTERNS = [
-    /\b(INSERT|UPDATE|DELETE|DROP|TRUNCATE|ALTER|CREATE|GRANT|REVOKE)\b/i,
-    /\b(EXEC|EXECUTE|EVAL)\b/i,
-    /\bINTO\s+OUTFILE\b/i,
-    /\bINTO\s+DUMPFILE\b/i,
-    /\bLOAD_FILE\b/i,
-    /;\s*--/,  // Comment-based injection attempt
-    /UNION\s+ALL\s+SELECT.*FROM\s+INFORMATION_SCHEMA/i, // Schema enumeration
-];
-
 /**
  * Validate SQL query for safety
+ * The query is parsed for the target dialect; only a single read-only
+ * SELECT/WITH statement without denied functions passes.
  * @param {string} sql - SQL query to validate
- * @throws {Error} If query is unsafe
+ * @param {string} dbType - Database type: 'sqlite', 'mysql', 'postgres'
+ * @throws {Error} With statusCode 403 and details.violations if query is unsafe
  */
-function validateSQL(sql) {
-    // Check for empty query
-    if (!sql || sql.trim().length === 0) {
-        throw new Error('Empty SQL query');
-    }
+function validateSQL(sql, dbType = process.env.DB_TYPE || 'sqlite') {
+    const { valid, violations } = analyzeSQL(sql, dbType);
 
-    // Must start with SELECT or WITH (for CTEs)
-    const trimmedSQL = sql.trim().toUpperCase();
-    if (!trimmedSQL.startsWith('SELECT') && !trimmedSQL.startsWith('WITH')) {
-        throw new Error('Only SELECT queries are allowed');
-    }
-
-    // Check for dangerous patterns
-    for (const pattern of DANGEROUS_PATTERNS) {
-        if (pattern.test(sql)) {
-            throw new Error('Query contains potentially dangerous operations');
-        }
-    }
+    if (!valid) {
+        const [first] = violations;
+        const where = first.position ? ` (line ${first.position.line}, column ${first.position.column})` : '';
+        const more = violations.length > 1 ? ` [+${violations.length - 1} more]` : '';
 
-    // Check for multiple statements
-    const statements = sql.split(';').filter(s => s.trim().length > 0);
-    if (statements.length > 1) {
-        throw new Error('Multiple SQL statements are not allowed');
+        const error = new Error(`${first.message}${where}${more}`);
+        error.statusCode = 403;
+        error.details = { violations };
+        throw error;
     }
 
     return true;
@@ -81,61 +78,209 @@ function cleanSQL(sql) {
     return cleaned;
 }
 
+/**
+ * Cache key of a connection's schema
+ * @param {Object} options - Connection options ({ cacheKey } or { dbType, database })
+ * @returns {string} Cache key
+ */
+function getSchemaCacheKey(options = {}) {
+    const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
+    return options.cacheKey || `${dbType}:${options.database || 'default'}`;
+}
+
+/**
+ * Introspection settings of a connection (connection config first, then the environment)
+ * @param {Object} options - Connection options
+ * @returns {Object} Options for getSchema: { database, schema, schemas, include, exclude }
+ */
+function getIntrospectionOptions(options = {}) {
+    return {
+        database: options.database || process.env.MYSQL_DATABASE || process.env.PG_DATABASE,
+        schema: options.schema || 'public',
+        schemas: options.schemas || process.env.INTROSPECT_SCHEMAS,
+        include: options.schemaInclude || process.env.INTROSPECT_SCHEMA_INCLUDE,
+        exclude: options.schemaExclude || process.env.INTROSPECT_SCHEMA_EXCLUDE
+    };
+}
+
+/**
+ * Load schema from cache or fresh introspection
+ * @param {Object} db - Database connection
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} Schema object
+ */
+async function loadSchema(db, options = {}) {
+    const cacheKey = getSchemaCacheKey(options);
+
+    const cachedSchema = getSchemaFromCache(cacheKey);
+    if (cachedSchema) {
+        logger.debug('Using cached schema');
+        return cachedSchema;
+    }
+
+    const { schema } = await refreshSchema(db, options);
+    logger.debug('Schema introspected and cached');
+
+    return schema;
+}
+
+/**
+ * Introspect a connection's schema, record its fingerprint and replace the
+ * cached schema. When the structure changed since the last introspection,
+ * the connection's cached column profiles are dropped as well.
+ * @param {Object} db - Database connection
+ * @param {Object} options - Connection options
+ * @returns {Promise<Object>} { schema, fingerprint, previous, changed }
+ */
+async function refreshSchema(db, options = {}) {
+    const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
+    const cacheKey = getSchemaCacheKey(options);
+
+    const schema = await getSchema(db, dbType, getIntrospectionOptions(options));
+    const { fingerprint, previous, changed } = recordSchema(cacheKey, schema);
+
+    if (changed) {
+        clearProfiles(cacheKey);
+        logger.info(`🔄 Schema of ${cacheKey} changed (${previous} → ${fingerprint})`);
+    }
+    setSchemaInCache(cacheKey, schema);
+
+    return { schema, fingerprint, previous, changed };
+}
+
+/**
+ * Choose the tables sent to the model for a question.
+ * Large schemas are pruned by keyword relevance plus, when the embedding
+ * index is enabled, semantic similarity to each table's description.
+ * @param {string} question - User's question
+ * @param {Object} db - Database connection
+ * @param {Object} schema - Full schema
+ * @param {Object} options - Connection options, conversation, repair and glossary terms
+ * @param {boolean} [options.rankAll] - Query the embedding index even if the schema is not pruned
+ * @returns {Promise<Object>} pruneSchema result plus semanticScores
+ */
+async function retrieveSchema(question, db, schema, options = {}) {
+    // Tables in the SQL the question builds on stay in context
+    const related = [
+        ...(options.conversation || []).map(turn => turn.sql),
+        options.repair?.sql
+    ].filter(Boolean).join('\n');
+
+    let semanticScores;
+    if (isEmbeddingIndexEnabled() && (options.rankAll || shouldPruneSchema(schema))) {
+        try {
+            semanticScores = await searchIndex(getSchemaCacheKey(options), schema, question, {
+                db,
+                dbType: options.dbType || process.env.DB_TYPE || 'sqlite',
+                schema: options.schema || 'public'
+            });
+        } catch (error) {
+            logger.warn(`Semantic schema retrieval unavailable, using keywords only: ${error.message}`);
+        }
+    }
+
+    const retrieval = pruneSchema(schema, question, {
+        related,
+        semanticScores,
+        pinnedTables: (options.glossary || []).flatMap(term => term.tables || [])
+    });
+    if (retrieval.pruned) {
+        logger.debug(`Schema pruned to ${retrieval.tables.length}/${retrieval.totalTables} tables: ${retrieval.tables.join(', ')}`);
+    }
+
+    return { ...retrieval, related, semanticScores };
+}
+
 /**
  * Generate SQL from natural language question
  * @param {string} question - User's question
  * @param {Object} db - Database connection
  * @param {Object} options - Additional options
+ * @param {Object} [options.repair] - Previous failure to repair: { sql, error }
+ * @param {Function} [options.onToken] - Stream model tokens to this callback
+ * @param {Function} [options.onReset] - Tokens streamed so far came from a provider that then failed
+ * @param {Array<Object>} [options.conversation] - Earlier turns of the session, oldest first
  * @returns {Promise<Object>} Generated SQL and metadata
  */
 async function generateSQL(question, db, options = {}) {
-    const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
     const startTime = Date.now();
 
-    logger.info(`Generating SQL for question: "${question}"`);
+    logger.info(`${options.repair ? 'Repairing' : 'Generating'} SQL for question: "${question}"`);
 
     try {
         // Get schema (from cache or fresh introspection)
-        let schema;
-        const cacheKey = `${dbType}:${options.database || 'default'}`;
-
-        const cachedSchema = getSchemaFromCache(cacheKey);
-        if (cachedSchema) {
-            schema = cachedSchema;
-            logger.debug('Using cached schema');
-        } else {
-            schema = await getSchema(db, dbType, {
-                database: options.database || process.env.MYSQL_DATABASE || process.env.PG_DATABASE,
-                schema: options.schema || 'public'
-            });
-            setSchemaInCache(cacheKey, schema);
-            logger.debug('Schema introspected and cached');
+        const schema = await loadSchema(db, options);
+
+        // Business terms the question uses (revenue, active customer, ...)
+        const glossary = findTerms(question, { connection: options.connection });
+
+        // Verified question/SQL pairs similar to this question
+        let examples = [];
+        try {
+            examples = await findSimilarExamples(question, { connection: options.connection });
+        } catch (error) {
+            logger.warn(`Few-shot example lookup failed: ${error.message}`);
         }
 
-        // Build prompt with schema
-        const prompt = buildSQLPrompt(schema, {
-            additionalContext: options.context
-        });
+        // Only send the tables relevant to the question (and to the SQL it builds on)
+        const retrieval = await retrieveSchema(question, db, schema, { ...options, glossary });
+
+        // Frequent values of categorical columns, so literals match the stored data
+        const promptSchema = isPromptProfilingEnabled()
+            ? await attachProfiles(db, retrieval.schema, {
+                cacheKey: getSchemaCacheKey(options),
+                dbType: options.dbType,
+                schema: options.schema,
+                timeout: resolveQueryTimeout(options.timeout)
+            })
+            : retrieval.schema;
+
+        // Build prompt with schema (or repair prompt with the previous failure)
+        const promptOptions = {
+            additionalContext: options.context,
+            conversation: options.conversation,
+            glossary,
+            examples
+        };
+        const prompt = options.repair
+            ? buildRepairPrompt(promptSchema, options.repair.sql, options.repair.error, promptOptions)
+            : buildSQLPrompt(promptSchema, promptOptions);
 
-        // Generate SQL using AI
-        const rawSQL = await callGroqAI(question, prompt, {
+        // Generate SQL using the selected AI provider (falls back along the chain)
+        const generation = await generateWithFailover(question, prompt, {
+            provider: options.provider,
             apiKey: options.apiKey,
-            model: options.model
+            model: options.model,
+            onToken: options.onToken,
+            onFailover: options.onFailover,
+            onReset: options.onReset
         });
+        const rawSQL = generation.text;
 
         // Clean and validate
         const sql = cleanSQL(rawSQL);
-        validateSQL(sql);
+        try {
+            validateSQL(sql, options.dbType);
+        } catch (error) {
+            error.sql = sql;
+            error.phase = 'validation';
+            throw error;
+        }
 
         const generationTime = Date.now() - startTime;
 
-        logger.info(`SQL generated in ${generationTime}ms: ${sql.substring(0, 100)}...`);
+        logger.info(`SQL generated by ${generation.provider} in ${generationTime}ms: ${sql.substring(0, 100)}...`);
 
         return {
             success: true,
             sql,
+            provider: generation.provider,
+            failovers: generation.failovers,
             generationTimeMs: generationTime,
-            schemaUsed: getSimplifiedSchema(schema)
+            schemaUsed: getSimplifiedSchema(retrieval.schema),
+            schemaPruned: retrieval.pruned,
+            glossaryTermsUsed: glossary.map(term => term.name),
+            examplesUsed: examples.map(example => example.id)
         };
 
     } catch (error) {
@@ -144,102 +289,329 @@ async function generateSQL(question, db, options = {}) {
     }
 }
 
+/**
+ * Resolve the query timeout for a request
+ * Requests may ask for a different timeout, but never above QUERY_TIMEOUT_MAX_MS.
+ * @param {number} [requested] - Requested timeout in milliseconds
+ * @returns {number} Timeout in milliseconds
+ * @throws {Error} 400 if the requested timeout is not a positive number
+ */
+function resolveQueryTimeout(requested) {
+    const defaultTimeout = parseInt(process.env.QUERY_TIMEOUT_MS) || 30000;
+    const ceiling = parseInt(process.env.QUERY_TIMEOUT_MAX_MS) || Math.max(defaultTimeout, 120000);
+
+    if (requested === undefined || requested === null) {
+        return Math.min(defaultTimeout, ceiling);
+    }
+
+    // NaN would disable setTimeout and break SET LOCAL statement_timeout
+    if (typeof requested !== 'number' || !Number.isFinite(requested) || requested <= 0) {
+        const error = new Error('timeoutMs must be a positive integer (milliseconds)');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    return Math.min(Math.floor(requested), ceiling);
+}
+
 /**
  * Execute SQL query
  * @param {string} sql - SQL query
  * @param {Object} db - Database connection
  * @param {Object} options - Additional options
- * @returns {Promise<Object>} Query results
+ * @param {Array} [options.params] - Values bound to the query's placeholders
+ * @returns {Promise<Object>} Query results, with the result's columns ([{name, type}]) even when no rows match
  */
 async function executeSQL(sql, db, options = {}) {
     const startTime = Date.now();
-    const timeout = options.timeout || parseInt(process.env.QUERY_TIMEOUT_MS) || 30000;
+    const timeout = resolveQueryTimeout(options.timeout);
     const maxRows = options.maxRows || parseInt(process.env.MAX_RESULT_ROWS) || 1000;
 
     try {
-        // Validate before execution
-        validateSQL(sql);
+        const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
 
-        // Add LIMIT if not present (safety measure)
-        let limitedSQL = sql;
-        if (!/\bLIMIT\s+\d+/i.test(sql)) {
-            limitedSQL = sql.replace(/;?\s*$/, ` LIMIT ${maxRows};`);
-        }
+        // Validate before execution. Bound values are checked with ? placeholders as literals,
+        // since SQLite's grammar has no ? in LIMIT/OFFSET (PostgreSQL's $n parse as they are)
+        const positional = options.params && options.params.length > 0 && !['postgres', 'postgresql'].includes(dbType.toLowerCase());
+        validateSQL(positional ? replacePlaceholders(sql) : sql, options.dbType);
+
+        // Cap the rows returned by the outermost query (fetches one extra row to detect truncation)
+        const limited = applyRowLimit(sql, dbType, maxRows);
 
         // Execute with timeout
-        const results = await executeWithTimeout(db, limitedSQL, [], timeout);
+        let results = await executeWithTimeout(db, limited.sql, options.params || [], timeout);
+        const columns = results.columns || Object.keys(results[0] || {}).map(name => ({ name, type: null }));
+
+        const truncated = results.length > maxRows;
+        if (truncated) {
+            results = results.slice(0, maxRows);
+        }
 
         const executionTime = Date.now() - startTime;
 
         return {
             success: true,
             results,
+            columns,
             rowCount: results.length,
             executionTimeMs: executionTime,
-            limitApplied: limitedSQL !== sql
+            timeoutMs: timeout,
+            limitApplied: truncated,
+            limitStrategy: limited.strategy
         };
 
     } catch (error) {
         logger.error(`SQL execution failed: ${error.message}`);
+        error.phase = error.phase || 'execution';
         throw error;
     }
 }
 
 /**
- * Generate and execute SQL in one step
+ * Whether a failure can be fed back to the model for repair
+ * (bad SQL or database errors - not AI outages or timeouts)
+ * @param {Error} error - Failure
+ * @returns {boolean}
+ */
+function isRepairable(error) {
+    if (!error.sql) return false;
+    if (/timed out/i.test(error.message)) return false;
+    return error.phase === 'validation' || error.phase === 'execution';
+}
+
+/**
+ * Generate SQL and run it, feeding failures (validation or database errors)
+ * back to the model with a repair prompt, up to options.maxAttempts in total.
+ * @param {string} question - User's question
+ * @param {Object} db - Database connection
+ * @param {Object} options - Additional options
+ * @param {Function} run - async (sql) => execution result
+ * @param {Array<Object>} attempts - Receives one entry per attempt
+ * @returns {Promise<{generation: Object, execution: Object}>}
+ */
+async function generateAndRun(question, db, options, run, attempts) {
+    const maxAttempts = options.maxAttempts || parseInt(process.env.SQL_REPAIR_MAX_ATTEMPTS) || 3;
+    const emit = options.onEvent || (() => {});
+    let repair = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const attemptStart = Date.now();
+        let attemptSQL = null;
+
+        try {
+            const generation = await generateSQL(question, db, {
+                ...options,
+                repair,
+                onToken: options.onEvent && (text => emit('token', { phase: 'sql', attempt, text })),
+                onFailover: options.onEvent && (entry => emit('failover', { phase: 'sql', attempt, ...entry })),
+                onReset: options.onEvent && (entry => emit('reset', { phase: 'sql', attempt, ...entry }))
+            });
+            attemptSQL = generation.sql;
+            emit('validation', { attempt, sql: generation.sql, valid: true, provider: generation.provider });
+
+            const execution = await run(generation.sql);
+            emit('execution', { attempt, success: true, ...execution });
+
+            attempts.push({
+                attempt,
+                sql: attemptSQL,
+                success: true,
+                error: null,
+                latencyMs: Date.now() - attemptStart
+            });
+            return { generation, execution };
+
+        } catch (error) {
+            attemptSQL = attemptSQL || error.sql || null;
+            error.sql = attemptSQL;
+
+            attempts.push({
+                attempt,
+                sql: attemptSQL,
+                success: false,
+                error: error.message,
+                latencyMs: Date.now() - attemptStart
+            });
+
+            if (error.phase === 'validation') {
+                emit('validation', { attempt, sql: attemptSQL, valid: false, error: error.message, violations: error.details?.violations });
+            } else if (error.phase === 'execution') {
+                emit('execution', { attempt, success: false, error: error.message });
+            }
+
+            if (attempt === maxAttempts || !isRepairable(error)) {
+                throw error;
+            }
+
+            emit('repair', { attempt, nextAttempt: attempt + 1, error: error.message });
+            logger.warn(`Attempt ${attempt}/${maxAttempts} failed, asking model to repair: ${error.message}`);
+            repair = { sql: attemptSQL, error: error.message };
+        }
+    }
+}
+
+/**
+ * Record a turn in the request's conversation session, if any.
+ * The session may have expired or been deleted while the query ran.
+ * @param {Object|null} session - Session from the session store
+ * @param {Object} turn - { question, sql, success, error, columns, rows, rowCount }
+ */
+function recordSessionTurn(session, turn) {
+    if (!session) return;
+
+    try {
+        addTurn(session.id, turn);
+    } catch (error) {
+        logger.warn(`Could not record turn in session ${session.id}: ${error.message}`);
+    }
+}
+
+/**
+ * Answer the question in one paragraph from the query results, and check
+ * that every number in the answer appears in the rows
+ * @param {string} question - User's question
+ * @param {Object} execution - Execution result ({ results, rowCount, limitApplied })
+ * @param {Object} options - { provider, onEvent }
+ * @returns {Promise<Object>} { text, grounded, numbers, unsupportedNumbers, provider }
+ */
+async function answerFromResults(question, execution, options = {}) {
+    // Nothing to summarise: no model call, and nothing to make up
+    if (execution.results.length === 0) {
+        return {
+            text: 'The query returned no rows, so there is no data to answer the question.',
+            ...checkAnswerGrounding('', []),
+            provider: null
+        };
+    }
+
+    const prompt = buildResponsePrompt(question, execution.results, {
+        sampleSize: parseInt(process.env.ANSWER_SAMPLE_ROWS) || 10,
+        limitApplied: execution.limitApplied
+    });
+
+    const answered = await completeWithFailover(prompt, {
+        provider: options.provider,
+        maxTokens: 400,
+        onToken: options.onEvent && (text => options.onEvent('token', { phase: 'answer', text })),
+        onFailover: options.onEvent && (entry => options.onEvent('failover', { phase: 'answer', ...entry })),
+        onReset: options.onEvent && (entry => options.onEvent('reset', { phase: 'answer', ...entry }))
+    });
+
+    const grounding = checkAnswerGrounding(answered.text, execution.results, {
+        rowCount: execution.rowCount,
+        question
+    });
+    if (!grounding.grounded) {
+        logger.warn(`Answer cites numbers not found in the results: ${grounding.unsupportedNumbers.join(', ')}`);
+    }
+
+    return {
+        text: answered.text,
+        ...grounding,
+        provider: answered.provider
+    };
+}
+
+/**
+ * Generate and execute SQL in one step.
+ * Failed attempts are sent back to the model for repair (see generateAndRun).
  * @param {string} question - User's question
  * @param {Object} db - Database connection
  * @param {Object} options - Additional options
+ * @param {Function} [options.onEvent] - Progress listener (type, data): token, failover,
+ *   validation, execution, repair. Model output is streamed as token events.
+ * @param {Object} [options.session] - Conversation session: earlier turns are added
+ *   to the prompt and this turn is recorded
+ * @param {string} [options.answerMode] - 'rows' (default), 'answer' (a one-paragraph
+ *   answer instead of the rows) or 'both'
  * @returns {Promise<Object>} Complete query result
  */
 async function queryFromQuestion(question, db, options = {}) {
     const requestId = options.requestId || Date.now().toString();
     const startTime = Date.now();
+    const attempts = [];
+    const session = options.session || null;
 
     try {
-        // Generate SQL
-        const generation = await generateSQL(question, db, options);
-
-        // Execute SQL
-        const execution = await executeSQL(generation.sql, db, options);
+        const { generation, execution } = await generateAndRun(
+            question,
+            db,
+            { ...options, conversation: session ? getConversationContext(session) : undefined },
+            sql => executeSQL(sql, db, options),
+            attempts
+        );
 
         // Get natural language explanation if requested
         let explanation = null;
         if (options.explain && execution.results.length > 0) {
             try {
-                explanation = await explainWithAI(
+                const explained = await explainWithFailover(
                     question,
                     generation.sql,
                     execution.results,
-                    { apiKey: options.apiKey, model: options.model }
+                    {
+                        provider: generation.provider,
+                        onToken: options.onEvent && (text => options.onEvent('token', { phase: 'explanation', text })),
+                        onFailover: options.onEvent && (entry => options.onEvent('failover', { phase: 'explanation', ...entry })),
+                        onReset: options.onEvent && (entry => options.onEvent('reset', { phase: 'explanation', ...entry }))
+                    }
                 );
+                explanation = explained.text;
             } catch (err) {
                 logger.warn(`Failed to generate explanation: ${err.message}`);
             }
         }
 
+        // Direct answer if requested; the rows are still returned when it fails
+        const answerMode = options.answerMode || 'rows';
+        let answer = null;
+        if (answerMode !== 'rows') {
+            try {
+                answer = await answerFromResults(question, execution, {
+                    provider: generation.provider,
+                    onEvent: options.onEvent
+                });
+            } catch (err) {
+                logger.warn(`Failed to generate answer: ${err.message}`);
+                answer = { text: null, error: err.message };
+            }
+        }
+        const includeRows = answerMode !== 'answer' || answer.text === null;
+
         const totalTime = Date.now() - startTime;
 
         // Record in history
         addToHistory({
             requestId,
             question,
+            connection: options.connection || null,
             sql: generation.sql,
             success: true,
             rowCount: execution.rowCount,
             generationTimeMs: generation.generationTimeMs,
             executionTimeMs: execution.executionTimeMs,
             totalTimeMs: totalTime,
+            attempts,
             timestamp: new Date().toISOString()
         });
 
+        recordSessionTurn(session, {
+            question,
+            sql: generation.sql,
+            columns: execution.columns.map(column => column.name),
+            rows: execution.results,
+            rowCount: execution.rowCount
+        });
+
         return {
             success: true,
             question,
             sql: generation.sql,
-            results: execution.results,
+            results: includeRows ? execution.results : undefined,
             rowCount: execution.rowCount,
+            answer,
             explanation,
+            attempts,
             timing: {
                 generation: generation.generationTimeMs,
                 execution: execution.executionTimeMs,
@@ -247,8 +619,16 @@ async function queryFromQuestion(question, db, options = {}) {
             },
             metadata: {
                 requestId,
+                connection: options.connection || null,
+                sessionId: session ? session.id : null,
+                provider: generation.provider,
+                failovers: generation.failovers,
+                repaired: attempts.length > 1,
                 limitApplied: execution.limitApplied,
-                schemaTablesUsed: Object.keys(generation.schemaUsed)
+                schemaTablesUsed: Object.keys(generation.schemaUsed),
+                schemaPruned: generation.schemaPruned,
+                glossaryTermsUsed: generation.glossaryTermsUsed,
+                examplesUsed: generation.examplesUsed
             }
         };
 
@@ -257,13 +637,185 @@ async function queryFromQuestion(question, db, options = {}) {
         addToHistory({
             requestId,
             question,
-            sql: null,
+            connection: options.connection || null,
+            sql: error.sql || null,
+            success: false,
+            error: error.message,
+            totalTimeMs: Date.now() - startTime,
+            attempts,
+            timestamp: new Date().toISOString()
+        });
+
+        recordSessionTurn(session, {
+            question,
+            sql: error.sql || null,
+            success: false,
+            error: error.message
+        });
+
+        error.details = { ...error.details, attempts };
+        throw error;
+    }
+}
+
+/**
+ * Open a streaming result for SQL.
+ * The same validation and outer row limit as executeSQL apply, with a higher
+ * cap (STREAM_MAX_ROWS) since rows are not buffered.
+ * @param {string} sql - SQL query
+ * @param {Object} db - Database connection
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} { columns, rows (async iterable), close, getSummary }
+ */
+async function openResultStream(sql, db, options = {}) {
+    const startTime = Date.now();
+    const timeout = resolveQueryTimeout(options.timeout);
+    const maxRows = options.maxRows || parseInt(process.env.STREAM_MAX_ROWS) || 100000;
+
+    try {
+        validateSQL(sql, options.dbType);
+
+        const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
+        const limited = applyRowLimit(sql, dbType, maxRows);
+
+        const stream = await openStream(db, limited.sql, [], { timeout });
+
+        let rowCount = 0;
+        let truncated = false;
+
+        async function* rows() {
+            for await (const row of stream.rows) {
+                if (rowCount === maxRows) {
+                    truncated = true;
+                    break;
+                }
+                rowCount++;
+                yield row;
+            }
+        }
+
+        return {
+            columns: stream.columns,
+            timeoutMs: timeout,
+            rows: rows(),
+            close: stream.close,
+            getSummary: () => ({
+                rowCount,
+                executionTimeMs: Date.now() - startTime,
+                limitApplied: truncated,
+                limitStrategy: limited.strategy
+            })
+        };
+
+    } catch (error) {
+        logger.error(`SQL stream failed: ${error.message}`);
+        error.phase = error.phase || 'execution';
+        throw error;
+    }
+}
+
+/**
+ * Generate SQL and open a streaming result for it.
+ * Generation and the start of execution are repaired like queryFromQuestion;
+ * call recordHistory once the stream has been consumed.
+ * @param {string} question - User's question
+ * @param {Object} db - Database connection
+ * @param {Object} options - Additional options
+ * @returns {Promise<Object>} { sql, stream, attempts, metadata, recordHistory(summary, error) }
+ */
+async function streamFromQuestion(question, db, options = {}) {
+    const requestId = options.requestId || Date.now().toString();
+    const startTime = Date.now();
+    const attempts = [];
+    const session = options.session || null;
+
+    try {
+        const { generation, execution } = await generateAndRun(
+            question,
+            db,
+            { ...options, conversation: session ? getConversationContext(session) : undefined },
+            sql => openResultStream(sql, db, options),
+            attempts
+        );
+
+        // Keep the first few rows for the session turn as they stream past
+        const sample = [];
+        if (session) {
+            const rows = execution.rows;
+            execution.rows = (async function* () {
+                for await (const row of rows) {
+                    if (sample.length < ROW_SAMPLE_SIZE) sample.push(row);
+                    yield row;
+                }
+            })();
+        }
+
+        return {
+            sql: generation.sql,
+            stream: execution,
+            attempts,
+            generationTimeMs: generation.generationTimeMs,
+            metadata: {
+                requestId,
+                connection: options.connection || null,
+                sessionId: session ? session.id : null,
+                provider: generation.provider,
+                failovers: generation.failovers,
+                repaired: attempts.length > 1,
+                schemaTablesUsed: Object.keys(generation.schemaUsed),
+                schemaPruned: generation.schemaPruned,
+                glossaryTermsUsed: generation.glossaryTermsUsed,
+                examplesUsed: generation.examplesUsed
+            },
+            recordHistory: (summary, error) => {
+                addToHistory({
+                    requestId,
+                    question,
+                    connection: options.connection || null,
+                    sql: generation.sql,
+                    success: !error,
+                    error: error ? error.message : undefined,
+                    rowCount: summary.rowCount,
+                    generationTimeMs: generation.generationTimeMs,
+                    executionTimeMs: summary.executionTimeMs,
+                    totalTimeMs: Date.now() - startTime,
+                    attempts,
+                    timestamp: new Date().toISOString()
+                });
+
+                recordSessionTurn(session, {
+                    question,
+                    sql: generation.sql,
+                    success: !error,
+                    error: error ? error.message : undefined,
+                    columns: execution.columns.map(column => column.name),
+                    rows: sample,
+                    rowCount: summary.rowCount
+                });
+            }
+        };
+
+    } catch (error) {
+        addToHistory({
+            requestId,
+            question,
+            connection: options.connection || null,
+            sql: error.sql || null,
             success: false,
             error: error.message,
             totalTimeMs: Date.now() - startTime,
+            attempts,
             timestamp: new Date().toISOString()
         });
 
+        recordSessionTurn(session, {
+            question,
+            sql: error.sql || null,
+            success: false,
+            error: error.message
+        });
+
+        error.details = { ...error.details, attempts };
         throw error;
     }
 }
@@ -273,35 +825,180 @@ async function queryFromQuestion(question, db, options = {}) {
  * @param {string} sql - SQL query
  * @param {Object} db - Database connection
  * @param {string} dbType - Database type
+ * @param {Object} options - Additional options
+ * @param {boolean} [options.analyze] - Run the query and report actual rows and timings
+ *        (PostgreSQL, MySQL 8.0.18+)
+ * @param {number} [options.timeout] - Requested timeout in ms (ANALYZE runs the query)
  * @returns {Promise<Array>} Explain plan results
  */
-async function getExplainPlan(sql, db, dbType = 'sqlite') {
-    validateSQL(sql);
+async function getExplainPlan(sql, db, dbType = 'sqlite', options = {}) {
+    validateSQL(sql, dbType);
 
     let explainSQL;
     switch (dbType.toLowerCase()) {
         case 'sqlite':
+            if (options.analyze) {
+                const error = new Error('ANALYZE is not supported for SQLite: it reports no actual rows or timings per step');
+                error.statusCode = 400;
+                throw error;
+            }
             explainSQL = `EXPLAIN QUERY PLAN ${sql}`;
             break;
         case 'mysql':
-            explainSQL = `EXPLAIN ${sql}`;
+            explainSQL = options.analyze ? `EXPLAIN ANALYZE ${sql}` : `EXPLAIN ${sql}`;
             break;
         case 'postgres':
         case 'postgresql':
-            explainSQL = `EXPLAIN (FORMAT JSON) ${sql}`;
+            explainSQL = options.analyze ? `EXPLAIN (ANALYZE, FORMAT JSON) ${sql}` : `EXPLAIN (FORMAT JSON) ${sql}`;
             break;
         default:
             throw new Error(`Explain not supported for ${dbType}`);
     }
 
+    if (options.analyze) {
+        return executeWithTimeout(db, explainSQL, [], resolveQueryTimeout(options.timeout));
+    }
     return db.asyncAll(explainSQL);
 }
 
+/**
+ * Explain a query as a normalised plan tree (same shape for every dialect)
+ * with warnings for costly steps
+ * @param {string} sql - SQL query
+ * @param {Object} db - Database connection
+ * @param {Object} options - { dbType, analyze, timeout }
+ * @returns {Promise<Object>} { explainPlan (raw), plan, warnings, analyzed, planningTimeMs, executionTimeMs }
+ */
+async function explainQuery(sql, db, options = {}) {
+    const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
+    const raw = await getExplainPlan(sql, db, dbType, options);
+
+    // SQLite and MySQL name aliased tables by their alias only
+    let aliases = {};
+    try {
+        aliases = listTableAliases(sql, dbType);
+    } catch (error) {
+        logger.debug(`Could not read table aliases: ${error.message}`);
+    }
+
+    const { root, planningTimeMs, executionTimeMs } = normalizePlan(raw, dbType, { aliases });
+
+    return {
+        explainPlan: raw,
+        plan: root,
+        warnings: findPlanWarnings(root),
+        analyzed: !!options.analyze,
+        planningTimeMs,
+        executionTimeMs
+    };
+}
+
+/**
+ * The schema entries of the tables a query reads. Unqualified names also
+ * match schema-qualified tables (orders -> sales.orders).
+ * @param {string} sql - SQL query
+ * @param {Object} schema - Database schema
+ * @param {string} dbType - Database type
+ * @returns {Object} Schema subset
+ */
+function getTablesUsed(sql, schema, dbType) {
+    let referenced;
+    try {
+        referenced = listTables(sql, dbType);
+    } catch (error) {
+        // Unparseable SQL: fall back to table names mentioned in the text
+        const words = new Set(sql.toLowerCase().match(/\w+/g) || []);
+        return Object.fromEntries(Object.entries(schema).filter(([name]) =>
+            words.has(name.split('.').pop().toLowerCase())
+        ));
+    }
+
+    const used = {};
+    for (const { schema: namespace, table } of referenced) {
+        const wanted = (namespace ? `${namespace}.${table}` : table).toLowerCase();
+        const name = Object.keys(schema).find(key => key.toLowerCase() === wanted)
+            || (!namespace && Object.keys(schema).find(key => key.toLowerCase().split('.').pop() === wanted));
+        if (name) used[name] = schema[name];
+    }
+    return used;
+}
+
+/**
+ * Plain-English, clause-by-clause explanation of a query
+ * @param {string} sql - SQL query
+ * @param {Object} options - { dbType, provider }
+ * @returns {Promise<Object>} { explanation, provider, failovers }
+ */
+async function explainSQLText(sql, options = {}) {
+    const explained = await completeWithFailover(buildExplainPrompt(sql, { dbType: options.dbType }), {
+        provider: options.provider,
+        maxTokens: 1000
+    });
+
+    return {
+        explanation: explained.text,
+        provider: explained.provider,
+        failovers: explained.failovers
+    };
+}
+
+/**
+ * Optimisation suggestions based on the query's EXPLAIN output and the
+ * indexes of the tables it reads
+ * @param {string} sql - SQL query
+ * @param {Object} db - Database connection
+ * @param {Object} options - Connection options and { provider }
+ * @returns {Promise<Object>} { suggestions, explainPlan, plan, warnings, tables, indexes, provider, failovers }
+ */
+async function suggestOptimizations(sql, db, options = {}) {
+    const dbType = options.dbType || process.env.DB_TYPE || 'sqlite';
+
+    // Validates the SQL as well
+    const explained = await explainQuery(sql, db, { dbType });
+
+    const schema = await loadSchema(db, options);
+    const tablesUsed = getTablesUsed(sql, schema, dbType);
+
+    const prompt = buildImprovementPrompt(sql, tablesUsed, {
+        dbType,
+        plan: explained.explainPlan,
+        warnings: explained.warnings
+    });
+    const suggested = await completeWithFailover(prompt, {
+        provider: options.provider,
+        maxTokens: 1500
+    });
+
+    return {
+        suggestions: suggested.text,
+        explainPlan: explained.explainPlan,
+        plan: explained.plan,
+        warnings: explained.warnings,
+        tables: Object.keys(tablesUsed),
+        indexes: Object.fromEntries(
+            Object.entries(tablesUsed).map(([name, tableInfo]) => [name, tableInfo.indexes || []])
+        ),
+        provider: suggested.provider,
+        failovers: suggested.failovers
+    };
+}
+
 module.exports = {
+    getIntrospectionOptions,
+    loadSchema,
+    refreshSchema,
+    getSchemaCacheKey,
+    retrieveSchema,
     generateSQL,
     executeSQL,
     queryFromQuestion,
+    openResultStream,
+    streamFromQuestion,
     validateSQL,
     cleanSQL,
-    getExplainPlan
+    getExplainPlan,
+    explainQuery,
+    explainSQLText,
+    suggestOptimizations,
+    resolveQueryTimeout
 };
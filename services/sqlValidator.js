@@ -0,0 +1,268 @@
+/**
+ * SQL Safety Validator
+ * Parses queries per dialect and only allows read-only SELECT/WITH trees
+ */
+
+const { parseSQL, splitSQLSegments, getFunctionName } = require('../utils/sqlParser');
+
+/**
+ * Statement node types that modify data, schema or session state
+ */
+const MODIFYING_NODE_TYPES = new Set([
+    'insert', 'replace', 'update', 'delete', 'merge',
+    'create', 'drop', 'alter', 'truncate', 'rename',
+    'grant', 'revoke', 'call', 'exec', 'execute',
+    'set', 'lock', 'unlock', 'use', 'transaction', 'load_data', 'attach', 'detach', 'pragma'
+]);
+
+/**
+ * Functions with side effects, file/network access or that can stall the server
+ */
+const DEFAULT_FUNCTION_DENYLIST = [
+    // PostgreSQL
+    'pg_sleep', 'pg_sleep_for', 'pg_sleep_until',
+    'pg_read_file', 'pg_read_binary_file', 'pg_ls_dir', 'pg_stat_file',
+    'lo_import', 'lo_export', 'lo_get', 'lo_put', 'lo_unlink',
+    'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile',
+    'pg_advisory_lock', 'pg_advisory_xact_lock', 'pg_try_advisory_lock',
+    'set_config', 'nextval', 'setval', 'dblink', 'dblink_exec', 'query_to_xml',
+    // MySQL
+    'sleep', 'benchmark', 'load_file', 'get_lock', 'release_lock', 'release_all_locks',
+    'sys_exec', 'sys_eval',
+    // SQLite
+    'load_extension', 'readfile', 'writefile', 'edit', 'fts3_tokenizer'
+];
+
+/**
+ * Tables and schemas that hold credentials or server internals
+ */
+const DENIED_SCHEMAS = new Set(['mysql', 'performance_schema', 'sys']);
+const DENIED_TABLES = new Set(['pg_shadow', 'pg_authid', 'pg_user_mapping', 'pg_user_mappings']);
+
+/**
+ * Read a comma-separated list from an environment variable
+ * @param {string} name - Variable name
+ * @returns {Array<string>} Lower-cased entries
+ */
+function readListFromEnv(name) {
+    return (process.env[name] || '')
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Get the active function rules
+ * SQL_FUNCTION_DENYLIST adds to the built-in denylist; SQL_FUNCTION_ALLOWLIST,
+ * when set, restricts queries to the listed functions only.
+ * @returns {{denylist: Set<string>, allowlist: Set<string>|null}}
+ */
+function getFunctionRules() {
+    const allowlist = readListFromEnv('SQL_FUNCTION_ALLOWLIST');
+    return {
+        denylist: new Set([...DEFAULT_FUNCTION_DENYLIST, ...readListFromEnv('SQL_FUNCTION_DENYLIST')]),
+        allowlist: allowlist.length > 0 ? new Set(allowlist) : null
+    };
+}
+
+/**
+ * Convert a parser location into a position object
+ * @param {Object} loc - Location from the parser
+ * @returns {Object|null} { line, column, offset }
+ */
+function toPosition(loc) {
+    const start = loc?.start;
+    if (!start) return null;
+    return { line: start.line, column: start.column, offset: start.offset };
+}
+
+/**
+ * Position of an offset in the original SQL text
+ * @param {string} sql - SQL text
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column, offset }
+ */
+function positionFromOffset(sql, offset) {
+    const before = sql.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1, offset };
+}
+
+/**
+ * Find locking clauses lexically (the PostgreSQL grammar cannot parse them,
+ * which would otherwise surface as an unhelpful parse error)
+ * @param {string} sql - SQL text
+ * @returns {Array<Object>} Violations
+ */
+function findLockingClauses(sql) {
+    const violations = [];
+
+    for (const segment of splitSQLSegments(sql)) {
+        if (segment.type !== 'code') continue;
+
+        const pattern = /\bFOR\s+(NO\s+KEY\s+UPDATE|KEY\s+SHARE|UPDATE|SHARE)\b|\bLOCK\s+IN\s+SHARE\s+MODE\b/gi;
+        let match;
+        while ((match = pattern.exec(segment.text)) !== null) {
+            violations.push({
+                rule: 'locking_clause',
+                nodeType: 'select',
+                message: `Locking clause "${match[0].replace(/\s+/g, ' ').toUpperCase()}" is not allowed`,
+                position: positionFromOffset(sql, segment.offset + match.index)
+            });
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Walk an AST and collect violations
+ * @param {*} node - Current node
+ * @param {Object} context - { violations, rules, loc }
+ */
+function walk(node, context) {
+    if (Array.isArray(node)) {
+        for (const child of node) walk(child, context);
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const loc = node.loc || context.loc;
+    const position = toPosition(loc);
+    const { violations, rules } = context;
+
+    if (typeof node.type === 'string' && MODIFYING_NODE_TYPES.has(node.type.toLowerCase())) {
+        violations.push({
+            rule: 'modifying_statement',
+            nodeType: node.type,
+            message: `${node.type.toUpperCase()} statements are not allowed`,
+            position
+        });
+    }
+
+    if (node.type === 'function' || node.type === 'aggr_func') {
+        const name = getFunctionName(node);
+        if (rules.denylist.has(name)) {
+            violations.push({
+                rule: 'denied_function',
+                nodeType: node.type,
+                message: `Function ${name}() is not allowed`,
+                position
+            });
+        } else if (rules.allowlist && node.type === 'function' && !rules.allowlist.has(name)) {
+            violations.push({
+                rule: 'function_not_allowlisted',
+                nodeType: node.type,
+                message: `Function ${name}() is not in the allowed function list`,
+                position
+            });
+        }
+    }
+
+    if (node.type === 'select') {
+        if (node.into && (node.into.expr || node.into.keyword)) {
+            violations.push({
+                rule: 'select_into',
+                nodeType: 'select',
+                message: `SELECT ... INTO${node.into.keyword ? ' ' + node.into.keyword : ''} is not allowed`,
+                position
+            });
+        }
+
+        if (node.for_update || node.locking_read) {
+            violations.push({
+                rule: 'locking_clause',
+                nodeType: 'select',
+                message: `Locking clause "${String(node.for_update || node.locking_read).toUpperCase()}" is not allowed`,
+                position
+            });
+        }
+
+        for (const ref of Array.isArray(node.from) ? node.from : []) {
+            const table = typeof ref.table === 'string' ? ref.table.toLowerCase() : null;
+            const schema = typeof ref.db === 'string' ? ref.db.toLowerCase() : null;
+            if ((schema && DENIED_SCHEMAS.has(schema)) || (table && DENIED_TABLES.has(table))) {
+                violations.push({
+                    rule: 'denied_table',
+                    nodeType: 'table_ref',
+                    message: `Access to ${schema ? schema + '.' : ''}${table} is not allowed`,
+                    position: toPosition(ref.loc) || position
+                });
+            }
+        }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key === 'loc') continue;
+        walk(value, { ...context, loc });
+    }
+}
+
+/**
+ * Analyze a SQL query for safety
+ * @param {string} sql - SQL query
+ * @param {string} dbType - Database type: 'sqlite', 'mysql', 'postgres'
+ * @returns {{valid: boolean, violations: Array<Object>, ast: Object|null}}
+ */
+function analyzeSQL(sql, dbType = 'sqlite') {
+    if (!sql || sql.trim().length === 0) {
+        return {
+            valid: false,
+            ast: null,
+            violations: [{ rule: 'empty', nodeType: null, message: 'Empty SQL query', position: null }]
+        };
+    }
+
+    const lockingViolations = findLockingClauses(sql);
+
+    let statements;
+    try {
+        statements = parseSQL(sql, dbType);
+    } catch (error) {
+        const violations = lockingViolations.length > 0 ? lockingViolations : [{
+            rule: 'parse_error',
+            nodeType: null,
+            message: error.found !== undefined
+                ? `Could not parse SQL for ${dbType}: unexpected ${error.found === null ? 'end of input' : `"${error.found}"`}`
+                : `Could not parse SQL for ${dbType}: ${error.message.split('\n')[0]}`,
+            position: toPosition(error.location)
+        }];
+        return { valid: false, ast: null, violations };
+    }
+
+    const violations = [];
+
+    if (statements.length === 0) {
+        violations.push({ rule: 'empty', nodeType: null, message: 'Empty SQL query', position: null });
+    } else if (statements.length > 1) {
+        violations.push({
+            rule: 'multiple_statements',
+            nodeType: statements[1].type || null,
+            message: 'Multiple SQL statements are not allowed',
+            position: toPosition(statements[1].loc)
+        });
+    }
+
+    const [statement] = statements;
+    if (statement && statement.type !== 'select') {
+        violations.push({
+            rule: 'statement_type',
+            nodeType: statement.type || null,
+            message: 'Only SELECT queries are allowed',
+            position: toPosition(statement.loc)
+        });
+    }
+
+    walk(statements, { violations, rules: getFunctionRules(), loc: null });
+
+    // Parsed locking clauses are already reported by the walk
+    if (!violations.some(v => v.rule === 'locking_clause')) {
+        violations.push(...lockingViolations);
+    }
+
+    return { valid: violations.length === 0, violations, ast: statement || null };
+}
+
+module.exports = {
+    analyzeSQL,
+    DEFAULT_FUNCTION_DENYLIST
+};
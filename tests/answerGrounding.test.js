@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractNumbers, checkAnswerGrounding } = require('../utils/answerGrounding');
+
+test('extracts numbers with separators, currency, percentages and scales', () => {
+    const numbers = extractNumbers('Revenue was $1,234.50 (12% of total), about 1.2M in Q3 and 3 million overall.');
+
+    assert.deepEqual(numbers.map(number => [number.value, number.scale, number.percent]), [
+        [1234.5, 1, false],
+        [12, 1, true],
+        [1.2, 1e6, false],
+        [3, 1e6, false]
+    ]);
+    assert.equal(numbers[0].decimals, 2);
+});
+
+test('skips ordinals and digits inside words', () => {
+    assert.deepEqual(extractNumbers('The 3rd region, R2D2, had 5 orders.').map(number => number.value), [5]);
+});
+
+test('grounds numbers found in the rows, the row count or the question', () => {
+    const result = checkAnswerGrounding(
+        'There are 3 customers; Berlin has 42.5 (41%) and the top 10 list is short.',
+        [{ city: 'Berlin', total: 42.49, share: 0.4123 }, { city: 'Paris' }, { city: 'Rome' }],
+        { question: 'Show the top 10 cities' }
+    );
+
+    assert.equal(result.grounded, true);
+    assert.deepEqual(result.numbers.map(number => number.source), ['rowCount', 'rows', 'rows', 'question']);
+});
+
+test('flags numbers that are not in the data', () => {
+    const result = checkAnswerGrounding('Sales grew to 900.', [{ sales: 850 }]);
+
+    assert.equal(result.grounded, false);
+    assert.deepEqual(result.unsupportedNumbers, ['900']);
+});
+
+test('requires the sign to match', () => {
+    assert.equal(checkAnswerGrounding('Profit was 120.', [{ profit: -120 }]).grounded, false);
+    assert.equal(checkAnswerGrounding('Profit was -120.', [{ profit: 120 }]).grounded, false);
+    assert.equal(checkAnswerGrounding('Profit was -120.', [{ profit: -120 }]).grounded, true);
+});
+
+test('keeps the sign of numbers returned as strings', () => {
+    // pg returns NUMERIC and SUM() results as strings
+    assert.equal(checkAnswerGrounding('Profit was 120.', [{ profit: '-120' }]).grounded, false);
+    assert.equal(checkAnswerGrounding('Profit was -120.50.', [{ profit: '-120.50' }]).grounded, true);
+    assert.equal(checkAnswerGrounding('Profit fell by 120.', [{ profit: '-120' }]).grounded, true);
+    assert.equal(checkAnswerGrounding('There were 15 orders.', [{ day: '2024-03-15', orders: 12 }]).grounded, false);
+    assert.equal(checkAnswerGrounding('Code A-7 had 7 orders.', [{ code: 'A-7' }]).grounded, false);
+    assert.equal(checkAnswerGrounding('Order 2024 shipped.', [{ day: '2024-03-15' }]).grounded, true);
+});
+
+test('accepts the absolute value when the answer words it as a decrease', () => {
+    const rows = [{ change: -0.12, profit: -300 }];
+
+    assert.equal(checkAnswerGrounding('Orders fell by 12% this year.', rows).grounded, true);
+    assert.equal(checkAnswerGrounding('The store made a loss of 300.', rows).grounded, true);
+    assert.equal(checkAnswerGrounding('That is a 12% decrease.', rows).grounded, true);
+    assert.equal(checkAnswerGrounding('Orders fell. Margin is 12% now.', rows).grounded, false);
+});
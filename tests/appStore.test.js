@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { translate, translateDDL, createStore } = require('../db/appStore');
+const { initDatabase } = require('../db/connection');
+
+test('keeps PostgreSQL statements as written', () => {
+    const params = [1, true];
+    assert.deepEqual(translate('SELECT * FROM t WHERE a = $1 AND b = $2', params, 'postgresql'), {
+        sql: 'SELECT * FROM t WHERE a = $1 AND b = $2',
+        params
+    });
+});
+
+test('reorders values for ? placeholders', () => {
+    assert.deepEqual(translate('DELETE FROM t WHERE a = $2 AND b = $1 AND c = $2', ['x', 'y'], 'mysql'), {
+        sql: 'DELETE FROM t WHERE a = ? AND b = ? AND c = ?',
+        params: ['y', 'x', 'y']
+    });
+});
+
+test('quotes identifiers with backticks on MySQL', () => {
+    assert.equal(translate('SELECT "sql" FROM t', [], 'mysql').sql, 'SELECT `sql` FROM t');
+    assert.equal(translate('SELECT "sql" FROM t', [], 'sqlite').sql, 'SELECT "sql" FROM t');
+});
+
+test('converts booleans and dates for SQLite', () => {
+    const date = new Date('2024-05-01T10:00:00Z');
+    assert.deepEqual(translate('SELECT $1, $2', [false, date], 'sqlite').params, [0, '2024-05-01T10:00:00.000Z']);
+});
+
+test('translates serial keys and timestamps per dialect', () => {
+    const ddl = 'CREATE TABLE t (id SERIAL PRIMARY KEY, "trigger" TEXT, at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)';
+
+    assert.equal(translateDDL(ddl, 'postgres'), ddl);
+    assert.equal(
+        translateDDL(ddl, 'sqlite'),
+        'CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, "trigger" TEXT, at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)'
+    );
+    assert.equal(
+        translateDDL(ddl, 'mysql'),
+        'CREATE TABLE t (id INTEGER PRIMARY KEY AUTO_INCREMENT, `trigger` TEXT, at DATETIME DEFAULT CURRENT_TIMESTAMP)'
+    );
+});
+
+test('creates, inserts into and updates tables on SQLite', async () => {
+    const db = await initDatabase('sqlite', { path: ':memory:', readonly: false, fileMustExist: false });
+    const store = createStore(db, 'sqlite');
+
+    await store.exec('CREATE TABLE IF NOT EXISTS items (id SERIAL PRIMARY KEY, name TEXT, enabled BOOLEAN DEFAULT TRUE)');
+    const first = await store.insert('INSERT INTO items (name, enabled) VALUES ($1, $2)', ['a', true]);
+    const second = await store.insert('INSERT INTO items (name, enabled) VALUES ($1, $2)', ['b', false]);
+    assert.deepEqual([first, second], [1, 2]);
+
+    await store.run('UPDATE items SET name = $1 WHERE id = $2', ['c', second]);
+    assert.deepEqual(await store.all('SELECT name FROM items WHERE enabled = $1', [false]), [{ name: 'c' }]);
+    assert.equal((await store.get('SELECT name FROM items WHERE id = $1', [first])).name, 'a');
+
+    db.close();
+});
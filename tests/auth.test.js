@@ -0,0 +1,66 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const AUTH_PATH = require.resolve('../middleware/auth');
+
+/**
+ * Load the middleware with a JWT_SECRET (it is read when the module loads)
+ * @param {string|undefined} secret - JWT_SECRET
+ * @returns {Object} Module exports
+ */
+function loadAuth(secret) {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+
+    delete require.cache[AUTH_PATH];
+    return require(AUTH_PATH);
+}
+
+/**
+ * Run requireRole('admin') for a token
+ * @param {Object} auth - Module exports
+ * @param {string} token - Bearer token
+ * @returns {{status: number, passed: boolean}}
+ */
+function runRequireAdmin(auth, token) {
+    const outcome = { status: 200, passed: false };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+
+    auth.requireRole('admin')({ headers: { authorization: `Bearer ${token}` } }, res, () => {
+        outcome.passed = true;
+    });
+    return outcome;
+}
+
+afterEach(() => {
+    delete process.env.JWT_SECRET;
+    delete require.cache[AUTH_PATH];
+});
+
+test('refuses admin routes while JWT_SECRET is unset or a published default', () => {
+    for (const secret of [undefined, 'your-super-secret-jwt-key', 'your-super-secret-jwt-key-change-in-production']) {
+        const auth = loadAuth(secret);
+        const forged = jwt.sign({ id: 'x', role: 'admin' }, secret || 'your-super-secret-jwt-key');
+
+        assert.equal(auth.isJwtSecretConfigured(), false);
+        assert.deepEqual(runRequireAdmin(auth, forged), { status: 503, passed: false });
+    }
+});
+
+test('accepts admin tokens signed with a private JWT_SECRET', () => {
+    const auth = loadAuth('a-private-test-secret');
+
+    assert.equal(auth.isJwtSecretConfigured(), true);
+    assert.deepEqual(runRequireAdmin(auth, auth.generateToken({ id: 'ops', role: 'admin' })), { status: 200, passed: true });
+    assert.equal(runRequireAdmin(auth, jwt.sign({ id: 'x', role: 'admin' }, 'your-super-secret-jwt-key')).status, 401);
+    assert.equal(runRequireAdmin(auth, auth.generateToken({ id: 'u', role: 'user' })).status, 403);
+});
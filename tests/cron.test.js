@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, getNextRun } = require('../utils/cron');
+
+// Cron runs in the server's local time, so dates are built in local time too
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('expands lists, ranges, steps and names', () => {
+    const cron = parseCron('*/15 9-17 * jan,jul mon-fri');
+
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...cron.months], [1, 7]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, true);
+    assert.equal(cron.anyWeekday, false);
+});
+
+test('treats 7 as Sunday and expands shortcuts', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+    assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('rejects invalid expressions with a 400', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '* * * * */0', '5-1 * * * *', '* * * foo *']) {
+        assert.throws(() => parseCron(expression), error => error.statusCode === 400, expression);
+    }
+});
+
+test('finds the next matching minute after a date', () => {
+    assert.deepEqual(getNextRun('*/15 * * * *', at(2024, 3, 10, 8, 7)), at(2024, 3, 10, 8, 15));
+    assert.deepEqual(getNextRun('30 9 * * *', at(2024, 3, 10, 9, 30)), at(2024, 3, 11, 9, 30));
+    assert.deepEqual(getNextRun('0 0 1 1 *', at(2024, 6, 1)), at(2025, 1, 1));
+});
+
+test('matches either day field when both are restricted', () => {
+    // 2024-03-10 is a Sunday: the next Monday (11th) comes before the 15th
+    assert.deepEqual(getNextRun('0 12 15 * mon', at(2024, 3, 10)), at(2024, 3, 11, 12));
+    assert.deepEqual(getNextRun('0 12 15 * mon', at(2024, 3, 11, 13)), at(2024, 3, 15, 12));
+});
+
+test('returns null when an expression never matches', () => {
+    assert.equal(getNextRun('0 0 30 2 *', at(2024, 1, 1)), null);
+});
@@ -0,0 +1,35 @@
+const { test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { initDatabase } = require('../db/connection');
+const { profileTable } = require('../schema/profile');
+
+const tableInfo = { name: 't', columns: [{ name: 'region', type: 'TEXT' }] };
+let db;
+
+before(async () => {
+    db = await initDatabase('sqlite', { path: ':memory:', readonly: false, fileMustExist: false });
+    db.exec(`CREATE TABLE t (region TEXT); INSERT INTO t VALUES ('EU'), ('EU'), ('US'), ('US'), ('APAC');`);
+});
+
+afterEach(() => {
+    delete process.env.PROFILE_SAMPLE_ROWS;
+});
+
+test('counts rows only up to the sample size', async () => {
+    process.env.PROFILE_SAMPLE_ROWS = '3';
+    const profile = await profileTable(db, 'sqlite', 't', tableInfo, { timeout: 1000 });
+
+    assert.equal(profile.sampled, true);
+    assert.equal(profile.rowCount, null);
+    assert.equal(profile.sampleRows, 3);
+    assert.equal(profile.columns[0].nullCount, 0);
+});
+
+test('counts every row of tables within the sample size', async () => {
+    const profile = await profileTable(db, 'sqlite', 't', tableInfo, { timeout: 1000 });
+
+    assert.equal(profile.sampled, false);
+    assert.equal(profile.rowCount, 5);
+    assert.deepEqual(profile.columns[0].topValues.map(value => value.value), ['EU', 'US', 'APAC']);
+});
@@ -0,0 +1,64 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { initDatabase } = require('../db/connection');
+const { createStore } = require('../db/appStore');
+const { initHistory, addToHistory, getHistory } = require('../utils/queryHistory');
+const { promoteExample, demoteExample, listExamples } = require('../utils/exampleBank');
+
+let store;
+
+before(async () => {
+    const db = await initDatabase('sqlite', { path: ':memory:', readonly: false, fileMustExist: false });
+    store = createStore(db, 'sqlite');
+
+    // A table from before attempts, connection and the verified columns existed
+    db.exec(`
+        CREATE TABLE query_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT, question TEXT, sql TEXT, success BOOLEAN DEFAULT 1,
+            row_count INTEGER DEFAULT 0, generation_time_ms INTEGER, execution_time_ms INTEGER, error TEXT,
+            timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await initHistory(store);
+});
+
+test('adds the columns missing from an existing table', async () => {
+    const columns = await store.columns('query_history');
+    for (const column of ['attempts', 'connection', 'verified', 'verified_sql', 'verified_at']) {
+        assert.ok(columns.includes(column), column);
+    }
+});
+
+test('records entries on SQLite', async () => {
+    await addToHistory({ question: 'How many orders?', sql: 'SELECT COUNT(*) FROM Orders', rowCount: 1, connection: 'default' });
+
+    const [entry] = await getHistory();
+    assert.equal(entry.question, 'How many orders?');
+    assert.equal(entry.success, true);
+    assert.equal(entry.verified, false);
+});
+
+test('promotes and demotes an entry on SQLite', async () => {
+    const [entry] = await getHistory();
+
+    const promoted = await promoteExample(entry.id, { sql: 'SELECT COUNT(*) AS orders FROM Orders' });
+    assert.equal(promoted.verified, true);
+    assert.equal(promoted.edited, true);
+    assert.deepEqual((await listExamples()).map(example => example.sql), ['SELECT COUNT(*) AS orders FROM Orders']);
+
+    assert.equal((await demoteExample(entry.id)).verified, false);
+    assert.deepEqual(await listExamples(), []);
+});
+
+test('stores every attempt of a query', async () => {
+    const attempts = [
+        { attempt: 1, sql: 'SELECT nme FROM Customers', success: false, error: 'no such column: nme' },
+        { attempt: 2, sql: 'SELECT name FROM Customers', success: true, error: null }
+    ];
+    await addToHistory({ question: 'Customer names', sql: attempts[1].sql, attempts, connection: 'default' });
+
+    const [entry] = await getHistory({ connection: 'default' });
+    assert.equal(entry.question, 'Customer names');
+    assert.deepEqual(entry.attempts, attempts);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyRowLimit } = require('../services/rowLimiter');
+
+test('appends a limit of maxRows + 1 when the query has none', () => {
+    assert.deepEqual(applyRowLimit('SELECT * FROM t', 'sqlite', 100), {
+        sql: 'SELECT * FROM t LIMIT 101',
+        fetchLimit: 101,
+        strategy: 'appended'
+    });
+});
+
+test('drops the statement terminator before appending', () => {
+    assert.equal(applyRowLimit('SELECT * FROM t;', 'mysql', 100).sql, 'SELECT * FROM t LIMIT 101');
+});
+
+test('only looks at the outermost query', () => {
+    const limited = applyRowLimit('SELECT * FROM (SELECT * FROM t LIMIT 3) x', 'sqlite', 100);
+    assert.equal(limited.sql, 'SELECT * FROM (SELECT * FROM t LIMIT 3) x LIMIT 101');
+
+    const union = applyRowLimit('SELECT a FROM t UNION SELECT a FROM u', 'postgres', 100);
+    assert.equal(union.sql, 'SELECT a FROM t UNION SELECT a FROM u LIMIT 101');
+});
+
+test('ignores LIMIT inside string literals', () => {
+    assert.equal(applyRowLimit("SELECT 'LIMIT 5' AS x FROM t", 'sqlite', 100).strategy, 'appended');
+});
+
+test('keeps a smaller outer limit', () => {
+    assert.deepEqual(applyRowLimit('SELECT * FROM t LIMIT 5', 'sqlite', 100), {
+        sql: 'SELECT * FROM t LIMIT 5',
+        fetchLimit: 5,
+        strategy: 'unchanged'
+    });
+});
+
+test('clamps a larger outer limit in place, per dialect', () => {
+    assert.equal(applyRowLimit('SELECT * FROM t LIMIT 5000', 'postgres', 100).sql, 'SELECT * FROM t LIMIT 101');
+    assert.equal(applyRowLimit('SELECT * FROM t LIMIT 10, 5000', 'mysql', 100).sql, 'SELECT * FROM t LIMIT 10, 101');
+    assert.equal(
+        applyRowLimit('SELECT * FROM t OFFSET 10 ROWS FETCH FIRST 5000 ROWS ONLY', 'postgres', 100).sql,
+        'SELECT * FROM t OFFSET 10 ROWS FETCH FIRST 101 ROWS ONLY'
+    );
+});
+
+test('treats FETCH FIRST ROW ONLY as a limit of one', () => {
+    const limited = applyRowLimit('SELECT * FROM t FETCH FIRST ROW ONLY', 'postgres', 100);
+    assert.equal(limited.strategy, 'unchanged');
+    assert.equal(limited.fetchLimit, 1);
+});
+
+test('wraps queries whose limit cannot be rewritten', () => {
+    for (const sql of ['SELECT * FROM t OFFSET 5', 'SELECT * FROM t LIMIT ALL', 'SELECT * FROM t LIMIT $1']) {
+        const limited = applyRowLimit(sql, 'postgres', 100);
+        assert.equal(limited.strategy, 'wrapped');
+        assert.equal(limited.sql, `SELECT * FROM (\n${sql}\n) AS limited_result LIMIT 101`);
+    }
+});
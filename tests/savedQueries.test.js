@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compilePlaceholders, bindParameters, normalizeSavedQuery } = require('../utils/savedQueries');
+const { initDatabase } = require('../db/connection');
+const { executeSQL } = require('../services/sqlService');
+
+test('numbers each distinct parameter on PostgreSQL', () => {
+    assert.deepEqual(compilePlaceholders('SELECT * FROM t WHERE a = :x OR b = :y OR c = :x', 'postgres'), {
+        sql: 'SELECT * FROM t WHERE a = $1 OR b = $2 OR c = $1',
+        names: ['x', 'y']
+    });
+});
+
+test('uses one ? per occurrence on SQLite and MySQL', () => {
+    assert.deepEqual(compilePlaceholders('SELECT * FROM t WHERE a = :x OR c = :x', 'mysql'), {
+        sql: 'SELECT * FROM t WHERE a = ? OR c = ?',
+        names: ['x', 'x']
+    });
+});
+
+test('leaves casts, literals, quoted identifiers and comments alone', () => {
+    const sql = `SELECT a::text, ':skip', ":skip" FROM t -- :skip\nWHERE b = :keep`;
+    assert.deepEqual(compilePlaceholders(sql, 'postgres'), {
+        sql: `SELECT a::text, ':skip', ":skip" FROM t -- :skip\nWHERE b = $1`,
+        names: ['keep']
+    });
+});
+
+test('binds typed values in placeholder order', () => {
+    const query = normalizeSavedQuery({
+        name: 'q',
+        sql: 'SELECT * FROM t WHERE n > :min AND active = :active AND d >= :since',
+        parameters: [
+            { name: 'min', type: 'integer' },
+            { name: 'active', type: 'boolean' },
+            { name: 'since', type: 'date', default: '2024-01-01' }
+        ]
+    });
+
+    const bound = bindParameters(query, { min: '5', active: 'true' }, 'sqlite');
+    assert.equal(bound.sql, 'SELECT * FROM t WHERE n > ? AND active = ? AND d >= ?');
+    assert.deepEqual(bound.params, [5, 1, '2024-01-01']);
+    assert.deepEqual(bound.values, { min: 5, active: true, since: '2024-01-01' });
+
+    assert.deepEqual(bindParameters(query, { min: 5, active: false }, 'postgres').params, [5, false, '2024-01-01']);
+});
+
+test('binds optional parameters without a value as NULL', () => {
+    const query = normalizeSavedQuery({
+        name: 'q',
+        sql: 'SELECT * FROM t WHERE (:region IS NULL OR region = :region)',
+        parameters: [{ name: 'region', required: false }]
+    });
+
+    assert.deepEqual(bindParameters(query, {}, 'postgres').params, [null]);
+});
+
+test('reports every missing, unknown and invalid value', () => {
+    const query = normalizeSavedQuery({
+        name: 'q',
+        sql: 'SELECT * FROM t WHERE a = :a AND b = :b AND c = :c',
+        parameters: [{ name: 'a' }, { name: 'b', type: 'number' }, { name: 'c', values: ['x', 'y'] }]
+    });
+
+    assert.throws(() => bindParameters(query, { b: 'ten', c: 'z', extra: 1 }, 'sqlite'), error => {
+        assert.equal(error.statusCode, 400);
+        assert.deepEqual(error.details.errors, [
+            { parameter: 'extra', message: 'is not a parameter of this query' },
+            { parameter: 'a', message: 'is required' },
+            { parameter: 'b', message: 'must be a number' },
+            { parameter: 'c', message: 'must be one of: x, y' }
+        ]);
+        return true;
+    });
+});
+
+test('runs LIMIT and OFFSET parameters on SQLite', async () => {
+    const db = await initDatabase('sqlite', { path: ':memory:', readonly: false, fileMustExist: false });
+    db.exec('CREATE TABLE t (n INTEGER); INSERT INTO t VALUES (1), (2), (3), (4), (5);');
+
+    const query = normalizeSavedQuery({
+        name: 'q',
+        sql: 'SELECT n FROM t ORDER BY n LIMIT :count OFFSET :skip',
+        parameters: [{ name: 'count', type: 'integer' }, { name: 'skip', type: 'integer', default: 0 }]
+    });
+    const bound = bindParameters(query, { count: 2, skip: 1 }, 'sqlite');
+    assert.equal(bound.sql, 'SELECT n FROM t ORDER BY n LIMIT ? OFFSET ?');
+
+    const result = await executeSQL(bound.sql, db, { dbType: 'sqlite', params: bound.params });
+    assert.deepEqual(result.results, [{ n: 2 }, { n: 3 }]);
+
+    db.close();
+});
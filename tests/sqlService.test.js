@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { initDatabase } = require('../db/connection');
+const { executeSQL } = require('../services/sqlService');
+
+test('reports the columns of a result without rows', async () => {
+    const db = await initDatabase('sqlite', { path: ':memory:', readonly: false, fileMustExist: false });
+    db.exec('CREATE TABLE t (id INTEGER, region TEXT)');
+
+    const result = await executeSQL('SELECT id, region AS area FROM t', db, { dbType: 'sqlite' });
+    assert.deepEqual(result.results, []);
+    assert.deepEqual(result.columns, [{ name: 'id', type: 'INTEGER' }, { name: 'area', type: 'TEXT' }]);
+
+    db.close();
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeSQL } = require('../services/sqlValidator');
+const { replacePlaceholders } = require('../utils/sqlParser');
+
+const rules = (sql, dbType) => analyzeSQL(sql, dbType).violations.map(violation => violation.rule);
+
+test('allows plain SELECT and WITH queries', () => {
+    assert.equal(analyzeSQL('SELECT * FROM t', 'sqlite').valid, true);
+    assert.equal(analyzeSQL('WITH a AS (SELECT 1 AS n) SELECT n FROM a', 'postgres').valid, true);
+    assert.equal(analyzeSQL('SELECT `name` FROM users LIMIT 5', 'mysql').valid, true);
+});
+
+test('ignores keywords inside strings and comments', () => {
+    assert.equal(analyzeSQL("SELECT 'DROP TABLE x' AS a", 'sqlite').valid, true);
+    assert.equal(analyzeSQL('SELECT * FROM t -- DROP TABLE t', 'sqlite').valid, true);
+});
+
+test('rejects modifying statements', () => {
+    assert.deepEqual(rules('DELETE FROM t', 'sqlite'), ['statement_type', 'modifying_statement']);
+    assert.ok(rules('UPDATE t SET a = 1', 'postgres').includes('modifying_statement'));
+});
+
+test('rejects stacked statements', () => {
+    const result = analyzeSQL('SELECT 1; DROP TABLE t', 'sqlite');
+
+    assert.equal(result.valid, false);
+    assert.ok(rules('SELECT 1; DROP TABLE t', 'sqlite').includes('multiple_statements'));
+    assert.equal(result.violations.find(v => v.rule === 'multiple_statements').nodeType, 'drop');
+});
+
+test('rejects denied functions with their position', () => {
+    const result = analyzeSQL('SELECT pg_sleep(10)', 'postgres');
+
+    assert.equal(result.valid, false);
+    assert.equal(result.violations[0].rule, 'denied_function');
+    assert.deepEqual(result.violations[0].position, { line: 1, column: 8, offset: 7 });
+    assert.deepEqual(rules('SELECT SLEEP(5)', 'mysql'), ['denied_function']);
+});
+
+test('rejects locking clauses', () => {
+    assert.deepEqual(rules('SELECT * FROM t FOR UPDATE', 'postgres'), ['locking_clause']);
+});
+
+test('reports parse errors and empty input', () => {
+    assert.deepEqual(rules('SELEC x', 'sqlite'), ['parse_error']);
+    assert.deepEqual(rules('   ', 'sqlite'), ['empty']);
+});
+
+test('SQL_FUNCTION_ALLOWLIST restricts queries to the listed functions', (t) => {
+    process.env.SQL_FUNCTION_ALLOWLIST = 'count';
+    t.after(() => delete process.env.SQL_FUNCTION_ALLOWLIST);
+
+    assert.equal(analyzeSQL('SELECT COUNT(*) FROM t', 'sqlite').valid, true);
+    assert.equal(analyzeSQL('SELECT UPPER(name) FROM t', 'sqlite').valid, false);
+});
+
+test('checks ? placeholders as literals when asked to', () => {
+    assert.equal(analyzeSQL('SELECT * FROM t LIMIT ?', 'sqlite').valid, false);
+    assert.equal(replacePlaceholders("SELECT '?' FROM t WHERE a = ? LIMIT ? -- ?"), "SELECT '?' FROM t WHERE a = 0 LIMIT 0 -- ?");
+    assert.equal(analyzeSQL(replacePlaceholders('SELECT * FROM t LIMIT ? OFFSET ?'), 'sqlite').valid, true);
+});
@@ -0,0 +1,161 @@
+/**
+ * Answer Grounding
+ * Checks that every number in a natural-language answer appears in the query
+ * results (or is the row count, or was in the question), so figures the
+ * model made up are flagged instead of presented as facts.
+ */
+
+// 1,234.5 / $12 / 45% / 1.2M / 3 million - not digits inside words, ordinals or dates' separators
+const NUMBER_PATTERN = /(?<![\w.,])(-)?[$€£]?((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)(?!\.?\d)(?!(?:st|nd|rd|th)\b)(?:(%)|(k|m|bn|b)\b|\s+(thousand|million|billion)\b)?/gi;
+
+// Words that describe a number as a decrease ("fell by 12%", "a loss of 300"), so it may
+// stand for a negative value in the data
+const DECREASE_PATTERN = /\b(?:f[ae]ll(?:s|ing)?|drop(?:s|ped|ping)?|decreas(?:e|es|ed|ing)|declin(?:e|es|ed|ing)|down|lower|loss(?:es)?|lost|shr[ai]nk(?:s|ing)?|shrunk|reduc(?:e|es|ed|ing|tion)|negative|minus|deficit)\b/i;
+
+// How far around a number (in words, within its sentence) decrease wording is looked for
+const WORDS_BEFORE = 4;
+const WORDS_AFTER = 2;
+
+const SCALES = {
+    k: 1e3,
+    thousand: 1e3,
+    m: 1e6,
+    million: 1e6,
+    b: 1e9,
+    bn: 1e9,
+    billion: 1e9
+};
+
+/**
+ * Whether the words around a number describe it as a decrease
+ * @param {string} text - Whole text
+ * @param {number} start - Offset of the number
+ * @param {number} end - Offset after the number
+ * @returns {boolean}
+ */
+function isWordedAsDecrease(text, start, end) {
+    const before = text.slice(0, start).split(/[.;!?](?:\s|$)|\n/).pop().split(/\s+/).filter(Boolean);
+    const after = text.slice(end).split(/[.;!?](?:\s|$)|\n/)[0].split(/\s+/).filter(Boolean);
+
+    return DECREASE_PATTERN.test([...before.slice(-WORDS_BEFORE), ...after.slice(0, WORDS_AFTER)].join(' '));
+}
+
+/**
+ * Find the numbers in a text
+ * @param {string} text - Answer text
+ * @returns {Array<Object>} { text, value, decimals, scale, percent, decrease } in order
+ */
+function extractNumbers(text) {
+    const numbers = [];
+    const source = String(text || '');
+
+    for (const match of source.matchAll(NUMBER_PATTERN)) {
+        const [full, sign, digits, percent, suffix, word] = match;
+        const scale = SCALES[(suffix || word || '').toLowerCase()] || 1;
+        const decimals = digits.includes('.') ? digits.split('.')[1].length : 0;
+        const value = Number(digits.replace(/,/g, '')) * (sign ? -1 : 1);
+
+        numbers.push({
+            text: full.trim(),
+            value,
+            decimals,
+            scale,
+            percent: !!percent,
+            decrease: isWordedAsDecrease(source, match.index, match.index + full.length)
+        });
+    }
+
+    return numbers;
+}
+
+/**
+ * Numbers that occur in the result rows: numeric values, numeric strings
+ * (how pg returns NUMERIC and SUM results) and signed number runs inside
+ * other strings (codes, ...)
+ * @param {Array<Object>} rows - Result rows
+ * @returns {Array<number>} Values
+ */
+function collectRowNumbers(rows) {
+    const values = new Set();
+
+    for (const row of rows) {
+        for (const value of Object.values(row || {})) {
+            if (typeof value === 'number' || typeof value === 'bigint') {
+                values.add(Number(value));
+            } else if (value instanceof Date) {
+                for (const digits of value.toISOString().match(/\d+/g)) values.add(Number(digits));
+            } else if (typeof value === 'string') {
+                const trimmed = value.trim();
+                // A whole number is not split again, so '-120' does not also give 120
+                if (trimmed !== '' && Number.isFinite(Number(trimmed))) {
+                    values.add(Number(trimmed));
+                    continue;
+                }
+                // Runs keep their sign: the '-15' of '2024-03-15' does not ground 15
+                for (const digits of trimmed.match(/-?\d+(?:\.\d+)?/g) || []) values.add(Number(digits));
+            }
+        }
+    }
+
+    return [...values];
+}
+
+/**
+ * Whether a value from the data is what an answer number shows, allowing for
+ * rounding to the answer's precision, scale words and percentages of ratios.
+ * Signs must match, unless the answer words the number as a decrease
+ * ("fell by 12%" for -0.12).
+ * @param {Object} number - Extracted answer number
+ * @param {number} candidate - Value from the data
+ * @returns {boolean}
+ */
+function matchesValue(number, candidate) {
+    const shown = number.decrease ? Math.abs(number.value) : number.value;
+    const value = number.decrease ? Math.abs(candidate) : candidate;
+    const targets = [value];
+    if (number.percent) targets.push(value * 100);
+
+    return targets.some(target => {
+        const scaled = target / number.scale;
+        if (Math.abs(scaled - shown) < 1e-9 * Math.max(1, Math.abs(shown))) return true;
+        return Number(scaled.toFixed(number.decimals)) === shown;
+    });
+}
+
+/**
+ * Check the numbers of an answer against the data it is based on
+ * @param {string} answer - Answer text
+ * @param {Array<Object>} rows - Result rows
+ * @param {Object} options - { rowCount, question }
+ * @returns {Object} { grounded, numbers: [{ text, value, found, source }], unsupportedNumbers }
+ */
+function checkAnswerGrounding(answer, rows, options = {}) {
+    const sources = [
+        ['rows', collectRowNumbers(rows)],
+        ['rowCount', options.rowCount !== undefined ? [options.rowCount] : [rows.length]],
+        ['question', extractNumbers(options.question).map(number => number.value * number.scale)]
+    ];
+
+    const numbers = extractNumbers(answer).map(number => {
+        const source = sources.find(([, values]) => values.some(value => matchesValue(number, value)));
+        return {
+            text: number.text,
+            value: number.value * number.scale,
+            found: !!source,
+            source: source ? source[0] : null
+        };
+    });
+
+    const unsupportedNumbers = numbers.filter(number => !number.found).map(number => number.text);
+
+    return {
+        grounded: unsupportedNumbers.length === 0,
+        numbers,
+        unsupportedNumbers
+    };
+}
+
+module.exports = {
+    extractNumbers,
+    checkAnswerGrounding
+};
@@ -0,0 +1,106 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing dependency for a cooldown period
+ *
+ * States:
+ *   closed    - requests flow normally
+ *   open      - requests are rejected until the cooldown elapses
+ *   half-open - a single trial request is allowed; success closes, failure re-opens
+ */
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options - Breaker options
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.cooldownMs - Time to stay open before half-opening
+ * @returns {Object} Circuit breaker
+ */
+function createCircuitBreaker(options = {}) {
+    const failureThreshold = options.failureThreshold || 3;
+    const cooldownMs = options.cooldownMs || 60000;
+
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    /**
+     * Get current state, moving open -> half-open once cooldown has elapsed
+     * @returns {string} State
+     */
+    function getState() {
+        if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+            state = 'half-open';
+            trialInFlight = false;
+        }
+        return state;
+    }
+
+    /**
+     * Whether a request may be attempted now
+     * @returns {boolean}
+     */
+    function canRequest() {
+        const current = getState();
+
+        if (current === 'closed') return true;
+        if (current === 'open') return false;
+
+        // half-open: let exactly one trial request through
+        if (trialInFlight) return false;
+        trialInFlight = true;
+        return true;
+    }
+
+    function recordSuccess() {
+        state = 'closed';
+        consecutiveFailures = 0;
+        openedAt = null;
+        trialInFlight = false;
+    }
+
+    function recordFailure() {
+        consecutiveFailures++;
+        trialInFlight = false;
+
+        if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    /**
+     * The call failed for a reason that says nothing about the dependency's
+     * health (e.g. a rejected request): free the half-open trial slot
+     * without changing state
+     */
+    function releaseTrial() {
+        trialInFlight = false;
+    }
+
+    /**
+     * Get breaker status for reporting
+     * @returns {Object} Status
+     */
+    function getStatus() {
+        const current = getState();
+        return {
+            state: current,
+            consecutiveFailures,
+            retryAt: current === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null
+        };
+    }
+
+    return {
+        canRequest,
+        recordSuccess,
+        recordFailure,
+        releaseTrial,
+        getState,
+        getStatus
+    };
+}
+
+module.exports = {
+    createCircuitBreaker
+};
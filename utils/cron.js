@@ -0,0 +1,186 @@
+/**
+ * Cron Expressions
+ * Standard five-field expressions (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps, month/day names and the @hourly/@daily/@weekly/
+ * @monthly/@yearly shortcuts. Times are evaluated in the server's local time zone.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *")
+const MAX_YEARS_AHEAD = 5;
+
+/**
+ * Create a 400 error for an invalid expression
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function cronError(message) {
+    const error = new Error(`Invalid cron expression: ${message}`);
+    error.statusCode = 400;
+    return error;
+}
+
+/**
+ * Read a field value (number or name)
+ * @param {string} value - Value text
+ * @param {Object} field - Field definition
+ * @returns {number} Value
+ */
+function parseValue(value, field) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    if (index > -1) return index + field.min;
+
+    const number = Number(value);
+    if (!/^\d+$/.test(value) || number < field.min || number > field.max) {
+        throw cronError(`${field.name} value "${value}" must be between ${field.min} and ${field.max}`);
+    }
+    return number;
+}
+
+/**
+ * Expand one field into the set of values it matches
+ * @param {string} text - Field text, e.g. "*\/15", "1-5", "mon,wed,fri"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Matching values
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw cronError(`${field.name} step "${stepText}" must be a positive integer`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (start > end) throw cronError(`${field.name} range "${range}" is reversed`);
+        } else {
+            start = parseValue(range, field);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression
+ * @returns {Object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday } value sets
+ * @throws {Error} 400 for invalid expressions
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw cronError('expression is required');
+    }
+
+    const normalized = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== 5) {
+        throw cronError(`expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+    // 7 is Sunday as well as 0
+    if (weekdays.has(7)) {
+        weekdays.delete(7);
+        weekdays.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+/**
+ * Whether a date matches the day fields. As in cron, when both day of month
+ * and day of week are restricted, either may match.
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date
+ * @returns {boolean}
+ */
+function matchesDay(cron, date) {
+    const dayMatch = cron.days.has(date.getDate());
+    const weekdayMatch = cron.weekdays.has(date.getDay());
+
+    if (cron.anyDay && cron.anyWeekday) return true;
+    if (cron.anyDay) return weekdayMatch;
+    if (cron.anyWeekday) return dayMatch;
+    return dayMatch || weekdayMatch;
+}
+
+/**
+ * Next time after a date that matches an expression
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Date} [after=new Date()] - Start (exclusive)
+ * @returns {Date|null} Next run, or null if none within five years
+ */
+function getNextRun(expression, after = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(after.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_YEARS_AHEAD);
+
+    while (date <= limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    getNextRun
+};
@@ -0,0 +1,187 @@
+/**
+ * Few-shot Example Bank
+ * Query history entries marked as verified correct become examples; the ones
+ * most similar to a new question are added to the SQL prompt.
+ */
+
+const { LRUCache } = require('lru-cache');
+const { getHistory, getHistoryById, setVerified } = require('./queryHistory');
+const { getEmbedder, getDefaultEmbedderName, cosineSimilarity } = require('../ai/embeddings');
+const { getConnection } = require('../db/registry');
+
+// Question vectors, so examples are embedded once per embedder
+const vectors = new LRUCache({ max: 5000 });
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error
+ */
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Shape a history row as an example (corrected SQL wins over the generated SQL)
+ * @param {Object} entry - History row
+ * @returns {Object} Example
+ */
+function toExample(entry) {
+    const verifiedSql = entry.verifiedSql ?? entry.verified_sql ?? null;
+
+    return {
+        id: entry.id,
+        question: entry.question,
+        sql: verifiedSql || entry.sql,
+        generatedSql: entry.sql,
+        edited: Boolean(verifiedSql),
+        connection: entry.connection || null,
+        verified: entry.verified === true || entry.verified === 1,
+        verifiedAt: entry.verifiedAt ?? entry.verified_at ?? null
+    };
+}
+
+/**
+ * Database type of the connection a history entry ran on
+ * @param {Object} entry - History row
+ * @returns {string} Database type
+ */
+function getEntryDbType(entry) {
+    try {
+        return getConnection(entry.connection || undefined).type;
+    } catch (error) {
+        // The connection has since been removed
+        return process.env.DB_TYPE || 'sqlite';
+    }
+}
+
+/**
+ * List verified examples
+ * @param {Object} options - { connection, limit }
+ * @returns {Promise<Array<Object>>} Examples, most recent first
+ */
+async function listExamples(options = {}) {
+    const entries = await getHistory({
+        verified: true,
+        connection: options.connection,
+        limit: options.limit || 1000
+    });
+
+    return entries.map(toExample);
+}
+
+/**
+ * Mark a history entry as verified, optionally with corrected SQL
+ * @param {number} id - History entry ID
+ * @param {Object} options - { sql: corrected SQL }
+ * @returns {Promise<Object>} Example
+ * @throws {Error} 404 for unknown entries, 400 for failed entries without corrected SQL,
+ *   403 if the corrected SQL is not a safe read-only query
+ */
+async function promoteExample(id, options = {}) {
+    const entry = await getHistoryById(id);
+    if (!entry) {
+        throw httpError(`History entry not found: ${id}`, 404);
+    }
+
+    const succeeded = entry.success === true || entry.success === 1;
+    if (!options.sql && (!succeeded || !entry.sql)) {
+        throw httpError('Failed queries can only be verified with corrected SQL', 400);
+    }
+
+    const sql = options.sql ? options.sql.trim() : null;
+    if (sql) {
+        // Corrected SQL must pass the same safety checks as generated SQL
+        const { validateSQL } = require('../services/sqlService');
+        validateSQL(sql, getEntryDbType(entry));
+    }
+
+    return toExample(await setVerified(id, { verified: true, sql }));
+}
+
+/**
+ * Remove the verified mark from a history entry
+ * @param {number} id - History entry ID
+ * @returns {Promise<Object>} Entry as an example (verified: false)
+ * @throws {Error} 404 for unknown entries
+ */
+async function demoteExample(id) {
+    const entry = await getHistoryById(id);
+    if (!entry) {
+        throw httpError(`History entry not found: ${id}`, 404);
+    }
+
+    return toExample(await setVerified(id, { verified: false }));
+}
+
+/**
+ * Embed texts, reusing cached vectors
+ * @param {Array<string>} texts - Texts
+ * @returns {Promise<Array<Array<number>>>} Vectors
+ */
+async function embedCached(texts) {
+    const embedderName = getDefaultEmbedderName();
+    const missing = [...new Set(texts.filter(text => !vectors.has(`${embedderName}:${text}`)))];
+
+    if (missing.length > 0) {
+        const embedded = await getEmbedder().embed(missing);
+        missing.forEach((text, i) => vectors.set(`${embedderName}:${text}`, embedded[i]));
+    }
+
+    return texts.map(text => vectors.get(`${embedderName}:${text}`));
+}
+
+/**
+ * Find the verified examples most similar to a question
+ * @param {string} question - User question
+ * @param {Object} options - Options
+ * @param {string} [options.connection] - Only examples from this connection
+ * @param {number} [options.limit] - Examples to return (FEW_SHOT_EXAMPLES, default 3)
+ * @param {number} [options.minSimilarity] - Threshold (FEW_SHOT_MIN_SIMILARITY, default 0.3)
+ * @returns {Promise<Array<Object>>} Examples with a similarity score, best first
+ */
+async function findSimilarExamples(question, options = {}) {
+    const limit = options.limit ?? (parseInt(process.env.FEW_SHOT_EXAMPLES) || 3);
+    const minSimilarity = options.minSimilarity ?? (parseFloat(process.env.FEW_SHOT_MIN_SIMILARITY) || 0.3);
+    if (limit <= 0) return [];
+
+    const examples = await listExamples({ connection: options.connection });
+    if (examples.length === 0) return [];
+
+    const [questionVector, ...exampleVectors] = await embedCached([
+        question,
+        ...examples.map(example => example.question)
+    ]);
+
+    return examples
+        .map((example, i) => ({ ...example, similarity: cosineSimilarity(questionVector, exampleVectors[i]) }))
+        .filter(example => example.similarity >= minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+}
+
+/**
+ * Serialise examples for export
+ * @param {Array<Object>} examples - Examples
+ * @param {string} format - 'jsonl' (one { question, sql } per line) or 'json'
+ * @returns {string} Export
+ */
+function exportExamples(examples, format = 'jsonl') {
+    const pairs = examples.map(({ question, sql, connection }) => ({ question, sql, connection }));
+
+    if (format === 'json') {
+        return JSON.stringify(pairs, null, 2);
+    }
+    return pairs.map(pair => JSON.stringify(pair)).join('\n') + (pairs.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+    listExamples,
+    promoteExample,
+    demoteExample,
+    findSimilarExamples,
+    exportExamples
+};
@@ -0,0 +1,368 @@
+/**
+ * Explain Plan Normaliser
+ * Turns the dialect-specific EXPLAIN output of SQLite (EXPLAIN QUERY PLAN
+ * rows), MySQL (tabular EXPLAIN or EXPLAIN ANALYZE text) and PostgreSQL
+ * (FORMAT JSON) into one plan tree, and points out costly steps.
+ *
+ * Plan node:
+ * { type, relation, alias, index, access, estimatedRows, estimatedCost,
+ *   actualRows, actualTimeMs, loops, detail, children }
+ *
+ * access is 'full_scan', 'index_scan' (whole index read), 'index_lookup' or null.
+ */
+
+// Estimated vs actual rows differing by this factor are reported
+const ESTIMATE_WARN_FACTOR = 10;
+const ESTIMATE_WARN_MIN_ROWS = 100;
+
+/**
+ * Create a plan node with every field present
+ * @param {Object} fields - Known fields
+ * @returns {Object} Plan node
+ */
+function createNode(fields) {
+    return {
+        type: fields.type,
+        relation: fields.relation || null,
+        alias: fields.alias || null,
+        index: fields.index || null,
+        access: fields.access || null,
+        estimatedRows: toNumber(fields.estimatedRows),
+        estimatedCost: toNumber(fields.estimatedCost),
+        actualRows: toNumber(fields.actualRows),
+        actualTimeMs: toNumber(fields.actualTimeMs),
+        loops: toNumber(fields.loops),
+        detail: fields.detail || null,
+        children: fields.children || []
+    };
+}
+
+/**
+ * @param {*} value - Number, numeric string or nothing
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Resolve a table alias to its table name
+ * @param {string} name - Name shown in the plan
+ * @param {Object} aliases - Alias -> table
+ * @returns {Object} { relation, alias }
+ */
+function resolveRelation(name, aliases = {}) {
+    if (!name) return { relation: null, alias: null };
+    if (aliases[name]) return { relation: aliases[name], alias: name };
+    return { relation: name, alias: null };
+}
+
+/**
+ * Normalise one SQLite EXPLAIN QUERY PLAN line
+ * @param {string} detail - e.g. "SEARCH c USING INTEGER PRIMARY KEY (rowid=?)"
+ * @param {Object} aliases - Alias -> table
+ * @returns {Object} Plan node
+ */
+function parseSQLiteDetail(detail, aliases) {
+    let match = detail.match(/^SCAN (?:TABLE )?(\S+)(?: AS (\S+))?(?: USING (COVERING )?INDEX (\S+))?/);
+    if (match && match[1] !== 'CONSTANT' && !/^\(?subquery/i.test(match[1])) {
+        const { relation, alias } = resolveRelation(match[2] || match[1], aliases);
+        return createNode({
+            type: match[4] ? (match[3] ? 'Covering Index Scan' : 'Index Scan') : 'Table Scan',
+            relation: match[2] ? match[1] : relation,
+            alias: match[2] || alias,
+            index: match[4],
+            access: match[4] ? 'index_scan' : 'full_scan',
+            detail
+        });
+    }
+
+    match = detail.match(/^SEARCH (?:TABLE )?(\S+)(?: AS (\S+))? USING (AUTOMATIC (?:PARTIAL )?)?(COVERING )?(INDEX (\S+)|INTEGER PRIMARY KEY|PRIMARY KEY)/);
+    if (match) {
+        const { relation, alias } = resolveRelation(match[2] || match[1], aliases);
+        return createNode({
+            type: match[3] ? 'Automatic Index Search' : match[4] ? 'Covering Index Search' : 'Index Search',
+            relation: match[2] ? match[1] : relation,
+            alias: match[2] || alias,
+            index: match[6] || (match[3] ? 'automatic' : 'PRIMARY KEY'),
+            access: 'index_lookup',
+            detail
+        });
+    }
+
+    match = detail.match(/^USE TEMP B-TREE FOR (.+)$/);
+    if (match) {
+        return createNode({ type: 'Temp B-Tree', detail: `for ${match[1]}` });
+    }
+
+    // CO-ROUTINE, MATERIALIZE, SCALAR SUBQUERY, COMPOUND QUERY, SCAN CONSTANT ROW, ...
+    return createNode({
+        type: detail.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase()),
+        detail
+    });
+}
+
+/**
+ * Normalise SQLite EXPLAIN QUERY PLAN rows ({ id, parent, detail }) into a tree
+ * @param {Array<Object>} rows - Plan rows
+ * @param {Object} aliases - Alias -> table
+ * @returns {Object} Root node
+ */
+function normalizeSQLitePlan(rows, aliases) {
+    const root = createNode({ type: 'Query' });
+    const nodes = new Map([[0, root]]);
+
+    for (const row of rows) {
+        const node = parseSQLiteDetail(String(row.detail), aliases);
+        nodes.set(row.id, node);
+        (nodes.get(row.parent) || root).children.push(node);
+    }
+
+    return root;
+}
+
+const MYSQL_ACCESS_TYPES = {
+    ALL: ['Full Table Scan', 'full_scan'],
+    index: ['Full Index Scan', 'index_scan'],
+    range: ['Index Range Scan', 'index_lookup'],
+    ref: ['Index Lookup', 'index_lookup'],
+    eq_ref: ['Unique Index Lookup', 'index_lookup'],
+    ref_or_null: ['Index Lookup', 'index_lookup'],
+    index_merge: ['Index Merge', 'index_lookup'],
+    unique_subquery: ['Unique Subquery Lookup', 'index_lookup'],
+    index_subquery: ['Subquery Index Lookup', 'index_lookup'],
+    fulltext: ['Fulltext Index Lookup', 'index_lookup'],
+    const: ['Constant Lookup', 'index_lookup'],
+    system: ['Constant Lookup', null]
+};
+
+/**
+ * Normalise MySQL tabular EXPLAIN rows. The rows are one table each in join
+ * order, so they become the children of a single query node.
+ * @param {Array<Object>} rows - EXPLAIN rows
+ * @param {Object} aliases - Alias -> table
+ * @returns {Object} Root node
+ */
+function normalizeMySQLTable(rows, aliases) {
+    const root = createNode({ type: 'Query' });
+
+    for (const row of rows) {
+        const [type, access] = MYSQL_ACCESS_TYPES[row.type] || [row.select_type || 'Step', null];
+        const { relation, alias } = resolveRelation(row.table, aliases);
+        const detail = [row.select_type !== 'SIMPLE' ? row.select_type : null, row.Extra]
+            .filter(Boolean).join('; ');
+
+        root.children.push(createNode({
+            type,
+            relation,
+            alias,
+            index: row.key,
+            access,
+            estimatedRows: row.rows,
+            detail
+        }));
+    }
+
+    return root;
+}
+
+/**
+ * Normalise MySQL EXPLAIN ANALYZE (tree format) text. Each line is
+ * "-> Step on t using idx  (cost=.. rows=..) (actual time=a..b rows=.. loops=..)",
+ * indented four spaces per level.
+ * @param {string} text - Plan text
+ * @param {Object} aliases - Alias -> table
+ * @returns {Object} Root node
+ */
+function normalizeMySQLTree(text, aliases) {
+    const root = createNode({ type: 'Query' });
+    const stack = [{ depth: -1, node: root }];
+
+    for (const line of text.split('\n')) {
+        const match = line.match(/^(\s*)-> (.*?)(?:\s+\(cost=([\d.e+]+)(?:\.\.([\d.e+]+))?\s+rows=([\d.e+]+)\))?(?:\s+\(actual time=([\d.e+]+)\.\.([\d.e+]+)\s+rows=([\d.e+]+)\s+loops=(\d+)\)|\s+\(never executed\))?\s*$/);
+        if (!match) continue;
+
+        const [, indent, step, startCost, totalCost, rows, , actualTime, actualRows, loops] = match;
+        const target = step.match(/^(.*?) on (\S+?)(?: using (\S+))?(?:\s|$)/);
+        const type = (target ? target[1] : step.split(':')[0]).trim();
+        const { relation, alias } = resolveRelation(target && target[2], aliases);
+
+        let access = null;
+        if (/^table scan$/i.test(type)) access = 'full_scan';
+        else if (/^(covering )?index scan$/i.test(type)) access = 'index_scan';
+        else if (/index (lookup|range scan)|index .*lookup/i.test(type)) access = 'index_lookup';
+
+        const node = createNode({
+            type: type.charAt(0).toUpperCase() + type.slice(1),
+            relation,
+            alias,
+            index: target && target[3],
+            access,
+            estimatedRows: rows,
+            estimatedCost: totalCost || startCost,
+            actualRows,
+            actualTimeMs: actualTime,
+            loops,
+            detail: target || step === type ? null : step
+        });
+
+        const depth = indent.length;
+        while (stack[stack.length - 1].depth >= depth) stack.pop();
+        stack[stack.length - 1].node.children.push(node);
+        stack.push({ depth, node });
+    }
+
+    return root.children.length === 1 ? root.children[0] : root;
+}
+
+const POSTGRES_ACCESS = {
+    'Seq Scan': 'full_scan',
+    'Parallel Seq Scan': 'full_scan',
+    'Index Scan': 'index_lookup',
+    'Index Only Scan': 'index_lookup',
+    'Bitmap Index Scan': 'index_lookup',
+    'Bitmap Heap Scan': 'index_lookup'
+};
+
+const POSTGRES_DETAIL_KEYS = [
+    'Index Cond', 'Recheck Cond', 'Filter', 'Hash Cond', 'Merge Cond', 'Join Filter', 'Sort Key', 'Group Key', 'Sort Method'
+];
+
+/**
+ * Normalise one PostgreSQL plan node (FORMAT JSON) and its children
+ * @param {Object} plan - Plan node
+ * @returns {Object} Plan node
+ */
+function normalizePostgresNode(plan) {
+    const relation = plan['Relation Name']
+        ? (plan.Schema && plan.Schema !== 'public' ? `${plan.Schema}.${plan['Relation Name']}` : plan['Relation Name'])
+        : null;
+
+    const detail = POSTGRES_DETAIL_KEYS
+        .filter(key => plan[key] !== undefined)
+        .map(key => `${key}: ${[].concat(plan[key]).join(', ')}`)
+        .join('; ');
+
+    return createNode({
+        type: plan['Join Type'] && /Join|Nested Loop/.test(plan['Node Type'])
+            ? `${plan['Node Type']} (${plan['Join Type']})`
+            : plan['Node Type'],
+        relation,
+        alias: plan.Alias && plan.Alias !== plan['Relation Name'] ? plan.Alias : null,
+        index: plan['Index Name'],
+        access: POSTGRES_ACCESS[plan['Node Type']] || null,
+        estimatedRows: plan['Plan Rows'],
+        estimatedCost: plan['Total Cost'],
+        actualRows: plan['Actual Rows'],
+        actualTimeMs: plan['Actual Total Time'],
+        loops: plan['Actual Loops'],
+        detail,
+        children: (plan.Plans || []).map(normalizePostgresNode)
+    });
+}
+
+/**
+ * Normalise raw EXPLAIN output
+ * @param {Array<Object>} rows - Rows returned by the EXPLAIN statement
+ * @param {string} dbType - Database type
+ * @param {Object} options - { aliases: alias -> table (SQLite and MySQL show aliases only) }
+ * @returns {Object} { root, planningTimeMs, executionTimeMs }
+ */
+function normalizePlan(rows, dbType, options = {}) {
+    const aliases = options.aliases || {};
+
+    switch (dbType.toLowerCase()) {
+        case 'sqlite':
+            return { root: normalizeSQLitePlan(rows, aliases), planningTimeMs: null, executionTimeMs: null };
+        case 'mysql': {
+            // EXPLAIN ANALYZE returns a single "EXPLAIN" column of tree text
+            const text = rows.length === 1 && typeof rows[0].EXPLAIN === 'string' ? rows[0].EXPLAIN : null;
+            return {
+                root: text ? normalizeMySQLTree(text, aliases) : normalizeMySQLTable(rows, aliases),
+                planningTimeMs: null,
+                executionTimeMs: null
+            };
+        }
+        case 'postgres':
+        case 'postgresql': {
+            let output = rows[0] && rows[0]['QUERY PLAN'];
+            if (typeof output === 'string') output = JSON.parse(output);
+            const explained = Array.isArray(output) ? output[0] : output;
+            if (!explained || !explained.Plan) {
+                throw new Error('Unexpected EXPLAIN output from PostgreSQL');
+            }
+            return {
+                root: normalizePostgresNode(explained.Plan),
+                planningTimeMs: toNumber(explained['Planning Time']),
+                executionTimeMs: toNumber(explained['Execution Time'])
+            };
+        }
+        default:
+            throw new Error(`Explain not supported for ${dbType}`);
+    }
+}
+
+/**
+ * Find steps worth a look: full table scans, sorts and temporary tables
+ * without an index, automatic indexes, joins without an index and row
+ * estimates far from the actual rows (ANALYZE only)
+ * @param {Object} root - Plan root
+ * @returns {Array<Object>} { type, relation, message }
+ */
+function findPlanWarnings(root) {
+    const warnings = [];
+    const add = (type, relation, message) => {
+        if (!warnings.some(warning => warning.message === message)) {
+            warnings.push({ type, relation, message });
+        }
+    };
+
+    const visit = (node) => {
+        const name = node.relation || node.alias;
+        const detail = node.detail || '';
+
+        // MySQL names internal tables <temporary>, <derived2>, ...
+        if (node.access === 'full_scan' && name && !name.startsWith('<')) {
+            add('full_scan', name, `Full table scan on ${name}`);
+        }
+        if (node.type === 'Temp B-Tree') {
+            add('temp_sort', null, `Temporary B-tree built ${detail} (no index provides this order)`);
+        }
+        if (node.type === 'Automatic Index Search') {
+            add('automatic_index', name, `Automatic index built on ${name} for this query - a permanent index would avoid it`);
+        }
+        if (/Using filesort/.test(detail)) {
+            add('filesort', name, `Sort without an index (filesort) on ${name}`);
+        }
+        if (/Using temporary/.test(detail)) {
+            add('temporary_table', name, `Temporary table created for ${name}`);
+        }
+        if (/Using join buffer/.test(detail)) {
+            add('join_without_index', name, `Join to ${name} does not use an index (join buffer)`);
+        }
+        if (/Sort Method: external/.test(detail)) {
+            add('sort_spill', null, 'Sort spilled to disk (external sort) - work_mem may be too small');
+        }
+
+        if (node.estimatedRows !== null && node.actualRows !== null) {
+            const high = Math.max(node.estimatedRows, node.actualRows);
+            const low = Math.max(Math.min(node.estimatedRows, node.actualRows), 1);
+            if (high >= ESTIMATE_WARN_MIN_ROWS && high / low >= ESTIMATE_WARN_FACTOR) {
+                add('row_estimate', name, `Row estimate ${name ? `for ${name} ` : `for ${node.type} `}is off by ${Math.round(high / low)}x `
+                    + `(estimated ${node.estimatedRows}, actual ${node.actualRows}) - statistics may be stale`);
+            }
+        }
+
+        node.children.forEach(visit);
+    };
+
+    visit(root);
+    return warnings;
+}
+
+module.exports = {
+    normalizePlan,
+    findPlanWarnings
+};
@@ -0,0 +1,298 @@
+/**
+ * Business Glossary
+ * Maps business terms ("revenue", "late shipment") to SQL expressions, filters
+ * and preferred joins. Terms come from YAML/JSON files (GLOSSARY_PATH) and from
+ * the API (saved to GLOSSARY_STORE_PATH); matching terms are added to the prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('./logger');
+
+const FIELDS = ['name', 'synonyms', 'description', 'expression', 'filter', 'joins', 'tables', 'connections'];
+const LIST_FIELDS = ['synonyms', 'joins', 'tables', 'connections'];
+
+// Loaded terms, keyed by lower-case name
+let terms = null;
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error
+ */
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Glossary file or directory of .yaml/.yml/.json files
+ * @returns {string} Path
+ */
+function getGlossaryPath() {
+    return path.resolve(process.env.GLOSSARY_PATH || path.join(__dirname, '..', 'config', 'glossary.yaml'));
+}
+
+/**
+ * Where terms added through the API are saved
+ * @returns {string} Path
+ */
+function getStorePath() {
+    return path.resolve(process.env.GLOSSARY_STORE_PATH || path.join(__dirname, '..', 'data', 'glossary.store.json'));
+}
+
+/**
+ * Check and normalise a term definition
+ * @param {Object} input - Term definition
+ * @returns {Object} Term
+ * @throws {Error} 400 if the definition is invalid
+ */
+function normalizeTerm(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw httpError('Glossary term must be an object', 400);
+    }
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+        throw httpError('Glossary term name is required', 400);
+    }
+    if (!input.expression && !input.filter && !input.description) {
+        throw httpError(`Glossary term "${input.name}" needs an expression, filter or description`, 400);
+    }
+
+    const term = {};
+    for (const field of FIELDS) {
+        const value = input[field];
+        if (value === undefined || value === null) continue;
+
+        if (LIST_FIELDS.includes(field)) {
+            const list = Array.isArray(value) ? value : [value];
+            if (!list.every(item => typeof item === 'string')) {
+                throw httpError(`Glossary term "${input.name}": ${field} must be a list of strings`, 400);
+            }
+            term[field] = list.map(item => item.trim()).filter(Boolean);
+        } else if (typeof value !== 'string') {
+            throw httpError(`Glossary term "${input.name}": ${field} must be a string`, 400);
+        } else {
+            term[field] = value.trim();
+        }
+    }
+
+    return term;
+}
+
+/**
+ * Read terms from a YAML or JSON file ({ terms: [...] } or a bare list)
+ * @param {string} file - File path
+ * @returns {Array<Object>} Term definitions
+ */
+function readGlossaryFile(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    const parsed = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+    return Array.isArray(parsed) ? parsed : (parsed?.terms || []);
+}
+
+/**
+ * Load terms from the glossary files and the API store (once)
+ * Files win when a name is defined in both.
+ * @returns {Map<string, Object>} Terms
+ */
+function loadGlossary() {
+    if (terms) return terms;
+    terms = new Map();
+
+    const glossaryPath = getGlossaryPath();
+    let files = [];
+    if (fs.existsSync(glossaryPath)) {
+        files = fs.statSync(glossaryPath).isDirectory()
+            ? fs.readdirSync(glossaryPath)
+                .filter(file => /\.(ya?ml|json)$/.test(file))
+                .sort()
+                .map(file => path.join(glossaryPath, file))
+            : [glossaryPath];
+    }
+
+    for (const file of files) {
+        try {
+            for (const definition of readGlossaryFile(file)) {
+                const term = normalizeTerm(definition);
+                terms.set(term.name.toLowerCase(), { ...term, source: 'file' });
+            }
+        } catch (error) {
+            logger.error(`Failed to load glossary file ${file}: ${error.message}`);
+        }
+    }
+
+    const storePath = getStorePath();
+    let stored = [];
+    if (fs.existsSync(storePath)) {
+        try {
+            stored = JSON.parse(fs.readFileSync(storePath, 'utf8')).terms || [];
+        } catch (error) {
+            logger.error(`Failed to load glossary store ${storePath}: ${error.message}`);
+        }
+    }
+
+    // One bad saved entry must not take the whole glossary (and every query) down
+    for (const definition of stored) {
+        try {
+            const term = normalizeTerm(definition);
+            if (terms.has(term.name.toLowerCase())) {
+                logger.warn(`Glossary term "${term.name}" is defined in a glossary file; ignoring the saved copy`);
+                continue;
+            }
+            terms.set(term.name.toLowerCase(), { ...term, source: 'api' });
+        } catch (error) {
+            logger.warn(`Skipping invalid glossary entry in ${storePath}: ${error.message}`);
+        }
+    }
+
+    if (terms.size > 0) {
+        logger.info(`📖 Loaded ${terms.size} glossary term(s)`);
+    }
+
+    return terms;
+}
+
+/**
+ * Save terms added through the API
+ */
+function persistGlossary() {
+    const storePath = getStorePath();
+    const stored = [...loadGlossary().values()]
+        .filter(term => term.source === 'api')
+        .map(({ source, ...term }) => term);
+
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    fs.writeFileSync(storePath, JSON.stringify({ version: 1, terms: stored }, null, 2));
+}
+
+/**
+ * List terms
+ * @param {Object} options - { connection: only terms that apply to this connection }
+ * @returns {Array<Object>} Terms
+ */
+function listTerms(options = {}) {
+    return [...loadGlossary().values()]
+        .filter(term => !options.connection || !term.connections || term.connections.includes(options.connection))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a term
+ * @param {string} name - Term name (case-insensitive)
+ * @returns {Object} Term
+ * @throws {Error} 404 if the term does not exist
+ */
+function getTerm(name) {
+    const term = loadGlossary().get(String(name).toLowerCase());
+    if (!term) {
+        throw httpError(`Glossary term not found: ${name}`, 404);
+    }
+    return term;
+}
+
+/**
+ * Add a term
+ * @param {Object} input - Term definition
+ * @returns {Object} Term
+ * @throws {Error} 409 if a term with the name exists
+ */
+function addTerm(input) {
+    const term = normalizeTerm(input);
+    const key = term.name.toLowerCase();
+
+    if (loadGlossary().has(key)) {
+        throw httpError(`Glossary term already exists: ${term.name}`, 409);
+    }
+
+    const stored = { ...term, source: 'api' };
+    terms.set(key, stored);
+    persistGlossary();
+    return stored;
+}
+
+/**
+ * Replace a term added through the API
+ * @param {string} name - Term name
+ * @param {Object} input - New definition (the name may change)
+ * @returns {Object} Term
+ * @throws {Error} 400 for terms defined in glossary files, 409 on a name clash
+ */
+function updateTerm(name, input) {
+    const existing = getTerm(name);
+    if (existing.source !== 'api') {
+        throw httpError(`Glossary term "${existing.name}" is defined in a glossary file; edit it there`, 400);
+    }
+
+    const term = normalizeTerm({ ...input, name: input.name || existing.name });
+    const key = term.name.toLowerCase();
+    if (key !== existing.name.toLowerCase() && terms.has(key)) {
+        throw httpError(`Glossary term already exists: ${term.name}`, 409);
+    }
+
+    terms.delete(existing.name.toLowerCase());
+    const stored = { ...term, source: 'api' };
+    terms.set(key, stored);
+    persistGlossary();
+    return stored;
+}
+
+/**
+ * Remove a term added through the API
+ * @param {string} name - Term name
+ * @throws {Error} 400 for terms defined in glossary files
+ */
+function removeTerm(name) {
+    const existing = getTerm(name);
+    if (existing.source !== 'api') {
+        throw httpError(`Glossary term "${existing.name}" is defined in a glossary file; remove it there`, 400);
+    }
+
+    terms.delete(existing.name.toLowerCase());
+    persistGlossary();
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the terms a question mentions (by name or synonym, plurals included)
+ * @param {string} question - User question
+ * @param {Object} options - { connection }
+ * @returns {Array<Object>} Matching terms
+ */
+function findTerms(question, options = {}) {
+    const text = String(question).toLowerCase();
+
+    return listTerms(options).filter(term =>
+        [term.name, ...(term.synonyms || [])].some(phrase =>
+            new RegExp(`\\b${escapeRegExp(phrase.toLowerCase())}(s|es)?\\b`).test(text)
+        )
+    );
+}
+
+/**
+ * Forget loaded terms so the files are read again
+ */
+function reloadGlossary() {
+    terms = null;
+    return loadGlossary();
+}
+
+module.exports = {
+    listTerms,
+    getTerm,
+    addTerm,
+    updateTerm,
+    removeTerm,
+    findTerms,
+    reloadGlossary
+};
@@ -1,34 +1,53 @@
 /**
  * Query History Tracker
- * Stores history in PostgreSQL for persistence
+ * Stores history in the application store (db/appStore.js).
+ * Entries marked as verified feed the few-shot example bank (utils/exampleBank.js).
  */
 
-let db = null;
+let store = null;
 let historyTableCreated = false;
 
+// Columns introduced after the table was first created
+const ADDED_COLUMNS = [
+    ['attempts', 'TEXT'],
+    ['connection', 'TEXT'],
+    ['verified', 'BOOLEAN DEFAULT false'],
+    ['verified_sql', 'TEXT'],
+    ['verified_at', 'TIMESTAMP']
+];
+
 /**
- * Initialize history with database connection
- * @param {Object} database - Database connection
+ * Initialize history with the application store
+ * @param {Object} appStore - Store from db/appStore.js
  */
-async function initHistory(database) {
-    db = database;
+async function initHistory(appStore) {
+    store = appStore;
 
-    if (!historyTableCreated && db) {
+    if (!historyTableCreated && store) {
         try {
-            await db.asyncAll(`
+            await store.exec(`
                 CREATE TABLE IF NOT EXISTS query_history (
                     id SERIAL PRIMARY KEY,
                     question TEXT,
-                    sql TEXT,
+                    "sql" TEXT,
                     success BOOLEAN DEFAULT true,
                     row_count INTEGER DEFAULT 0,
                     generation_time_ms INTEGER,
                     execution_time_ms INTEGER,
                     error TEXT,
-                    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    "timestamp" TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 )
             `);
+
+            // ADD COLUMN IF NOT EXISTS is not portable across SQLite/MySQL/PostgreSQL
+            const existing = await store.columns('query_history');
+            for (const [column, type] of ADDED_COLUMNS) {
+                if (!existing.includes(column)) {
+                    await store.exec(`ALTER TABLE query_history ADD COLUMN ${column} ${type}`);
+                }
+            }
             historyTableCreated = true;
+
             console.log('✅ Query history table ready');
         } catch (error) {
             console.log('⚠️ Could not create history table:', error.message);
@@ -41,14 +60,14 @@ async function initHistory(database) {
  * @param {Object} entry - History entry
  */
 async function addToHistory(entry) {
-    if (!db || !historyTableCreated) {
+    if (!store || !historyTableCreated) {
         return; // Silently skip if no DB
     }
 
     try {
-        await db.asyncAll(`
-            INSERT INTO query_history (question, sql, success, row_count, generation_time_ms, execution_time_ms, error)
-            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        await store.run(`
+            INSERT INTO query_history (question, "sql", success, row_count, generation_time_ms, execution_time_ms, error, attempts, connection)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         `, [
             entry.question || '',
             entry.sql || '',
@@ -56,7 +75,9 @@ async function addToHistory(entry) {
             entry.rowCount || 0,
             entry.generationTimeMs || 0,
             entry.executionTimeMs || 0,
-            entry.error || null
+            entry.error || null,
+            entry.attempts ? JSON.stringify(entry.attempts) : null,
+            entry.connection || null
         ]);
     } catch (error) {
         console.log('⚠️ Could not save to history:', error.message);
@@ -69,17 +90,18 @@ async function addToHistory(entry) {
  * @returns {Promise<Array>} History entries
  */
 async function getHistory(options = {}) {
-    if (!db || !historyTableCreated) {
+    if (!store || !historyTableCreated) {
         return [];
     }
 
     try {
         const limit = options.limit || 100;
         let query = `
-            SELECT id, question, sql, success, row_count as "rowCount", 
+            SELECT id, question, "sql", success, row_count as "rowCount", 
                    generation_time_ms as "generationTimeMs", 
                    execution_time_ms as "executionTimeMs",
-                   error, timestamp
+                   error, attempts, connection, verified,
+                   verified_sql as "verifiedSql", verified_at as "verifiedAt", "timestamp"
             FROM query_history
         `;
 
@@ -91,30 +113,60 @@ async function getHistory(options = {}) {
             conditions.push(`success = $${params.length}`);
         }
 
+        if (typeof options.verified === 'boolean') {
+            params.push(options.verified);
+            conditions.push(`verified = $${params.length}`);
+        }
+
+        if (options.connection) {
+            params.push(options.connection);
+            conditions.push(`connection = $${params.length}`);
+        }
+
         if (conditions.length > 0) {
             query += ' WHERE ' + conditions.join(' AND ');
         }
 
-        query += ` ORDER BY timestamp DESC LIMIT ${limit}`;
+        query += ` ORDER BY "timestamp" DESC, id DESC LIMIT ${parseInt(limit) || 100}`;
 
-        return await db.asyncAll(query, params);
+        const rows = await store.all(query, params);
+        return rows.map(toHistoryEntry);
     } catch (error) {
         console.log('⚠️ Could not fetch history:', error.message);
         return [];
     }
 }
 
+/**
+ * Shape a history row: attempts parsed from JSON, flags as booleans
+ * (SQLite and MySQL return 0/1)
+ * @param {Object} row - History row
+ * @returns {Object} Entry
+ */
+function toHistoryEntry(row) {
+    if (!row) return row;
+
+    const entry = { ...row, success: Boolean(row.success), verified: Boolean(row.verified) };
+    if (typeof entry.attempts !== 'string') return entry;
+
+    try {
+        return { ...entry, attempts: JSON.parse(entry.attempts) };
+    } catch {
+        return { ...entry, attempts: [] };
+    }
+}
+
 /**
  * Get history statistics
  * @returns {Promise<Object>} Stats
  */
 async function getHistoryStats() {
-    if (!db || !historyTableCreated) {
+    if (!store || !historyTableCreated) {
         return { total: 0, successful: 0, failed: 0, successRate: '0%' };
     }
 
     try {
-        const result = await db.asyncGet(`
+        const result = await store.get(`
             SELECT 
                 COUNT(*) as total,
                 SUM(CASE WHEN success THEN 1 ELSE 0 END) as successful,
@@ -144,10 +196,10 @@ async function getHistoryStats() {
  * Clear history
  */
 async function clearHistory() {
-    if (!db || !historyTableCreated) return;
+    if (!store || !historyTableCreated) return;
 
     try {
-        await db.asyncAll('DELETE FROM query_history');
+        await store.run('DELETE FROM query_history');
     } catch (error) {
         console.log('⚠️ Could not clear history:', error.message);
     }
@@ -159,20 +211,46 @@ async function clearHistory() {
  * @returns {Promise<Object|undefined>} History entry
  */
 async function getHistoryById(id) {
-    if (!db || !historyTableCreated) return undefined;
+    if (!store || !historyTableCreated) return undefined;
 
     try {
-        return await db.asyncGet('SELECT * FROM query_history WHERE id = $1', [id]);
+        return toHistoryEntry(await store.get('SELECT * FROM query_history WHERE id = $1', [id]));
     } catch (error) {
         return undefined;
     }
 }
 
+/**
+ * Mark a history entry as verified correct (optionally with corrected SQL),
+ * or remove the mark
+ * @param {number} id - Entry ID
+ * @param {Object} options - { verified, sql: corrected SQL }
+ * @returns {Promise<Object|undefined>} Updated entry, undefined if it does not exist
+ */
+async function setVerified(id, options = {}) {
+    if (!store || !historyTableCreated) return undefined;
+
+    if (options.verified === false) {
+        await store.run(
+            'UPDATE query_history SET verified = $1, verified_sql = NULL, verified_at = NULL WHERE id = $2',
+            [false, id]
+        );
+    } else {
+        await store.run(
+            'UPDATE query_history SET verified = $1, verified_sql = $2, verified_at = CURRENT_TIMESTAMP WHERE id = $3',
+            [true, options.sql || null, id]
+        );
+    }
+
+    return getHistoryById(id);
+}
+
 module.exports = {
     initHistory,
     addToHistory,
     getHistory,
     getHistoryStats,
     clearHistory,
-    getHistoryById
+    getHistoryById,
+    setVerified
 };
@@ -0,0 +1,128 @@
+/**
+ * Result Streaming
+ * Writes query results as NDJSON or Server-Sent Events:
+ * a header event (SQL + columns), one event per row, then a trailer (row count + timing)
+ */
+
+const logger = require('./logger');
+
+// Give the event loop a turn every N rows so other requests are not starved
+const YIELD_EVERY_ROWS = 500;
+
+/**
+ * Pick the streaming format requested by the client
+ * @param {Object} req - Express request
+ * @returns {string|null} 'ndjson', 'sse' or null for a buffered JSON response
+ */
+function getStreamFormat(req) {
+    const requested = String(req.query.stream || '').toLowerCase();
+
+    if (requested === 'ndjson') return 'ndjson';
+    if (requested === 'sse') return 'sse';
+    if ((req.get('accept') || '').includes('text/event-stream')) return 'sse';
+    return null;
+}
+
+/**
+ * Create a writer for a streaming response
+ * @param {Object} res - Express response
+ * @param {string} format - 'ndjson' or 'sse'
+ * @returns {Object} { send(type, data), end() }
+ */
+function createStreamWriter(res, format) {
+    res.status(200);
+    res.set({
+        'Content-Type': format === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    return {
+        /**
+         * Write one event, waiting for the socket to drain when its buffer is full
+         * @param {string} type - Event type: header, row, trailer, error
+         * @param {Object} data - Payload
+         */
+        async send(type, data) {
+            const chunk = format === 'sse'
+                ? `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+                : `${JSON.stringify({ type, ...data })}\n`;
+
+            if (!res.write(chunk) && !res.destroyed) {
+                await new Promise(resolve => {
+                    res.once('drain', resolve);
+                    res.once('close', resolve);
+                });
+            }
+        },
+
+        end() {
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
+
+/**
+ * Stream a result to the client.
+ * Errors after the header has been sent are reported as an "error" event.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} format - 'ndjson' or 'sse'
+ * @param {Object} result - From openResultStream: { columns, rows, close, getSummary }
+ * @param {Object} header - Extra header fields (sql, requestId, ...)
+ * @returns {Promise<{summary: Object, error: Error|null}>} What was sent
+ */
+async function pipeResultStream(req, res, format, result, header = {}) {
+    const writer = createStreamWriter(res, format);
+    let clientGone = false;
+    let error = null;
+
+    res.on('close', () => {
+        if (!res.writableEnded) clientGone = true;
+    });
+
+    try {
+        await writer.send('header', { ...header, columns: result.columns, timeoutMs: result.timeoutMs });
+
+        let count = 0;
+        for await (const row of result.rows) {
+            if (clientGone) break;
+            await writer.send('row', { row });
+
+            if (++count % YIELD_EVERY_ROWS === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+    } catch (err) {
+        error = err;
+        logger.error(`Result stream failed: ${err.message}`);
+    } finally {
+        await result.close();
+    }
+
+    const summary = result.getSummary();
+
+    if (clientGone) {
+        logger.warn(`Client disconnected after ${summary.rowCount} streamed rows`);
+    } else if (error) {
+        await writer.send('error', {
+            error: error.message,
+            code: error.code,
+            statusCode: error.statusCode || 500,
+            rowCount: summary.rowCount
+        });
+    } else {
+        await writer.send('trailer', summary);
+    }
+
+    writer.end();
+    return { summary, error };
+}
+
+module.exports = {
+    getStreamFormat,
+    createStreamWriter,
+    pipeResultStream
+};
@@ -0,0 +1,555 @@
+/**
+ * Saved Queries
+ * Named, parameterised queries stored next to query_history. Parameters are
+ * written as :name in the SQL, declared with a type, and bound through the
+ * driver's placeholders ($1 for PostgreSQL, ? for MySQL and SQLite) when run.
+ * The table lives in the application store (db/appStore.js).
+ */
+
+const { splitSQLSegments } = require('./sqlParser');
+
+let store = null;
+let savedQueriesTableCreated = false;
+let initError = null;
+
+const PARAMETER_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'timestamp'];
+const MAX_NAME_LENGTH = 100;
+
+// :name outside literals and comments, but not PostgreSQL ::casts
+const PLACEHOLDER_PATTERN = /(?<![:\w]):([A-Za-z_][A-Za-z0-9_]*)/g;
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @param {Object} [details] - Structured details
+ * @returns {Error} Error
+ */
+function httpError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * Initialize saved queries with the application store
+ * @param {Object} appStore - Store from db/appStore.js
+ */
+async function initSavedQueries(appStore) {
+    store = appStore;
+
+    if (!savedQueriesTableCreated && store) {
+        try {
+            await store.exec(`
+                CREATE TABLE IF NOT EXISTS saved_queries (
+                    id SERIAL PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    description TEXT,
+                    "sql" TEXT NOT NULL,
+                    parameters TEXT,
+                    tags TEXT,
+                    owner TEXT,
+                    connection TEXT,
+                    run_count INTEGER DEFAULT 0,
+                    last_run_at TIMESTAMP,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            savedQueriesTableCreated = true;
+            initError = null;
+
+            console.log('✅ Saved queries table ready');
+        } catch (error) {
+            initError = error.message;
+            console.log('⚠️ Could not create saved queries table:', error.message);
+        }
+    }
+}
+
+/**
+ * Throw unless the saved_queries table is available
+ * @throws {Error} 503
+ */
+function ensureStore() {
+    if (!store || !savedQueriesTableCreated) {
+        throw httpError(
+            `Saved queries are unavailable: the saved_queries table could not be created${initError ? ` (${initError})` : ''}`,
+            503
+        );
+    }
+}
+
+/**
+ * Find :name placeholders in SQL (literals, quoted identifiers and comments are skipped)
+ * @param {string} sql - SQL text
+ * @returns {Array<{name: string, offset: number, length: number}>} Placeholders in order
+ */
+function findPlaceholders(sql) {
+    const placeholders = [];
+
+    for (const segment of splitSQLSegments(sql)) {
+        if (segment.type !== 'code') continue;
+
+        for (const match of segment.text.matchAll(PLACEHOLDER_PATTERN)) {
+            placeholders.push({ name: match[1], offset: segment.offset + match.index, length: match[0].length });
+        }
+    }
+
+    return placeholders;
+}
+
+/**
+ * Replace :name placeholders with the driver's placeholders
+ * PostgreSQL numbers each distinct parameter ($1, $2, ...); MySQL and SQLite
+ * take one ? value per occurrence.
+ * @param {string} sql - SQL with :name placeholders
+ * @param {string} dbType - Database type
+ * @returns {{sql: string, names: Array<string>}} SQL and the parameter name of each positional value
+ */
+function compilePlaceholders(sql, dbType = 'sqlite') {
+    const numbered = ['postgres', 'postgresql'].includes(dbType.toLowerCase());
+    const names = [];
+    let compiled = '';
+    let last = 0;
+
+    for (const placeholder of findPlaceholders(sql)) {
+        let marker = '?';
+        if (numbered) {
+            if (!names.includes(placeholder.name)) names.push(placeholder.name);
+            marker = `$${names.indexOf(placeholder.name) + 1}`;
+        } else {
+            names.push(placeholder.name);
+        }
+
+        compiled += sql.slice(last, placeholder.offset) + marker;
+        last = placeholder.offset + placeholder.length;
+    }
+
+    return { sql: compiled + sql.slice(last), names };
+}
+
+/**
+ * Convert a value to a parameter's type
+ * @param {Object} parameter - Parameter definition
+ * @param {*} value - Value from the request
+ * @returns {*} Typed value
+ * @throws {Error} With a message describing the expected value
+ */
+function coerceValue(parameter, value) {
+    let typed;
+
+    switch (parameter.type) {
+        case 'number':
+            typed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof typed !== 'number' || !Number.isFinite(typed)) throw new Error('must be a number');
+            break;
+        case 'integer':
+            typed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (!Number.isInteger(typed)) throw new Error('must be an integer');
+            break;
+        case 'boolean':
+            if (value === true || value === 'true' || value === 1 || value === '1') typed = true;
+            else if (value === false || value === 'false' || value === 0 || value === '0') typed = false;
+            else throw new Error('must be true or false');
+            break;
+        case 'date':
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+                throw new Error('must be a date (YYYY-MM-DD)');
+            }
+            typed = value;
+            break;
+        case 'timestamp':
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(value) || Number.isNaN(Date.parse(value))) {
+                throw new Error('must be a timestamp (YYYY-MM-DDTHH:MM[:SS])');
+            }
+            typed = value;
+            break;
+        default:
+            if (typeof value === 'object') throw new Error('must be a string');
+            typed = String(value);
+    }
+
+    if (parameter.values && !parameter.values.includes(typed)) {
+        throw new Error(`must be one of: ${parameter.values.join(', ')}`);
+    }
+
+    return typed;
+}
+
+/**
+ * Validate and normalize a parameter definition
+ * @param {Object|string} input - { name, type, label, description, required, default, values } or a name
+ * @returns {Object} Parameter definition
+ * @throws {Error} 400 for an invalid definition
+ */
+function normalizeParameter(input) {
+    const definition = typeof input === 'string' ? { name: input } : input || {};
+    const name = typeof definition.name === 'string' ? definition.name.replace(/^:/, '') : '';
+
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw httpError(`Invalid parameter name: ${definition.name}`, 400);
+    }
+
+    const type = definition.type || 'string';
+    if (!PARAMETER_TYPES.includes(type)) {
+        throw httpError(`Parameter "${name}" has unknown type "${type}". Use: ${PARAMETER_TYPES.join(', ')}`, 400);
+    }
+
+    const parameter = {
+        name,
+        type,
+        label: definition.label || null,
+        description: definition.description || null,
+        values: null,
+        default: null
+    };
+
+    try {
+        if (definition.values !== undefined && definition.values !== null) {
+            if (!Array.isArray(definition.values) || definition.values.length === 0) {
+                throw new Error('values must be a non-empty array');
+            }
+            parameter.values = definition.values.map(value => coerceValue({ type }, value));
+        }
+        if (definition.default !== undefined && definition.default !== null) {
+            parameter.default = coerceValue(parameter, definition.default);
+        }
+    } catch (error) {
+        throw httpError(`Parameter "${name}": ${error.message}`, 400);
+    }
+
+    // Parameters without a default must be given, unless explicitly optional (bound as NULL)
+    parameter.required = definition.required !== undefined
+        ? definition.required !== false
+        : parameter.default === null;
+
+    return parameter;
+}
+
+/**
+ * Validate and normalize a saved query. Placeholders that are not declared
+ * become string parameters; declared parameters must appear in the SQL.
+ * @param {Object} input - { name, description, sql, parameters, tags, connection }
+ * @returns {Object} Normalized fields
+ * @throws {Error} 400 for invalid input
+ */
+function normalizeSavedQuery(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw httpError(`name is required (at most ${MAX_NAME_LENGTH} characters)`, 400);
+    }
+
+    const sql = typeof input.sql === 'string' ? input.sql.trim() : '';
+    if (!sql) {
+        throw httpError('sql is required', 400);
+    }
+
+    if (input.parameters !== undefined && !Array.isArray(input.parameters)) {
+        throw httpError('parameters must be an array', 400);
+    }
+    if (input.tags !== undefined && !Array.isArray(input.tags)) {
+        throw httpError('tags must be an array', 400);
+    }
+
+    const declared = new Map();
+    for (const parameter of (input.parameters || []).map(normalizeParameter)) {
+        if (declared.has(parameter.name)) {
+            throw httpError(`Parameter "${parameter.name}" is declared twice`, 400);
+        }
+        declared.set(parameter.name, parameter);
+    }
+
+    const used = [...new Set(findPlaceholders(sql).map(placeholder => placeholder.name))];
+    const unused = [...declared.keys()].filter(paramName => !used.includes(paramName));
+    if (unused.length > 0) {
+        throw httpError(`Parameters not used in the SQL: ${unused.map(paramName => `:${paramName}`).join(', ')}`, 400);
+    }
+
+    return {
+        name,
+        description: typeof input.description === 'string' ? input.description.trim() || null : null,
+        sql,
+        parameters: used.map(paramName => declared.get(paramName) || normalizeParameter(paramName)),
+        tags: [...new Set((input.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))],
+        connection: input.connection || null
+    };
+}
+
+/**
+ * Replace :name placeholders with driver placeholders and type the values
+ * @param {Object} savedQuery - Saved query ({ sql, parameters })
+ * @param {Object} values - Parameter values by name
+ * @param {string} dbType - Database type: 'sqlite', 'mysql', 'postgres'
+ * @returns {{sql: string, params: Array, values: Object}} SQL, positional values and typed values by name
+ * @throws {Error} 400 with details.errors for missing, unknown or invalid values
+ */
+function bindParameters(savedQuery, values = {}, dbType = 'sqlite') {
+    const type = dbType.toLowerCase();
+    const definitions = new Map(savedQuery.parameters.map(parameter => [parameter.name, parameter]));
+    const errors = [];
+    const typed = {};
+
+    for (const name of Object.keys(values)) {
+        if (!definitions.has(name)) errors.push({ parameter: name, message: 'is not a parameter of this query' });
+    }
+
+    for (const parameter of definitions.values()) {
+        const value = values[parameter.name];
+        if (value === undefined || value === null || value === '') {
+            if (parameter.default !== null) {
+                typed[parameter.name] = parameter.default;
+            } else if (parameter.required) {
+                errors.push({ parameter: parameter.name, message: 'is required' });
+            } else {
+                typed[parameter.name] = null;
+            }
+            continue;
+        }
+
+        try {
+            typed[parameter.name] = coerceValue(parameter, value);
+        } catch (error) {
+            errors.push({ parameter: parameter.name, message: error.message });
+        }
+    }
+
+    if (errors.length > 0) {
+        const [first] = errors;
+        throw httpError(`Parameter "${first.parameter}" ${first.message}`, 400, { errors });
+    }
+
+    const compiled = compilePlaceholders(savedQuery.sql, type);
+    const params = compiled.names.map(name => {
+        // better-sqlite3 cannot bind booleans
+        const value = typed[name];
+        return type === 'sqlite' && typeof value === 'boolean' ? Number(value) : value;
+    });
+
+    return { sql: compiled.sql, params, values: typed };
+}
+
+/**
+ * Parse a JSON column
+ * @param {string} value - Column value
+ * @returns {Array} Parsed array
+ */
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        return JSON.parse(value || '[]');
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Shape a saved_queries row
+ * @param {Object} row - Database row
+ * @returns {Object} Saved query
+ */
+function toSavedQuery(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        description: row.description || null,
+        sql: row.sql,
+        parameters: parseList(row.parameters),
+        tags: parseList(row.tags),
+        owner: row.owner || null,
+        connection: row.connection || null,
+        runCount: Number(row.run_count) || 0,
+        lastRunAt: row.last_run_at || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Whether a user may change a saved query: anyone for queries without an
+ * owner, otherwise the owner or an admin
+ * @param {Object} savedQuery - Saved query
+ * @param {Object|null} user - Token payload
+ * @returns {boolean}
+ */
+function canModify(savedQuery, user) {
+    if (!savedQuery.owner) return true;
+    return !!user && (user.id === savedQuery.owner || user.role === 'admin');
+}
+
+/**
+ * List saved queries
+ * @param {Object} options - Filters: { tag, owner, connection, search }
+ * @returns {Promise<Array<Object>>} Saved queries by name
+ */
+async function listSavedQueries(options = {}) {
+    ensureStore();
+
+    const conditions = [];
+    const params = [];
+
+    if (options.owner) {
+        params.push(options.owner);
+        conditions.push(`owner = $${params.length}`);
+    }
+
+    if (options.connection) {
+        params.push(options.connection);
+        conditions.push(`(connection = $${params.length} OR connection IS NULL)`);
+    }
+
+    const rows = await store.all(`
+        SELECT * FROM saved_queries
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY name
+    `, params);
+
+    const tag = options.tag ? String(options.tag).toLowerCase() : null;
+    const search = options.search ? String(options.search).toLowerCase() : null;
+
+    return rows.map(toSavedQuery).filter(savedQuery => {
+        if (tag && !savedQuery.tags.includes(tag)) return false;
+        if (search && !`${savedQuery.name} ${savedQuery.description || ''}`.toLowerCase().includes(search)) return false;
+        return true;
+    });
+}
+
+/**
+ * Get a saved query
+ * @param {number} id - Saved query ID
+ * @returns {Promise<Object>} Saved query
+ * @throws {Error} 404 if it does not exist
+ */
+async function getSavedQuery(id) {
+    ensureStore();
+
+    const row = await store.get('SELECT * FROM saved_queries WHERE id = $1', [id]);
+    if (!row) {
+        throw httpError(`Saved query not found: ${id}`, 404);
+    }
+    return toSavedQuery(row);
+}
+
+/**
+ * Throw if another saved query already has this name
+ * @param {string} name - Name
+ * @param {number} [exceptId] - ID of the query being updated
+ * @throws {Error} 409
+ */
+async function ensureUniqueName(name, exceptId) {
+    const row = await store.get('SELECT id FROM saved_queries WHERE LOWER(name) = LOWER($1)', [name]);
+    if (row && Number(row.id) !== exceptId) {
+        throw httpError(`A saved query named "${name}" already exists`, 409);
+    }
+}
+
+/**
+ * Save a query
+ * @param {Object} input - { name, description, sql, parameters, tags, connection }
+ * @param {Object} options - { owner }
+ * @returns {Promise<Object>} Saved query
+ */
+async function createSavedQuery(input, options = {}) {
+    ensureStore();
+
+    const fields = normalizeSavedQuery(input);
+    await ensureUniqueName(fields.name);
+
+    const id = await store.insert(`
+        INSERT INTO saved_queries (name, description, "sql", parameters, tags, owner, connection)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+        fields.name,
+        fields.description,
+        fields.sql,
+        JSON.stringify(fields.parameters),
+        JSON.stringify(fields.tags),
+        options.owner || null,
+        fields.connection
+    ]);
+
+    return getSavedQuery(id);
+}
+
+/**
+ * Replace a saved query's fields (the owner stays the same)
+ * @param {number} id - Saved query ID
+ * @param {Object} input - { name, description, sql, parameters, tags, connection }
+ * @param {Object|null} user - Token payload of the caller
+ * @returns {Promise<Object>} Updated saved query
+ * @throws {Error} 404 unknown, 403 when the caller may not change it
+ */
+async function updateSavedQuery(id, input, user) {
+    const existing = await getSavedQuery(id);
+    if (!canModify(existing, user)) {
+        throw httpError(`Only ${existing.owner} or an admin can change this saved query`, 403);
+    }
+
+    const fields = normalizeSavedQuery(input);
+    await ensureUniqueName(fields.name, id);
+
+    await store.run(`
+        UPDATE saved_queries
+        SET name = $1, description = $2, "sql" = $3, parameters = $4, tags = $5, connection = $6,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $7
+    `, [
+        fields.name,
+        fields.description,
+        fields.sql,
+        JSON.stringify(fields.parameters),
+        JSON.stringify(fields.tags),
+        fields.connection,
+        id
+    ]);
+
+    return getSavedQuery(id);
+}
+
+/**
+ * Delete a saved query
+ * @param {number} id - Saved query ID
+ * @param {Object|null} user - Token payload of the caller
+ * @throws {Error} 404 unknown, 403 when the caller may not delete it
+ */
+async function deleteSavedQuery(id, user) {
+    const existing = await getSavedQuery(id);
+    if (!canModify(existing, user)) {
+        throw httpError(`Only ${existing.owner} or an admin can delete this saved query`, 403);
+    }
+
+    await store.run('DELETE FROM saved_queries WHERE id = $1', [id]);
+}
+
+/**
+ * Count a run of a saved query
+ * @param {number} id - Saved query ID
+ */
+async function recordSavedQueryRun(id) {
+    if (!store || !savedQueriesTableCreated) return;
+
+    try {
+        await store.run(
+            'UPDATE saved_queries SET run_count = run_count + 1, last_run_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [id]
+        );
+    } catch (error) {
+        console.log('⚠️ Could not record saved query run:', error.message);
+    }
+}
+
+module.exports = {
+    PARAMETER_TYPES,
+    initSavedQueries,
+    findPlaceholders,
+    compilePlaceholders,
+    normalizeSavedQuery,
+    bindParameters,
+    listSavedQueries,
+    getSavedQuery,
+    createSavedQuery,
+    updateSavedQuery,
+    deleteSavedQuery,
+    recordSavedQueryRun
+};
@@ -0,0 +1,535 @@
+/**
+ * Schedules
+ * Cron-style schedules for saved or ad-hoc SQL and the history of their runs,
+ * stored next to query_history. Each run keeps a snapshot of the results
+ * (row count, checksum, first rows) and the diff against the previous run.
+ * The tables live in the application store (db/appStore.js).
+ */
+
+const { parseCron, getNextRun } = require('./cron');
+const { validateSink } = require('../services/alertSinks');
+
+let store = null;
+let schedulesTableCreated = false;
+let initError = null;
+
+const RULE_TYPES = ['row_count_zero', 'row_count_change', 'metric_change', 'run_failed'];
+const AGGREGATES = ['sum', 'avg', 'min', 'max', 'first'];
+const DIRECTIONS = ['any', 'up', 'down'];
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error
+ */
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Initialize schedules with the application store
+ * @param {Object} appStore - Store from db/appStore.js
+ */
+async function initSchedules(appStore) {
+    store = appStore;
+
+    if (!schedulesTableCreated && store) {
+        try {
+            await store.exec(`
+                CREATE TABLE IF NOT EXISTS schedules (
+                    id SERIAL PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    cron TEXT NOT NULL,
+                    saved_query_id INTEGER,
+                    "sql" TEXT,
+                    params TEXT,
+                    connection TEXT,
+                    rules TEXT,
+                    sinks TEXT,
+                    snapshot_rows INTEGER,
+                    enabled BOOLEAN DEFAULT TRUE,
+                    owner TEXT,
+                    next_run_at TIMESTAMP,
+                    last_run_at TIMESTAMP,
+                    last_status TEXT,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await store.exec(`
+                CREATE TABLE IF NOT EXISTS schedule_runs (
+                    id SERIAL PRIMARY KEY,
+                    schedule_id INTEGER NOT NULL,
+                    "trigger" TEXT,
+                    status TEXT NOT NULL,
+                    row_count INTEGER,
+                    checksum TEXT,
+                    snapshot TEXT,
+                    metrics TEXT,
+                    diff TEXT,
+                    alerts TEXT,
+                    deliveries TEXT,
+                    error TEXT,
+                    execution_time_ms INTEGER,
+                    started_at TIMESTAMP,
+                    finished_at TIMESTAMP
+                )
+            `);
+            schedulesTableCreated = true;
+            initError = null;
+
+            console.log('✅ Schedules tables ready');
+        } catch (error) {
+            initError = error.message;
+            console.log('⚠️ Could not create schedules tables:', error.message);
+        }
+    }
+}
+
+/**
+ * Whether the schedules tables are available
+ * @returns {boolean}
+ */
+function isSchedulesAvailable() {
+    return !!store && schedulesTableCreated;
+}
+
+/**
+ * Throw unless the schedules tables are available
+ * @throws {Error} 503
+ */
+function ensureStore() {
+    if (!isSchedulesAvailable()) {
+        throw httpError(
+            `Schedules are unavailable: the schedules tables could not be created${initError ? ` (${initError})` : ''}`,
+            503
+        );
+    }
+}
+
+/**
+ * Validate and normalize an alert rule
+ * @param {Object} input - { type, column, aggregate, percent, direction }
+ * @returns {Object} Rule
+ * @throws {Error} 400 for an invalid rule
+ */
+function normalizeRule(input) {
+    const rule = input || {};
+    if (!RULE_TYPES.includes(rule.type)) {
+        throw httpError(`Unknown rule type "${rule.type}". Use: ${RULE_TYPES.join(', ')}`, 400);
+    }
+
+    if (rule.type === 'row_count_zero' || rule.type === 'run_failed') {
+        return { type: rule.type };
+    }
+
+    const percent = Number(rule.percent);
+    if (!Number.isFinite(percent) || percent < 0) {
+        throw httpError(`Rule "${rule.type}" needs a percent of 0 or more`, 400);
+    }
+
+    const direction = rule.direction || 'any';
+    if (!DIRECTIONS.includes(direction)) {
+        throw httpError(`Rule direction must be one of: ${DIRECTIONS.join(', ')}`, 400);
+    }
+
+    if (rule.type === 'row_count_change') {
+        return { type: rule.type, percent, direction };
+    }
+
+    if (typeof rule.column !== 'string' || !rule.column.trim()) {
+        throw httpError('Rule "metric_change" needs a column', 400);
+    }
+
+    const aggregate = rule.aggregate || 'sum';
+    if (!AGGREGATES.includes(aggregate)) {
+        throw httpError(`Rule aggregate must be one of: ${AGGREGATES.join(', ')}`, 400);
+    }
+
+    return { type: rule.type, column: rule.column.trim(), aggregate, percent, direction };
+}
+
+/**
+ * Validate and normalize a schedule. A schedule runs either a saved query
+ * (savedQueryId, with params) or ad-hoc SQL.
+ * @param {Object} input - { name, cron, savedQueryId, sql, params, connection, rules, sinks, snapshotRows, enabled }
+ * @returns {Object} Normalized fields
+ * @throws {Error} 400 for invalid input
+ */
+function normalizeSchedule(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw httpError(`name is required (at most ${MAX_NAME_LENGTH} characters)`, 400);
+    }
+
+    const cron = typeof input.cron === 'string' ? input.cron.trim() : '';
+    if (!getNextRun(parseCron(cron))) {
+        throw httpError(`Cron expression "${cron}" never matches`, 400);
+    }
+
+    const hasSavedQuery = input.savedQueryId !== undefined && input.savedQueryId !== null;
+    const sql = typeof input.sql === 'string' ? input.sql.trim() : '';
+    if (hasSavedQuery === !!sql) {
+        throw httpError('Give either savedQueryId or sql', 400);
+    }
+
+    const savedQueryId = hasSavedQuery ? Number(input.savedQueryId) : null;
+    if (hasSavedQuery && (!Number.isInteger(savedQueryId) || savedQueryId <= 0)) {
+        throw httpError(`Invalid savedQueryId: ${input.savedQueryId}`, 400);
+    }
+
+    const params = input.params || {};
+    if (typeof params !== 'object' || Array.isArray(params)) {
+        throw httpError('params must be an object of parameter values', 400);
+    }
+    if (!hasSavedQuery && Object.keys(params).length > 0) {
+        throw httpError('params only apply to schedules of saved queries', 400);
+    }
+
+    if (input.rules !== undefined && !Array.isArray(input.rules)) {
+        throw httpError('rules must be an array', 400);
+    }
+    if (input.sinks !== undefined && !Array.isArray(input.sinks)) {
+        throw httpError('sinks must be an array', 400);
+    }
+    (input.sinks || []).forEach(validateSink);
+
+    const snapshotRows = input.snapshotRows === undefined || input.snapshotRows === null
+        ? null
+        : Number(input.snapshotRows);
+    if (snapshotRows !== null && (!Number.isInteger(snapshotRows) || snapshotRows < 0)) {
+        throw httpError('snapshotRows must be a non-negative integer', 400);
+    }
+
+    return {
+        name,
+        cron,
+        savedQueryId,
+        sql: sql || null,
+        params,
+        connection: input.connection || null,
+        rules: (input.rules || []).map(normalizeRule),
+        sinks: input.sinks || [],
+        snapshotRows,
+        enabled: input.enabled !== false
+    };
+}
+
+/**
+ * Apply changed fields to a schedule. Giving sql drops the saved query and
+ * giving savedQueryId drops the SQL.
+ * @param {Object} existing - Schedule
+ * @param {Object} input - Changed fields
+ * @returns {Object} Schedule fields
+ */
+function mergeScheduleInput(existing, input = {}) {
+    const merged = { ...existing, ...input };
+    if (input.sql !== undefined && input.savedQueryId === undefined) merged.savedQueryId = null;
+    if (input.savedQueryId !== undefined && input.sql === undefined) merged.sql = null;
+
+    // Parameter values belong to one saved query
+    if (input.params === undefined && merged.savedQueryId !== existing.savedQueryId) merged.params = {};
+    return merged;
+}
+
+/**
+ * Parse a JSON column
+ * @param {string} value - Column value
+ * @param {*} fallback - Value when empty or invalid
+ * @returns {*} Parsed value
+ */
+function parseJSON(value, fallback) {
+    if (value === null || value === undefined) return fallback;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Convert an ISO timestamp to a Date, so each driver binds it in its own format
+ * @param {string|Date|null} value - Timestamp
+ * @returns {Date|null} Date
+ */
+function toDate(value) {
+    return value ? new Date(value) : null;
+}
+
+/**
+ * Shape a schedules row
+ * @param {Object} row - Database row
+ * @returns {Object} Schedule
+ */
+function toSchedule(row) {
+    return {
+        id: Number(row.id),
+        name: row.name,
+        cron: row.cron,
+        savedQueryId: row.saved_query_id === null ? null : Number(row.saved_query_id),
+        sql: row.sql || null,
+        params: parseJSON(row.params, {}),
+        connection: row.connection || null,
+        rules: parseJSON(row.rules, []),
+        sinks: parseJSON(row.sinks, []),
+        snapshotRows: row.snapshot_rows === null ? null : Number(row.snapshot_rows),
+        enabled: !!row.enabled,
+        owner: row.owner || null,
+        nextRunAt: row.next_run_at || null,
+        lastRunAt: row.last_run_at || null,
+        lastStatus: row.last_status || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Shape a schedule_runs row
+ * @param {Object} row - Database row
+ * @returns {Object} Run
+ */
+function toScheduleRun(row) {
+    return {
+        id: Number(row.id),
+        scheduleId: Number(row.schedule_id),
+        trigger: row.trigger || 'schedule',
+        status: row.status,
+        rowCount: row.row_count === null ? null : Number(row.row_count),
+        checksum: row.checksum || null,
+        snapshot: parseJSON(row.snapshot, null),
+        metrics: parseJSON(row.metrics, {}),
+        diff: parseJSON(row.diff, null),
+        alerts: parseJSON(row.alerts, []),
+        deliveries: parseJSON(row.deliveries, []),
+        error: row.error || null,
+        executionTimeMs: row.execution_time_ms === null ? null : Number(row.execution_time_ms),
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+/**
+ * List schedules
+ * @returns {Promise<Array<Object>>} Schedules by name
+ */
+async function listSchedules() {
+    ensureStore();
+
+    const rows = await store.all('SELECT * FROM schedules ORDER BY name');
+    return rows.map(toSchedule);
+}
+
+/**
+ * Get a schedule
+ * @param {number} id - Schedule ID
+ * @returns {Promise<Object>} Schedule
+ * @throws {Error} 404 if it does not exist
+ */
+async function getSchedule(id) {
+    ensureStore();
+
+    const row = await store.get('SELECT * FROM schedules WHERE id = $1', [id]);
+    if (!row) {
+        throw httpError(`Schedule not found: ${id}`, 404);
+    }
+    return toSchedule(row);
+}
+
+/**
+ * Enabled schedules whose next run is due
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Array<Object>>} Due schedules, oldest first
+ */
+async function getDueSchedules(now = new Date()) {
+    ensureStore();
+
+    const rows = await store.all(`
+        SELECT * FROM schedules
+        WHERE enabled = $1 AND next_run_at IS NOT NULL AND next_run_at <= $2
+        ORDER BY next_run_at
+    `, [true, now]);
+    return rows.map(toSchedule);
+}
+
+/**
+ * Create a schedule
+ * @param {Object} input - Schedule fields (see normalizeSchedule)
+ * @param {Object} options - { owner }
+ * @returns {Promise<Object>} Schedule
+ */
+async function createSchedule(input, options = {}) {
+    ensureStore();
+
+    const fields = normalizeSchedule(input);
+    const id = await store.insert(`
+        INSERT INTO schedules
+            (name, cron, saved_query_id, "sql", params, connection, rules, sinks, snapshot_rows, enabled, owner, next_run_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [
+        fields.name,
+        fields.cron,
+        fields.savedQueryId,
+        fields.sql,
+        JSON.stringify(fields.params),
+        fields.connection,
+        JSON.stringify(fields.rules),
+        JSON.stringify(fields.sinks),
+        fields.snapshotRows,
+        fields.enabled,
+        options.owner || null,
+        fields.enabled ? getNextRun(fields.cron) : null
+    ]);
+
+    return getSchedule(id);
+}
+
+/**
+ * Update a schedule. Fields that are not given keep their value; the next
+ * run is recalculated from the (new) cron expression.
+ * @param {number} id - Schedule ID
+ * @param {Object} input - Schedule fields (see normalizeSchedule)
+ * @returns {Promise<Object>} Updated schedule
+ */
+async function updateSchedule(id, input) {
+    const existing = await getSchedule(id);
+    const fields = normalizeSchedule(mergeScheduleInput(existing, input));
+    await store.run(`
+        UPDATE schedules
+        SET name = $1, cron = $2, saved_query_id = $3, "sql" = $4, params = $5, connection = $6,
+            rules = $7, sinks = $8, snapshot_rows = $9, enabled = $10, next_run_at = $11,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $12
+    `, [
+        fields.name,
+        fields.cron,
+        fields.savedQueryId,
+        fields.sql,
+        JSON.stringify(fields.params),
+        fields.connection,
+        JSON.stringify(fields.rules),
+        JSON.stringify(fields.sinks),
+        fields.snapshotRows,
+        fields.enabled,
+        fields.enabled ? getNextRun(fields.cron) : null,
+        id
+    ]);
+
+    return getSchedule(id);
+}
+
+/**
+ * Delete a schedule and its runs
+ * @param {number} id - Schedule ID
+ * @throws {Error} 404 unknown
+ */
+async function deleteSchedule(id) {
+    await getSchedule(id);
+
+    await store.run('DELETE FROM schedule_runs WHERE schedule_id = $1', [id]);
+    await store.run('DELETE FROM schedules WHERE id = $1', [id]);
+}
+
+/**
+ * Set when a schedule runs next (claimed before running, so a slow run is not started twice)
+ * @param {number} id - Schedule ID
+ * @param {Date|null} nextRunAt - Next run
+ */
+async function setNextRun(id, nextRunAt) {
+    await store.run('UPDATE schedules SET next_run_at = $1 WHERE id = $2', [nextRunAt, id]);
+}
+
+/**
+ * Store a run and update the schedule's last run. Keeps the newest
+ * SCHEDULE_RUN_HISTORY runs (default 100) per schedule.
+ * @param {Object} run - Run (see toScheduleRun)
+ * @returns {Promise<Object>} Stored run
+ */
+async function addScheduleRun(run) {
+    ensureStore();
+
+    const id = await store.insert(`
+        INSERT INTO schedule_runs
+            (schedule_id, "trigger", status, row_count, checksum, snapshot, metrics, diff, alerts, deliveries,
+             error, execution_time_ms, started_at, finished_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    `, [
+        run.scheduleId,
+        run.trigger,
+        run.status,
+        run.rowCount,
+        run.checksum,
+        JSON.stringify(run.snapshot),
+        JSON.stringify(run.metrics),
+        JSON.stringify(run.diff),
+        JSON.stringify(run.alerts),
+        JSON.stringify(run.deliveries),
+        run.error,
+        run.executionTimeMs,
+        toDate(run.startedAt),
+        toDate(run.finishedAt)
+    ]);
+
+    await store.run(
+        'UPDATE schedules SET last_run_at = $1, last_status = $2 WHERE id = $3',
+        [toDate(run.startedAt), run.status, run.scheduleId]
+    );
+
+    // Delete below the oldest kept run (MySQL allows no LIMIT in an IN subquery)
+    const keep = parseInt(process.env.SCHEDULE_RUN_HISTORY) || 100;
+    const oldestKept = await store.get(`
+        SELECT id FROM schedule_runs WHERE schedule_id = $1 ORDER BY id DESC LIMIT 1 OFFSET $2
+    `, [run.scheduleId, keep - 1]);
+    if (oldestKept) {
+        await store.run('DELETE FROM schedule_runs WHERE schedule_id = $1 AND id < $2', [run.scheduleId, oldestKept.id]);
+    }
+
+    return { ...run, id };
+}
+
+/**
+ * Runs of a schedule, newest first
+ * @param {number} scheduleId - Schedule ID
+ * @param {Object} options - { limit, status }
+ * @returns {Promise<Array<Object>>} Runs
+ */
+async function getScheduleRuns(scheduleId, options = {}) {
+    ensureStore();
+
+    const params = [scheduleId];
+    let statusFilter = '';
+    if (options.status) {
+        params.push(options.status);
+        statusFilter = `AND status = $${params.length}`;
+    }
+    params.push(Math.min(Math.max(parseInt(options.limit) || 20, 1), 500));
+
+    const rows = await store.all(`
+        SELECT * FROM schedule_runs
+        WHERE schedule_id = $1 ${statusFilter}
+        ORDER BY id DESC
+        LIMIT $${params.length}
+    `, params);
+    return rows.map(toScheduleRun);
+}
+
+module.exports = {
+    RULE_TYPES,
+    initSchedules,
+    isSchedulesAvailable,
+    normalizeSchedule,
+    mergeScheduleInput,
+    listSchedules,
+    getSchedule,
+    getDueSchedules,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    setNextRun,
+    addScheduleRun,
+    getScheduleRuns
+};
@@ -0,0 +1,81 @@
+/**
+ * Secret Encryption
+ * AES-256-GCM encryption for credentials stored at rest, keyed by
+ * CONNECTIONS_ENCRYPTION_KEY
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+/**
+ * Derive the 256-bit key from the environment
+ * @returns {Buffer} Key
+ * @throws {Error} If CONNECTIONS_ENCRYPTION_KEY is not set
+ */
+function getKey() {
+    const secret = process.env.CONNECTIONS_ENCRYPTION_KEY;
+    if (!secret) {
+        const error = new Error('CONNECTIONS_ENCRYPTION_KEY is not set; credentials cannot be stored');
+        error.statusCode = 503;
+        throw error;
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Check whether an encryption key is configured
+ * @returns {boolean} True if secrets can be encrypted
+ */
+function hasEncryptionKey() {
+    return Boolean(process.env.CONNECTIONS_ENCRYPTION_KEY);
+}
+
+/**
+ * Encrypt a value
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} "enc:v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+ */
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return PREFIX + [iv, tag, ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} payload - Encrypted value
+ * @returns {string} Plaintext
+ * @throws {Error} If the payload is malformed or the key does not match
+ */
+function decryptSecret(payload) {
+    if (!isEncrypted(payload)) {
+        throw new Error('Value is not an encrypted secret');
+    }
+
+    const [iv, tag, ciphertext] = payload.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Check whether a value is an encrypted secret
+ * @param {*} value - Value
+ * @returns {boolean} True if encrypted
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    isEncrypted,
+    hasEncryptionKey
+};
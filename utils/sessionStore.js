@@ -0,0 +1,136 @@
+/**
+ * Conversation Session Store
+ * Keeps prior turns (question, SQL, columns, row sample) so follow-up
+ * questions can refine earlier queries
+ */
+
+const { LRUCache } = require('lru-cache');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_TURNS = parseInt(process.env.SESSION_MAX_TURNS) || 20;
+const ROW_SAMPLE_SIZE = parseInt(process.env.SESSION_ROW_SAMPLE) || 3;
+const CONTEXT_TURNS = parseInt(process.env.SESSION_CONTEXT_TURNS) || 3;
+
+// Sessions expire after SESSION_TTL_MS without activity (default: 24 hours)
+const sessions = new LRUCache({
+    max: parseInt(process.env.SESSION_MAX) || 500,
+    ttl: parseInt(process.env.SESSION_TTL_MS) || 24 * 60 * 60 * 1000,
+    updateAgeOnGet: true
+});
+
+/**
+ * Create a session
+ * @param {Object} options - { title, connection, owner: user ID }
+ * @returns {Object} Session
+ */
+function createSession(options = {}) {
+    const now = new Date().toISOString();
+    const session = {
+        id: uuidv4(),
+        title: options.title || null,
+        connection: options.connection || null,
+        owner: options.owner || null,
+        createdAt: now,
+        updatedAt: now,
+        turns: []
+    };
+
+    sessions.set(session.id, session);
+    return session;
+}
+
+/**
+ * Get a session
+ * @param {string} id - Session ID
+ * @param {string|null} [owner] - Requesting user; other users' sessions are not found
+ * @returns {Object} Session
+ * @throws {Error} 404 if the session does not exist, has expired or belongs to someone else
+ */
+function getSession(id, owner) {
+    const session = sessions.get(id);
+
+    if (!session || (owner !== undefined && session.owner !== (owner || null))) {
+        const error = new Error(`Session not found: ${id}`);
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return session;
+}
+
+/**
+ * List a user's sessions, most recently active first
+ * @param {string|null} owner - User ID
+ * @returns {Array<Object>} Session summaries (without turns)
+ */
+function listSessions(owner) {
+    return [...sessions.values()]
+        .filter(session => session.owner === (owner || null))
+        .map(({ turns, ...summary }) => ({ ...summary, turnCount: turns.length }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Delete a session
+ * @param {string} id - Session ID
+ * @param {string|null} [owner] - Requesting user
+ * @throws {Error} 404 if the session does not exist or belongs to someone else
+ */
+function deleteSession(id, owner) {
+    getSession(id, owner);
+    sessions.delete(id);
+}
+
+/**
+ * Record a turn in a session
+ * @param {string} id - Session ID
+ * @param {Object} turn - { question, sql, success, error, columns, rows, rowCount }
+ * @returns {Object} Stored turn
+ */
+function addTurn(id, turn) {
+    const session = getSession(id);
+    const rows = turn.rows || [];
+
+    const stored = {
+        question: turn.question,
+        sql: turn.sql || null,
+        success: turn.success !== false,
+        error: turn.error || null,
+        columns: turn.columns || Object.keys(rows[0] || {}),
+        rowSample: rows.slice(0, ROW_SAMPLE_SIZE),
+        rowCount: turn.rowCount || 0,
+        timestamp: new Date().toISOString()
+    };
+
+    session.turns.push(stored);
+    if (session.turns.length > MAX_TURNS) {
+        session.turns.splice(0, session.turns.length - MAX_TURNS);
+    }
+
+    session.title = session.title || turn.question;
+    session.updatedAt = stored.timestamp;
+
+    return stored;
+}
+
+/**
+ * Prior turns to show the model: the most recent successful ones, oldest first
+ * @param {Object} session - Session
+ * @param {number} [limit] - Maximum turns (SESSION_CONTEXT_TURNS)
+ * @returns {Array<Object>} Turns
+ */
+function getConversationContext(session, limit = CONTEXT_TURNS) {
+    return session.turns
+        .filter(turn => turn.success && turn.sql)
+        .slice(-limit);
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    listSessions,
+    deleteSession,
+    addTurn,
+    getConversationContext,
+    ROW_SAMPLE_SIZE
+};
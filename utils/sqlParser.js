@@ -0,0 +1,298 @@
+/**
+ * SQL Parser Helpers
+ * Thin wrapper around node-sql-parser with per-dialect options
+ */
+
+const { Parser } = require('node-sql-parser');
+
+const parser = new Parser();
+
+/**
+ * Map our database type names to node-sql-parser dialects
+ */
+const DIALECTS = {
+    sqlite: 'sqlite',
+    mysql: 'mysql',
+    postgres: 'postgresql',
+    postgresql: 'postgresql'
+};
+
+/**
+ * Get parser dialect for a database type
+ * @param {string} dbType - Database type
+ * @returns {string} Parser dialect
+ */
+function getDialect(dbType = 'sqlite') {
+    const dialect = DIALECTS[dbType.toLowerCase()];
+    if (!dialect) {
+        throw new Error(`Unsupported database type: ${dbType}`);
+    }
+    return dialect;
+}
+
+/**
+ * Split SQL into code, string, identifier and comment segments so that
+ * keyword checks never look inside literals or comments
+ * @param {string} sql - SQL text
+ * @returns {Array<{type: string, text: string, offset: number}>} Segments
+ */
+function splitSQLSegments(sql) {
+    const segments = [];
+    let code = '';
+    let codeStart = 0;
+    let i = 0;
+
+    const flushCode = () => {
+        if (code) segments.push({ type: 'code', text: code, offset: codeStart });
+        code = '';
+    };
+
+    while (i < sql.length) {
+        const ch = sql[i];
+        const next = sql[i + 1];
+        let end = -1;
+        let type = null;
+
+        if (ch === "'" || ch === '"' || ch === '`') {
+            type = ch === "'" ? 'string' : 'identifier';
+            end = i + 1;
+            while (end < sql.length) {
+                if (sql[end] === ch && sql[end + 1] === ch) {
+                    end += 2; // doubled quote escape
+                } else if (sql[end] === '\\' && ch === "'") {
+                    end += 2; // MySQL backslash escape
+                } else if (sql[end] === ch) {
+                    break;
+                } else {
+                    end++;
+                }
+            }
+            end = Math.min(end + 1, sql.length);
+        } else if (ch === '-' && next === '-') {
+            type = 'comment';
+            end = sql.indexOf('\n', i);
+            end = end === -1 ? sql.length : end;
+        } else if (ch === '/' && next === '*') {
+            type = 'comment';
+            end = sql.indexOf('*/', i + 2);
+            end = end === -1 ? sql.length : end + 2;
+        }
+
+        if (type) {
+            flushCode();
+            segments.push({ type, text: sql.slice(i, end), offset: i });
+            i = end;
+            codeStart = i;
+        } else {
+            if (!code) codeStart = i;
+            code += ch;
+            i++;
+        }
+    }
+
+    flushCode();
+    return segments;
+}
+
+/**
+ * Replace ? placeholders (outside literals and comments) with a literal, so
+ * statements with bound values can be parsed by grammars that do not accept
+ * ? everywhere a value may go (SQLite's LIMIT and OFFSET)
+ * @param {string} sql - SQL text
+ * @param {string} [standIn='0'] - Literal put in place of each placeholder
+ * @returns {string} SQL without ? placeholders
+ */
+function replacePlaceholders(sql, standIn = '0') {
+    return splitSQLSegments(sql)
+        .map(segment => (segment.type === 'code' ? segment.text.replace(/\?/g, standIn) : segment.text))
+        .join('');
+}
+
+/**
+ * Find keyword matches at parenthesis depth 0 (i.e. in the outermost query),
+ * ignoring literals, quoted identifiers and comments
+ * @param {string} sql - SQL text
+ * @param {RegExp} pattern - Pattern to match (the global flag is added)
+ * @returns {Array<{index: number, match: Array<string>}>} Matches with absolute offsets
+ */
+function findTopLevel(sql, pattern) {
+    const results = [];
+    const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+    let depth = 0;
+
+    for (const segment of splitSQLSegments(sql)) {
+        if (segment.type !== 'code') continue;
+
+        // Depth at each character of this segment
+        const depthAt = [];
+        for (const ch of segment.text) {
+            if (ch === '(') depth++;
+            depthAt.push(depth);
+            if (ch === ')') depth--;
+        }
+
+        const regex = new RegExp(pattern.source, flags);
+        let match;
+        while ((match = regex.exec(segment.text)) !== null) {
+            if (depthAt[match.index] === 0) {
+                results.push({ index: segment.offset + match.index, match });
+            }
+            if (match[0].length === 0) regex.lastIndex++;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Remove trailing semicolons, whitespace and comments
+ * @param {string} sql - SQL text
+ * @returns {string} SQL without the statement terminator
+ */
+function stripTerminator(sql) {
+    const segments = splitSQLSegments(sql);
+
+    while (segments.length > 0) {
+        const last = segments[segments.length - 1];
+        if (last.type === 'comment') {
+            segments.pop();
+        } else if (last.type === 'code' && /^[\s;]*$/.test(last.text)) {
+            segments.pop();
+        } else if (last.type === 'code') {
+            last.text = last.text.replace(/[\s;]+$/, '');
+            break;
+        } else {
+            break;
+        }
+    }
+
+    return segments.map(segment => segment.text).join('');
+}
+
+/**
+ * Rewrite constructs the parser grammar does not support into equivalents
+ * it does (only outside literals). Currently: standard
+ * "OFFSET n ROWS FETCH FIRST n ROWS ONLY" -> "LIMIT n OFFSET n" for PostgreSQL.
+ * @param {string} sql - SQL text
+ * @param {string} dbType - Database type
+ * @returns {string} Normalized SQL
+ */
+function normalizeForParser(sql, dbType = 'sqlite') {
+    if (getDialect(dbType) !== 'postgresql') return sql;
+
+    return splitSQLSegments(sql).map(segment => {
+        if (segment.type !== 'code') return segment.text;
+        return segment.text
+            .replace(/\bFETCH\s+(?:FIRST|NEXT)\s+(\d+)?\s*ROWS?\s+ONLY\b/gi, (m, n) => `LIMIT ${n || 1}`)
+            .replace(/\bOFFSET\s+(\d+)\s+ROWS?\b/gi, 'OFFSET $1')
+            .replace(/\bOFFSET\s+(\d+)\s+LIMIT\s+(\d+)/gi, 'LIMIT $2 OFFSET $1');
+    }).join('');
+}
+
+/**
+ * Parse SQL into an AST
+ * @param {string} sql - SQL text
+ * @param {string} dbType - Database type
+ * @returns {Array<Object>} Statement ASTs (always an array)
+ * @throws {Error} With .location when the SQL cannot be parsed
+ */
+function parseSQL(sql, dbType = 'sqlite') {
+    const ast = parser.astify(normalizeForParser(sql, dbType), {
+        database: getDialect(dbType),
+        parseOptions: { includeLocations: true }
+    });
+
+    return (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+}
+
+/**
+ * Tables a query reads (CTE names included, since the parser cannot tell them apart)
+ * @param {string} sql - SQL text
+ * @param {string} dbType - Database type
+ * @returns {Array<{schema: string|null, table: string}>} Distinct tables in order of appearance
+ * @throws {Error} When the SQL cannot be parsed
+ */
+function listTables(sql, dbType = 'sqlite') {
+    const seen = new Set();
+    const tables = [];
+
+    for (const entry of parser.tableList(normalizeForParser(sql, dbType), { database: getDialect(dbType) })) {
+        // Entries look like "select::schema::table" ("null" when unqualified)
+        const [, schema, table] = entry.split('::');
+        const key = `${schema}.${table}`;
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        tables.push({ schema: schema === 'null' ? null : schema, table });
+    }
+
+    return tables;
+}
+
+/**
+ * Table aliases of a query, including those in subqueries and CTEs
+ * @param {string} sql - SQL text
+ * @param {string} dbType - Database type
+ * @returns {Object} Alias -> table name
+ * @throws {Error} When the SQL cannot be parsed
+ */
+function listTableAliases(sql, dbType = 'sqlite') {
+    const aliases = {};
+
+    const walk = (node) => {
+        if (Array.isArray(node)) {
+            node.forEach(walk);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        // FROM entries: { db, table, as } (column references carry a type)
+        if (typeof node.table === 'string' && node.as && !node.type) {
+            aliases[node.as] = node.db ? `${node.db}.${node.table}` : node.table;
+        }
+        Object.values(node).forEach(walk);
+    };
+
+    walk(parseSQL(sql, dbType));
+    return aliases;
+}
+
+/**
+ * Convert an AST back into SQL
+ * @param {Object} ast - Statement AST
+ * @param {string} dbType - Database type
+ * @returns {string} SQL text
+ */
+function toSQL(ast, dbType = 'sqlite') {
+    return parser.sqlify(ast, { database: getDialect(dbType) });
+}
+
+/**
+ * Get a function name from a function/aggregate AST node
+ * @param {Object} node - Function node
+ * @returns {string} Lower-cased function name (schema-qualified names keep the last part)
+ */
+function getFunctionName(node) {
+    const name = node.name;
+
+    if (typeof name === 'string') return name.toLowerCase();
+    if (name && Array.isArray(name.name)) {
+        const parts = name.name.map(part => part.value);
+        return String(parts[parts.length - 1] || '').toLowerCase();
+    }
+    return '';
+}
+
+module.exports = {
+    getDialect,
+    splitSQLSegments,
+    replacePlaceholders,
+    findTopLevel,
+    stripTerminator,
+    normalizeForParser,
+    parseSQL,
+    listTables,
+    listTableAliases,
+    toSQL,
+    getFunctionName
+};